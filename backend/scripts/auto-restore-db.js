@@ -2,16 +2,23 @@
 
 /**
  * Automatic Database Restore Script
- * Runs on application startup to restore database from backup if needed
+ * Runs on application startup to restore the database from the newest
+ * verified backup (see backupService) when the database is empty, or when a
+ * restore was requested with the data/.restore-from-backup flag. Falls back
+ * to data/app.db.backup, the copy made by earlier releases' scripts.
+ *
+ * The database connection is already open at this point and SQLite creates
+ * an empty file on open, so an empty database counts as missing.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { DB_PATH, getAsync } = require('../src/models/database');
+const backupService = require('../src/services/backupService');
 
-const PROJECT_ROOT = path.join(__dirname, '../..');
-const DB_PATH = path.join(PROJECT_ROOT, 'data/app.db');
-const BACKUP_PATH = path.join(PROJECT_ROOT, 'data/app.db.backup');
-const RESTORE_FLAG = path.join(PROJECT_ROOT, 'data/.restore-from-backup');
+const DATA_DIR = path.dirname(DB_PATH);
+const BACKUP_PATH = path.join(DATA_DIR, 'app.db.backup');
+const RESTORE_FLAG = path.join(DATA_DIR, '.restore-from-backup');
 
 // Color codes for terminal output
 const colors = {
@@ -26,6 +33,29 @@ function log(message, color = colors.reset) {
   console.log(`${color}${message}${colors.reset}`);
 }
 
+// Newest verified scheduled or manual backup, else the legacy backup file
+function findBackup() {
+  const backup = backupService.listBackups()
+    .find(candidate => candidate.kind !== 'pre-restore' && candidate.integrity === 'ok');
+  if (backup) return { label: `backup ${backup.id}`, backupId: backup.id };
+  if (fs.existsSync(BACKUP_PATH)) return { label: BACKUP_PATH, file: BACKUP_PATH };
+  return null;
+}
+
+async function restore(source) {
+  try {
+    const { snapshot } = source.backupId
+      ? await backupService.restoreBackup({ backupId: source.backupId })
+      : await backupService.restoreFile(source.file);
+    log(`✓ Database restored from ${source.label}`, colors.green);
+    log(`✓ Previous database saved as ${snapshot.id}`, colors.green);
+    return true;
+  } catch (error) {
+    log(`✗ Failed to restore database: ${error.message}`, colors.red);
+    return false;
+  }
+}
+
 async function checkAndRestore() {
   log('\n==================================================================', colors.blue);
   log('  C2PA Generator - Auto Database Restore', colors.blue);
@@ -38,72 +68,29 @@ async function checkAndRestore() {
     log('Restore flag detected. Attempting automatic restore...', colors.yellow);
   }
 
-  // Check if database exists
-  const dbExists = fs.existsSync(DB_PATH);
-  const backupExists = fs.existsSync(BACKUP_PATH);
-
-  if (!dbExists && backupExists) {
-    log('Database not found but backup exists. Restoring...', colors.yellow);
-
-    try {
-      // Create data directory if it doesn't exist
-      const dataDir = path.dirname(DB_PATH);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-        log(`✓ Created data directory: ${dataDir}`, colors.green);
-      }
-
-      // Copy backup to database location
-      fs.copyFileSync(BACKUP_PATH, DB_PATH);
-      log('✓ Database restored from backup successfully', colors.green);
-
-      // Remove restore flag
-      if (fs.existsSync(RESTORE_FLAG)) {
-        fs.unlinkSync(RESTORE_FLAG);
-      }
-
-      return true;
-    } catch (error) {
-      log(`✗ Failed to restore database: ${error.message}`, colors.red);
-      return false;
-    }
-  } else if (!dbExists && !backupExists) {
+  const dbEmpty = !(await getAsync('SELECT name FROM sqlite_master LIMIT 1'));
+  const source = findBackup();
+  let result = true;
+
+  if (dbEmpty && source) {
+    log(`Database is empty but ${source.label} exists. Restoring...`, colors.yellow);
+    result = await restore(source);
+  } else if (dbEmpty) {
     log('No database or backup found. Fresh installation detected.', colors.yellow);
     log('Database will be initialized on first run.', colors.yellow);
-    return true;
-  } else if (dbExists && backupExists && shouldRestore) {
-    log('Database exists but restore requested. Creating safety backup...', colors.yellow);
-
-    try {
-      // Create safety backup
-      const safetyBackup = path.join(PROJECT_ROOT, 'data/app.db.before-auto-restore');
-      fs.copyFileSync(DB_PATH, safetyBackup);
-      log(`✓ Safety backup created: ${safetyBackup}`, colors.green);
-
-      // Restore from backup
-      fs.copyFileSync(BACKUP_PATH, DB_PATH);
-      log('✓ Database restored from backup successfully', colors.green);
-
-      // Remove restore flag
-      if (fs.existsSync(RESTORE_FLAG)) {
-        fs.unlinkSync(RESTORE_FLAG);
-      }
-
-      return true;
-    } catch (error) {
-      log(`✗ Failed to restore database: ${error.message}`, colors.red);
-      return false;
-    }
+  } else if (source && shouldRestore) {
+    log(`Database exists but restore requested. Restoring ${source.label}...`, colors.yellow);
+    result = await restore(source);
   } else {
     log('✓ Database exists and is ready', colors.green);
+  }
 
-    // Remove restore flag if it exists
-    if (fs.existsSync(RESTORE_FLAG)) {
-      fs.unlinkSync(RESTORE_FLAG);
-    }
-
-    return true;
+  // Remove restore flag
+  if (result && fs.existsSync(RESTORE_FLAG)) {
+    fs.unlinkSync(RESTORE_FLAG);
   }
+
+  return result;
 }
 
 // Get database file size
@@ -126,10 +113,11 @@ async function main() {
     log('==================================================================', colors.blue);
     log(`Database path: ${DB_PATH}`, colors.blue);
     log(`Database size: ${getFileSizeInMB(DB_PATH)}`, colors.blue);
-    log(`Backup available: ${fs.existsSync(BACKUP_PATH) ? 'Yes' : 'No'}`, colors.blue);
+    const backups = backupService.listBackups();
+    log(`Backups available: ${backups.length}`, colors.blue);
 
-    if (fs.existsSync(BACKUP_PATH)) {
-      log(`Backup size: ${getFileSizeInMB(BACKUP_PATH)}`, colors.blue);
+    if (backups.length > 0) {
+      log(`Latest backup: ${backups[0].id} (${getFileSizeInMB(path.join(backupService.getConfig().directory, `${backups[0].id}.db`))})`, colors.blue);
     }
 
     log('==================================================================\n', colors.blue);
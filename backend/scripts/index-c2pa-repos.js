@@ -9,6 +9,7 @@ require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env'
 
 const githubRagService = require('../src/services/githubRagService');
 const githubAuthService = require('../src/services/githubAuthService');
+const { initDatabase } = require('../src/models/database');
 const logger = require('../src/utils/logger');
 
 // C2PA repositories to index
@@ -26,12 +27,14 @@ async function indexAllRepos() {
   console.log('='.repeat(70));
   console.log();
 
-  // Initialize GitHub authentication with token from environment
-  const githubToken = process.env.GITHUB_TOKEN;
+  // Use the stored service token, or GITHUB_TOKEN from the environment
+  console.log('🔐 Loading GitHub credentials...');
+  await initDatabase();
+  const auth = await githubAuthService.hydrate();
 
-  if (!githubToken || githubToken === 'your-github-token-here') {
+  if (!auth.authenticated) {
     console.error('❌ ERROR: GitHub authentication required!');
-    console.error('Please set a valid GITHUB_TOKEN in your .env file');
+    console.error('Please set a GitHub token in Admin settings, or a valid GITHUB_TOKEN in your .env file');
     console.error();
     console.error('To generate a GitHub Personal Access Token:');
     console.error('1. Go to https://github.com/settings/tokens');
@@ -42,19 +45,8 @@ async function indexAllRepos() {
     process.exit(1);
   }
 
-  // Authenticate with GitHub
-  console.log('🔐 Authenticating with GitHub...');
-  const authResult = await githubAuthService.authenticateWithToken(githubToken);
-
-  if (!authResult.success) {
-    console.error(`❌ Authentication failed: ${authResult.error}`);
-    process.exit(1);
-  }
-
-  console.log(`✅ Authenticated as: ${authResult.user.login}`);
-  console.log();
-
-  console.log('✅ GitHub authentication verified');
+  const user = githubAuthService.getAuthenticatedUser();
+  console.log(`✅ Using the ${auth.source} GitHub token${user ? ` of ${user.login}` : ''}`);
   console.log();
 
   const results = {
@@ -73,6 +65,8 @@ async function indexAllRepos() {
       if (result.success) {
         console.log(`✅ SUCCESS: ${result.message}`);
         console.log(`   Files indexed: ${result.filesIndexed}`);
+        console.log(`   GitHub requests: ${result.report.apiCalls}` +
+          (result.report.fetchMode ? ` (fetched ${result.report.fetchMode === 'tarball' ? 'as an archive' : 'file by file'})` : ''));
         results.successful.push({ owner, repo, ...result });
       } else {
         console.log(`❌ FAILED: ${result.error}`);
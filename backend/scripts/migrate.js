@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migration Script
+ *
+ * Shows the schema version of the database and applies or rolls back the
+ * numbered migrations in src/models/migrations. The server applies pending
+ * migrations on startup; this script is for inspecting and planning them.
+ *
+ * Usage:
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js up [--to <version>] [--dry-run]
+ *   node scripts/migrate.js down [--steps <n> | --to <version>] [--dry-run] [--yes]
+ *
+ * --dry-run runs the migrations in a transaction and rolls it back, so it
+ * reports what would change and whether it would succeed without changing
+ * anything. Rolling back without --dry-run asks for confirmation unless
+ * --yes is given.
+ *
+ * The database is DATABASE_PATH (default /app/data/app.db).
+ */
+
+const readline = require('readline');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const { DB_PATH } = require('../src/models/database');
+const migrator = require('../src/models/migrator');
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+// Helper function to print colored messages
+function print(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Helper function to print section headers
+function printHeader(message) {
+  console.log('\n' + '='.repeat(60));
+  print(message, 'cyan');
+  console.log('='.repeat(60) + '\n');
+}
+
+// Parse the command and its --options
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const parsed = { command: args[0] && !args[0].startsWith('--') ? args[0] : 'status' };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const key = args[i].substring(2);
+      const value = args[i + 1];
+
+      // Handle flags without values (like --dry-run, --yes)
+      if (!value || value.startsWith('--')) {
+        parsed[key] = true;
+      } else {
+        parsed[key] = value;
+        i++;
+      }
+    }
+  }
+
+  return parsed;
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(['yes', 'y'].includes(answer.trim().toLowerCase()));
+    });
+  });
+}
+
+async function showStatus() {
+  const status = await migrator.getStatus();
+
+  print(`Database:        ${DB_PATH}`, 'dim');
+  print(`Current version: ${status.currentVersion}`, status.upToDate ? 'green' : 'yellow');
+  print(`Latest version:  ${status.latestVersion}\n`);
+
+  status.applied.forEach(migration => {
+    print(`  ✓ ${migration.name}  (applied ${migration.appliedAt})`, 'green');
+  });
+  status.pending.forEach(migration => {
+    print(`  • ${migration.name}  (pending)`, 'yellow');
+  });
+  status.missing.forEach(migration => {
+    print(`  ✗ ${migration.name}  (applied, but not in this release)`, 'red');
+  });
+  status.changed.forEach(migration => {
+    print(`  ⚠ ${migration.name} was edited after it was applied`, 'yellow');
+  });
+
+  if (status.upToDate) {
+    print('\n✓ Schema is up to date', 'green');
+  }
+}
+
+function printResult(result, verb) {
+  if (result.migrations.length === 0) {
+    print(`Nothing to ${verb}. Schema is at version ${result.from}.`, 'green');
+    return;
+  }
+
+  result.migrations.forEach(migration => {
+    print(`  ${result.dryRun ? '•' : '✓'} ${migration.name}`, result.dryRun ? 'yellow' : 'green');
+  });
+  if (result.dryRun) {
+    print(`\nDry run: would ${verb} from version ${result.from} to ${result.to}. No changes were made.`, 'yellow');
+  } else {
+    print(`\n✓ Schema moved from version ${result.from} to ${result.to}`, 'green');
+  }
+}
+
+// Main function
+async function main() {
+  const args = parseArgs();
+  const dryRun = !!args['dry-run'];
+
+  try {
+    printHeader('C2PA Generator - Schema Migrations');
+
+    if (args.command === 'status') {
+      await showStatus();
+    } else if (args.command === 'up') {
+      printResult(await migrator.migrate({ target: args.to, dryRun }), 'migrate');
+    } else if (args.command === 'down') {
+      const options = { target: args.to, steps: args.steps, dryRun };
+
+      if (!dryRun && !args.yes) {
+        const plan = await migrator.rollback({ ...options, dryRun: true });
+        if (plan.migrations.length === 0) {
+          printResult(plan, 'roll back');
+          return;
+        }
+        print(`This will roll back ${plan.migrations.map(m => m.name).join(', ')}.`, 'yellow');
+        print('Rolling back can drop tables and the data in them.', 'yellow');
+        if (!(await confirm('Continue? (yes/no): '))) {
+          print('\nOperation cancelled by user.', 'yellow');
+          return;
+        }
+      }
+
+      printResult(await migrator.rollback(options), 'roll back');
+    } else {
+      print(`✗ Unknown command: ${args.command}. Use status, up or down.`, 'red');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    print(`\n✗ ${error.message}`, 'red');
+    process.exitCode = 1;
+  }
+}
+
+// Handle Ctrl+C gracefully
+process.on('SIGINT', () => {
+  print('\n\nOperation cancelled by user.', 'yellow');
+  process.exit(0);
+});
+
+// Run main function
+main();
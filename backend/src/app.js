@@ -7,6 +7,8 @@ require('dotenv').config();
 
 const logger = require('./utils/logger');
 const { initDatabase } = require('./models/database');
+const { extractPendingDocuments } = require('./services/extractionService');
+const { embedPendingChunks } = require('./services/embeddingService');
 const DatabaseIntegrityChecker = require('./utils/dbIntegrity');
 
 // Import routes
@@ -19,9 +21,11 @@ const c2paRoutes = require('./routes/c2pa');
 const githubRoutes = require('./routes/github');
 const settingsRoutes = require('./routes/settings');
 const phase1Routes = require('./routes/phase1');
+const phaseRoutes = require('./routes/phases');
 const adventureRoutes = require('./routes/adventure');
 const adminRoutes = require('./routes/admin');
 const openaiCompatRoutes = require('./routes/openai-compat');
+const workspaceRoutes = require('./routes/workspaces');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -48,8 +52,8 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, '../../data/uploads')));
+// Uploaded files are not served statically: downloads go through
+// /api/documents, which checks workspace access or a signed URL
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -70,9 +74,11 @@ app.use('/api/c2pa', c2paRoutes);
 app.use('/api/github', githubRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/phase1', phase1Routes);
+app.use('/api/phases', phaseRoutes);
 app.use('/api/adventure', adventureRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/v1', openaiCompatRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 
 // Serve static frontend files (for production)
 app.use(express.static(path.join(__dirname, '../public')));
@@ -134,7 +140,24 @@ async function startServer() {
     await integrityChecker.runAllChecks();
     logger.info('Database integrity validation completed');
 
-    // Step 4: Start server
+    // Scheduled database backups (see backupService)
+    require('./services/backupService').startScheduler();
+
+    // Load the stored GitHub service token so indexing works after a restart
+    try {
+      await require('./services/githubAuthService').hydrate();
+    } catch (error) {
+      logger.warn('Could not load GitHub credentials:', error.message);
+    }
+
+    // Step 4: Extract text and embed chunks that predate those stages (runs in background)
+    extractPendingDocuments()
+      .then(() => embedPendingChunks())
+      .catch(error => {
+        logger.warn('Background document extraction failed:', error.message);
+      });
+
+    // Step 5: Start server
     server = app.listen(PORT, '0.0.0.0', () => {
       logger.info(`
 ╔════════════════════════════════════════════════════════════╗
@@ -87,6 +87,14 @@ async function requireAuth(req, res, next) {
       }
     }
 
+    // Purpose-bound tokens (signed download URLs) are not login tokens
+    if (decoded.purpose) {
+      logger.warn(`Rejected ${decoded.purpose} token used for authentication`);
+      return res.status(401).json({
+        error: 'Invalid token'
+      });
+    }
+
     // Find user by ID from token payload
     const user = await User.findById(decoded.id);
 
@@ -0,0 +1,79 @@
+const Workspace = require('../models/workspace');
+const logger = require('../utils/logger');
+
+/**
+ * requireWorkspace Middleware
+ *
+ * Resolves the caller's active workspace and attaches it to req.workspace
+ * as { id, name, companyName, role }. This middleware MUST be used AFTER
+ * requireAuth middleware.
+ *
+ * The active workspace is read from a :workspaceId route parameter, the
+ * X-Workspace-Id header, or the workspaceId query parameter (for plain
+ * links), in that order. Without one, the user's first workspace is used.
+ * Global admins may act in any workspace as owner.
+ *
+ * Usage:
+ *   router.get('/progress', requireAuth, requireWorkspace, (req, res) => {
+ *     // req.workspace.id scopes every query
+ *   });
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function requireWorkspace(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+
+    const requestedId = req.params.workspaceId || req.headers['x-workspace-id'] || req.query.workspaceId;
+    let workspace;
+    let role;
+
+    if (requestedId) {
+      workspace = await Workspace.findById(requestedId);
+      if (!workspace) {
+        return res.status(404).json({
+          error: 'Workspace not found'
+        });
+      }
+
+      role = await Workspace.getMemberRole(workspace.id, req.user.id);
+      if (!role && req.user.role === 'admin') {
+        role = 'owner';
+      }
+
+      if (!role) {
+        logger.warn(`User ${req.user.email} attempted to access workspace ${workspace.id} without membership`);
+        return res.status(403).json({
+          error: 'Workspace access denied'
+        });
+      }
+    } else {
+      workspace = await Workspace.getDefaultForUser(req.user);
+      role = workspace.role;
+    }
+
+    req.workspace = {
+      id: workspace.id,
+      name: workspace.name,
+      companyName: workspace.company_name,
+      role
+    };
+
+    next();
+
+  } catch (error) {
+    logger.error('Workspace resolution middleware error:', error);
+
+    res.status(500).json({
+      error: 'Workspace resolution failed'
+    });
+  }
+}
+
+module.exports = requireWorkspace;
@@ -0,0 +1,35 @@
+const logger = require('../utils/logger');
+
+/**
+ * requireWorkspaceRole Middleware Factory
+ *
+ * Restricts a route to callers holding one of the given roles in the active
+ * workspace. This middleware MUST be used AFTER requireWorkspace middleware.
+ *
+ * Usage:
+ *   router.put('/phase/:id', requireAuth, requireWorkspace,
+ *     requireWorkspaceRole('owner', 'editor'), handler);
+ *
+ * @param {...string} roles - Allowed workspace roles
+ * @returns {Function} Express middleware
+ */
+function requireWorkspaceRole(...roles) {
+  return function (req, res, next) {
+    if (!req.workspace) {
+      return res.status(401).json({
+        error: 'Workspace required'
+      });
+    }
+
+    if (!roles.includes(req.workspace.role)) {
+      logger.warn(`User ${req.user.email} with role ${req.workspace.role} denied in workspace ${req.workspace.id}`);
+      return res.status(403).json({
+        error: `Workspace role required: ${roles.join(' or ')}`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = requireWorkspaceRole;
@@ -0,0 +1,634 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Baseline schema
+ *
+ * The schema of the first release with versioned migrations; a new database
+ * gets every table as declared here. A database from the release before it
+ * already has that release's tables, in an older shape: they are kept, given
+ * the columns listed in RELEASE_COLUMNS, and the database is stamped at
+ * version 1.
+ *
+ * Later schema changes get their own numbered file.
+ */
+
+// Children before parents, so foreign keys never block a drop
+const TABLES = [
+  'audit_events', 'phase_transitions', 'eoi_versions', 'eois', 'workspace_state',
+  'assistant_actions', 'evidence_links', 'rag_embeddings', 'rag_chunks_fts', 'rag_chunks',
+  'github_files', 'github_repos', 'document_analyses', 'document_content', 'annotations',
+  'requirements', 'checklist_items', 'progress', 'chat_messages', 'chat_sessions',
+  'workspace_members', 'workspaces', 'app_settings', 'documents', 'users'
+];
+
+// Columns added since the release before migrations, to the tables it created
+const RELEASE_COLUMNS = {
+  documents: [
+    'workspace_id TEXT', 'owner_id TEXT', 'source_url TEXT', 'version TEXT', 'sha256 TEXT',
+    'etag TEXT', 'last_modified TEXT', 'synced_at TEXT'
+  ],
+  annotations: ['user_id TEXT'],
+  chat_sessions: ['summary TEXT', 'summary_message_count INTEGER DEFAULT 0', 'summary_updated_at TEXT'],
+  progress: ['workspace_id TEXT'],
+  checklist_items: ['workspace_id TEXT', 'requirement_id TEXT']
+};
+
+async function up({ runAsync, allAsync }) {
+  const existing = new Set((await allAsync(
+    "SELECT name FROM sqlite_master WHERE type = 'table'"
+  )).map(row => row.name));
+
+  // Users table (for authentication)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT DEFAULT 'user',
+      name TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_login TEXT
+    )
+  `);
+
+  // Create index for email lookups
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_users_email
+    ON users(email)
+  `);
+
+  // Documents table
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id TEXT PRIMARY KEY,
+      filename TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      file_type TEXT NOT NULL,
+      file_size INTEGER NOT NULL,
+      category TEXT,
+      upload_date TEXT NOT NULL,
+      last_reviewed TEXT,
+      status TEXT DEFAULT 'pending',
+      metadata TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      workspace_id TEXT,
+      owner_id TEXT,
+      source_url TEXT,
+      version TEXT,
+      sha256 TEXT,
+      etag TEXT,
+      last_modified TEXT,
+      synced_at TEXT
+    )
+  `);
+
+  // Annotations table
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS annotations (
+      id TEXT PRIMARY KEY,
+      document_id TEXT NOT NULL,
+      page_number INTEGER,
+      content TEXT NOT NULL,
+      position TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      user_id TEXT,
+      FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Extracted document text (pages holds JSON [{ page, start, end }] offsets into text)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS document_content (
+      document_id TEXT PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'pending',
+      text TEXT,
+      pages TEXT,
+      page_count INTEGER DEFAULT 0,
+      char_count INTEGER DEFAULT 0,
+      error TEXT,
+      extracted_at TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Latest AI analysis of each document, stamped with what produced it
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS document_analyses (
+      document_id TEXT PRIMARY KEY,
+      summary TEXT NOT NULL,
+      key_points TEXT NOT NULL,
+      requirements TEXT NOT NULL,
+      suggestions TEXT NOT NULL,
+      provider TEXT,
+      model TEXT,
+      analysis_version INTEGER NOT NULL,
+      chunk_count INTEGER DEFAULT 0,
+      source_extracted_at TEXT,
+      analyzed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Chat sessions table (for session persistence)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS chat_sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      title TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_message_at TEXT,
+      message_count INTEGER DEFAULT 0,
+      openwebui_chat_id TEXT,
+      is_active INTEGER DEFAULT 1,
+      metadata TEXT,
+      summary TEXT,
+      summary_message_count INTEGER DEFAULT 0,
+      summary_updated_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create indexes for chat_sessions
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_chat_sessions_user_id
+    ON chat_sessions(user_id)
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_chat_sessions_is_active
+    ON chat_sessions(is_active)
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_chat_sessions_updated_at
+    ON chat_sessions(updated_at)
+  `);
+
+  // Chat messages table
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id TEXT PRIMARY KEY,
+      sender TEXT NOT NULL,
+      message TEXT NOT NULL,
+      context TEXT,
+      metadata TEXT,
+      user_id TEXT,
+      session_id TEXT,
+      openwebui_chat_id TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (session_id) REFERENCES chat_sessions (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create indexes for chat_messages
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_user_id
+    ON chat_messages(user_id)
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id
+    ON chat_messages(session_id)
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at
+    ON chat_messages(created_at)
+  `);
+
+  // Progress tracking table
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS progress (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL DEFAULT 'sanmarcsoft-llc',
+      company_name TEXT,
+      current_phase TEXT,
+      start_date TEXT,
+      phases TEXT NOT NULL,
+      notes TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      workspace_id TEXT
+    )
+  `);
+
+  // Checklist items table
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS checklist_items (
+      id TEXT PRIMARY KEY,
+      phase_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      status TEXT DEFAULT 'pending',
+      order_index INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      completed_at TEXT,
+      workspace_id TEXT,
+      requirement_id TEXT
+    )
+  `);
+
+  // Requirements parsed from the official C2PA documents (see requirementService)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS requirements (
+      id TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      ref TEXT NOT NULL,
+      text TEXT NOT NULL,
+      section TEXT,
+      level TEXT NOT NULL,
+      phase_id TEXT NOT NULL,
+      position INTEGER DEFAULT 0,
+      document_id TEXT,
+      document_version TEXT,
+      content_hash TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      evidence_required INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(source, ref),
+      FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE SET NULL
+    )
+  `);
+
+  // Documents attached as evidence to checklist items or requirements (see evidenceService)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS evidence_links (
+      id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      checklist_item_id TEXT,
+      requirement_id TEXT,
+      document_id TEXT NOT NULL,
+      page_number INTEGER,
+      annotation_id TEXT,
+      note TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE,
+      FOREIGN KEY (checklist_item_id) REFERENCES checklist_items (id) ON DELETE CASCADE,
+      FOREIGN KEY (requirement_id) REFERENCES requirements (id) ON DELETE CASCADE,
+      FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE CASCADE,
+      FOREIGN KEY (annotation_id) REFERENCES annotations (id) ON DELETE SET NULL
+    )
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_evidence_links_item
+    ON evidence_links(checklist_item_id)
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_evidence_links_requirement
+    ON evidence_links(workspace_id, requirement_id)
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_evidence_links_document
+    ON evidence_links(document_id)
+  `);
+
+  // GitHub repositories table (for RAG)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS github_repos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repo_owner TEXT NOT NULL,
+      repo_name TEXT NOT NULL,
+      branch TEXT NOT NULL DEFAULT 'main',
+      file_count INTEGER DEFAULT 0,
+      indexed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      description TEXT,
+      UNIQUE(repo_owner, repo_name, branch)
+    )
+  `);
+
+  // GitHub files table (for RAG)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS github_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      repo_id INTEGER NOT NULL,
+      file_path TEXT NOT NULL,
+      file_name TEXT NOT NULL,
+      file_extension TEXT,
+      content TEXT NOT NULL,
+      size INTEGER,
+      indexed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (repo_id) REFERENCES github_repos (id) ON DELETE CASCADE,
+      UNIQUE(repo_id, file_path)
+    )
+  `);
+
+  // An index on a TEXT blob cannot serve substring searches; rag_chunks_fts replaces it
+  await runAsync('DROP INDEX IF EXISTS idx_github_files_content');
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_github_files_path
+    ON github_files(file_path)
+  `);
+
+  // RAG chunk index: documents and GitHub files split into overlapping chunks
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS rag_chunks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_type TEXT NOT NULL,
+      source_id TEXT NOT NULL,
+      chunk_index INTEGER NOT NULL,
+      start_offset INTEGER NOT NULL,
+      end_offset INTEGER NOT NULL,
+      title TEXT,
+      content TEXT NOT NULL
+    )
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_rag_chunks_source
+    ON rag_chunks(source_type, source_id)
+  `);
+
+  // Full-text index over rag_chunks (external content, kept in sync by triggers)
+  await runAsync(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS rag_chunks_fts USING fts5(
+      title,
+      content,
+      content='rag_chunks',
+      content_rowid='id',
+      tokenize='porter unicode61'
+    )
+  `);
+
+  await runAsync(`
+    CREATE TRIGGER IF NOT EXISTS rag_chunks_ai AFTER INSERT ON rag_chunks BEGIN
+      INSERT INTO rag_chunks_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+    END
+  `);
+
+  await runAsync(`
+    CREATE TRIGGER IF NOT EXISTS rag_chunks_ad AFTER DELETE ON rag_chunks BEGIN
+      INSERT INTO rag_chunks_fts (rag_chunks_fts, rowid, title, content)
+      VALUES ('delete', old.id, old.title, old.content);
+    END
+  `);
+
+  await runAsync(`
+    CREATE TRIGGER IF NOT EXISTS rag_chunks_au AFTER UPDATE ON rag_chunks BEGIN
+      INSERT INTO rag_chunks_fts (rag_chunks_fts, rowid, title, content)
+      VALUES ('delete', old.id, old.title, old.content);
+      INSERT INTO rag_chunks_fts (rowid, title, content) VALUES (new.id, new.title, new.content);
+    END
+  `);
+
+  // Chunk embeddings for semantic retrieval (Float32 vectors, one per chunk)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS rag_embeddings (
+      chunk_id INTEGER PRIMARY KEY,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      dimensions INTEGER NOT NULL,
+      vector BLOB NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (chunk_id) REFERENCES rag_chunks (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Chunks reference their source polymorphically, so clean up with triggers instead of foreign keys
+  await runAsync(`
+    CREATE TRIGGER IF NOT EXISTS rag_chunks_document_deleted AFTER DELETE ON documents BEGIN
+      DELETE FROM rag_chunks WHERE source_type = 'document' AND source_id = old.id;
+    END
+  `);
+
+  await runAsync(`
+    CREATE TRIGGER IF NOT EXISTS rag_chunks_github_file_deleted AFTER DELETE ON github_files BEGIN
+      DELETE FROM rag_chunks WHERE source_type = 'github_file' AND source_id = CAST(old.id AS TEXT);
+    END
+  `);
+
+  // Application settings table (for onboarding and configuration)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      type TEXT DEFAULT 'string',
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Workspaces table (one per company going through certification)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS workspaces (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      slug TEXT UNIQUE NOT NULL,
+      company_name TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Workspace membership table (users belong to one or more workspaces)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS workspace_members (
+      workspace_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'editor',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (workspace_id, user_id),
+      FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id
+    ON workspace_members(user_id)
+  `);
+
+  // Assistant tool calls: read-only calls are logged as executed, mutating
+  // ones wait as 'pending' until the user confirms or rejects them
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS assistant_actions (
+      id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      session_id TEXT,
+      tool TEXT NOT NULL,
+      arguments TEXT,
+      summary TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      result TEXT,
+      error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TEXT,
+      FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_assistant_actions_session_id
+    ON assistant_actions(session_id)
+  `);
+
+  // Per-workspace state (EOI submission, adventure progress, checkpoints)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS workspace_state (
+      workspace_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT,
+      type TEXT DEFAULT 'string',
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (workspace_id, key),
+      FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Expression of Interest, one per workspace (see eoiService)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS eois (
+      id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL UNIQUE,
+      status TEXT NOT NULL DEFAULT 'draft',
+      version INTEGER NOT NULL DEFAULT 1,
+      data TEXT NOT NULL,
+      reference TEXT,
+      submitted_at TEXT,
+      acknowledged_at TEXT,
+      created_by TEXT,
+      updated_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Every edit and status change of an EOI
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS eoi_versions (
+      id TEXT PRIMARY KEY,
+      eoi_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      data TEXT NOT NULL,
+      note TEXT,
+      changed_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(eoi_id, version),
+      FOREIGN KEY (eoi_id) REFERENCES eois (id) ON DELETE CASCADE
+    )
+  `);
+
+  // Every phase status change, including gating overrides (see phaseService)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS phase_transitions (
+      id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL,
+      phase_id TEXT NOT NULL,
+      from_status TEXT NOT NULL,
+      to_status TEXT NOT NULL,
+      completion INTEGER NOT NULL DEFAULT 0,
+      override INTEGER NOT NULL DEFAULT 0,
+      reason TEXT,
+      blockers TEXT,
+      changed_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (workspace_id) REFERENCES workspaces (id) ON DELETE CASCADE
+    )
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_phase_transitions_workspace
+    ON phase_transitions(workspace_id, phase_id)
+  `);
+
+  // Append-only, hash-chained audit trail (see auditService)
+  await runAsync(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL,
+      actor_id TEXT,
+      actor_email TEXT,
+      workspace_id TEXT,
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT,
+      before TEXT,
+      after TEXT,
+      changes TEXT,
+      ip TEXT,
+      user_agent TEXT,
+      method TEXT,
+      path TEXT,
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    )
+  `);
+
+  for (const operation of ['UPDATE', 'DELETE']) {
+    await runAsync(`
+      CREATE TRIGGER IF NOT EXISTS audit_events_no_${operation.toLowerCase()}
+      BEFORE ${operation} ON audit_events
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_events is append-only');
+      END
+    `);
+  }
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_audit_events_created_at
+    ON audit_events(created_at)
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_audit_events_entity
+    ON audit_events(entity_type, entity_id)
+  `);
+
+  // The release before migrations created these tables without the newer columns
+  for (const [table, columns] of Object.entries(RELEASE_COLUMNS)) {
+    if (!existing.has(table)) continue;
+    logger.info(`Upgrading ${table} table from the release before migrations`);
+    for (const column of columns) {
+      await runAsync(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+    }
+  }
+
+  for (const table of ['progress', 'checklist_items', 'documents']) {
+    await runAsync(`
+      CREATE INDEX IF NOT EXISTS idx_${table}_workspace_id
+      ON ${table}(workspace_id)
+    `);
+  }
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_documents_source_url
+    ON documents(source_url)
+  `);
+
+  await runAsync(`
+    CREATE INDEX IF NOT EXISTS idx_annotations_document_user
+    ON annotations(document_id, user_id)
+  `);
+
+  await runAsync(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_checklist_items_requirement
+    ON checklist_items(workspace_id, requirement_id)
+    WHERE requirement_id IS NOT NULL
+  `);
+}
+
+// Drops every table: rolling back the baseline empties the database
+async function down({ runAsync }) {
+  for (const table of TABLES) {
+    await runAsync(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = {
+  description: 'Baseline schema',
+  up,
+  down
+};
@@ -0,0 +1,49 @@
+/**
+ * GitHub credentials
+ *
+ * Tokens used to reach GitHub, encrypted with utils/encryption. There is at
+ * most one service token (kind 'service', used for indexing and by anyone
+ * without a token of their own) and one token per user (kind 'user').
+ */
+
+async function up({ runAsync }) {
+  await runAsync(`
+    CREATE TABLE github_credentials (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL CHECK (kind IN ('service', 'user')),
+      user_id TEXT UNIQUE,
+      token_encrypted TEXT NOT NULL,
+      token_preview TEXT,
+      token_type TEXT,
+      login TEXT,
+      name TEXT,
+      avatar_url TEXT,
+      scopes TEXT,
+      expires_at TEXT,
+      source TEXT NOT NULL DEFAULT 'token',
+      last_verified_at TEXT,
+      last_error TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      CHECK ((kind = 'service') = (user_id IS NULL)),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  await runAsync(`
+    CREATE UNIQUE INDEX idx_github_credentials_service
+    ON github_credentials(kind)
+    WHERE kind = 'service'
+  `);
+}
+
+async function down({ runAsync }) {
+  await runAsync('DROP TABLE IF EXISTS github_credentials');
+}
+
+module.exports = {
+  description: 'Encrypted GitHub credentials',
+  up,
+  down
+};
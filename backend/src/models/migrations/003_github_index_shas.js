@@ -0,0 +1,25 @@
+/**
+ * Git SHAs for incremental GitHub indexing
+ *
+ * github_files.blob_sha is the blob each file's content came from, so a
+ * re-index only fetches files whose SHA changed. github_repos records the
+ * commit and tree that were indexed last.
+ */
+
+async function up({ runAsync }) {
+  await runAsync('ALTER TABLE github_files ADD COLUMN blob_sha TEXT');
+  await runAsync('ALTER TABLE github_repos ADD COLUMN commit_sha TEXT');
+  await runAsync('ALTER TABLE github_repos ADD COLUMN tree_sha TEXT');
+}
+
+async function down({ runAsync }) {
+  await runAsync('ALTER TABLE github_repos DROP COLUMN tree_sha');
+  await runAsync('ALTER TABLE github_repos DROP COLUMN commit_sha');
+  await runAsync('ALTER TABLE github_files DROP COLUMN blob_sha');
+}
+
+module.exports = {
+  description: 'Blob and commit SHAs for incremental GitHub indexing',
+  up,
+  down
+};
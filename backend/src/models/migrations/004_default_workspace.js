@@ -0,0 +1,79 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const phaseRegistry = require('../../services/phaseRegistry');
+
+/**
+ * Default workspace
+ *
+ * Creates the workspace that holds everything from before workspaces
+ * existed, and moves that data into it: progress, checklist items and
+ * uploaded documents, then the EOI and adventure state kept in the global
+ * app_settings table. Users that predate workspaces all shared this data, so
+ * they join it. On a new database this only creates the workspace.
+ *
+ * Rolling back leaves the data where it is.
+ */
+
+const DEFAULT_WORKSPACE_ID = 'sanmarcsoft-llc';
+const DEFAULT_WORKSPACE_NAME = 'Sanmarcsoft LLC';
+
+async function up({ runAsync, getAsync, allAsync }) {
+  // The existing progress row becomes the workspace's own, so it does not get a second, empty one
+  await runAsync('UPDATE progress SET workspace_id = user_id WHERE workspace_id IS NULL');
+  await runAsync('UPDATE checklist_items SET workspace_id = ? WHERE workspace_id IS NULL', [DEFAULT_WORKSPACE_ID]);
+  // Official C2PA documents (those with a source URL) are shared by all workspaces
+  await runAsync(
+    'UPDATE documents SET workspace_id = ? WHERE workspace_id IS NULL AND source_url IS NULL',
+    [DEFAULT_WORKSPACE_ID]
+  );
+
+  // Databases set up while workspaces were being introduced may have it already
+  const now = new Date().toISOString();
+  const { changes } = await runAsync(
+    `INSERT OR IGNORE INTO workspaces (id, name, slug, company_name, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [DEFAULT_WORKSPACE_ID, DEFAULT_WORKSPACE_NAME, DEFAULT_WORKSPACE_ID, DEFAULT_WORKSPACE_NAME, now, now]
+  );
+
+  if (changes > 0) {
+    await runAsync(`
+      INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role)
+      SELECT ?, id, CASE WHEN role = 'admin' THEN 'owner' ELSE 'editor' END
+      FROM users
+    `, [DEFAULT_WORKSPACE_ID]);
+  }
+
+  if (!await getAsync('SELECT id FROM progress WHERE workspace_id = ?', [DEFAULT_WORKSPACE_ID])) {
+    const phases = phaseRegistry.listPhases().map(phase => ({ id: phase.id, name: phase.name, status: 'pending', tasks: [] }));
+    await runAsync(
+      `INSERT INTO progress (id, user_id, workspace_id, company_name, current_phase, start_date, phases)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), DEFAULT_WORKSPACE_ID, DEFAULT_WORKSPACE_ID, DEFAULT_WORKSPACE_NAME, phases[0].id, now, JSON.stringify(phases)]
+    );
+  }
+
+  // EOI and adventure state move out of the global app_settings table
+  const legacyState = await allAsync(`
+    SELECT key, value, type FROM app_settings
+    WHERE key IN ('phase1_eoi_submission', 'adventure_progress') OR key LIKE 'checkpoint_%'
+  `);
+  for (const setting of legacyState) {
+    await runAsync(
+      `INSERT OR IGNORE INTO workspace_state (workspace_id, key, value, type)
+       VALUES (?, ?, ?, ?)`,
+      [DEFAULT_WORKSPACE_ID, setting.key, setting.value, setting.type]
+    );
+    await runAsync('DELETE FROM app_settings WHERE key = ?', [setting.key]);
+  }
+  if (legacyState.length > 0) {
+    logger.info(`Moved ${legacyState.length} certification settings into the default workspace`);
+  }
+}
+
+async function down() {}
+
+module.exports = {
+  description: 'Default workspace for data from before workspaces',
+  up,
+  down
+};
@@ -0,0 +1,63 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+
+/**
+ * EOI records
+ *
+ * Turns Expressions of Interest kept as workspace state into eois rows with
+ * a first version: a prepared submission becomes ready, an assistant draft a
+ * draft. When a workspace has both, the submission wins. Only the EOI fields
+ * are carried over.
+ *
+ * Rolling back leaves the EOI records in place.
+ */
+
+// The fields of an EOI when it moved out of workspace state (see eoiService.FIELDS)
+const FIELDS = [
+  'companyName', 'contactName', 'contactEmail', 'contactPhone', 'companyWebsite',
+  'productDescription', 'intendedUseCase', 'estimatedTimeline'
+];
+
+async function up({ runAsync, getAsync, allAsync }) {
+  const legacyEois = await allAsync(`
+    SELECT workspace_id, key, value FROM workspace_state
+    WHERE key IN ('phase1_eoi_submission', 'phase1_eoi_draft')
+    ORDER BY CASE key WHEN 'phase1_eoi_submission' THEN 0 ELSE 1 END
+  `);
+
+  for (const state of legacyEois) {
+    const existing = await getAsync('SELECT id FROM eois WHERE workspace_id = ?', [state.workspace_id]);
+    if (!existing) {
+      const value = JSON.parse(state.value || '{}');
+      const data = {};
+      FIELDS.filter(field => value[field]).forEach(field => { data[field] = String(value[field]); });
+
+      const status = state.key === 'phase1_eoi_submission' ? 'ready' : 'draft';
+      const now = new Date().toISOString();
+      const eoiId = uuidv4();
+      await runAsync(
+        `INSERT INTO eois (id, workspace_id, status, version, data, created_at, updated_at)
+         VALUES (?, ?, ?, 1, ?, ?, ?)`,
+        [eoiId, state.workspace_id, status, JSON.stringify(data), value.submittedAt || value.draftedAt || now, now]
+      );
+      await runAsync(
+        `INSERT INTO eoi_versions (id, eoi_id, version, status, data, note, created_at)
+         VALUES (?, ?, 1, ?, ?, 'Migrated', ?)`,
+        [uuidv4(), eoiId, status, JSON.stringify(data), now]
+      );
+    }
+    await runAsync('DELETE FROM workspace_state WHERE workspace_id = ? AND key = ?', [state.workspace_id, state.key]);
+  }
+
+  if (legacyEois.length > 0) {
+    logger.info(`Migrated ${legacyEois.length} Expression of Interest record(s) out of workspace state`);
+  }
+}
+
+async function down() {}
+
+module.exports = {
+  description: 'EOI records from workspace state',
+  up,
+  down
+};
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Schema Migrator
+ * Applies the numbered files in models/migrations in order and records each
+ * one in schema_migrations. A migration file is named NNN_description.js and
+ * exports { description, up(db), down(db) }, where db is a connection
+ * ({ runAsync, getAsync, allAsync }, see database.openDatabase).
+ *
+ * Each migration runs in its own transaction together with its
+ * schema_migrations row, so a failing migration leaves nothing behind. A dry
+ * run applies the same steps in one transaction and rolls it back, which
+ * reports what would change and proves it would succeed.
+ *
+ * The version of a database is the highest applied migration.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function defaultConnection() {
+  // Required lazily: database.js runs migrations from initDatabase()
+  return require('./database');
+}
+
+/**
+ * Migration files in version order
+ * @param {string} [directory] - Defaults to models/migrations
+ * @returns {Array<Object>} [{ version, name, description, checksum, up, down }]
+ * @throws {MigrationError} When two files share a version or a file lacks up/down
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const filePath = path.join(directory, file);
+      const definition = require(filePath);
+      const name = file.replace(/\.js$/, '');
+
+      if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+        throw new MigrationError(`Migration ${name} must export up and down functions`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name,
+        description: definition.description || match[2].replace(/[_-]/g, ' '),
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+        up: definition.up,
+        down: definition.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new MigrationError(`Migrations ${migrations[index - 1].name} and ${migration.name} share version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+async function ensureTable(connection) {
+  await connection.runAsync(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+async function getApplied(connection) {
+  const table = await connection.getAsync(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+  );
+  if (!table) return [];
+  return connection.allAsync('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Current and expected schema version
+ * @param {Object} [options] - { connection, directory }
+ * @returns {Promise<Object>} { currentVersion, latestVersion, upToDate, applied, pending,
+ *   missing (applied but no longer on disk), changed (edited after being applied) }
+ */
+async function getStatus(options = {}) {
+  const connection = options.connection || defaultConnection();
+  const migrations = loadMigrations(options.directory);
+  const applied = await getApplied(connection);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const known = new Set(migrations.map(migration => migration.version));
+
+  const currentVersion = applied.length > 0 ? applied[applied.length - 1].version : 0;
+  const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const pending = migrations.filter(migration => !appliedByVersion.has(migration.version));
+
+  return {
+    currentVersion,
+    latestVersion,
+    upToDate: pending.length === 0 && currentVersion === latestVersion,
+    applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+    pending: pending.map(({ version, name, description }) => ({ version, name, description })),
+    missing: applied.filter(row => !known.has(row.version)).map(({ version, name }) => ({ version, name })),
+    changed: migrations
+      .filter(migration => appliedByVersion.has(migration.version) && appliedByVersion.get(migration.version).checksum !== migration.checksum)
+      .map(({ version, name }) => ({ version, name }))
+  };
+}
+
+// Run steps inside one transaction; keep it only when commit is true
+async function inTransaction(connection, commit, steps) {
+  // IMMEDIATE takes the write lock up front, so two processes starting at
+  // once migrate one after the other
+  await connection.runAsync('BEGIN IMMEDIATE');
+  try {
+    const result = await steps();
+    await connection.runAsync(commit ? 'COMMIT' : 'ROLLBACK');
+    return result;
+  } catch (error) {
+    await connection.runAsync('ROLLBACK');
+    throw error;
+  }
+}
+
+async function isApplied(connection, version) {
+  return !!(await connection.getAsync('SELECT version FROM schema_migrations WHERE version = ?', [version]));
+}
+
+/**
+ * Apply pending migrations up to a version
+ * @param {Object} [options] - { connection, directory, target (default: latest), dryRun }
+ * @returns {Promise<Object>} { from, to, dryRun, migrations: [{ version, name }] }
+ * @throws {MigrationError} When the target is invalid or a migration fails
+ */
+async function migrate(options = {}) {
+  const connection = options.connection || defaultConnection();
+  const migrations = loadMigrations(options.directory);
+  const { currentVersion, latestVersion, pending } = await getStatus({ ...options, connection });
+  const target = options.target === undefined ? latestVersion : Number(options.target);
+
+  if (!Number.isInteger(target) || target < 0 || target > latestVersion) {
+    throw new MigrationError(`Target version must be between 0 and ${latestVersion}`);
+  }
+
+  const pendingVersions = new Set(pending.map(migration => migration.version));
+  const toApply = migrations.filter(migration => pendingVersions.has(migration.version) && migration.version <= target);
+  const applyOne = async (migration) => {
+    // Another process may have applied it while this one waited for the lock
+    if (!options.dryRun && await isApplied(connection, migration.version)) return false;
+
+    try {
+      await migration.up(connection);
+    } catch (error) {
+      throw new MigrationError(`Migration ${migration.name} failed: ${error.message}`);
+    }
+    await connection.runAsync(
+      'INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)',
+      [migration.version, migration.name, migration.checksum, new Date().toISOString()]
+    );
+    return true;
+  };
+
+  const done = [];
+  if (options.dryRun) {
+    await inTransaction(connection, false, async () => {
+      await ensureTable(connection);
+      for (const migration of toApply) {
+        await applyOne(migration);
+        done.push(migration);
+      }
+    });
+  } else if (toApply.length > 0) {
+    await ensureTable(connection);
+    for (const migration of toApply) {
+      if (await inTransaction(connection, true, () => applyOne(migration))) {
+        logger.info(`Applied migration ${migration.name}`);
+        done.push(migration);
+      }
+    }
+  }
+
+  const applied = done.map(({ version, name }) => ({ version, name }));
+  return {
+    from: currentVersion,
+    to: applied.length > 0 ? Math.max(currentVersion, applied[applied.length - 1].version) : currentVersion,
+    dryRun: !!options.dryRun,
+    migrations: applied
+  };
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} [options] - { connection, directory, target (version to end at)
+ *   or steps (default 1), dryRun }
+ * @returns {Promise<Object>} { from, to, dryRun, migrations: [{ version, name }] }
+ * @throws {MigrationError} When an applied migration has no file, or a rollback fails
+ */
+async function rollback(options = {}) {
+  const connection = options.connection || defaultConnection();
+  const migrations = loadMigrations(options.directory);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const { currentVersion, applied } = await getStatus({ ...options, connection });
+
+  let toRevert;
+  if (options.target !== undefined) {
+    const target = Number(options.target);
+    if (!Number.isInteger(target) || target < 0 || target > currentVersion) {
+      throw new MigrationError(`Target version must be between 0 and ${currentVersion}`);
+    }
+    toRevert = applied.filter(row => row.version > target);
+  } else {
+    const steps = options.steps === undefined ? 1 : Number(options.steps);
+    if (!Number.isInteger(steps) || steps < 1) throw new MigrationError('Steps must be a positive integer');
+    toRevert = applied.slice(-steps);
+  }
+  toRevert = toRevert.reverse().map(row => {
+    const migration = byVersion.get(row.version);
+    if (!migration) throw new MigrationError(`Migration ${row.name} is applied but its file is missing`);
+    return migration;
+  });
+
+  const revertOne = async (migration) => {
+    try {
+      await migration.down(connection);
+    } catch (error) {
+      throw new MigrationError(`Rollback of ${migration.name} failed: ${error.message}`);
+    }
+    await connection.runAsync('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+  };
+
+  if (options.dryRun) {
+    await inTransaction(connection, false, async () => {
+      for (const migration of toRevert) await revertOne(migration);
+    });
+  } else {
+    for (const migration of toRevert) {
+      await inTransaction(connection, true, () => revertOne(migration));
+      logger.info(`Rolled back migration ${migration.name}`);
+    }
+  }
+
+  const remaining = applied.filter(row => !toRevert.some(migration => migration.version === row.version));
+  return {
+    from: currentVersion,
+    to: remaining.length > 0 ? remaining[remaining.length - 1].version : 0,
+    dryRun: !!options.dryRun,
+    migrations: toRevert.map(({ version, name }) => ({ version, name }))
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback
+};
@@ -0,0 +1,344 @@
+const { v4: uuidv4 } = require('uuid');
+const { runAsync, getAsync, allAsync } = require('./database');
+const requirementService = require('../services/requirementService');
+const phaseRegistry = require('../services/phaseRegistry');
+
+// Workspace created by the single-tenant schema; existing data is migrated into it
+const DEFAULT_WORKSPACE_ID = 'sanmarcsoft-llc';
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Workspace Model
+ * A workspace is one company's certification effort. It owns the progress
+ * row, checklist items, documents and per-workspace state (EOI, adventure).
+ */
+class Workspace {
+  /**
+   * Build a URL-friendly slug from a workspace name
+   * @param {string} name - Workspace name
+   * @returns {string} Slug
+   */
+  static slugify(name) {
+    return String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60) || 'workspace';
+  }
+
+  /**
+   * Check that a role is a valid workspace role
+   * @param {string} role - Role to validate
+   * @returns {boolean} True if valid
+   */
+  static isValidRole(role) {
+    return WORKSPACE_ROLES.includes(role);
+  }
+
+  /**
+   * Create a workspace, its owner membership and its progress record
+   * @param {Object} data - Workspace data
+   * @param {string} data.name - Workspace name (required)
+   * @param {string} [data.companyName] - Company seeking certification
+   * @param {string} [data.ownerId] - User to add as owner
+   * @param {string} [data.id] - Explicit ID (used for the default workspace)
+   * @returns {Promise<Object>} Created workspace
+   * @throws {Error} If name is missing
+   */
+  static async create({ name, companyName, ownerId, id }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Workspace name is required');
+    }
+
+    const workspaceId = id || uuidv4();
+    const now = new Date().toISOString();
+
+    // Slugs are unique; suffix with part of the ID on collision
+    let slug = this.slugify(name);
+    const existingSlug = await getAsync('SELECT id FROM workspaces WHERE slug = ?', [slug]);
+    if (existingSlug) {
+      slug = `${slug}-${workspaceId.substring(0, 8)}`;
+    }
+
+    await runAsync(
+      `INSERT INTO workspaces (id, name, slug, company_name, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [workspaceId, name.trim(), slug, companyName || name.trim(), ownerId || null, now, now]
+    );
+
+    if (ownerId) {
+      await this.addMember(workspaceId, ownerId, 'owner');
+    }
+
+    await this.ensureProgress(workspaceId, companyName || name.trim(), ownerId);
+
+    // New workspaces start with the requirements already extracted
+    await requirementService.seedChecklist(workspaceId);
+
+    return await this.findById(workspaceId);
+  }
+
+  /**
+   * Create the progress row for a workspace if it does not exist yet
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} companyName - Company name shown on progress
+   * @param {string} [userId] - User that started the effort
+   * @returns {Promise<void>}
+   */
+  static async ensureProgress(workspaceId, companyName, userId = null) {
+    const existing = await getAsync(
+      'SELECT id FROM progress WHERE workspace_id = ?',
+      [workspaceId]
+    );
+    if (existing) return;
+
+    const phases = phaseRegistry.listPhases().map(phase => ({
+      id: phase.id,
+      name: phase.name,
+      status: 'pending',
+      tasks: []
+    }));
+
+    await runAsync(
+      `INSERT INTO progress (id, user_id, workspace_id, company_name, current_phase, start_date, phases)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        userId || workspaceId,
+        workspaceId,
+        companyName,
+        phases[0].id,
+        new Date().toISOString(),
+        JSON.stringify(phases)
+      ]
+    );
+  }
+
+  /**
+   * Find workspace by ID
+   * @param {string} id - Workspace ID
+   * @returns {Promise<Object|null>} Workspace or null if not found
+   */
+  static async findById(id) {
+    const workspace = await getAsync('SELECT * FROM workspaces WHERE id = ?', [id]);
+    return workspace || null;
+  }
+
+  /**
+   * List workspaces a user belongs to, with the user's role in each
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Workspaces ordered by membership age
+   */
+  static async findForUser(userId) {
+    return await allAsync(
+      `SELECT w.*, wm.role
+       FROM workspaces w
+       JOIN workspace_members wm ON wm.workspace_id = w.id
+       WHERE wm.user_id = ?
+       ORDER BY wm.created_at ASC`,
+      [userId]
+    );
+  }
+
+  /**
+   * List every workspace (admin view)
+   * @returns {Promise<Array>} All workspaces
+   */
+  static async findAll() {
+    return await allAsync('SELECT * FROM workspaces ORDER BY created_at ASC');
+  }
+
+  /**
+   * Get a user's role in a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Role or null if not a member
+   */
+  static async getMemberRole(workspaceId, userId) {
+    const member = await getAsync(
+      'SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+      [workspaceId, userId]
+    );
+    return member ? member.role : null;
+  }
+
+  /**
+   * Add (or update) a workspace member
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {string} [role='editor'] - Workspace role
+   * @returns {Promise<void>}
+   * @throws {Error} If role is invalid
+   */
+  static async addMember(workspaceId, userId, role = 'editor') {
+    if (!this.isValidRole(role)) {
+      throw new Error(`Invalid workspace role. Must be one of: ${WORKSPACE_ROLES.join(', ')}`);
+    }
+
+    await runAsync(
+      `INSERT INTO workspace_members (workspace_id, user_id, role, created_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(workspace_id, user_id) DO UPDATE SET role = excluded.role`,
+      [workspaceId, userId, role, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Remove a workspace member
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if a membership was removed
+   */
+  static async removeMember(workspaceId, userId) {
+    const result = await runAsync(
+      'DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+      [workspaceId, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * List members of a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Members with user details
+   */
+  static async getMembers(workspaceId) {
+    return await allAsync(
+      `SELECT u.id, u.email, u.name, wm.role, wm.created_at
+       FROM workspace_members wm
+       JOIN users u ON u.id = wm.user_id
+       WHERE wm.workspace_id = ?
+       ORDER BY wm.created_at ASC`,
+      [workspaceId]
+    );
+  }
+
+  /**
+   * Count owners of a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<number>} Owner count
+   */
+  static async countOwners(workspaceId) {
+    const result = await getAsync(
+      "SELECT COUNT(*) as count FROM workspace_members WHERE workspace_id = ? AND role = 'owner'",
+      [workspaceId]
+    );
+    return result.count;
+  }
+
+  /**
+   * Rename a workspace
+   * @param {string} id - Workspace ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [updates.name] - New name
+   * @param {string} [updates.companyName] - New company name
+   * @returns {Promise<Object>} Updated workspace
+   */
+  static async update(id, { name, companyName }) {
+    const fields = [];
+    const values = [];
+
+    if (name !== undefined) {
+      fields.push('name = ?');
+      values.push(name);
+    }
+    if (companyName !== undefined) {
+      fields.push('company_name = ?');
+      values.push(companyName);
+    }
+
+    if (fields.length > 0) {
+      fields.push('updated_at = ?');
+      values.push(new Date().toISOString(), id);
+      await runAsync(`UPDATE workspaces SET ${fields.join(', ')} WHERE id = ?`, values);
+
+      if (companyName !== undefined) {
+        await runAsync('UPDATE progress SET company_name = ? WHERE workspace_id = ?', [companyName, id]);
+      }
+    }
+
+    return await this.findById(id);
+  }
+
+  /**
+   * Resolve the workspace a user works in when none is requested.
+   * Admins without any membership join the default workspace; other
+   * users without any membership get a personal workspace.
+   * @param {Object} user - Authenticated user
+   * @returns {Promise<Object>} Workspace with the user's role
+   */
+  static async getDefaultForUser(user) {
+    const workspaces = await this.findForUser(user.id);
+    if (workspaces.length > 0) {
+      return workspaces[0];
+    }
+
+    if (user.role === 'admin') {
+      await this.addMember(DEFAULT_WORKSPACE_ID, user.id, 'owner');
+      const workspace = await this.findById(DEFAULT_WORKSPACE_ID);
+      return { ...workspace, role: 'owner' };
+    }
+
+    const name = `${user.name || user.email}'s Workspace`;
+    const workspace = await this.create({ name, companyName: user.name || null, ownerId: user.id });
+    return { ...workspace, role: 'owner' };
+  }
+
+  /**
+   * Read a per-workspace state value
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} key - State key
+   * @returns {Promise<*>} Parsed value or null if not set
+   */
+  static async getState(workspaceId, key) {
+    const row = await getAsync(
+      'SELECT value, type, updated_at FROM workspace_state WHERE workspace_id = ? AND key = ?',
+      [workspaceId, key]
+    );
+    if (!row) return null;
+    return row.type === 'json' ? JSON.parse(row.value) : row.value;
+  }
+
+  /**
+   * Write a per-workspace state value
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} key - State key
+   * @param {*} value - Value (objects are stored as JSON)
+   * @returns {Promise<void>}
+   */
+  static async setState(workspaceId, key, value) {
+    const isJson = typeof value !== 'string';
+    await runAsync(
+      `INSERT INTO workspace_state (workspace_id, key, value, type, updated_at)
+       VALUES (?, ?, ?, ?, datetime('now'))
+       ON CONFLICT(workspace_id, key) DO UPDATE SET
+         value = excluded.value,
+         type = excluded.type,
+         updated_at = datetime('now')`,
+      [workspaceId, key, isJson ? JSON.stringify(value) : value, isJson ? 'json' : 'string']
+    );
+  }
+
+  /**
+   * List per-workspace state entries whose key starts with a prefix
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array>} Entries as { key, value }
+   */
+  static async listState(workspaceId, prefix) {
+    const rows = await allAsync(
+      'SELECT key, value, type FROM workspace_state WHERE workspace_id = ? AND key LIKE ?',
+      [workspaceId, `${prefix}%`]
+    );
+    return rows.map(row => ({
+      key: row.key,
+      value: row.type === 'json' ? JSON.parse(row.value) : row.value
+    }));
+  }
+}
+
+Workspace.DEFAULT_WORKSPACE_ID = DEFAULT_WORKSPACE_ID;
+Workspace.ROLES = WORKSPACE_ROLES;
+
+module.exports = Workspace;
@@ -1,16 +1,44 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { getAsync, runAsync, allAsync } = require('../models/database');
 const logger = require('../utils/logger');
 const requireAuth = require('../middleware/requireAuth');
 const requireAdmin = require('../middleware/requireAdmin');
 const { setSecret, getSecret } = require('../utils/secrets');
+const aiProviderRegistry = require('../services/aiProviderRegistry');
+const aiFailoverService = require('../services/aiFailoverService');
+const auditService = require('../services/auditService');
+const backupService = require('../services/backupService');
+const githubAuthService = require('../services/githubAuthService');
+const workspaceArchiveService = require('../services/workspaceArchiveService');
 
 /**
  * Admin Configuration Routes
  * Handles admin-only configuration for AI providers, GitHub, and system settings
  */
 
+// Settings rows as { key: value }, for audit records of config changes
+async function settingsSnapshot() {
+  const rows = await allAsync('SELECT key, value FROM app_settings');
+  return Object.fromEntries(rows.map(row => [row.key, row.value]));
+}
+
+// Record a config change as the settings that differ, plus the names of credentials set
+async function auditConfigChange(req, action, entityId, before, credentials = []) {
+  const changes = auditService.changedFields(before, await settingsSnapshot());
+  if (credentials.length > 0) {
+    changes.after.updatedCredentials = credentials;
+  }
+  await auditService.record({
+    ...auditService.fromRequest(req),
+    action,
+    entityType: 'config',
+    entityId,
+    ...changes
+  });
+}
+
 /**
  * GET /api/admin/config
  * Get all admin-configurable settings
@@ -42,13 +70,10 @@ router.get('/config', requireAuth, requireAdmin, async (req, res) => {
     // Get secret values (without exposing actual secrets)
     const hasOpenAIKey = !!getSecret('OPENAI_API_KEY');
     const hasOpenWebUIKey = !!getSecret('OPENWEBUI_API_KEY');
+    const hasAnthropicKey = !!getSecret('ANTHROPIC_API_KEY');
 
-    // Check for GitHub token in database
-    const githubTokenSetting = await getAsync(
-      'SELECT value FROM app_settings WHERE key = ?',
-      ['github_token']
-    );
-    const hasGitHubToken = !!(githubTokenSetting && githubTokenSetting.value);
+    // Check for a GitHub service token (stored encrypted, or the GITHUB_TOKEN secret)
+    const hasGitHubToken = (await githubAuthService.getCredential()) !== null;
 
     // Remove github_token from settings if it exists (never expose it)
     delete settingsObject.github_token;
@@ -59,9 +84,11 @@ router.get('/config', requireAuth, requireAdmin, async (req, res) => {
     res.json({
       success: true,
       config: settingsObject,
+      providers: aiProviderRegistry.listProviders(),
       secrets: {
         hasOpenAIKey,
         hasOpenWebUIKey,
+        hasAnthropicKey,
         hasGitHubToken
       }
     });
@@ -74,73 +101,135 @@ router.get('/config', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * Upsert a string app setting
+ */
+async function saveSetting(key, value) {
+  await runAsync(`
+    INSERT INTO app_settings (key, value, type, updated_at)
+    VALUES (?, ?, 'string', datetime('now'))
+    ON CONFLICT(key) DO UPDATE SET
+      value = excluded.value,
+      updated_at = datetime('now')
+  `, [key, String(value)]);
+}
+
 /**
  * PUT /api/admin/config/ai
- * Update AI provider configuration
+ * Update AI provider configuration.
+ * Changes apply to the next AI call; no restart is needed.
+ * aiModel, temperature, maxTokens and contextWindow are stored for the selected provider.
+ * failoverChain is the ordered list of backup providers tried after it.
  * ADMIN ONLY
  */
 router.put('/config/ai', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { provider, openwebuiUrl, openaiApiKey, openwebuiApiKey, aiModel } = req.body;
+    const {
+      provider,
+      openwebuiUrl,
+      ollamaUrl,
+      openaiApiKey,
+      openwebuiApiKey,
+      anthropicApiKey,
+      aiModel,
+      temperature,
+      maxTokens,
+      contextWindow,
+      failoverChain
+    } = req.body;
+    const settingsBefore = await settingsSnapshot();
+
+    if (provider && provider !== 'none' && !aiProviderRegistry.PROVIDERS[provider]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown AI provider: ${provider}`
+      });
+    }
+
+    if (failoverChain !== undefined) {
+      const unknown = Array.isArray(failoverChain)
+        ? failoverChain.filter(name => !aiProviderRegistry.PROVIDERS[name])
+        : [String(failoverChain)];
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `failoverChain must be a list of AI providers (unknown: ${unknown.join(', ')})`
+        });
+      }
+      await saveSetting('ai_failover_chain', failoverChain.join(','));
+    }
 
     // Update AI provider
     if (provider) {
-      await runAsync(`
-        INSERT INTO app_settings (key, value, type, updated_at)
-        VALUES ('ai_provider', ?, 'string', datetime('now'))
-        ON CONFLICT(key) DO UPDATE SET
-          value = excluded.value,
-          updated_at = datetime('now')
-      `, [provider]);
+      await saveSetting('ai_provider', provider);
     }
 
-    // Update OpenWebUI URL
+    // Update provider endpoints
     if (openwebuiUrl !== undefined) {
-      await runAsync(`
-        INSERT INTO app_settings (key, value, type, updated_at)
-        VALUES ('openwebui_url', ?, 'string', datetime('now'))
-        ON CONFLICT(key) DO UPDATE SET
-          value = excluded.value,
-          updated_at = datetime('now')
-      `, [openwebuiUrl]);
-
-      // Also update environment variable for runtime
-      process.env.OPENWEBUI_URL = openwebuiUrl;
+      await saveSetting('openwebui_url', openwebuiUrl);
+    }
+    if (ollamaUrl !== undefined) {
+      await saveSetting('ollama_url', ollamaUrl);
     }
 
-    // Update AI model
-    if (aiModel !== undefined) {
-      await runAsync(`
-        INSERT INTO app_settings (key, value, type, updated_at)
-        VALUES ('ai_model', ?, 'string', datetime('now'))
-        ON CONFLICT(key) DO UPDATE SET
-          value = excluded.value,
-          updated_at = datetime('now')
-      `, [aiModel]);
+    // Model parameters belong to the provider they were chosen for
+    const currentProvider = await getAsync("SELECT value FROM app_settings WHERE key = 'ai_provider'");
+    const target = provider || currentProvider?.value || 'none';
 
-      // Also update environment variable for runtime
-      process.env.AI_MODEL = aiModel;
+    if (aiModel !== undefined) {
+      await saveSetting(target !== 'none' ? `ai_${target}_model` : 'ai_model', aiModel);
+    }
+    if (temperature !== undefined && target !== 'none') {
+      await saveSetting(`ai_${target}_temperature`, temperature);
+    }
+    if (maxTokens !== undefined && target !== 'none') {
+      await saveSetting(`ai_${target}_max_tokens`, maxTokens);
+    }
+    if (contextWindow !== undefined && target !== 'none') {
+      await saveSetting(`ai_${target}_context_window`, contextWindow);
     }
 
-    // Update API keys in secrets if provided
+    // Update API keys in secrets if provided (read on every call)
     if (openaiApiKey) {
       setSecret('OPENAI_API_KEY', openaiApiKey);
-      process.env.OPENAI_API_KEY = openaiApiKey;
       logger.info('OpenAI API key updated');
     }
 
     if (openwebuiApiKey !== undefined) {
       setSecret('OPENWEBUI_API_KEY', openwebuiApiKey);
-      process.env.OPENWEBUI_API_KEY = openwebuiApiKey;
       logger.info('OpenWebUI API key updated');
     }
 
+    if (anthropicApiKey) {
+      setSecret('ANTHROPIC_API_KEY', anthropicApiKey);
+      logger.info('Anthropic API key updated');
+    }
+
+    const active = await aiProviderRegistry.resolveProvider();
+
+    // New endpoints or keys deserve a fresh chance
+    aiFailoverService.resetBreakers();
+
     logger.info(`AI configuration updated by admin: ${req.user.email}`);
+    await auditConfigChange(req, 'config.update', 'ai', settingsBefore, [
+      openaiApiKey && 'OPENAI_API_KEY',
+      openwebuiApiKey !== undefined && 'OPENWEBUI_API_KEY',
+      anthropicApiKey && 'ANTHROPIC_API_KEY'
+    ].filter(Boolean));
 
     res.json({
       success: true,
       message: 'AI configuration updated successfully',
-      requiresRestart: !!(openaiApiKey || openwebuiApiKey) // Secrets may need restart
+      provider: active
+        ? {
+          name: active.name,
+          model: active.model,
+          temperature: active.temperature,
+          maxTokens: active.maxTokens,
+          contextWindow: active.contextWindow
+        }
+        : { name: 'none' },
+      failoverChain: (await aiFailoverService.getStatus()).chain
     });
   } catch (error) {
     logger.error('Error updating AI config:', error);
@@ -159,27 +248,18 @@ router.put('/config/ai', requireAuth, requireAdmin, async (req, res) => {
 router.put('/config/github', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { token, configured } = req.body;
+    const settingsBefore = await settingsSnapshot();
 
-    // Update GitHub token in secrets if provided
+    // Validate the GitHub token and store it (encrypted) as the service token
     if (token) {
-      // Validate GitHub token before saving
-      try {
-        const { Octokit } = require('@octokit/rest');
-        const octokit = new Octokit({ auth: token });
-        const { data: user } = await octokit.rest.users.getAuthenticated();
-        logger.info(`GitHub token validated for user: ${user.login}`);
-
-        // Token is valid, save it
-        setSecret('GITHUB_TOKEN', token);
-        process.env.GITHUB_TOKEN = token;
-        logger.info('GitHub token updated');
-      } catch (error) {
-        logger.error('GitHub token validation failed:', error);
+      const result = await githubAuthService.authenticateWithToken(token, { createdBy: req.user.id });
+      if (!result.success) {
         return res.status(401).json({
           success: false,
           error: 'Invalid GitHub token or insufficient permissions. Token needs "repo" or "public_repo" scope.'
         });
       }
+      logger.info(`GitHub token updated for user: ${result.user.login}`);
     }
 
     // Update GitHub configured status
@@ -194,6 +274,7 @@ router.put('/config/github', requireAuth, requireAdmin, async (req, res) => {
     }
 
     logger.info(`GitHub configuration updated by admin: ${req.user.email}`);
+    await auditConfigChange(req, 'config.update', 'github', settingsBefore, token ? ['GITHUB_TOKEN'] : []);
 
     res.json({
       success: true,
@@ -210,33 +291,26 @@ router.put('/config/github', requireAuth, requireAdmin, async (req, res) => {
 
 /**
  * GET /api/admin/github/token
- * Get GitHub token status (masked preview only)
+ * Get GitHub service token status (masked preview, owner, scopes and expiry)
+ * Query: refresh=true re-checks the token with GitHub first
  * ADMIN ONLY
  */
 router.get('/github/token', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const tokenSetting = await getAsync(
-      'SELECT value FROM app_settings WHERE key = ?',
-      ['github_token']
-    );
+    const credential = await githubAuthService.getCredential(null, { refresh: req.query.refresh === 'true' });
 
-    if (!tokenSetting || !tokenSetting.value) {
+    if (!credential) {
       return res.json({
         success: true,
         hasToken: false
       });
     }
 
-    // Return masked preview (first 4 + last 4 chars)
-    const token = tokenSetting.value;
-    const tokenPreview = token.length > 8
-      ? `${token.substring(0, 4)}...${token.substring(token.length - 4)}`
-      : `${token.substring(0, 4)}...****`;
-
     res.json({
       success: true,
       hasToken: true,
-      tokenPreview
+      tokenPreview: credential.tokenPreview || null,
+      credential
     });
   } catch (error) {
     logger.error('Error fetching GitHub token status:', error);
@@ -273,42 +347,26 @@ router.post('/github/token', requireAuth, requireAdmin, async (req, res) => {
       });
     }
 
-    // Check if token already exists
-    const existingToken = await getAsync(
-      'SELECT value FROM app_settings WHERE key = ?',
-      ['github_token']
-    );
+    // Check if a token is already stored (a GITHUB_TOKEN secret can be overridden)
+    const existing = await githubAuthService.getCredential();
 
-    if (existingToken && existingToken.value) {
+    if (existing && existing.source !== 'secret') {
       return res.status(409).json({
         success: false,
         error: 'A GitHub token already exists. Please delete the existing token first before setting a new one.'
       });
     }
 
-    // Validate token with GitHub API
-    try {
-      const { Octokit } = require('@octokit/rest');
-      const octokit = new Octokit({ auth: token });
-      const { data: user } = await octokit.rest.users.getAuthenticated();
-      logger.info(`GitHub token validated for user: ${user.login}`);
-    } catch (error) {
-      logger.error('GitHub token validation failed:', error);
+    // Validate token with GitHub API and store it encrypted
+    const settingsBefore = await settingsSnapshot();
+    const result = await githubAuthService.authenticateWithToken(token, { createdBy: req.user.id });
+    if (!result.success) {
       return res.status(401).json({
         success: false,
         error: 'Invalid GitHub token or insufficient permissions. Token needs "repo" or "public_repo" scope.'
       });
     }
 
-    // Save token
-    await runAsync(`
-      INSERT INTO app_settings (key, value, type, updated_at)
-      VALUES ('github_token', ?, 'secret', datetime('now'))
-      ON CONFLICT(key) DO UPDATE SET
-        value = excluded.value,
-        updated_at = datetime('now')
-    `, [token]);
-
     // Update github_configured flag for backwards compatibility
     await runAsync(`
       INSERT INTO app_settings (key, value, type, updated_at)
@@ -318,15 +376,13 @@ router.post('/github/token', requireAuth, requireAdmin, async (req, res) => {
         updated_at = datetime('now')
     `);
 
-    // Update environment variable for runtime use
-    process.env.GITHUB_TOKEN = token;
-    setSecret('GITHUB_TOKEN', token);
-
     logger.info(`GitHub token set by admin: ${req.user.email}`);
+    await auditConfigChange(req, 'config.update', 'github-token', settingsBefore, ['GITHUB_TOKEN']);
 
     res.json({
       success: true,
-      message: 'GitHub token set successfully'
+      message: 'GitHub token set successfully',
+      credential: result.credential
     });
   } catch (error) {
     logger.error('Error setting GitHub token:', error);
@@ -344,22 +400,17 @@ router.post('/github/token', requireAuth, requireAdmin, async (req, res) => {
  */
 router.delete('/github/token', requireAuth, requireAdmin, async (req, res) => {
   try {
-    // Check if token exists
-    const existingToken = await getAsync(
-      'SELECT value FROM app_settings WHERE key = ?',
-      ['github_token']
-    );
+    // Delete the stored token
+    const settingsBefore = await settingsSnapshot();
+    const removed = await githubAuthService.removeToken();
 
-    if (!existingToken || !existingToken.value) {
+    if (!removed) {
       return res.status(404).json({
         success: false,
         error: 'No token found to delete'
       });
     }
 
-    // Delete token
-    await runAsync('DELETE FROM app_settings WHERE key = ?', ['github_token']);
-
     // Update github_configured flag
     await runAsync(`
       INSERT INTO app_settings (key, value, type, updated_at)
@@ -369,11 +420,8 @@ router.delete('/github/token', requireAuth, requireAdmin, async (req, res) => {
         updated_at = datetime('now')
     `);
 
-    // Clear environment variable
-    delete process.env.GITHUB_TOKEN;
-    setSecret('GITHUB_TOKEN', '');
-
     logger.info(`GitHub token deleted by admin: ${req.user.email}`);
+    await auditConfigChange(req, 'config.update', 'github-token', settingsBefore, ['GITHUB_TOKEN']);
 
     res.json({
       success: true,
@@ -390,63 +438,68 @@ router.delete('/github/token', requireAuth, requireAdmin, async (req, res) => {
 
 /**
  * POST /api/admin/config/test-ai
- * Test AI provider connection
+ * Test AI provider connection by sending a short prompt through the same
+ * registry path chat uses. Unsaved form values (provider, URLs, keys, model)
+ * override the saved settings for this test only.
  * ADMIN ONLY
  */
 router.post('/config/test-ai', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { provider, openwebuiUrl, openaiApiKey } = req.body;
+    const { provider, openwebuiUrl, ollamaUrl, openaiApiKey, openwebuiApiKey, anthropicApiKey, aiModel } = req.body;
 
-    let testResult = { success: false, message: '' };
+    let active;
+    try {
+      active = await aiProviderRegistry.resolveProvider({
+        provider,
+        openwebuiUrl,
+        ollamaUrl,
+        openaiApiKey,
+        openwebuiApiKey,
+        anthropicApiKey,
+        model: aiModel || undefined
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-    if (provider === 'openwebui') {
-      // Test OpenWebUI connection
-      try {
-        const OpenAI = require('openai');
-        const client = new OpenAI({
-          baseURL: openwebuiUrl || process.env.OPENWEBUI_URL,
-          apiKey: getSecret('OPENWEBUI_API_KEY') || 'not-needed'
-        });
+    if (!active) {
+      return res.json({
+        success: true,
+        message: 'Fallback mode - no AI provider configured'
+      });
+    }
 
-        // Try to list models as a connection test
-        const response = await client.models.list();
-        testResult = {
-          success: true,
-          message: `Connected successfully! Found ${response.data?.length || 0} models.`,
-          models: response.data?.map(m => m.id) || []
-        };
-      } catch (error) {
-        testResult = {
-          success: false,
-          message: `Connection failed: ${error.message}`
-        };
-      }
-    } else if (provider === 'openai') {
-      // Test OpenAI API connection
-      try {
-        const OpenAI = require('openai');
-        const client = new OpenAI({
-          apiKey: openaiApiKey || getSecret('OPENAI_API_KEY')
-        });
+    const startedAt = Date.now();
+    let testResult;
+    try {
+      const reply = await aiProviderRegistry.complete(active, [
+        { role: 'user', content: 'Reply with the single word OK.' }
+      ], null, { maxTokens: 10, temperature: 0 });
 
-        // Try to list models
-        const response = await client.models.list();
-        testResult = {
-          success: true,
-          message: 'Connected to OpenAI successfully!',
-          models: response.data?.map(m => m.id).slice(0, 5) || []
-        };
-      } catch (error) {
-        testResult = {
-          success: false,
-          message: `Connection failed: ${error.message}`
-        };
-      }
-    } else {
       testResult = {
         success: true,
-        message: 'Fallback mode - no AI provider configured'
+        message: `Connected to ${active.label} successfully! Model ${active.model} replied in ${Date.now() - startedAt} ms.`,
+        provider: active.name,
+        model: active.model,
+        reply
       };
+    } catch (error) {
+      return res.json({
+        success: false,
+        message: `Connection failed: ${error.message}`,
+        provider: active.name,
+        model: active.model
+      });
+    }
+
+    // Model listing is informational; not every endpoint supports it
+    try {
+      testResult.models = (await aiProviderRegistry.listModels(active)).slice(0, 20);
+    } catch (error) {
+      logger.warn(`Listing models for ${active.name} failed: ${error.message}`);
     }
 
     res.json(testResult);
@@ -470,9 +523,11 @@ router.get('/github/check/:owner/:repo', requireAuth, requireAdmin, async (req,
 
     logger.info(`Checking repository existence: ${owner}/${repo}`);
 
-    // Check if GitHub token is configured
-    const githubToken = getSecret('GITHUB_TOKEN');
-    if (!githubToken) {
+    // Check if a GitHub token is configured (the admin's own, or the service token)
+    let octokit;
+    try {
+      octokit = await githubAuthService.getOctokit(req.user.id);
+    } catch (error) {
       return res.json({
         success: false,
         exists: false,
@@ -482,8 +537,6 @@ router.get('/github/check/:owner/:repo', requireAuth, requireAdmin, async (req,
 
     // Use GitHub API to check repository existence
     try {
-      const { Octokit } = require('@octokit/rest');
-      const octokit = new Octokit({ auth: githubToken });
 
       const { data: repoData } = await octokit.rest.repos.get({
         owner,
@@ -562,6 +615,25 @@ router.get('/stats', requireAuth, requireAdmin, async (req, res) => {
     // Get AI provider
     const aiProvider = await getAsync("SELECT value FROM app_settings WHERE key = 'ai_provider'");
 
+    // Which providers actually answered, from assistant message metadata
+    const providerUsage = await allAsync(`
+      SELECT json_extract(metadata, '$.provider') as provider, COUNT(*) as count,
+             MAX(created_at) as lastUsedAt
+      FROM chat_messages
+      WHERE sender = 'assistant' AND json_valid(metadata) AND json_extract(metadata, '$.provider') IS NOT NULL
+      GROUP BY provider
+      ORDER BY lastUsedAt DESC
+    `);
+    const lastMessage = await getAsync(`
+      SELECT json_extract(metadata, '$.provider') as provider, json_extract(metadata, '$.model') as model,
+             created_at
+      FROM chat_messages
+      WHERE sender = 'assistant' AND json_valid(metadata) AND json_extract(metadata, '$.provider') IS NOT NULL
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT 1
+    `);
+    const failoverStatus = await aiFailoverService.getStatus();
+
     res.json({
       success: true,
       stats: {
@@ -577,6 +649,14 @@ router.get('/stats', requireAuth, requireAdmin, async (req, res) => {
           aiProvider: aiProvider?.value || 'none',
           nodeVersion: process.version,
           uptime: process.uptime()
+        },
+        ai: {
+          chain: failoverStatus.chain,
+          breakers: failoverStatus.breakers,
+          usage: providerUsage,
+          lastUsed: lastMessage
+            ? { provider: lastMessage.provider, model: lastMessage.model, at: lastMessage.created_at }
+            : null
         }
       }
     });
@@ -707,6 +787,14 @@ router.post('/users', requireAuth, requireAdmin, async (req, res) => {
       WHERE id = ?
     `, [userId]);
 
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'user.create',
+      entityType: 'user',
+      entityId: userId,
+      after: { email: newUser.email, name: newUser.name, role: newUser.role }
+    });
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -843,6 +931,16 @@ router.put('/users/:id', requireAuth, requireAdmin, async (req, res) => {
       WHERE id = ?
     `, [id]);
 
+    const snapshot = (row) => ({ email: row.email, name: row.name, role: row.role });
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'user.update',
+      entityType: 'user',
+      entityId: id,
+      before: snapshot(existingUser),
+      after: { ...snapshot(updatedUser), ...(password && { updatedCredentials: ['password'] }) }
+    });
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -905,6 +1003,13 @@ router.delete('/users/:id', requireAuth, requireAdmin, async (req, res) => {
     await runAsync('DELETE FROM users WHERE id = ?', [id]);
 
     logger.info(`User deleted by admin ${req.user.email}: ${existingUser.email}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'user.delete',
+      entityType: 'user',
+      entityId: id,
+      before: { email: existingUser.email, name: existingUser.name, role: existingUser.role }
+    });
 
     res.json({
       success: true,
@@ -919,4 +1024,361 @@ router.delete('/users/:id', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+// Filters shared by the audit list and export
+const auditFilters = (query) => ({
+  actor: query.actor,
+  action: query.action,
+  entityType: query.entityType,
+  entityId: query.entityId,
+  workspaceId: query.workspaceId,
+  from: query.from,
+  to: query.to
+});
+
+/**
+ * GET /api/admin/audit
+ * List audit events, newest first. Filters: actor (id or email), action
+ * (exact or prefix, e.g. "checklist"), entityType, entityId, workspaceId,
+ * from, to; paging with limit and offset.
+ * ADMIN ONLY
+ */
+router.get('/audit', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { total, events } = await auditService.listEvents({
+      ...auditFilters(req.query),
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({
+      success: true,
+      total,
+      count: events.length,
+      events
+    });
+  } catch (error) {
+    if (error instanceof auditService.AuditError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error fetching audit events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit events'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit/export
+ * Download the audit events matching the filters (?format=csv|json, default csv)
+ * ADMIN ONLY
+ */
+router.get('/audit/export', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const file = await auditService.exportEvents(auditFilters(req.query), format);
+
+    logger.info(`Audit trail exported (${format}) by admin: ${req.user.email}`);
+
+    res.attachment(file.filename);
+    res.set('Content-Type', file.contentType);
+    res.send(file.body);
+  } catch (error) {
+    if (error instanceof auditService.AuditError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error exporting audit events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit events'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit/verify
+ * Recompute the audit hash chain and report the first tampered event
+ * ADMIN ONLY
+ */
+router.get('/audit/verify', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const verification = await auditService.verifyChain();
+
+    if (!verification.valid) {
+      logger.warn(`Audit chain broken at event ${verification.brokenAt}: ${verification.reason}`);
+    }
+
+    res.json({
+      success: true,
+      ...verification
+    });
+  } catch (error) {
+    logger.error('Error verifying audit chain:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify audit chain'
+    });
+  }
+});
+
+// Service errors carry their status; anything else is a 500 with a fixed message
+function sendBackupError(res, error, message) {
+  if (error instanceof backupService.BackupError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+}
+
+/**
+ * GET /api/admin/backups
+ * List database backups (newest first) with the schedule and retention in effect
+ * ADMIN ONLY
+ */
+router.get('/backups', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const backups = backupService.listBackups();
+
+    res.json({
+      success: true,
+      config: backupService.getConfig(),
+      count: backups.length,
+      backups
+    });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to list backups');
+  }
+});
+
+/**
+ * POST /api/admin/backups
+ * Take a verified backup of the live database now
+ * ADMIN ONLY
+ */
+router.post('/backups', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const backup = await backupService.createBackup({ kind: 'manual' });
+
+    logger.info(`Database backup ${backup.id} created by admin: ${req.user.email}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'backup.create',
+      entityType: 'backup',
+      entityId: backup.id,
+      after: { kind: backup.kind, size: backup.size, sha256: backup.sha256 }
+    });
+
+    res.status(201).json({
+      success: true,
+      backup
+    });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to create backup');
+  }
+});
+
+/**
+ * POST /api/admin/backups/:id/verify
+ * Re-check a backup's checksum and run PRAGMA integrity_check on it
+ * ADMIN ONLY
+ */
+router.post('/backups/:id/verify', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const verification = await backupService.verifyBackup(req.params.id);
+
+    if (!verification.valid) {
+      logger.warn(`Backup ${req.params.id} failed verification: ${verification.reason}`);
+    }
+
+    res.json({
+      success: true,
+      ...verification
+    });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to verify backup');
+  }
+});
+
+/**
+ * GET /api/admin/backups/:id/export
+ * Download a backup with every uploaded file as a zip bundle
+ * ADMIN ONLY
+ */
+router.get('/backups/:id/export', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const bundle = backupService.exportBundle(req.params.id);
+
+    logger.info(`Backup ${req.params.id} exported by admin: ${req.user.email}`);
+
+    res.attachment(bundle.filename);
+    res.set('Content-Type', 'application/zip');
+    bundle.stream
+      .on('error', error => {
+        logger.error('Error streaming backup export:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to export backup');
+  }
+});
+
+/**
+ * POST /api/admin/backups/restore
+ * Restore a backup ({ backupId }) or the latest backup taken at or before a
+ * point in time ({ at }). The current database is kept as a pre-restore snapshot.
+ * ADMIN ONLY
+ */
+router.post('/backups/restore', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { backupId, at } = req.body;
+    const result = await backupService.restoreBackup({ backupId, at });
+
+    logger.warn(`Database restored from backup ${result.restored.id} by admin: ${req.user.email}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'backup.restore',
+      entityType: 'backup',
+      entityId: result.restored.id,
+      after: {
+        restored: result.restored.id,
+        createdAt: result.restored.createdAt,
+        snapshot: result.snapshot.id,
+        auditCarried: result.audit
+      }
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendBackupError(res, error, 'Failed to restore backup');
+  }
+});
+
+// Archives are validated in memory before anything is written
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_ARCHIVE_SIZE || '500000000') // 500MB default
+  }
+}).single('archive');
+
+/**
+ * POST /api/admin/export
+ * Download workspaces with all their records and files as one archive
+ * Body: { workspaceIds } (optional, default every workspace)
+ * ADMIN ONLY
+ */
+router.post('/export', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { workspaceIds } = req.body;
+    if (workspaceIds !== undefined && (!Array.isArray(workspaceIds) || !workspaceIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'workspaceIds must be an array of workspace IDs'
+      });
+    }
+
+    const archive = await workspaceArchiveService.exportWorkspaces({ workspaceIds });
+
+    logger.info(`Workspace archive exported by admin: ${req.user.email}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'workspace.export',
+      entityType: 'workspace',
+      entityId: archive.manifest.workspaces.map(workspace => workspace.id).join(','),
+      after: {
+        workspaces: archive.manifest.workspaces.map(workspace => workspace.slug),
+        files: archive.manifest.files.length
+      }
+    });
+
+    res.attachment(archive.filename);
+    res.set('Content-Type', 'application/zip');
+    archive.stream
+      .on('error', error => {
+        logger.error('Error streaming workspace archive:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    if (error instanceof workspaceArchiveService.ArchiveError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error exporting workspaces:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export workspaces'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/import
+ * Import an archive made by POST /api/admin/export (multipart field "archive")
+ * Fields: targetWorkspaceId (import into this workspace, which the admin must
+ * own, instead of a new one), mode (merge | replace, default merge; only with
+ * a target), dryRun (true to only report)
+ * ADMIN ONLY
+ */
+router.post('/import', requireAuth, requireAdmin, (req, res, next) => {
+  archiveUpload(req, res, error => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No archive uploaded'
+      });
+    }
+
+    const result = await workspaceArchiveService.importArchive(req.file.buffer, {
+      targetWorkspaceId: req.body.targetWorkspaceId,
+      mode: req.body.mode,
+      userId: req.user.id,
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+    });
+
+    if (!result.dryRun) {
+      logger.info(`Workspace archive imported (${result.mode}) by admin: ${req.user.email}`);
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'workspace.import',
+        entityType: 'workspace',
+        entityId: result.workspaces.map(workspace => workspace.id).join(','),
+        after: {
+          mode: result.mode,
+          workspaces: result.workspaces.map(workspace => workspace.slug),
+          counts: result.counts,
+          files: result.files
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof workspaceArchiveService.ArchiveError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error importing workspaces:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import workspaces'
+    });
+  }
+});
+
 module.exports = router;
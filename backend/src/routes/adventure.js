@@ -4,8 +4,20 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { runAsync, getAsync, allAsync } = require('../models/database');
+const { runAsync } = require('../models/database');
+const Workspace = require('../models/workspace');
 const logger = require('../utils/logger');
+const extractionService = require('../services/extractionService');
+const evidenceService = require('../services/evidenceService');
+const auditService = require('../services/auditService');
+const requireAuth = require('../middleware/requireAuth');
+const requireWorkspace = require('../middleware/requireWorkspace');
+const requireWorkspaceRole = require('../middleware/requireWorkspaceRole');
+
+// Adventure state belongs to the caller's active workspace
+router.use(requireAuth, requireWorkspace);
+
+const canEdit = requireWorkspaceRole('owner', 'editor');
 
 // Configure multer for checkpoint uploads
 const storage = multer.diskStorage({
@@ -416,14 +428,10 @@ The Guardian's eyes narrow. "Don't be like them. **Study. Understand. Question.*
 router.get('/story', async (req, res) => {
   try {
     // Get user's current progress
-    const progress = await getAsync(`
-      SELECT value FROM app_settings
-      WHERE key = 'adventure_progress'
-    `);
+    const progressData = await Workspace.getState(req.workspace.id, 'adventure_progress');
 
     let currentChapter = 'intro';
-    if (progress) {
-      const progressData = JSON.parse(progress.value);
+    if (progressData) {
       currentChapter = progressData.currentChapter || 'intro';
     }
 
@@ -483,7 +491,7 @@ router.get('/chapter/:chapterId', async (req, res) => {
  * POST /api/adventure/progress
  * Save progress and move to next chapter
  */
-router.post('/progress', async (req, res) => {
+router.post('/progress', canEdit, async (req, res) => {
   try {
     const { currentChapter, choice, completedCheckpoints } = req.body;
 
@@ -495,13 +503,7 @@ router.post('/progress', async (req, res) => {
       timestamp: new Date().toISOString()
     };
 
-    await runAsync(`
-      INSERT INTO app_settings (key, value, type, updated_at)
-      VALUES ('adventure_progress', ?, 'json', datetime('now'))
-      ON CONFLICT(key) DO UPDATE SET
-        value = excluded.value,
-        updated_at = datetime('now')
-    `, [JSON.stringify(progressData)]);
+    await Workspace.setState(req.workspace.id, 'adventure_progress', progressData);
 
     logger.info(`Adventure progress saved: Chapter ${currentChapter}`);
 
@@ -522,10 +524,11 @@ router.post('/progress', async (req, res) => {
 /**
  * POST /api/adventure/checkpoint
  * Complete a checkpoint with document upload
+ * With a checklistItemId, the documents are attached to that item as evidence
  */
-router.post('/checkpoint', upload.array('documents', 10), async (req, res) => {
+router.post('/checkpoint', canEdit, upload.array('documents', 10), async (req, res) => {
   try {
-    const { checkpointId, chapterId } = req.body;
+    const { checkpointId, chapterId, checklistItemId } = req.body;
     const files = req.files;
 
     if (!files || files.length === 0) {
@@ -552,6 +555,10 @@ router.post('/checkpoint', upload.array('documents', 10), async (req, res) => {
       });
     }
 
+    if (checklistItemId) {
+      await evidenceService.getChecklistItem(req.workspace.id, checklistItemId);
+    }
+
     // Save checkpoint completion
     const checkpointData = {
       checkpointId,
@@ -564,34 +571,47 @@ router.post('/checkpoint', upload.array('documents', 10), async (req, res) => {
       completedAt: new Date().toISOString()
     };
 
-    await runAsync(`
-      INSERT INTO app_settings (key, value, type, updated_at)
-      VALUES (?, ?, 'json', datetime('now'))
-      ON CONFLICT(key) DO UPDATE SET
-        value = excluded.value,
-        updated_at = datetime('now')
-    `, [`checkpoint_${checkpointId}`, JSON.stringify(checkpointData)]);
+    await Workspace.setState(req.workspace.id, `checkpoint_${checkpointId}`, checkpointData);
 
     // Also save files to documents table
     for (const file of files) {
       const docId = uuidv4();
       await runAsync(`
         INSERT INTO documents (
-          id, filename, original_name, file_path, file_type,
+          id, workspace_id, owner_id, filename, original_name, file_path, file_type,
           file_size, category, upload_date, status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), 'checkpoint-verified')
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), 'checkpoint-verified')
       `, [
         docId,
+        req.workspace.id,
+        req.user.id,
         file.filename,
         file.originalname,
-        `/data/adventure-checkpoints/${file.filename}`,
+        file.path,
         path.extname(file.originalname).substring(1),
         file.size,
         `checkpoint-${checkpointId}`
       ]);
+
+      await extractionService.extractDocument(docId);
+
+      if (checklistItemId) {
+        await evidenceService.attachEvidence(req.workspace.id, { checklistItemId, documentId: docId }, req.user.id);
+      }
     }
 
     logger.info(`Checkpoint ${checkpointId} completed with ${files.length} files`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'checkpoint.complete',
+      entityType: 'checkpoint',
+      entityId: checkpointId,
+      after: {
+        chapterId,
+        files: checkpointData.filesUploaded.map(f => f.filename),
+        checklistItemId: checklistItemId || null
+      }
+    });
 
     res.json({
       success: true,
@@ -600,6 +620,9 @@ router.post('/checkpoint', upload.array('documents', 10), async (req, res) => {
       checkpoint: checkpointData
     });
   } catch (error) {
+    if (error instanceof evidenceService.EvidenceError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     logger.error('Error completing checkpoint:', error);
     res.status(500).json({
       success: false,
@@ -615,21 +638,14 @@ router.post('/checkpoint', upload.array('documents', 10), async (req, res) => {
 router.get('/achievements', async (req, res) => {
   try {
     // Get completed checkpoints
-    const checkpoints = await allAsync(`
-      SELECT key, value FROM app_settings
-      WHERE key LIKE 'checkpoint_%'
-    `);
+    const checkpoints = await Workspace.listState(req.workspace.id, 'checkpoint_');
 
     const achievements = [];
 
     // Check progress for badge awards
-    const progress = await getAsync(`
-      SELECT value FROM app_settings
-      WHERE key = 'adventure_progress'
-    `);
+    const progressData = await Workspace.getState(req.workspace.id, 'adventure_progress');
 
-    if (progress) {
-      const progressData = JSON.parse(progress.value);
+    if (progressData) {
 
       // Award badges based on progress
       if (checkpoints.length > 0) {
@@ -3,9 +3,15 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const requireAuth = require('../middleware/requireAuth');
+const requireAdmin = require('../middleware/requireAdmin');
+const c2paSyncService = require('../services/c2paSyncService');
+const requirementService = require('../services/requirementService');
+const phaseRegistry = require('../services/phaseRegistry');
+const auditService = require('../services/auditService');
 
 // C2PA official documents directory
-const C2PA_DOCS_DIR = path.join(__dirname, '../../../data/c2pa-docs');
+const { C2PA_DOCS_DIR } = c2paSyncService;
 
 // GET /api/c2pa/documents - List C2PA official documents
 router.get('/documents', async (req, res, next) => {
@@ -40,52 +46,100 @@ router.get('/documents', async (req, res, next) => {
   }
 });
 
-// GET /api/c2pa/sync - Sync documents from GitHub repository
-router.get('/sync', async (req, res, next) => {
+// GET /api/c2pa/sync - Download official documents from the C2PA GitHub repository
+// ADMIN ONLY - writes to data/c2pa-docs and the documents table
+router.get('/sync', requireAuth, requireAdmin, async (req, res, next) => {
   try {
-    // This endpoint would fetch documents from the C2PA GitHub repo
-    // For now, it returns information about what should be synced
-
-    const documentsToSync = [
-      {
-        name: 'C2PA Generator Product Company Agreement',
-        url: 'https://raw.githubusercontent.com/Sanmarcsoft/c2pa-org-conformance-public/main/legal-agreements/C2PA%20Generator%20Product%20Company%20Agreement%20v1.0%20(Final%206-25-2025).pdf',
-        category: 'legal-agreement'
-      },
-      {
-        name: 'C2PA Conformance Program',
-        url: 'https://raw.githubusercontent.com/Sanmarcsoft/c2pa-org-conformance-public/main/docs/current/C2PA%20Conformance%20Program.pdf',
-        category: 'program-docs'
-      },
-      {
-        name: 'C2PA Generator Product Security Requirements',
-        url: 'https://raw.githubusercontent.com/Sanmarcsoft/c2pa-org-conformance-public/main/docs/current/C2PA%20Generator%20Product%20Security%20Requirements.pdf',
-        category: 'requirements'
-      },
-      {
-        name: 'C2PA Certificate Policy',
-        url: 'https://raw.githubusercontent.com/Sanmarcsoft/c2pa-org-conformance-public/main/docs/current/C2PA%20Certificate%20Policy.pdf',
-        category: 'policy'
-      },
-      {
-        name: 'C2PA Governance Framework',
-        url: 'https://raw.githubusercontent.com/Sanmarcsoft/c2pa-org-conformance-public/main/docs/current/C2PA%20Governance%20Framework.pdf',
-        category: 'governance'
-      },
-      {
-        name: 'Companion Guide for CPL',
-        url: 'https://raw.githubusercontent.com/Sanmarcsoft/c2pa-org-conformance-public/main/docs/current/Companion%20Guide%20for%20the%20C2PA%20Conforming%20Products%20List.pdf',
-        category: 'guide'
-      }
-    ];
-
     logger.info('C2PA documents sync requested');
 
+    const { summary, results, requirements } = await c2paSyncService.syncAll();
+
+    res.json({
+      success: summary.failed === 0,
+      message: `C2PA documents synced: ${summary.downloaded} downloaded, ${summary.updated} updated, ` +
+        `${summary.unchanged} unchanged, ${summary.failed} failed`,
+      summary,
+      documents: results,
+      requirements
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/c2pa/requirements - Requirements extracted from the official documents
+// Filters: ?phaseId=phase-2&level=MUST&source=GPSR&status=active|withdrawn|all
+router.get('/requirements', requireAuth, async (req, res, next) => {
+  try {
+    const { phaseId, level, source, status } = req.query;
+    const requirements = await requirementService.listRequirements({
+      phaseId,
+      level: level ? String(level).toUpperCase() : undefined,
+      source,
+      status: status || 'active'
+    });
+
+    res.json({
+      success: true,
+      count: requirements.length,
+      requirements
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/c2pa/requirements/:id - Flag whether a requirement needs evidence
+// ADMIN ONLY - body: { evidenceRequired: boolean }
+router.patch('/requirements/:id', requireAuth, requireAdmin, express.json(), async (req, res, next) => {
+  try {
+    const { evidenceRequired } = req.body;
+
+    if (typeof evidenceRequired !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'evidenceRequired must be a boolean'
+      });
+    }
+
+    const [previous] = await requirementService.listRequirements({ id: req.params.id, status: 'all' });
+    const requirement = await requirementService.setEvidenceRequired(req.params.id, evidenceRequired);
+
+    if (!requirement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Requirement not found'
+      });
+    }
+
+    logger.info(`Requirement ${requirement.ref} evidence required: ${evidenceRequired}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'requirement.update',
+      entityType: 'requirement',
+      entityId: requirement.id,
+      before: { evidenceRequired: previous.evidenceRequired },
+      after: { ref: requirement.ref, evidenceRequired: requirement.evidenceRequired }
+    });
+
     res.json({
       success: true,
-      message: 'C2PA documents list retrieved',
-      documents: documentsToSync,
-      note: 'Use the frontend to download these documents or implement server-side download'
+      requirement
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/c2pa/requirements/extract - Re-parse the synced requirements documents
+// ADMIN ONLY - updates requirements and every workspace's checklist
+router.post('/requirements/extract', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const results = await c2paSyncService.extractRequirements();
+
+    res.json({
+      success: results.every(result => !result.error),
+      results
     });
   } catch (error) {
     next(error);
@@ -99,38 +153,7 @@ router.get('/info', (req, res) => {
     info: {
       program: 'C2PA Conformance Program',
       purpose: 'Certification for Generator Product Companies',
-      phases: [
-        {
-          id: 'phase-1',
-          name: 'Introduction & Prerequisites',
-          description: 'Welcome and system overview, company eligibility check, required documentation checklist, timeline estimation'
-        },
-        {
-          id: 'phase-2',
-          name: 'Understanding Requirements',
-          description: 'C2PA Conformance Program overview, Generator Product definition, security requirements breakdown, technical specifications'
-        },
-        {
-          id: 'phase-3',
-          name: 'Document Review',
-          description: 'Review of C2PA Generator Product Company Agreement, Certificate Policy, Security Requirements, and Governance Framework'
-        },
-        {
-          id: 'phase-4',
-          name: 'Application Preparation',
-          description: 'Application form assistance, documentation gathering, technical architecture review, security controls checklist'
-        },
-        {
-          id: 'phase-5',
-          name: 'Submission & Follow-up',
-          description: 'Application submission guidance, tracking application status, responding to auditor questions, remediation assistance'
-        },
-        {
-          id: 'phase-6',
-          name: 'Certification Maintenance',
-          description: 'Ongoing compliance requirements, annual review preparation, update notifications'
-        }
-      ],
+      phases: phaseRegistry.listPhases().map(({ id, name, description }) => ({ id, name, description })),
       repository: 'https://github.com/Sanmarcsoft/c2pa-org-conformance-public',
       website: 'https://c2pa.org'
     }
@@ -5,13 +5,21 @@ const { runAsync, getAsync, allAsync } = require('../models/database');
 const aiService = require('../services/aiService');
 const { getDocumentSummary } = require('../services/ragService');
 const sessionService = require('../services/sessionService');
+const chatContextService = require('../services/chatContextService');
+const assistantToolService = require('../services/assistantToolService');
+const documentAnalysisService = require('../services/documentAnalysisService');
+const auditService = require('../services/auditService');
 const logger = require('../utils/logger');
+const { openEventStream, sendEvent } = require('../utils/sse');
 const requireAuth = require('../middleware/requireAuth');
+const requireWorkspace = require('../middleware/requireWorkspace');
 
 // POST /api/chat - Send message to AI assistant
-router.post('/', requireAuth, express.json(), async (req, res, next) => {
+// With "stream": true the reply is sent as Server-Sent Events: "token" events
+// carry content fragments, then one "done" event carries the usual JSON body.
+router.post('/', requireAuth, requireWorkspace, express.json(), async (req, res, next) => {
   try {
-    const { message, context, sessionId } = req.body;
+    const { message, context, sessionId, stream = false } = req.body;
 
     if (!message || typeof message !== 'string') {
       return res.status(400).json({
@@ -57,21 +65,29 @@ router.post('/', requireAuth, express.json(), async (req, res, next) => {
       ]
     );
 
-    // Get conversation history for this session (last 10 messages)
-    const history = await allAsync(
-      `SELECT * FROM chat_messages
-       WHERE session_id = ?
-       ORDER BY created_at DESC
-       LIMIT 10`,
-      [session.id]
-    );
+    // Conversation history not yet folded into the session summary; aiService
+    // fits it to the model's context window
+    const history = await chatContextService.loadSessionHistory(session.id, { excludeMessageId: userMessageId });
+
+    let onToken = null;
+    if (stream) {
+      openEventStream(res);
+      onToken = content => sendEvent(res, { content }, 'token');
+    }
 
     // Generate AI response with user context for OpenWebUI session management
-    const aiResponse = await aiService.generateResponse(message, history.reverse(), {
+    const aiResponse = await aiService.generateResponse(message, history.messages, {
       ...context,
       user: req.user, // Pass authenticated user for OpenWebUI session
-      openwebuiChatId: existingChatId // Pass existing session if available
-    });
+      workspaceId: req.workspace.id, // Scope document retrieval to the active workspace
+      companyName: req.workspace.companyName,
+      openwebuiChatId: existingChatId, // Pass existing session if available
+      sessionId: session.id,
+      sessionSummary: history.summary,
+      // Tools run with the caller's role in the active workspace
+      tools: { user: req.user, workspace: req.workspace, sessionId: session.id }
+    }, onToken);
+    const citations = aiResponse.citations || [];
 
     // Save AI response with OpenWebUI chat_id
     const aiMessageId = uuidv4();
@@ -87,7 +103,13 @@ router.post('/', requireAuth, express.json(), async (req, res, next) => {
         JSON.stringify({
           timestamp: new Date().toISOString(),
           emotion: aiResponse.emotion || 'helpful',
-          animation: aiResponse.animation || 'idle'
+          animation: aiResponse.animation || 'idle',
+          citations,
+          provider: aiResponse.provider,
+          model: aiResponse.model,
+          failover: aiResponse.failover || [],
+          toolCalls: aiResponse.toolCalls || [],
+          actions: aiResponse.actions || []
         }),
         req.user.id,
         session.id,
@@ -119,19 +141,89 @@ router.post('/', requireAuth, express.json(), async (req, res, next) => {
 
     logger.info(`Chat interaction - Session: ${session.id}, User: "${message.substring(0, 50)}..."`);
 
-    res.json({
+    const result = {
       success: true,
       response: {
         id: aiMessageId,
         message: aiResponse.message,
         emotion: aiResponse.emotion,
         animation: aiResponse.animation,
-        suggestions: aiResponse.suggestions || []
+        suggestions: aiResponse.suggestions || [],
+        citations,
+        provider: aiResponse.provider,
+        toolCalls: aiResponse.toolCalls || [],
+        actions: aiResponse.actions || []
       },
       session: updatedSession
-    });
+    };
+
+    if (stream) {
+      sendEvent(res, result, 'done');
+      return res.end();
+    }
+
+    res.json(result);
   } catch (error) {
     logger.error('Chat error:', error);
+
+    // Once streaming has started the status is sent; report the error in-stream
+    if (res.headersSent) {
+      sendEvent(res, { success: false, error: error.message || 'Failed to generate response' }, 'error');
+      return res.end();
+    }
+    next(error);
+  }
+});
+
+// POST /api/chat/actions/:id/confirm - Run a change the assistant proposed
+router.post('/actions/:id/confirm', requireAuth, async (req, res, next) => {
+  try {
+    const action = await assistantToolService.confirmAction(req.params.id, req.user);
+
+    if (action.status === 'executed') {
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        workspaceId: action.workspaceId,
+        action: `assistant.${action.tool}`,
+        entityType: 'assistant_action',
+        entityId: action.id,
+        after: { summary: action.summary, arguments: action.arguments, result: action.result }
+      });
+    }
+
+    if (action.status === 'failed') {
+      return res.status(422).json({
+        success: false,
+        error: action.error,
+        action
+      });
+    }
+
+    res.json({
+      success: true,
+      action
+    });
+  } catch (error) {
+    if (error instanceof assistantToolService.ToolError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// POST /api/chat/actions/:id/reject - Decline a change the assistant proposed
+router.post('/actions/:id/reject', requireAuth, async (req, res, next) => {
+  try {
+    const action = await assistantToolService.rejectAction(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      action
+    });
+  } catch (error) {
+    if (error instanceof assistantToolService.ToolError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     next(error);
   }
 });
@@ -199,8 +291,9 @@ router.get('/history', requireAuth, async (req, res, next) => {
   }
 });
 
-// POST /api/chat/analyze-document - Analyze uploaded document
-router.post('/analyze-document', express.json(), async (req, res, next) => {
+// POST /api/chat/analyze-document - Analyze a document of the active workspace
+// Runs on the extracted text and stores the result (see documentAnalysisService)
+router.post('/analyze-document', requireAuth, requireWorkspace, express.json(), async (req, res, next) => {
   try {
     const { documentId } = req.body;
 
@@ -212,8 +305,8 @@ router.post('/analyze-document', express.json(), async (req, res, next) => {
     }
 
     const document = await getAsync(
-      'SELECT * FROM documents WHERE id = ?',
-      [documentId]
+      'SELECT * FROM documents WHERE id = ? AND (workspace_id = ? OR workspace_id IS NULL)',
+      [documentId, req.workspace.id]
     );
 
     if (!document) {
@@ -223,14 +316,13 @@ router.post('/analyze-document', express.json(), async (req, res, next) => {
       });
     }
 
-    // Analyze document using AI service
-    const analysis = await aiService.analyzeDocument(document);
+    const analysis = await documentAnalysisService.analyzeDocument(document);
 
     // Save analysis as a chat message
     const messageId = uuidv4();
     await runAsync(
-      `INSERT INTO chat_messages (id, sender, message, context, metadata)
-       VALUES (?, ?, ?, ?, ?)`,
+      `INSERT INTO chat_messages (id, sender, message, context, metadata, user_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
       [
         messageId,
         'assistant',
@@ -239,8 +331,11 @@ router.post('/analyze-document', express.json(), async (req, res, next) => {
         JSON.stringify({
           timestamp: new Date().toISOString(),
           keyPoints: analysis.keyPoints,
-          requirements: analysis.requirements
-        })
+          requirements: analysis.requirements,
+          provider: analysis.provider,
+          model: analysis.model
+        }),
+        req.user.id
       ]
     );
 
@@ -250,24 +345,24 @@ router.post('/analyze-document', express.json(), async (req, res, next) => {
       success: true,
       analysis: {
         id: messageId,
-        summary: analysis.summary,
-        keyPoints: analysis.keyPoints,
-        requirements: analysis.requirements,
-        suggestions: analysis.suggestions
+        ...analysis
       }
     });
   } catch (error) {
+    if (error instanceof documentAnalysisService.AnalysisError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     next(error);
   }
 });
 
 // GET /api/chat/suggestions - Get next step suggestions
-router.get('/suggestions', async (req, res, next) => {
+router.get('/suggestions', requireAuth, requireWorkspace, async (req, res, next) => {
   try {
-    // Get current progress
+    // Get current progress of the active workspace
     const progress = await getAsync(
-      'SELECT * FROM progress WHERE user_id = ?',
-      ['sanmarcsoft-llc']
+      'SELECT * FROM progress WHERE workspace_id = ?',
+      [req.workspace.id]
     );
 
     const suggestions = await aiService.getSuggestions(progress);
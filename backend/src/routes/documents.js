@@ -4,8 +4,91 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { runAsync, getAsync, allAsync } = require('../models/database');
+const { runAsync, getAsync, allAsync, withTransaction } = require('../models/database');
 const logger = require('../utils/logger');
+const extractionService = require('../services/extractionService');
+const documentAnalysisService = require('../services/documentAnalysisService');
+const evidenceService = require('../services/evidenceService');
+const auditService = require('../services/auditService');
+const authService = require('../services/authService');
+const User = require('../models/user');
+const Workspace = require('../models/workspace');
+const requireAuth = require('../middleware/requireAuth');
+const requireWorkspace = require('../middleware/requireWorkspace');
+const requireWorkspaceRole = require('../middleware/requireWorkspaceRole');
+
+/**
+ * Whether the caller may delete a document: its uploader, or an owner of the
+ * workspace. Documents uploaded before uploaders were recorded have no owner
+ * and are managed by workspace owners only.
+ * @param {Object} req - Express request (after requireWorkspace)
+ * @param {Object} document - documents row
+ * @returns {boolean}
+ */
+function canManage(req, document) {
+  return req.workspace.role === 'owner' || (!!document.owner_id && document.owner_id === req.user.id);
+}
+
+// GET /api/documents/:id/file?token= - Download through a signed URL
+// Opened directly by the browser, so the short-lived token from
+// GET /:id/download-url stands in for the Authorization header
+router.get('/:id/file', async (req, res, next) => {
+  try {
+    if (!req.query.token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Download token required'
+      });
+    }
+
+    let grant;
+    try {
+      grant = authService.verifyDownloadToken(String(req.query.token), req.params.id);
+    } catch (error) {
+      logger.warn(`Rejected download of document ${req.params.id}: ${error.message}`);
+      return res.status(401).json({
+        success: false,
+        error: error.message === 'Token expired' ? 'Download link expired' : 'Invalid download link'
+      });
+    }
+
+    const document = await getAsync('SELECT * FROM documents WHERE id = ?', [req.params.id]);
+    if (!document || (document.workspace_id || null) !== grant.workspaceId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    // Access may have been revoked since the link was issued
+    const user = await User.findById(grant.userId);
+    const role = user && document.workspace_id
+      ? await Workspace.getMemberRole(document.workspace_id, user.id)
+      : null;
+    if (!user || (document.workspace_id && !role && user.role !== 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Document access denied'
+      });
+    }
+
+    if (!fs.existsSync(document.file_path)) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found on disk'
+      });
+    }
+
+    res.download(document.file_path, document.original_name);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Every other route is authenticated and scoped to the caller's active workspace
+router.use(requireAuth, requireWorkspace);
+
+const canEdit = requireWorkspaceRole('owner', 'editor');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -45,7 +128,13 @@ const upload = multer({
 router.get('/', async (req, res, next) => {
   try {
     const documents = await allAsync(
-      'SELECT * FROM documents ORDER BY upload_date DESC'
+      `SELECT d.*, dc.status as extraction_status, u.name as owner_name
+       FROM documents d
+       LEFT JOIN document_content dc ON dc.document_id = d.id
+       LEFT JOIN users u ON u.id = d.owner_id
+       WHERE d.workspace_id = ?
+       ORDER BY d.upload_date DESC`,
+      [req.workspace.id]
     );
 
     res.json({
@@ -59,11 +148,16 @@ router.get('/', async (req, res, next) => {
 });
 
 // GET /api/documents/:id - Get document details
+// Read-only routes also serve the shared official C2PA documents (no workspace),
+// which the assistant cites alongside workspace uploads
 router.get('/:id', async (req, res, next) => {
   try {
     const document = await getAsync(
-      'SELECT * FROM documents WHERE id = ?',
-      [req.params.id]
+      `SELECT d.*, u.name as owner_name
+       FROM documents d
+       LEFT JOIN users u ON u.id = d.owner_id
+       WHERE d.id = ? AND (d.workspace_id = ? OR d.workspace_id IS NULL)`,
+      [req.params.id, req.workspace.id]
     );
 
     if (!document) {
@@ -73,17 +167,27 @@ router.get('/:id', async (req, res, next) => {
       });
     }
 
-    // Get annotations for this document
+    // Get annotations for this document, with their authors
     const annotations = await allAsync(
-      'SELECT * FROM annotations WHERE document_id = ? ORDER BY created_at',
+      `SELECT a.*, u.name as author_name
+       FROM annotations a
+       LEFT JOIN users u ON u.id = a.user_id
+       WHERE a.document_id = ?
+       ORDER BY a.created_at`,
       [req.params.id]
     );
 
+    const extraction = await extractionService.getExtractionStatus(req.params.id);
+    const analysis = await documentAnalysisService.getAnalysis(req.params.id);
+
     res.json({
       success: true,
       document: {
         ...document,
-        annotations
+        extraction,
+        analysis,
+        annotations,
+        canDelete: !!document.workspace_id && canManage(req, document)
       }
     });
   } catch (error) {
@@ -92,7 +196,7 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST /api/documents/upload - Upload a document
-router.post('/upload', upload.single('file'), async (req, res, next) => {
+router.post('/upload', canEdit, upload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -105,10 +209,12 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
     const { category } = req.body;
 
     await runAsync(
-      `INSERT INTO documents (id, filename, original_name, file_path, file_type, file_size, category, upload_date, status)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO documents (id, workspace_id, owner_id, filename, original_name, file_path, file_type, file_size, category, upload_date, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         documentId,
+        req.workspace.id,
+        req.user.id,
         req.file.filename,
         req.file.originalname,
         req.file.path,
@@ -120,17 +226,36 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
       ]
     );
 
+    // Extract text now so the document is searchable as soon as it is listed
+    await extractionService.extractDocument(documentId);
+
     const document = await getAsync(
       'SELECT * FROM documents WHERE id = ?',
       [documentId]
     );
+    const extraction = await extractionService.getExtractionStatus(documentId);
 
     logger.info(`Document uploaded: ${req.file.originalname} (${documentId})`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'document.upload',
+      entityType: 'document',
+      entityId: documentId,
+      after: {
+        originalName: document.original_name,
+        category: document.category,
+        fileType: document.file_type,
+        fileSize: document.file_size
+      }
+    });
 
     res.status(201).json({
       success: true,
       message: 'File uploaded successfully',
-      document
+      document: {
+        ...document,
+        extraction
+      }
     });
   } catch (error) {
     // Clean up uploaded file if database insert fails
@@ -141,12 +266,204 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
   }
 });
 
+// GET /api/documents/:id/text - Get extracted text with page offsets
+router.get('/:id/text', async (req, res, next) => {
+  try {
+    const document = await getAsync(
+      'SELECT id FROM documents WHERE id = ? AND (workspace_id = ? OR workspace_id IS NULL)',
+      [req.params.id, req.workspace.id]
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const extraction = await extractionService.getExtractionStatus(req.params.id);
+    const content = await extractionService.getContent(req.params.id);
+
+    if (!content) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document text is not available',
+        extraction
+      });
+    }
+
+    res.json({
+      success: true,
+      extraction,
+      text: content.text,
+      pages: content.pages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/documents/:id/extract - Re-run text extraction
+router.post('/:id/extract', canEdit, async (req, res, next) => {
+  try {
+    const document = await getAsync(
+      'SELECT id FROM documents WHERE id = ? AND workspace_id = ?',
+      [req.params.id, req.workspace.id]
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    await extractionService.extractDocument(req.params.id);
+    const extraction = await extractionService.getExtractionStatus(req.params.id);
+
+    res.json({
+      success: extraction.status === 'completed',
+      extraction
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/documents/:id/analysis - Get the stored AI analysis
+router.get('/:id/analysis', async (req, res, next) => {
+  try {
+    const document = await getAsync(
+      'SELECT id FROM documents WHERE id = ? AND (workspace_id = ? OR workspace_id IS NULL)',
+      [req.params.id, req.workspace.id]
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const analysis = await documentAnalysisService.getAnalysis(req.params.id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document has not been analyzed'
+      });
+    }
+
+    res.json({
+      success: true,
+      analysis
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/documents/:id/analyze - Run (or re-run) AI analysis on the extracted text
+router.post('/:id/analyze', canEdit, async (req, res, next) => {
+  try {
+    const document = await getAsync(
+      'SELECT * FROM documents WHERE id = ? AND (workspace_id = ? OR workspace_id IS NULL)',
+      [req.params.id, req.workspace.id]
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    // Shared C2PA documents are seen by every workspace, so only admins may change them
+    if (!document.workspace_id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only administrators can analyze shared C2PA documents'
+      });
+    }
+
+    const analysis = await documentAnalysisService.analyzeDocument(document);
+
+    res.json({
+      success: true,
+      analysis
+    });
+  } catch (error) {
+    if (error instanceof documentAnalysisService.AnalysisError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// GET /api/documents/:id/evidence - Checklist items and requirements the document is evidence for
+router.get('/:id/evidence', async (req, res, next) => {
+  try {
+    const document = await getAsync(
+      'SELECT id FROM documents WHERE id = ? AND workspace_id = ?',
+      [req.params.id, req.workspace.id]
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const evidence = await evidenceService.listDocumentEvidence(req.workspace.id, req.params.id);
+
+    res.json({
+      success: true,
+      count: evidence.length,
+      evidence
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/documents/:id/download-url - Issue a short-lived signed download URL
+router.get('/:id/download-url', async (req, res, next) => {
+  try {
+    const document = await getAsync(
+      'SELECT id, workspace_id FROM documents WHERE id = ? AND (workspace_id = ? OR workspace_id IS NULL)',
+      [req.params.id, req.workspace.id]
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    const { token, expiresAt } = authService.generateDownloadToken({
+      documentId: document.id,
+      userId: req.user.id,
+      workspaceId: document.workspace_id
+    });
+
+    res.json({
+      success: true,
+      url: `/api/documents/${document.id}/file?token=${encodeURIComponent(token)}`,
+      expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/documents/:id/download - Download a document
 router.get('/:id/download', async (req, res, next) => {
   try {
     const document = await getAsync(
-      'SELECT * FROM documents WHERE id = ?',
-      [req.params.id]
+      'SELECT * FROM documents WHERE id = ? AND (workspace_id = ? OR workspace_id IS NULL)',
+      [req.params.id, req.workspace.id]
     );
 
     if (!document) {
@@ -170,11 +487,11 @@ router.get('/:id/download', async (req, res, next) => {
 });
 
 // DELETE /api/documents/:id - Delete a document
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', canEdit, async (req, res, next) => {
   try {
     const document = await getAsync(
-      'SELECT * FROM documents WHERE id = ?',
-      [req.params.id]
+      'SELECT * FROM documents WHERE id = ? AND workspace_id = ?',
+      [req.params.id, req.workspace.id]
     );
 
     if (!document) {
@@ -184,6 +501,14 @@ router.delete('/:id', async (req, res, next) => {
       });
     }
 
+    if (!canManage(req, document)) {
+      logger.warn(`User ${req.user.email} denied deleting document ${document.id} owned by ${document.owner_id || 'nobody'}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Only the uploader or a workspace owner can delete this document'
+      });
+    }
+
     // Delete file from disk
     if (fs.existsSync(document.file_path)) {
       fs.unlinkSync(document.file_path);
@@ -193,6 +518,20 @@ router.delete('/:id', async (req, res, next) => {
     await runAsync('DELETE FROM documents WHERE id = ?', [req.params.id]);
 
     logger.info(`Document deleted: ${document.original_name} (${req.params.id})`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'document.delete',
+      entityType: 'document',
+      entityId: document.id,
+      before: {
+        originalName: document.original_name,
+        category: document.category,
+        fileType: document.file_type,
+        fileSize: document.file_size,
+        uploadDate: document.upload_date,
+        status: document.status
+      }
+    });
 
     res.json({
       success: true,
@@ -203,8 +542,9 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
-// PUT /api/documents/:id/annotations - Save/update annotations
-router.put('/:id/annotations', express.json(), async (req, res, next) => {
+// PUT /api/documents/:id/annotations - Save/update the caller's annotations
+// Each user's set is replaced on its own; other users' annotations are kept
+router.put('/:id/annotations', canEdit, express.json(), async (req, res, next) => {
   try {
     const { annotations } = req.body;
 
@@ -215,23 +555,80 @@ router.put('/:id/annotations', express.json(), async (req, res, next) => {
       });
     }
 
-    // Delete existing annotations
-    await runAsync('DELETE FROM annotations WHERE document_id = ?', [req.params.id]);
+    const invalid = annotations.findIndex(annotation =>
+      !annotation || typeof annotation.content !== 'string' || annotation.content.trim() === '');
+    if (invalid !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `Annotation ${invalid + 1} needs text content`
+      });
+    }
+
+    const document = await getAsync(
+      'SELECT id FROM documents WHERE id = ? AND workspace_id = ?',
+      [req.params.id, req.workspace.id]
+    );
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    // Annotations sent back with their id are updated in place, so evidence
+    // links anchored to them survive a save; the rest are new. All or nothing,
+    // so a failed save does not leave half the set behind
+    const { ownIds, keptIds, created } = await withTransaction(async (connection) => {
+      const existing = await connection.allAsync(
+        'SELECT id FROM annotations WHERE document_id = ? AND user_id = ?',
+        [req.params.id, req.user.id]
+      );
+      const ownIds = new Set(existing.map(row => row.id));
+      const keptIds = new Set();
+      let created = 0;
 
-    // Insert new annotations
-    for (const annotation of annotations) {
-      await runAsync(
-        `INSERT INTO annotations (id, document_id, page_number, content, position)
-         VALUES (?, ?, ?, ?, ?)`,
-        [
-          uuidv4(),
-          req.params.id,
+      for (const annotation of annotations) {
+        const values = [
           annotation.pageNumber || null,
           annotation.content,
           JSON.stringify(annotation.position || {})
-        ]
-      );
-    }
+        ];
+
+        if (ownIds.has(annotation.id) && !keptIds.has(annotation.id)) {
+          await connection.runAsync(
+            'UPDATE annotations SET page_number = ?, content = ?, position = ? WHERE id = ?',
+            [...values, annotation.id]
+          );
+          keptIds.add(annotation.id);
+        } else {
+          await connection.runAsync(
+            `INSERT INTO annotations (id, document_id, user_id, page_number, content, position)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [uuidv4(), req.params.id, req.user.id, ...values]
+          );
+          created++;
+        }
+      }
+
+      // Delete the caller's annotations that were left out
+      for (const id of ownIds) {
+        if (!keptIds.has(id)) {
+          await connection.runAsync('DELETE FROM annotations WHERE id = ?', [id]);
+        }
+      }
+
+      return { ownIds, keptIds, created };
+    });
+
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'annotation.update',
+      entityType: 'document',
+      entityId: req.params.id,
+      before: { annotations: ownIds.size },
+      after: { annotations: annotations.length, updated: keptIds.size, created, deleted: ownIds.size - keptIds.size }
+    });
 
     res.json({
       success: true,
@@ -3,10 +3,14 @@ const router = express.Router();
 const { body, param, validationResult } = require('express-validator');
 const githubAuthService = require('../services/githubAuthService');
 const githubRagService = require('../services/githubRagService');
+const auditService = require('../services/auditService');
 const logger = require('../utils/logger');
+const { getSecret } = require('../utils/secrets');
 const requireAuth = require('../middleware/requireAuth');
 const requireAdmin = require('../middleware/requireAdmin');
 
+const { GitHubAuthError } = githubAuthService;
+
 /**
  * GitHub RAG API Routes
  */
@@ -20,9 +24,40 @@ const checkValidation = (req, res, next) => {
   next();
 };
 
+function sendAuthError(res, error, message) {
+  if (error instanceof GitHubAuthError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+}
+
+// Credential fields that go into the audit trail
+const auditedCredential = (credential) => credential && {
+  login: credential.login,
+  scopes: credential.scopes,
+  expiresAt: credential.expiresAt,
+  source: credential.source
+};
+
+function auditCredentialChange(req, action, userId, before, after) {
+  return auditService.record({
+    ...auditService.fromRequest(req),
+    action,
+    entityType: 'github_credential',
+    entityId: userId || 'service',
+    before: auditedCredential(before),
+    after: auditedCredential(after)
+  });
+}
+
 /**
  * POST /api/github/auth/token
  * Authenticate with GitHub using Personal Access Token
+ * The token becomes the service token and is stored encrypted.
  * ADMIN ONLY
  */
 router.post('/auth/token',
@@ -36,13 +71,16 @@ router.post('/auth/token',
     try {
       const { token } = req.body;
 
-      const result = await githubAuthService.authenticateWithToken(token);
+      const before = await githubAuthService.getCredential();
+      const result = await githubAuthService.authenticateWithToken(token, { createdBy: req.user.id });
 
       if (result.success) {
+        await auditCredentialChange(req, 'github_credential.update', null, before, result.credential);
         res.json({
           success: true,
           message: 'Successfully authenticated with GitHub',
-          user: result.user
+          user: result.user,
+          credential: result.credential
         });
       } else {
         res.status(401).json({
@@ -65,42 +103,80 @@ router.post('/auth/token',
 /**
  * POST /api/github/auth/device-flow
  * Initiate GitHub OAuth Device Flow
+ * Responds with the code for the user to enter at the verification URL;
+ * poll GET /auth/device-flow/:flowId until the status is complete or failed.
+ * target 'service' (default, ADMIN ONLY) sets the service token, 'user' the
+ * caller's own token. clientId defaults to the GITHUB_CLIENT_ID secret.
  */
 router.post('/auth/device-flow',
+  requireAuth,
   [
-    body('clientId').notEmpty().withMessage('GitHub OAuth Client ID is required')
+    body('clientId').optional().isString(),
+    body('target').optional().isIn(['service', 'user']).withMessage('target must be service or user'),
+    body('scopes').optional().isArray()
   ],
   checkValidation,
   async (req, res) => {
     try {
-      const { clientId } = req.body;
+      const { target = 'service', scopes } = req.body;
 
-      const result = await githubAuthService.authenticateWithDeviceFlow(clientId);
-
-      if (result.success) {
-        res.json({
-          success: true,
-          message: 'Successfully authenticated with GitHub',
-          user: result.user
+      if (target === 'service' && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Admin access required to set the service token'
         });
-      } else {
-        res.status(401).json({
+      }
+
+      const clientId = req.body.clientId || getSecret('GITHUB_CLIENT_ID');
+      if (!clientId) {
+        return res.status(400).json({
           success: false,
-          message: 'Authentication failed',
-          error: result.error
+          error: 'GitHub OAuth Client ID is required'
         });
       }
-    } catch (error) {
-      logger.error('Error with GitHub OAuth Device Flow:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error during authentication',
-        error: error.message
+
+      const userId = target === 'user' ? req.user.id : null;
+      const before = await githubAuthService.getCredential(userId);
+      const flow = await githubAuthService.startDeviceFlow({
+        clientId,
+        scopes,
+        userId,
+        createdBy: req.user.id,
+        onComplete: result => auditCredentialChange(req, 'github_credential.update', userId, before, result.credential)
       });
+
+      res.status(202).json({
+        success: true,
+        message: `Enter ${flow.userCode} at ${flow.verificationUri} to authorize`,
+        flow
+      });
+    } catch (error) {
+      sendAuthError(res, error, 'Failed to start GitHub Device Flow');
     }
   }
 );
 
+/**
+ * GET /api/github/auth/device-flow/:flowId
+ * Progress of a device flow started by the caller
+ */
+router.get('/auth/device-flow/:flowId', requireAuth, (req, res) => {
+  const flow = githubAuthService.getDeviceFlow(req.params.flowId);
+  const visible = flow && (flow.userId ? flow.userId === req.user.id : req.user.role === 'admin');
+
+  if (!visible) {
+    return res.status(404).json({
+      success: false,
+      error: 'Device flow not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    flow
+  });
+});
+
 /**
  * GET /api/github/auth/status
  * Check GitHub authentication status
@@ -112,6 +188,7 @@ router.get('/auth/status', (req, res) => {
 
     res.json({
       authenticated: isAuthenticated,
+      source: githubAuthService.source,
       user: user ? {
         login: user.login,
         name: user.name,
@@ -128,9 +205,99 @@ router.get('/auth/status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/github/auth/tokens
+ * The caller's own token and the service token: login, scopes, type and
+ * expiry (never the token itself). Admins see the service token's details,
+ * everyone else only whether one is configured.
+ * Query: refresh=true re-checks the tokens with GitHub first
+ */
+router.get('/auth/tokens', requireAuth, async (req, res) => {
+  try {
+    const refresh = req.query.refresh === 'true';
+    const isAdmin = req.user.role === 'admin';
+
+    const user = await githubAuthService.getCredential(req.user.id, { refresh });
+    const service = await githubAuthService.getCredential(null, { refresh: refresh && isAdmin });
+
+    res.json({
+      success: true,
+      user,
+      service: isAdmin ? service : { configured: service !== null }
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to fetch GitHub tokens');
+  }
+});
+
+/**
+ * PUT /api/github/auth/user-token
+ * Store the caller's own GitHub token, used instead of the service token
+ * for requests they make
+ */
+router.put('/auth/user-token',
+  requireAuth,
+  [
+    body('token').notEmpty().withMessage('GitHub token is required')
+  ],
+  checkValidation,
+  async (req, res) => {
+    try {
+      const before = await githubAuthService.getCredential(req.user.id);
+      const result = await githubAuthService.authenticateWithToken(req.body.token, {
+        userId: req.user.id,
+        createdBy: req.user.id
+      });
+
+      if (!result.success) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication failed',
+          error: result.error
+        });
+      }
+
+      await auditCredentialChange(req, 'github_credential.update', req.user.id, before, result.credential);
+      res.json({
+        success: true,
+        user: result.user,
+        credential: result.credential
+      });
+    } catch (error) {
+      sendAuthError(res, error, 'Failed to store GitHub token');
+    }
+  }
+);
+
+/**
+ * DELETE /api/github/auth/user-token
+ * Delete the caller's own GitHub token
+ */
+router.delete('/auth/user-token', requireAuth, async (req, res) => {
+  try {
+    const removed = await githubAuthService.removeToken(req.user.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'No GitHub token stored'
+      });
+    }
+
+    await auditCredentialChange(req, 'github_credential.delete', req.user.id, removed, null);
+    res.json({
+      success: true,
+      message: 'GitHub token deleted'
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to delete GitHub token');
+  }
+});
+
 /**
  * POST /api/github/auth/logout
  * Logout from GitHub
+ * Unloads the service token until the next restart; it stays stored
+ * (delete it with DELETE /api/admin/github/token).
  */
 router.post('/auth/logout', (req, res) => {
   try {
@@ -151,6 +318,8 @@ router.post('/auth/logout', (req, res) => {
 /**
  * POST /api/github/repos/index
  * Index a GitHub repository for RAG
+ * Uses the admin's own GitHub token if they stored one, else the service token.
+ * Only files changed since the last index are fetched unless force is set.
  * ADMIN ONLY
  */
 router.post('/repos/index',
@@ -159,53 +328,45 @@ router.post('/repos/index',
   [
     body('owner').notEmpty().withMessage('Repository owner is required'),
     body('repo').notEmpty().withMessage('Repository name is required'),
-    body('branch').optional().isString()
+    body('branch').optional().isString(),
+    body('force').optional().isBoolean()
   ],
   checkValidation,
   async (req, res) => {
     try {
-      // Check if GitHub is authenticated, if not try to authenticate with stored token
-      if (!githubAuthService.isAuthenticated()) {
-        const { getSecret } = require('../utils/secrets');
-        const githubToken = getSecret('GITHUB_TOKEN');
-
-        if (!githubToken) {
-          return res.status(401).json({
-            success: false,
-            message: 'GitHub token not configured. Please configure GitHub integration in Admin settings.'
-          });
-        }
-
-        // Try to authenticate with stored token
-        const authResult = await githubAuthService.authenticateWithToken(githubToken);
-        if (!authResult.success) {
-          return res.status(401).json({
-            success: false,
-            message: 'GitHub authentication failed. Please check your token configuration.'
-          });
-        }
-
-        logger.info('GitHub authenticated using stored token');
+      try {
+        await githubAuthService.getOctokit(req.user.id);
+      } catch (error) {
+        if (!(error instanceof GitHubAuthError)) throw error;
+        return res.status(401).json({
+          success: false,
+          message: 'GitHub token not configured. Please configure GitHub integration in Admin settings.'
+        });
       }
 
-      const { owner, repo, branch } = req.body;
+      const { owner, repo, branch, force } = req.body;
 
       logger.info(`Indexing repository: ${owner}/${repo} (branch: ${branch || 'main'})`);
 
-      const result = await githubRagService.indexRepository(owner, repo, branch);
+      const result = await githubRagService.indexRepository(owner, repo, branch, {
+        userId: req.user.id,
+        force: force === true || force === 'true'
+      });
 
       if (result.success) {
         res.json({
           success: true,
           message: result.message,
           repoId: result.repoId,
-          filesIndexed: result.filesIndexed
+          filesIndexed: result.filesIndexed,
+          report: result.report
         });
       } else {
         res.status(400).json({
           success: false,
           message: 'Failed to index repository',
-          error: result.error
+          error: result.error,
+          report: result.report
         });
       }
     } catch (error) {
@@ -219,6 +380,18 @@ router.post('/repos/index',
   }
 );
 
+/**
+ * GET /api/github/repos/index/progress
+ * Progress of the latest index run of each repository
+ * ADMIN ONLY
+ */
+router.get('/repos/index/progress', requireAuth, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    jobs: githubRagService.getIndexProgress()
+  });
+});
+
 /**
  * GET /api/github/repos
  * Get list of indexed repositories
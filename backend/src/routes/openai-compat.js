@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
-const { runAsync, getAsync, allAsync } = require('../models/database');
+const { runAsync, getAsync } = require('../models/database');
 const aiService = require('../services/aiService');
 const sessionService = require('../services/sessionService');
+const chatContextService = require('../services/chatContextService');
 const authService = require('../services/authService');
 const logger = require('../utils/logger');
+const { openEventStream, sendEvent } = require('../utils/sse');
 
 /**
  * OpenAI-Compatible API Endpoint
@@ -119,20 +121,37 @@ router.post('/chat/completions', authenticateBearer, express.json(), async (req,
       ]
     );
 
-    // Get conversation history for this session (last 10 messages)
-    const history = await allAsync(
-      `SELECT * FROM chat_messages
-       WHERE session_id = ?
-       ORDER BY created_at DESC
-       LIMIT 10`,
-      [session.id]
-    );
+    // Conversation history not yet folded into the session summary; aiService
+    // fits it to the model's context window
+    const history = await chatContextService.loadSessionHistory(session.id, { excludeMessageId: userMessageId });
+
+    const completionId = `chatcmpl-${uuidv4()}`;
+    const created = Math.floor(Date.now() / 1000);
+
+    // Streaming: OpenAI chat.completion.chunk events, terminated by [DONE]
+    let onToken = null;
+    let sendChunk = null;
+    if (stream) {
+      sendChunk = (delta, finishReason = null) => sendEvent(res, {
+        id: completionId,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+      });
+
+      openEventStream(res);
+      sendChunk({ role: 'assistant', content: '' });
+      onToken = content => sendChunk({ content });
+    }
 
     // Generate AI response
-    const aiResponse = await aiService.generateResponse(userMessage, history.reverse(), {
+    const aiResponse = await aiService.generateResponse(userMessage, history.messages, {
       user: req.user,
-      currentPhase: 'phase-1'
-    });
+      currentPhase: 'phase-1',
+      sessionId: session.id,
+      sessionSummary: history.summary
+    }, onToken);
 
     // Save AI response
     const aiMessageId = uuidv4();
@@ -147,7 +166,11 @@ router.post('/chat/completions', authenticateBearer, express.json(), async (req,
         JSON.stringify({
           timestamp: new Date().toISOString(),
           emotion: aiResponse.emotion || 'helpful',
-          animation: aiResponse.animation || 'idle'
+          animation: aiResponse.animation || 'idle',
+          citations: aiResponse.citations || [],
+          provider: aiResponse.provider,
+          model: aiResponse.model,
+          failover: aiResponse.failover || []
         }),
         req.user.id,
         session.id
@@ -165,24 +188,20 @@ router.post('/chat/completions', authenticateBearer, express.json(), async (req,
       await sessionService.updateSession(session.id, req.user.id, { title: generatedTitle });
     }
 
-    logger.info(`OpenAI-compat API call - User: ${req.user.email}, Model: ${model}`);
+    logger.info(`OpenAI-compat API call - User: ${req.user.email}, Model: ${model}, Stream: ${Boolean(stream)}`);
 
-    // Return OpenAI-compatible response
+    // Finish the stream
     if (stream) {
-      // TODO: Implement streaming response
-      return res.status(501).json({
-        error: {
-          message: 'Streaming not yet implemented',
-          type: 'not_implemented_error'
-        }
-      });
+      sendChunk({}, 'stop');
+      sendEvent(res, '[DONE]');
+      return res.end();
     }
 
     // Non-streaming response
     const response = {
-      id: `chatcmpl-${uuidv4()}`,
+      id: completionId,
       object: 'chat.completion',
-      created: Math.floor(Date.now() / 1000),
+      created,
       model: model,
       choices: [
         {
@@ -204,12 +223,19 @@ router.post('/chat/completions', authenticateBearer, express.json(), async (req,
     res.json(response);
   } catch (error) {
     logger.error('OpenAI-compat API error:', error);
-    res.status(500).json({
+    const body = {
       error: {
         message: error.message || 'Internal server error',
         type: 'internal_error'
       }
-    });
+    };
+
+    // Once streaming has started the status is sent; report the error in-stream
+    if (res.headersSent) {
+      sendEvent(res, body);
+      return res.end();
+    }
+    res.status(500).json(body);
   }
 });
 
@@ -1,326 +1,239 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
-const { runAsync, getAsync, allAsync } = require('../models/database');
 const logger = require('../utils/logger');
+const eoiService = require('../services/eoiService');
+const auditService = require('../services/auditService');
+const phaseRegistry = require('../services/phaseRegistry');
+const { phaseRoutes } = require('./phases');
+const requireAuth = require('../middleware/requireAuth');
+const requireWorkspace = require('../middleware/requireWorkspace');
+const requireWorkspaceRole = require('../middleware/requireWorkspaceRole');
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../../data/phase1-submissions');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
+// All Phase 1 routes are scoped to the caller's active workspace
+router.use(requireAuth, requireWorkspace);
+
+const canEdit = requireWorkspaceRole('owner', 'editor');
+
+// Validation and state errors carry their own status and field errors
+function sendEoiError(res, error) {
+  return res.status(error.status).json({
+    success: false,
+    error: error.message,
+    ...(error.errors.length > 0 && { errors: error.errors })
+  });
+}
+
+// Record an EOI change; saves without changes add no version and are skipped
+async function auditEoi(req, action, before, after) {
+  if (before && before.version === after.version) return;
+
+  const snapshot = (eoi) => eoi && { status: eoi.status, version: eoi.version, reference: eoi.reference, ...eoi.data };
+  await auditService.record({
+    ...auditService.fromRequest(req),
+    action,
+    entityType: 'eoi',
+    entityId: after.id,
+    before: snapshot(before),
+    after: snapshot(after)
+  });
+}
+
+/**
+ * GET /api/phase1/eoi
+ * Get the workspace's Expression of Interest (null if none yet)
+ */
+router.get('/eoi', async (req, res, next) => {
+  try {
+    const eoi = await eoiService.getEoi(req.workspace.id);
+
+    res.json({
+      success: true,
+      eoi,
+      // What is still missing before it can be marked ready
+      missing: eoi ? eoiService.validateFields(eoi.data, { complete: true }) : []
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /pdf|doc|docx|txt|md|png|jpg|jpeg/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (extname && mimetype) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF, Word, text, and image files are allowed'));
-    }
+/**
+ * PUT /api/phase1/eoi
+ * Create or edit the EOI as a draft. Body: EOI fields, optional note for the version
+ */
+router.put('/eoi', canEdit, async (req, res, next) => {
+  try {
+    const { note, ...fields } = req.body;
+    const before = await eoiService.getEoi(req.workspace.id);
+    const eoi = await eoiService.saveEoi(req.workspace.id, fields, req.user.id, { note });
+    await auditEoi(req, 'eoi.update', before, eoi);
+
+    res.json({
+      success: true,
+      eoi
+    });
+  } catch (error) {
+    if (error instanceof eoiService.EoiError) return sendEoiError(res, error);
+    next(error);
   }
 });
 
 /**
- * GET /api/phase1/checklist
- * Get Phase 1 checklist items
+ * POST /api/phase1/eoi/status
+ * Move the EOI to draft, ready, submitted or acknowledged. Body: { status, note, reference }
  */
-router.get('/checklist', async (req, res) => {
+router.post('/eoi/status', canEdit, async (req, res, next) => {
   try {
-    const checklist = [
-      {
-        id: 'eligibility',
-        title: 'Eligibility Requirements',
-        description: 'Review and confirm your organization meets the basic eligibility criteria',
-        required: true,
-        items: [
-          'Legal entity in good standing',
-          'Commit to C2PA specifications',
-          'Ability to implement security requirements',
-          'Willingness to undergo audits'
-        ]
-      },
-      {
-        id: 'company-info',
-        title: 'Company Information',
-        description: 'Prepare basic company information and documentation',
-        required: true,
-        items: [
-          'Company registration documents',
-          'Business license',
-          'Tax identification',
-          'Proof of business address'
-        ]
-      },
-      {
-        id: 'technical-capacity',
-        title: 'Technical Capacity Assessment',
-        description: 'Evaluate your technical readiness',
-        required: true,
-        items: [
-          'Development team in place',
-          'Understanding of C2PA specifications',
-          'Infrastructure for secure key management',
-          'Testing and QA capabilities'
-        ]
-      },
-      {
-        id: 'timeline',
-        title: 'Timeline & Resources',
-        description: 'Estimate time and resource commitment',
-        required: true,
-        items: [
-          'Estimated 3-6 months for full certification',
-          'Budget for implementation and audits',
-          'Dedicated project manager',
-          'Legal and compliance support'
-        ]
-      }
-    ];
+    const { status, note, reference } = req.body;
+    const before = await eoiService.getEoi(req.workspace.id);
+    const eoi = await eoiService.setStatus(req.workspace.id, status, req.user.id, { note, reference });
+    await auditEoi(req, 'eoi.status', before, eoi);
 
     res.json({
       success: true,
-      checklist
+      eoi
     });
   } catch (error) {
-    logger.error('Error fetching Phase 1 checklist:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch checklist'
+    if (error instanceof eoiService.EoiError) return sendEoiError(res, error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/phase1/eoi/versions
+ * Version history of the EOI, newest first
+ */
+router.get('/eoi/versions', async (req, res, next) => {
+  try {
+    const versions = await eoiService.listVersions(req.workspace.id);
+
+    res.json({
+      success: true,
+      count: versions.length,
+      versions
     });
+  } catch (error) {
+    next(error);
   }
 });
 
 /**
- * GET /api/phase1/resources
- * Get official C2PA resources and links
+ * GET /api/phase1/eoi/versions/:version
+ * One version of the EOI
  */
-router.get('/resources', async (req, res) => {
+router.get('/eoi/versions/:version', async (req, res, next) => {
   try {
-    const resources = {
-      official: [
-        {
-          title: 'C2PA Conformance Program',
-          url: 'https://c2pa.org/conformance/',
-          description: 'Official C2PA Conformance Program homepage with application details',
-          category: 'Official'
-        },
-        {
-          title: 'Expression of Interest Form',
-          url: 'https://c2pa.org/conformance/',
-          description: 'Submit your Expression of Interest to join the Conformance Program',
-          category: 'Application'
-        },
-        {
-          title: 'C2PA Specifications',
-          url: 'https://c2pa.org/specifications/specifications/2.2/index.html',
-          description: 'Complete technical specifications for C2PA implementation',
-          category: 'Technical'
-        },
-        {
-          title: 'Conformance Public Repository',
-          url: 'https://github.com/c2pa-org/conformance-public',
-          description: 'GitHub repository with conformance program details and conforming products list',
-          category: 'Reference'
-        }
-      ],
-      certificationAuthorities: [
-        {
-          name: 'SSL.com',
-          url: 'https://www.ssl.com/article/c2pa-enterprise-content-authenticity-solutions/',
-          description: 'Conformant CA on the official C2PA Trust List',
-          status: 'Active'
-        },
-        {
-          name: 'DigiCert',
-          url: 'https://www.digicert.com/',
-          description: 'Global CA provider (check C2PA Trust List for current status)',
-          status: 'Check Status'
-        }
-      ],
-      tools: [
-        {
-          title: 'C2PA Open Source Tools',
-          url: 'https://opensource.contentauthenticity.org/',
-          description: 'Open-source tools for content authenticity and provenance',
-          category: 'Development'
-        },
-        {
-          title: 'Content Credentials Verify',
-          url: 'https://contentcredentials.org/verify',
-          description: 'Verify Content Credentials in your files',
-          category: 'Testing'
-        },
-        {
-          title: 'C2PA JavaScript SDK',
-          url: 'https://github.com/contentauth/c2pa-js',
-          description: 'JavaScript implementation for C2PA',
-          category: 'Development'
-        }
-      ],
-      learning: [
-        {
-          title: 'C2PA FAQ',
-          url: 'https://c2pa.org/faqs/',
-          description: 'Frequently asked questions about C2PA',
-          category: 'Learning'
-        },
-        {
-          title: 'Content Authenticity Initiative',
-          url: 'https://contentauthenticity.org/',
-          description: 'Learn about the broader CAI initiative',
-          category: 'Learning'
-        }
-      ]
-    };
+    const version = await eoiService.getVersion(req.workspace.id, parseInt(req.params.version, 10));
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
 
     res.json({
       success: true,
-      resources
+      version
     });
   } catch (error) {
-    logger.error('Error fetching Phase 1 resources:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch resources'
+    next(error);
+  }
+});
+
+/**
+ * POST /api/phase1/eoi/improve-description
+ * AI suggestion for the product description; nothing is saved.
+ * Body: { productDescription } (optional, defaults to the stored one)
+ */
+router.post('/eoi/improve-description', canEdit, async (req, res, next) => {
+  try {
+    const result = await eoiService.improveDescription(req.workspace.id, req.body.productDescription);
+
+    res.json({
+      success: true,
+      ...result
     });
+  } catch (error) {
+    if (error instanceof eoiService.EoiError) return sendEoiError(res, error);
+    next(error);
   }
 });
 
 /**
- * POST /api/phase1/upload
- * Upload Phase 1 documents (company info, eligibility docs, etc.)
+ * GET /api/phase1/eoi/export?format=pdf|json
+ * Download the EOI as a PDF or as the C2PA form payload
  */
-router.post('/upload', upload.array('documents', 10), async (req, res) => {
+router.get('/eoi/export', async (req, res, next) => {
   try {
-    const { documentType, description } = req.body;
-    const files = req.files;
+    const format = String(req.query.format || 'pdf').toLowerCase();
 
-    if (!files || files.length === 0) {
+    if (!['pdf', 'json'].includes(format)) {
       return res.status(400).json({
         success: false,
-        error: 'No files uploaded'
+        error: 'Invalid format. Must be: pdf, json'
       });
     }
 
-    const uploadedDocs = [];
-
-    for (const file of files) {
-      const docId = uuidv4();
-
-      await runAsync(`
-        INSERT INTO documents (
-          id, filename, original_name, file_path, file_type,
-          file_size, category, upload_date, status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), 'phase1-pending')
-      `, [
-        docId,
-        file.filename,
-        file.originalname,
-        `/data/phase1-submissions/${file.filename}`,
-        path.extname(file.originalname).substring(1),
-        file.size,
-        documentType || 'phase1-general'
-      ]);
-
-      uploadedDocs.push({
-        id: docId,
-        filename: file.originalname,
-        size: file.size,
-        type: documentType || 'phase1-general'
+    const eoi = await eoiService.getEoi(req.workspace.id);
+
+    if (!eoi) {
+      return res.status(404).json({
+        success: false,
+        error: 'Expression of Interest not found'
       });
+    }
 
-      logger.info(`Phase 1 document uploaded: ${file.originalname}`);
+    const company = (eoi.data.companyName || req.workspace.id).replace(/[^A-Za-z0-9]+/g, '-');
+    res.attachment(`C2PA-EOI-${company}-v${eoi.version}.${format}`);
+
+    if (format === 'json') {
+      return res.json(eoiService.toFormPayload(eoi));
     }
 
-    res.json({
-      success: true,
-      message: `Successfully uploaded ${files.length} document(s)`,
-      documents: uploadedDocs
-    });
+    res.set('Content-Type', 'application/pdf');
+    res.send(await eoiService.renderPdf(eoi));
   } catch (error) {
-    logger.error('Error uploading Phase 1 documents:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to upload documents'
-    });
+    next(error);
   }
 });
 
 /**
  * POST /api/phase1/submit-eoi
- * Submit Expression of Interest (prepares data for external submission)
+ * Save the Expression of Interest and mark it ready (prepares data for external submission)
  */
-router.post('/submit-eoi', async (req, res) => {
+router.post('/submit-eoi', canEdit, async (req, res) => {
   try {
-    const {
-      companyName,
-      contactName,
-      contactEmail,
-      contactPhone,
-      companyWebsite,
-      productDescription,
-      intendedUseCase,
-      estimatedTimeline
-    } = req.body;
-
-    // Validate required fields
-    if (!companyName || !contactName || !contactEmail) {
+    const fields = {};
+    Object.keys(eoiService.FIELDS).filter(field => req.body[field] !== undefined).forEach(field => {
+      fields[field] = req.body[field];
+    });
+
+    // Check completeness first so an invalid submission leaves the stored EOI alone
+    const current = await eoiService.getEoi(req.workspace.id);
+    const errors = eoiService.validateFields({ ...(current ? current.data : {}), ...fields }, { complete: true });
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: companyName, contactName, contactEmail'
+        error: `Missing or invalid fields: ${[...new Set(errors.map(e => e.field))].join(', ')}`,
+        errors
       });
     }
 
-    // Store in database for tracking
-    const submissionId = uuidv4();
-
-    await runAsync(`
-      INSERT INTO app_settings (key, value, type, updated_at)
-      VALUES (?, ?, 'json', datetime('now'))
-      ON CONFLICT(key) DO UPDATE SET
-        value = excluded.value,
-        updated_at = datetime('now')
-    `, [
-      'phase1_eoi_submission',
-      JSON.stringify({
-        submissionId,
-        companyName,
-        contactName,
-        contactEmail,
-        contactPhone,
-        companyWebsite,
-        productDescription,
-        intendedUseCase,
-        estimatedTimeline,
-        submittedAt: new Date().toISOString(),
-        status: 'prepared'
-      })
-    ]);
-
-    logger.info(`Phase 1 EOI prepared for ${companyName}`);
+    await eoiService.saveEoi(req.workspace.id, fields, req.user.id);
+    let eoi = await eoiService.getEoi(req.workspace.id);
+    if (eoi.status === 'draft') {
+      eoi = await eoiService.setStatus(req.workspace.id, 'ready', req.user.id);
+    }
+    await auditEoi(req, 'eoi.update', current, eoi);
+
+    logger.info(`Phase 1 EOI prepared for ${eoi.data.companyName} in workspace ${req.workspace.id}`);
 
     res.json({
       success: true,
       message: 'Expression of Interest prepared successfully',
-      submissionId,
+      submissionId: eoi.id,
+      eoi,
       nextSteps: {
         manual: {
           title: 'Submit to C2PA',
@@ -330,11 +243,13 @@ router.post('/submit-eoi', async (req, res) => {
         automated: {
           title: 'Export as PDF',
           description: 'Download your EOI information as a PDF to submit to C2PA',
-          available: true
+          available: true,
+          url: '/api/phase1/eoi/export?format=pdf'
         }
       }
     });
   } catch (error) {
+    if (error instanceof eoiService.EoiError) return sendEoiError(res, error);
     logger.error('Error submitting Phase 1 EOI:', error);
     res.status(500).json({
       success: false,
@@ -344,57 +259,12 @@ router.post('/submit-eoi', async (req, res) => {
 });
 
 /**
- * GET /api/phase1/status
- * Get Phase 1 completion status
+ * GET /api/phase1/{checklist,resources,status}, POST /api/phase1/upload
+ * Phase 1's generic phase routes (see routes/phases.js), kept for existing clients
  */
-router.get('/status', async (req, res) => {
-  try {
-    // Check uploaded documents
-    const documents = await allAsync(`
-      SELECT * FROM documents
-      WHERE category LIKE 'phase1-%'
-      ORDER BY upload_date DESC
-    `);
-
-    // Check EOI submission
-    const eoiSubmission = await getAsync(`
-      SELECT value FROM app_settings
-      WHERE key = 'phase1_eoi_submission'
-    `);
-
-    const status = {
-      documentsUploaded: documents.length,
-      eoiSubmitted: !!eoiSubmission,
-      completionPercentage: 0,
-      nextSteps: []
-    };
-
-    // Calculate completion
-    if (documents.length > 0) status.completionPercentage += 40;
-    if (eoiSubmission) status.completionPercentage += 60;
-
-    // Determine next steps
-    if (documents.length === 0) {
-      status.nextSteps.push('Upload company documentation');
-    }
-    if (!eoiSubmission) {
-      status.nextSteps.push('Submit Expression of Interest');
-    }
-    if (status.completionPercentage === 100) {
-      status.nextSteps.push('Proceed to Phase 2: Understanding Requirements');
-    }
-
-    res.json({
-      success: true,
-      status
-    });
-  } catch (error) {
-    logger.error('Error fetching Phase 1 status:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch status'
-    });
-  }
-});
+router.use((req, res, next) => {
+  req.phase = phaseRegistry.getPhase('phase-1');
+  next();
+}, phaseRoutes);
 
 module.exports = router;
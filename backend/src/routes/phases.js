@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { runAsync } = require('../models/database');
+const logger = require('../utils/logger');
+const phaseRegistry = require('../services/phaseRegistry');
+const phaseService = require('../services/phaseService');
+const extractionService = require('../services/extractionService');
+const evidenceService = require('../services/evidenceService');
+const auditService = require('../services/auditService');
+const requireAuth = require('../middleware/requireAuth');
+const requireWorkspace = require('../middleware/requireWorkspace');
+const requireWorkspaceRole = require('../middleware/requireWorkspaceRole');
+
+// Phase routes are scoped to the caller's active workspace
+router.use(requireAuth, requireWorkspace);
+
+const canEdit = requireWorkspaceRole('owner', 'editor');
+
+// Each phase uploads into its own directory under data/ (see uploads.directory)
+const SUBMISSIONS_ROOT = path.join(__dirname, '../../../data');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(SUBMISSIONS_ROOT, req.phase.uploads.directory);
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase().slice(1);
+
+    if (req.phase.uploads.extensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${req.phase.uploads.extensions.join(', ')} files are allowed`));
+    }
+  }
+});
+
+/**
+ * Routes for the phase in req.phase. Mounted under /api/phases/:phaseId and,
+ * for Phase 1, under /api/phase1.
+ */
+const phaseRoutes = express.Router();
+
+/**
+ * GET /api/phases/:phaseId
+ * Get the phase definition
+ */
+phaseRoutes.get('/', (req, res) => {
+  res.json({
+    success: true,
+    phase: req.phase
+  });
+});
+
+/**
+ * GET /api/phases/:phaseId/checklist
+ * Get the phase checklist, including requirements extracted for the phase
+ */
+phaseRoutes.get('/checklist', async (req, res) => {
+  try {
+    const checklist = await phaseService.getChecklist(req.workspace.id, req.phase);
+
+    res.json({
+      success: true,
+      checklist
+    });
+  } catch (error) {
+    logger.error(`Error fetching ${req.phase.id} checklist:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch checklist'
+    });
+  }
+});
+
+/**
+ * GET /api/phases/:phaseId/resources
+ * Get official C2PA resources and links for the phase
+ */
+phaseRoutes.get('/resources', (req, res) => {
+  res.json({
+    success: true,
+    resources: req.phase.resources
+  });
+});
+
+/**
+ * POST /api/phases/:phaseId/upload
+ * Upload documents for the phase (company info, evidence, review notes, etc.)
+ * With a checklistItemId, the documents are attached to that item as evidence
+ */
+phaseRoutes.post('/upload', canEdit, (req, res, next) => {
+  upload.array('documents', req.phase.uploads.maxFiles)(req, res, next);
+}, async (req, res) => {
+  // Paths of files with a documents row; the rest are removed if the upload fails
+  const recorded = new Set();
+
+  try {
+    const { documentType, checklistItemId } = req.body;
+    const files = req.files;
+    const { categoryPrefix, defaultType } = req.phase.uploads;
+
+    if (!files || files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    if (checklistItemId) {
+      await evidenceService.getChecklistItem(req.workspace.id, checklistItemId);
+    }
+
+    const uploadedDocs = [];
+
+    for (const file of files) {
+      const docId = uuidv4();
+
+      await runAsync(`
+        INSERT INTO documents (
+          id, workspace_id, owner_id, filename, original_name, file_path, file_type,
+          file_size, category, upload_date, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), ?)
+      `, [
+        docId,
+        req.workspace.id,
+        req.user.id,
+        file.filename,
+        file.originalname,
+        file.path,
+        path.extname(file.originalname).substring(1),
+        file.size,
+        documentType || defaultType,
+        `${categoryPrefix}-pending`
+      ]);
+      recorded.add(file.path);
+
+      const extraction = await extractionService.extractDocument(docId);
+
+      if (checklistItemId) {
+        await evidenceService.attachEvidence(req.workspace.id, { checklistItemId, documentId: docId }, req.user.id);
+      }
+
+      uploadedDocs.push({
+        id: docId,
+        filename: file.originalname,
+        size: file.size,
+        type: documentType || defaultType,
+        extractionStatus: extraction.status
+      });
+
+      logger.info(`${req.phase.name} document uploaded: ${file.originalname}`);
+      await auditService.record({
+        ...auditService.fromRequest(req),
+        action: 'document.upload',
+        entityType: 'document',
+        entityId: docId,
+        after: {
+          originalName: file.originalname,
+          category: documentType || defaultType,
+          fileType: path.extname(file.originalname).substring(1),
+          fileSize: file.size,
+          checklistItemId: checklistItemId || null
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Successfully uploaded ${files.length} document(s)`,
+      documents: uploadedDocs
+    });
+  } catch (error) {
+    for (const file of req.files || []) {
+      if (!recorded.has(file.path) && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+
+    if (error instanceof evidenceService.EvidenceError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error(`Error uploading ${req.phase.id} documents:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload documents'
+    });
+  }
+});
+
+/**
+ * GET /api/phases/:phaseId/status
+ * Get the phase's completion status and next steps
+ */
+phaseRoutes.get('/status', async (req, res) => {
+  try {
+    const status = await phaseService.getStatus(req.workspace.id, req.phase);
+
+    res.json({
+      success: true,
+      status
+    });
+  } catch (error) {
+    logger.error(`Error fetching ${req.phase.id} status:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch status'
+    });
+  }
+});
+
+/**
+ * POST /api/phases/:phaseId/transition
+ * Change the phase status (pending, in_progress, completed). Completing a
+ * phase with blockers fails with 409 unless an admin sends override and reason.
+ */
+phaseRoutes.post('/transition', canEdit, async (req, res) => {
+  try {
+    const { status, override, reason } = req.body;
+    const result = await phaseService.transition(
+      req.workspace.id,
+      req.phase,
+      { status, override: override === true, reason },
+      req.user
+    );
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'phase.transition',
+      entityType: 'phase',
+      entityId: req.phase.id,
+      before: { status: result.transition.from },
+      after: { status: result.transition.to, override: result.transition.override, reason: result.transition.reason }
+    });
+
+    res.json({
+      success: true,
+      message: 'Phase updated successfully',
+      ...result
+    });
+  } catch (error) {
+    sendTransitionError(res, error, req.phase);
+  }
+});
+
+/**
+ * GET /api/phases/:phaseId/transitions
+ * Get the recorded status changes of the phase, newest first
+ */
+phaseRoutes.get('/transitions', async (req, res) => {
+  try {
+    const transitions = await phaseService.listTransitions(req.workspace.id, req.phase.id);
+
+    res.json({
+      success: true,
+      count: transitions.length,
+      transitions
+    });
+  } catch (error) {
+    logger.error(`Error fetching ${req.phase.id} transitions:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transitions'
+    });
+  }
+});
+
+/**
+ * Send a phase transition error, with the blockers that caused it
+ */
+function sendTransitionError(res, error, phase) {
+  if (error instanceof phaseService.PhaseTransitionError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      blockers: error.blockers
+    });
+  }
+  logger.error(`Error updating ${phase.id} status:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Failed to update phase'
+  });
+}
+
+/**
+ * GET /api/phases
+ * List the certification phases
+ */
+router.get('/', (req, res) => {
+  const phases = phaseRegistry.listPhases().map(({ id, order, name, icon, subtitle, description, features }) => ({
+    id, order, name, icon, subtitle, description, features
+  }));
+
+  res.json({
+    success: true,
+    count: phases.length,
+    phases
+  });
+});
+
+router.use('/:phaseId', (req, res, next) => {
+  req.phase = phaseRegistry.getPhase(req.params.phaseId);
+  if (!req.phase) {
+    return res.status(404).json({
+      success: false,
+      error: 'Phase not found'
+    });
+  }
+  next();
+}, phaseRoutes);
+
+module.exports = router;
+module.exports.phaseRoutes = phaseRoutes;
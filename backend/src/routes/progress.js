@@ -2,13 +2,26 @@ const express = require('express');
 const router = express.Router();
 const { runAsync, getAsync, allAsync } = require('../models/database');
 const logger = require('../utils/logger');
+const evidenceService = require('../services/evidenceService');
+const reportService = require('../services/reportService');
+const phaseRegistry = require('../services/phaseRegistry');
+const phaseService = require('../services/phaseService');
+const auditService = require('../services/auditService');
+const requireAuth = require('../middleware/requireAuth');
+const requireWorkspace = require('../middleware/requireWorkspace');
+const requireWorkspaceRole = require('../middleware/requireWorkspaceRole');
+
+// All progress routes are scoped to the caller's active workspace
+router.use(requireAuth, requireWorkspace);
+
+const canEdit = requireWorkspaceRole('owner', 'editor');
 
 // GET /api/progress - Get certification progress
 router.get('/', async (req, res, next) => {
   try {
     const progress = await getAsync(
-      'SELECT * FROM progress WHERE user_id = ?',
-      ['sanmarcsoft-llc']
+      'SELECT * FROM progress WHERE workspace_id = ?',
+      [req.workspace.id]
     );
 
     if (!progress) {
@@ -34,73 +47,87 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// PUT /api/progress/phase/:phaseId - Update phase status
-router.put('/phase/:phaseId', express.json(), async (req, res, next) => {
+// GET /api/progress/report - Readiness report as a download (?format=pdf|md|html, default pdf)
+router.get('/report', async (req, res, next) => {
   try {
-    const { phaseId } = req.params;
-    const { status, completedDate } = req.body;
+    const format = String(req.query.format || 'pdf').toLowerCase();
 
-    if (!['pending', 'in_progress', 'completed'].includes(status)) {
+    if (!reportService.FORMATS[format]) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be: pending, in_progress, or completed'
+        error: `Invalid format. Must be: ${Object.keys(reportService.FORMATS).join(', ')}`
       });
     }
 
-    // Get current progress
-    const progress = await getAsync(
-      'SELECT * FROM progress WHERE user_id = ?',
-      ['sanmarcsoft-llc']
-    );
+    const report = await reportService.generateReport(req.workspace.id, format);
 
-    if (!progress) {
+    if (!report) {
       return res.status(404).json({
         success: false,
         error: 'Progress not found'
       });
     }
 
-    // Update phase
-    const phases = JSON.parse(progress.phases);
-    const phaseIndex = phases.findIndex(p => p.id === phaseId);
+    logger.info(`Readiness report (${format}) generated for workspace ${req.workspace.id}`);
+
+    res.attachment(report.filename);
+    res.set('Content-Type', report.contentType);
+    res.send(report.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/progress/phase/:phaseId - Update phase status through the completion rules (see phaseService)
+router.put('/phase/:phaseId', canEdit, express.json(), async (req, res, next) => {
+  try {
+    const phase = phaseRegistry.getPhase(req.params.phaseId);
 
-    if (phaseIndex === -1) {
+    if (!phase) {
       return res.status(404).json({
         success: false,
         error: 'Phase not found'
       });
     }
 
-    phases[phaseIndex].status = status;
-    if (status === 'completed' && completedDate) {
-      phases[phaseIndex].completedDate = completedDate;
-    }
+    const { status, override, reason } = req.body;
+    const result = await phaseService.transition(
+      req.workspace.id,
+      phase,
+      { status, override: override === true, reason },
+      req.user
+    );
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'phase.transition',
+      entityType: 'phase',
+      entityId: phase.id,
+      before: { status: result.transition.from },
+      after: { status: result.transition.to, override: result.transition.override, reason: result.transition.reason }
+    });
 
-    // If marking as in_progress, update current_phase
-    let currentPhase = progress.current_phase;
-    if (status === 'in_progress') {
-      currentPhase = phaseId;
+    res.json({
+      success: true,
+      message: 'Phase updated successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof phaseService.PhaseTransitionError) {
+      return res.status(error.status).json({ success: false, error: error.message, blockers: error.blockers });
     }
+    next(error);
+  }
+});
 
-    // Update database
-    await runAsync(
-      `UPDATE progress
-       SET phases = ?, current_phase = ?, updated_at = ?
-       WHERE user_id = ?`,
-      [
-        JSON.stringify(phases),
-        currentPhase,
-        new Date().toISOString(),
-        'sanmarcsoft-llc'
-      ]
-    );
-
-    logger.info(`Phase ${phaseId} updated to ${status}`);
+// GET /api/progress/transitions - Phase status changes of the workspace, newest first
+router.get('/transitions', async (req, res, next) => {
+  try {
+    const transitions = await phaseService.listTransitions(req.workspace.id, req.query.phaseId || null);
 
     res.json({
       success: true,
-      message: 'Phase updated successfully',
-      phase: phases[phaseIndex]
+      count: transitions.length,
+      transitions
     });
   } catch (error) {
     next(error);
@@ -112,11 +139,11 @@ router.get('/checklist', async (req, res, next) => {
   try {
     const { phaseId } = req.query;
 
-    let query = 'SELECT * FROM checklist_items';
-    let params = [];
+    let query = 'SELECT * FROM checklist_items WHERE workspace_id = ?';
+    let params = [req.workspace.id];
 
     if (phaseId) {
-      query += ' WHERE phase_id = ?';
+      query += ' AND phase_id = ?';
       params.push(phaseId);
     }
 
@@ -135,7 +162,7 @@ router.get('/checklist', async (req, res, next) => {
 });
 
 // PUT /api/progress/checklist/:itemId - Update checklist item
-router.put('/checklist/:itemId', express.json(), async (req, res, next) => {
+router.put('/checklist/:itemId', canEdit, express.json(), async (req, res, next) => {
   try {
     const { itemId } = req.params;
     const { status } = req.body;
@@ -147,18 +174,26 @@ router.put('/checklist/:itemId', express.json(), async (req, res, next) => {
       });
     }
 
+    if (status === 'completed') {
+      await evidenceService.assertCanComplete(req.workspace.id, itemId);
+    }
+
     const completedAt = status === 'completed' ? new Date().toISOString() : null;
+    const before = await getAsync(
+      'SELECT * FROM checklist_items WHERE id = ? AND workspace_id = ?',
+      [itemId, req.workspace.id]
+    );
 
     await runAsync(
       `UPDATE checklist_items
        SET status = ?, completed_at = ?
-       WHERE id = ?`,
-      [status, completedAt, itemId]
+       WHERE id = ? AND workspace_id = ?`,
+      [status, completedAt, itemId, req.workspace.id]
     );
 
     const item = await getAsync(
-      'SELECT * FROM checklist_items WHERE id = ?',
-      [itemId]
+      'SELECT * FROM checklist_items WHERE id = ? AND workspace_id = ?',
+      [itemId, req.workspace.id]
     );
 
     if (!item) {
@@ -169,6 +204,14 @@ router.put('/checklist/:itemId', express.json(), async (req, res, next) => {
     }
 
     logger.info(`Checklist item ${itemId} updated to ${status}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'checklist.update',
+      entityType: 'checklist_item',
+      entityId: itemId,
+      before,
+      after: item
+    });
 
     res.json({
       success: true,
@@ -176,12 +219,15 @@ router.put('/checklist/:itemId', express.json(), async (req, res, next) => {
       item
     });
   } catch (error) {
+    if (error instanceof evidenceService.EvidenceError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     next(error);
   }
 });
 
 // POST /api/progress/checklist - Create checklist item
-router.post('/checklist', express.json(), async (req, res, next) => {
+router.post('/checklist', canEdit, express.json(), async (req, res, next) => {
   try {
     const { phaseId, title, description, orderIndex } = req.body;
 
@@ -192,13 +238,21 @@ router.post('/checklist', express.json(), async (req, res, next) => {
       });
     }
 
+    if (!phaseRegistry.getPhase(phaseId)) {
+      const known = phaseRegistry.listPhases().map(phase => phase.id).join(', ');
+      return res.status(400).json({
+        success: false,
+        error: `Unknown phase: ${phaseId}. Known phases: ${known}`
+      });
+    }
+
     const { v4: uuidv4 } = require('uuid');
     const itemId = uuidv4();
 
     await runAsync(
-      `INSERT INTO checklist_items (id, phase_id, title, description, order_index)
-       VALUES (?, ?, ?, ?, ?)`,
-      [itemId, phaseId, title, description || null, orderIndex || 0]
+      `INSERT INTO checklist_items (id, workspace_id, phase_id, title, description, order_index)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [itemId, req.workspace.id, phaseId, title, description || null, orderIndex || 0]
     );
 
     const item = await getAsync(
@@ -207,6 +261,13 @@ router.post('/checklist', express.json(), async (req, res, next) => {
     );
 
     logger.info(`Checklist item created: ${title}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'checklist.create',
+      entityType: 'checklist_item',
+      entityId: itemId,
+      after: item
+    });
 
     res.status(201).json({
       success: true,
@@ -219,13 +280,34 @@ router.post('/checklist', express.json(), async (req, res, next) => {
 });
 
 // DELETE /api/progress/checklist/:itemId - Delete checklist item
-router.delete('/checklist/:itemId', async (req, res, next) => {
+router.delete('/checklist/:itemId', canEdit, async (req, res, next) => {
   try {
     const { itemId } = req.params;
+    const before = await getAsync(
+      'SELECT * FROM checklist_items WHERE id = ? AND workspace_id = ?',
+      [itemId, req.workspace.id]
+    );
 
-    await runAsync('DELETE FROM checklist_items WHERE id = ?', [itemId]);
+    const result = await runAsync(
+      'DELETE FROM checklist_items WHERE id = ? AND workspace_id = ?',
+      [itemId, req.workspace.id]
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Checklist item not found'
+      });
+    }
 
     logger.info(`Checklist item deleted: ${itemId}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'checklist.delete',
+      entityType: 'checklist_item',
+      entityId: itemId,
+      before
+    });
 
     res.json({
       success: true,
@@ -236,4 +318,140 @@ router.delete('/checklist/:itemId', async (req, res, next) => {
   }
 });
 
+// GET /api/progress/evidence/coverage - Evidence coverage per phase
+router.get('/evidence/coverage', async (req, res, next) => {
+  try {
+    const phases = await evidenceService.getCoverage(req.workspace.id, req.query.phaseId);
+
+    res.json({
+      success: true,
+      phases
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/progress/checklist/:itemId/evidence - Evidence for a checklist item
+router.get('/checklist/:itemId/evidence', async (req, res, next) => {
+  try {
+    const evidence = await evidenceService.listItemEvidence(req.workspace.id, req.params.itemId);
+
+    res.json({
+      success: true,
+      count: evidence.length,
+      evidence
+    });
+  } catch (error) {
+    if (error instanceof evidenceService.EvidenceError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// POST /api/progress/checklist/:itemId/evidence - Attach a document as evidence
+router.post('/checklist/:itemId/evidence', canEdit, express.json(), async (req, res, next) => {
+  try {
+    const { documentId, pageNumber, annotationId, note } = req.body;
+    const evidence = await evidenceService.attachEvidence(
+      req.workspace.id,
+      { checklistItemId: req.params.itemId, documentId, pageNumber, annotationId, note },
+      req.user.id
+    );
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'evidence.attach',
+      entityType: 'evidence',
+      entityId: evidence.id,
+      after: evidence
+    });
+
+    res.status(201).json({
+      success: true,
+      evidence
+    });
+  } catch (error) {
+    if (error instanceof evidenceService.EvidenceError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// GET /api/progress/requirements/:requirementId/evidence - Evidence attached to a requirement
+router.get('/requirements/:requirementId/evidence', async (req, res, next) => {
+  try {
+    const evidence = await evidenceService.listRequirementEvidence(req.workspace.id, req.params.requirementId);
+
+    res.json({
+      success: true,
+      count: evidence.length,
+      evidence
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/progress/requirements/:requirementId/evidence - Attach a document to a requirement
+router.post('/requirements/:requirementId/evidence', canEdit, express.json(), async (req, res, next) => {
+  try {
+    const { documentId, pageNumber, annotationId, note } = req.body;
+    const evidence = await evidenceService.attachEvidence(
+      req.workspace.id,
+      { requirementId: req.params.requirementId, documentId, pageNumber, annotationId, note },
+      req.user.id
+    );
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'evidence.attach',
+      entityType: 'evidence',
+      entityId: evidence.id,
+      after: evidence
+    });
+
+    res.status(201).json({
+      success: true,
+      evidence
+    });
+  } catch (error) {
+    if (error instanceof evidenceService.EvidenceError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    next(error);
+  }
+});
+
+// DELETE /api/progress/evidence/:evidenceId - Detach evidence
+router.delete('/evidence/:evidenceId', canEdit, async (req, res, next) => {
+  try {
+    const before = await evidenceService.getEvidence(req.workspace.id, req.params.evidenceId);
+    const removed = await evidenceService.detachEvidence(req.workspace.id, req.params.evidenceId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evidence not found'
+      });
+    }
+
+    logger.info(`Evidence ${req.params.evidenceId} detached`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'evidence.detach',
+      entityType: 'evidence',
+      entityId: req.params.evidenceId,
+      before
+    });
+
+    res.json({
+      success: true,
+      message: 'Evidence removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
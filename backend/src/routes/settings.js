@@ -4,6 +4,7 @@ const { getAsync, runAsync, allAsync } = require('../models/database');
 const logger = require('../utils/logger');
 const requireAuth = require('../middleware/requireAuth');
 const requireAdmin = require('../middleware/requireAdmin');
+const auditService = require('../services/auditService');
 
 /**
  * Settings Management Routes
@@ -259,6 +260,8 @@ router.put('/:key', requireAuth, requireAdmin, async (req, res) => {
       valueString = JSON.stringify(value);
     }
 
+    const previous = await getAsync('SELECT value FROM app_settings WHERE key = ?', [key]);
+
     await runAsync(`
       INSERT INTO app_settings (key, value, type, updated_at)
       VALUES (?, ?, ?, datetime('now'))
@@ -269,6 +272,14 @@ router.put('/:key', requireAuth, requireAdmin, async (req, res) => {
     `, [key, valueString, type]);
 
     logger.info(`Setting updated: ${key} = ${valueString}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'settings.update',
+      entityType: 'setting',
+      entityId: key,
+      before: previous ? { [key]: previous.value } : null,
+      after: { [key]: valueString }
+    });
 
     res.json({
       success: true,
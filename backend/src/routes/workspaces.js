@@ -0,0 +1,354 @@
+const express = require('express');
+const router = express.Router();
+const Workspace = require('../models/workspace');
+const User = require('../models/user');
+const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
+const requireAuth = require('../middleware/requireAuth');
+const requireWorkspace = require('../middleware/requireWorkspace');
+const requireWorkspaceRole = require('../middleware/requireWorkspaceRole');
+
+/**
+ * Workspace Routes
+ * Manage certification workspaces and their members
+ */
+
+router.use(requireAuth);
+
+const isOwner = requireWorkspaceRole('owner');
+
+/**
+ * Format workspace row for API response
+ * @param {Object} workspace - Workspace row
+ * @returns {Object} Formatted workspace
+ */
+function formatWorkspace(workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    slug: workspace.slug,
+    companyName: workspace.company_name,
+    role: workspace.role,
+    createdAt: workspace.created_at,
+    updatedAt: workspace.updated_at
+  };
+}
+
+/**
+ * Format member row for API response
+ * @param {Object} member - Member row joined with user
+ * @returns {Object} Formatted member
+ */
+function formatMember(member) {
+  return {
+    userId: member.id,
+    email: member.email,
+    name: member.name || '',
+    role: member.role,
+    joinedAt: member.created_at
+  };
+}
+
+/**
+ * GET /api/workspaces
+ * List workspaces the caller belongs to (admins may pass ?all=true)
+ */
+router.get('/', async (req, res) => {
+  try {
+    let workspaces;
+    if (req.query.all === 'true' && req.user.role === 'admin') {
+      workspaces = await Workspace.findAll();
+    } else {
+      // Make sure the caller has at least one workspace to work in
+      await Workspace.getDefaultForUser(req.user);
+      workspaces = await Workspace.findForUser(req.user.id);
+    }
+
+    res.json({
+      success: true,
+      count: workspaces.length,
+      workspaces: workspaces.map(formatWorkspace)
+    });
+  } catch (error) {
+    logger.error('Error listing workspaces:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list workspaces'
+    });
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a workspace; the caller becomes its owner
+ *
+ * @body {string} name - Workspace name (required)
+ * @body {string} companyName - Company seeking certification (optional)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, companyName } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Workspace name is required'
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      companyName: companyName || null,
+      ownerId: req.user.id
+    });
+
+    logger.info(`Workspace created by ${req.user.email}: ${workspace.name} (${workspace.id})`);
+
+    res.status(201).json({
+      success: true,
+      workspace: formatWorkspace({ ...workspace, role: 'owner' })
+    });
+  } catch (error) {
+    logger.error('Error creating workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create workspace'
+    });
+  }
+});
+
+/**
+ * GET /api/workspaces/:workspaceId
+ * Get workspace details and members
+ */
+router.get('/:workspaceId', requireWorkspace, async (req, res) => {
+  try {
+    const workspace = await Workspace.findById(req.workspace.id);
+    const members = await Workspace.getMembers(req.workspace.id);
+
+    res.json({
+      success: true,
+      workspace: formatWorkspace({ ...workspace, role: req.workspace.role }),
+      members: members.map(formatMember)
+    });
+  } catch (error) {
+    logger.error('Error fetching workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workspace'
+    });
+  }
+});
+
+/**
+ * PUT /api/workspaces/:workspaceId
+ * Rename a workspace
+ * OWNER ONLY
+ */
+router.put('/:workspaceId', requireWorkspace, isOwner, async (req, res) => {
+  try {
+    const { name, companyName } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Workspace name cannot be empty'
+      });
+    }
+
+    const workspace = await Workspace.update(req.workspace.id, {
+      name: name !== undefined ? name.trim() : undefined,
+      companyName
+    });
+
+    logger.info(`Workspace ${req.workspace.id} updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      workspace: formatWorkspace({ ...workspace, role: req.workspace.role })
+    });
+  } catch (error) {
+    logger.error('Error updating workspace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update workspace'
+    });
+  }
+});
+
+/**
+ * POST /api/workspaces/:workspaceId/members
+ * Add an existing user to a workspace
+ * OWNER ONLY
+ *
+ * @body {string} email - Email of the user to add (required)
+ * @body {string} role - owner, editor or viewer (default: editor)
+ */
+router.post('/:workspaceId/members', requireWorkspace, isOwner, async (req, res) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    if (!Workspace.isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${Workspace.ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findByEmail(email);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const previousRole = await Workspace.getMemberRole(req.workspace.id, user.id);
+    await Workspace.addMember(req.workspace.id, user.id, role);
+
+    logger.info(`User ${user.email} added to workspace ${req.workspace.id} as ${role} by ${req.user.email}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'member.add',
+      entityType: 'workspace_member',
+      entityId: user.id,
+      before: previousRole ? { role: previousRole } : null,
+      after: { email: user.email, role }
+    });
+
+    const members = await Workspace.getMembers(req.workspace.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      members: members.map(formatMember)
+    });
+  } catch (error) {
+    logger.error('Error adding workspace member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add workspace member'
+    });
+  }
+});
+
+/**
+ * PUT /api/workspaces/:workspaceId/members/:userId
+ * Change a member's role
+ * OWNER ONLY
+ */
+router.put('/:workspaceId/members/:userId', requireWorkspace, isOwner, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!Workspace.isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${Workspace.ROLES.join(', ')}`
+      });
+    }
+
+    const currentRole = await Workspace.getMemberRole(req.workspace.id, userId);
+    if (!currentRole) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    // A workspace always keeps at least one owner
+    if (currentRole === 'owner' && role !== 'owner' && await Workspace.countOwners(req.workspace.id) <= 1) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot demote the last workspace owner'
+      });
+    }
+
+    await Workspace.addMember(req.workspace.id, userId, role);
+
+    logger.info(`Member ${userId} of workspace ${req.workspace.id} changed to ${role} by ${req.user.email}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'member.update',
+      entityType: 'workspace_member',
+      entityId: userId,
+      before: { role: currentRole },
+      after: { role }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating workspace member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update workspace member'
+    });
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId/members/:userId
+ * Remove a member (owners may remove anyone, members may leave)
+ */
+router.delete('/:workspaceId/members/:userId', requireWorkspace, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.workspace.role !== 'owner' && userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Workspace role required: owner'
+      });
+    }
+
+    const currentRole = await Workspace.getMemberRole(req.workspace.id, userId);
+    if (!currentRole) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (currentRole === 'owner' && await Workspace.countOwners(req.workspace.id) <= 1) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot remove the last workspace owner'
+      });
+    }
+
+    await Workspace.removeMember(req.workspace.id, userId);
+
+    logger.info(`Member ${userId} removed from workspace ${req.workspace.id} by ${req.user.email}`);
+    await auditService.record({
+      ...auditService.fromRequest(req),
+      action: 'member.remove',
+      entityType: 'workspace_member',
+      entityId: userId,
+      before: { role: currentRole }
+    });
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Error removing workspace member:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove workspace member'
+    });
+  }
+});
+
+module.exports = router;
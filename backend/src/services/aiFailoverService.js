@@ -0,0 +1,204 @@
+const aiProviderRegistry = require('./aiProviderRegistry');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const logger = require('../utils/logger');
+
+/**
+ * AI Failover Service
+ * Runs a completion down an ordered chain of providers. The selected
+ * ai_provider goes first, followed by the backups listed in
+ * ai_failover_chain (e.g. "openwebui,openai"). Callers fall back to the
+ * rule-based responder when every provider fails.
+ *
+ * Each provider has a circuit breaker: after repeated failures it is skipped
+ * until a cooldown has passed, then a single probe request decides whether it
+ * rejoins the chain. Transient errors (timeouts, resets, 429, 5xx) are retried
+ * with exponential backoff before moving on to the next provider.
+ *
+ * Settings:
+ *   ai_failover_chain (app_setting) or AI_FAILOVER_CHAIN - Comma-separated backups
+ *   AI_RETRY_ATTEMPTS (default 2)        - Retries per provider for transient errors
+ *   AI_RETRY_BASE_DELAY_MS (default 500) - First backoff delay; doubles each retry
+ *   AI_BREAKER_THRESHOLD (default 3)     - Consecutive failures before a breaker opens
+ *   AI_BREAKER_COOLDOWN_MS (default 30000) - How long an open breaker skips its provider
+ */
+
+const RULE_BASED = 'rule-based';
+
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+const breakers = new Map();
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Get (or create) the circuit breaker for a provider
+ * @param {string} name - Provider name
+ * @returns {CircuitBreaker}
+ */
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, {
+      failureThreshold: envNumber('AI_BREAKER_THRESHOLD', 3),
+      cooldownMs: envNumber('AI_BREAKER_COOLDOWN_MS', 30000)
+    }));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Forget all breaker state (used by tests and after config changes)
+ */
+function resetBreakers() {
+  breakers.clear();
+}
+
+/**
+ * Whether an error is worth retrying against the same provider
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const status = error.status || error.response?.status;
+  if (status) {
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+  }
+  if (TRANSIENT_CODES.has(error.code)) return true;
+
+  // OpenAI SDK wraps network failures in its own error classes
+  return error.name === 'APIConnectionTimeoutError' || /timed? ?out/i.test(error.message || '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Provider names to try, in order
+ * @returns {Promise<Array<string>>} Empty when AI is switched off (ai_provider none)
+ */
+async function getChain() {
+  const settings = await aiProviderRegistry.loadSettings();
+  const primary = settings.ai_provider || 'none';
+  if (primary === 'none') return [];
+
+  const backups = (settings.ai_failover_chain ?? process.env.AI_FAILOVER_CHAIN ?? '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name && name !== 'none' && name !== RULE_BASED);
+
+  return [...new Set([primary, ...backups])];
+}
+
+/**
+ * Call one provider, retrying transient errors with exponential backoff.
+ * Nothing is retried once tokens have been streamed to the caller.
+ */
+async function callWithRetry(active, messages, onToken, options) {
+  const retries = envNumber('AI_RETRY_ATTEMPTS', 2);
+  const baseDelay = envNumber('AI_RETRY_BASE_DELAY_MS', 500);
+  let streamed = false;
+  const emit = onToken && (content => {
+    streamed = true;
+    onToken(content);
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (options.tools) {
+        return await aiProviderRegistry.completeWithTools(active, messages, options.tools, emit, options);
+      }
+      return await aiProviderRegistry.complete(active, messages, emit, options);
+    } catch (error) {
+      if (streamed) {
+        error.streamed = true;
+        throw error;
+      }
+      if (attempt >= retries || !isTransientError(error)) throw error;
+
+      const delay = baseDelay * 2 ** attempt;
+      logger.warn(`AI provider ${active.name} failed (${error.message}); retry ${attempt + 1}/${retries} in ${delay} ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Generate a completion with the first healthy provider in the chain
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {Function} [onToken] - Receives content fragments while streaming
+ * @param {Object} [options] - temperature / maxTokens overrides; tools to offer the model
+ * @returns {Promise<Object>} { message, toolCalls, provider, model, failover }
+ *   toolCalls is empty unless options.tools was given; failover lists the
+ *   providers skipped or failed before this one.
+ * @throws {Error} When the chain is empty or every provider failed; the error
+ *   carries the same failover list. Errors after streaming began are rethrown
+ *   as-is (with error.streamed) since switching provider would garble output.
+ */
+async function complete(messages, onToken = null, options = {}) {
+  const chain = await getChain();
+  const failover = [];
+
+  for (const name of chain) {
+    let active;
+    try {
+      active = await aiProviderRegistry.resolveProvider({ provider: name });
+    } catch (error) {
+      failover.push({ provider: name, error: error.message });
+      continue;
+    }
+
+    if (!aiProviderRegistry.isConfigured(active)) {
+      failover.push({ provider: name, error: 'not configured' });
+      continue;
+    }
+
+    const breaker = getBreaker(name);
+    if (!breaker.tryAcquire()) {
+      failover.push({ provider: name, error: 'circuit open' });
+      continue;
+    }
+
+    try {
+      logger.info(`Calling AI provider (${name}) with model: ${active.model}`);
+      const reply = await callWithRetry(active, messages, onToken, options);
+      breaker.onSuccess();
+      const { content, toolCalls } = typeof reply === 'string' ? { content: reply, toolCalls: [] } : reply;
+      return { message: content, toolCalls, provider: name, model: active.model, failover };
+    } catch (error) {
+      breaker.onFailure(error);
+      logger.error(`AI provider ${name} failed: ${error.message}`);
+      if (error.streamed) throw error;
+      failover.push({ provider: name, error: error.message });
+    }
+  }
+
+  const error = new Error(chain.length
+    ? `All AI providers failed (${chain.join(', ')})`
+    : 'No AI provider configured');
+  error.failover = failover;
+  throw error;
+}
+
+/**
+ * Chain and breaker state for admin stats
+ * @returns {Promise<Object>} { chain, breakers }
+ */
+async function getStatus() {
+  const chain = await getChain();
+  return {
+    chain: [...chain, RULE_BASED],
+    breakers: chain.map(name => getBreaker(name).getStatus())
+  };
+}
+
+module.exports = {
+  RULE_BASED,
+  complete,
+  getChain,
+  getStatus,
+  isTransientError,
+  resetBreakers
+};
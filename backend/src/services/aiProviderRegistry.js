@@ -0,0 +1,793 @@
+const OpenAI = require('openai');
+const axios = require('axios');
+const { allAsync } = require('../models/database');
+const { getSecret } = require('../utils/secrets');
+const logger = require('../utils/logger');
+
+/**
+ * AI Provider Registry
+ * Every chat-capable backend (local Ollama, OpenAI, OpenWebUI, Anthropic's
+ * Messages API and a deterministic mock) behind one interface. The active
+ * provider and its model/temperature/max_tokens are read from app_settings on
+ * every call, so switching providers in the admin panel takes effect without
+ * a restart.
+ *
+ * Settings (app_settings):
+ *   ai_provider                     - ollama | openai | openwebui | anthropic | mock | none
+ *   ai_<provider>_model             - Per-provider model (falls back to ai_model)
+ *   ai_<provider>_temperature       - Per-provider temperature (falls back to ai_temperature)
+ *   ai_<provider>_max_tokens        - Per-provider response limit (falls back to ai_max_tokens)
+ *   ai_<provider>_context_window    - Per-provider prompt+answer token limit (falls back to
+ *                                     ai_context_window, then the model's known window)
+ *   ollama_url, openwebui_url       - Endpoints (fall back to OLLAMA_URL / OPENWEBUI_URL)
+ *
+ * Tool calling: completeWithTools offers tools ({ name, description,
+ * parameters: JSON Schema }) to the model. Providers with a native tool API
+ * implement chatWithTools; the rest (Ollama) get a JSON protocol described in
+ * the system prompt. Tool turns use two extra message shapes:
+ *   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ *   { role: 'tool', toolCallId, name, content }
+ */
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 500;
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Known context windows by model name prefix; first match wins
+const MODEL_CONTEXT_WINDOWS = [
+  [/^(gpt-4o|gpt-4\.1|gpt-4-turbo|o\d)/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5/, 16385],
+  [/^claude/, 200000],
+  [/^(llama3\.[123]|gemma3|qwen2\.5|mistral-nemo)/, 131072],
+  [/^(llama2|mistral|phi)/, 4096]
+];
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Read newline-delimited records from a streamed axios response
+ * @param {Object} response - axios response with responseType 'stream'
+ * @param {Function} onLine - Called with each complete line; may throw to abort
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+function readLines(response, onLine) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+
+    response.data.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      try {
+        lines.forEach(onLine);
+      } catch (error) {
+        response.data.destroy();
+        reject(error);
+      }
+    });
+
+    response.data.on('end', () => {
+      try {
+        if (buffer) onLine(buffer);
+        resolve();
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    response.data.on('error', reject);
+  });
+}
+
+/**
+ * Emit an already complete message in small pieces, so streaming clients
+ * render it the same way as a generated one
+ * @param {string} message - Complete message
+ * @param {Function} onToken - Called with each fragment
+ */
+function emitInPieces(message, onToken) {
+  (message.match(/\S+\s*|\s+/g) || []).forEach(piece => onToken(piece));
+}
+
+/**
+ * Chat through an OpenAI-compatible client, streamed when onToken is given
+ * @param {OpenAI} client - OpenAI SDK client
+ * @param {Object} request - { messages, model, temperature, maxTokens }
+ * @param {Function} [onToken] - Receives content fragments
+ * @returns {Promise<string>} The complete message
+ */
+async function openAICompatibleChat(client, request, onToken) {
+  const options = {
+    model: request.model,
+    messages: request.messages,
+    temperature: request.temperature,
+    max_tokens: request.maxTokens
+  };
+
+  if (!onToken) {
+    const completion = await client.chat.completions.create(options);
+    if (!completion || !completion.choices || completion.choices.length === 0) {
+      logger.error('AI provider returned invalid completion response:', completion);
+      throw new Error('AI provider returned no response');
+    }
+    return completion.choices[0].message.content;
+  }
+
+  const stream = await client.chat.completions.create({ ...options, stream: true });
+  let message = '';
+  for await (const chunk of stream) {
+    const content = chunk.choices?.[0]?.delta?.content;
+    if (content) {
+      message += content;
+      onToken(content);
+    }
+  }
+  return message;
+}
+
+/**
+ * Convert chat messages (including tool turns) to the OpenAI chat shape
+ * @param {Array} messages - Internal chat messages
+ * @returns {Array} OpenAI messages
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+    }
+    if (msg.toolCalls && msg.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+}
+
+/**
+ * Parse tool arguments sent as a JSON string, tolerating blanks and garbage
+ * @returns {Object} Arguments
+ */
+function parseToolArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Chat with tools through an OpenAI-compatible client. Content is streamed to
+ * onToken as it arrives; tool call fragments are assembled by index.
+ * @returns {Promise<Object>} { content, toolCalls }
+ */
+async function openAICompatibleToolChat(client, request, onToken) {
+  const options = {
+    model: request.model,
+    messages: toOpenAIMessages(request.messages),
+    temperature: request.temperature,
+    max_tokens: request.maxTokens,
+    tools: request.tools.map(tool => ({
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }))
+  };
+
+  if (!onToken) {
+    const completion = await client.chat.completions.create(options);
+    const message = completion?.choices?.[0]?.message;
+    if (!message) {
+      logger.error('AI provider returned invalid completion response:', completion);
+      throw new Error('AI provider returned no response');
+    }
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseToolArguments(call.function.arguments)
+      }))
+    };
+  }
+
+  const stream = await client.chat.completions.create({ ...options, stream: true });
+  let content = '';
+  const calls = [];
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta || {};
+    if (delta.content) {
+      content += delta.content;
+      onToken(delta.content);
+    }
+    (delta.tool_calls || []).forEach(part => {
+      const call = calls[part.index] || (calls[part.index] = { id: '', name: '', arguments: '' });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.name += part.function.name;
+      if (part.function?.arguments) call.arguments += part.function.arguments;
+    });
+  }
+  return {
+    content,
+    toolCalls: calls.filter(Boolean).map(call => ({ ...call, arguments: parseToolArguments(call.arguments) }))
+  };
+}
+
+/**
+ * Convert chat messages to the Anthropic Messages API shape: system prompts
+ * are lifted out, turns must alternate starting with the user, and tool
+ * calls/results become tool_use/tool_result blocks
+ * @param {Array} messages - Internal chat messages
+ * @returns {Object} { system, messages }
+ */
+function toAnthropicMessages(messages) {
+  const system = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => msg.content)
+    .join('\n\n');
+
+  const turns = [];
+  messages
+    .filter(msg => msg.role !== 'system')
+    .forEach(msg => {
+      let role = msg.role;
+      let blocks;
+      if (msg.role === 'tool') {
+        role = 'user';
+        blocks = [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }];
+      } else {
+        blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+        (msg.toolCalls || []).forEach(call => {
+          blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+        });
+      }
+
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.blocks.push(...blocks);
+      } else if (turns.length > 0 || role === 'user') {
+        turns.push({ role, blocks });
+      }
+    });
+
+  // Plain text turns stay plain strings
+  return {
+    system,
+    messages: turns.map(({ role, blocks }) => ({
+      role,
+      content: blocks.every(block => block.type === 'text')
+        ? blocks.map(block => block.text).join('\n\n')
+        : blocks
+    }))
+  };
+}
+
+/**
+ * System prompt describing tools for models without a native tool API
+ * @param {Array} tools - Tool definitions
+ * @returns {string}
+ */
+function buildToolProtocolPrompt(tools) {
+  const list = tools
+    .map(tool => `- ${tool.name}: ${tool.description}\n  arguments (JSON Schema): ${JSON.stringify(tool.parameters)}`)
+    .join('\n');
+
+  return 'You can call these tools:\n' + list + '\n\n' +
+    'To call a tool, reply with ONLY a JSON object and nothing else, for example:\n' +
+    '{"tool": "get_progress", "arguments": {}}\n' +
+    'Tool results come back in a message starting with "Tool result". ' +
+    'When you do not need a tool, answer normally in plain text.';
+}
+
+/**
+ * Recognise a JSON-protocol tool call in a complete reply
+ * @param {string} text - Model output
+ * @param {Array} tools - Offered tools
+ * @returns {Object|null} { name, arguments } or null when the reply is an answer
+ */
+function parseToolProtocolReply(text, tools) {
+  const body = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  if (!body.startsWith('{')) return null;
+
+  try {
+    const parsed = JSON.parse(body);
+    if (!parsed || !tools.some(tool => tool.name === parsed.tool)) return null;
+    return { name: parsed.tool, arguments: parseToolArguments(parsed.arguments) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tool calling over plain chat for providers without a tool API. Replies that
+ * might be a tool call (starting with "{" or a code fence) are held back from
+ * onToken until complete; anything else streams as usual.
+ * @returns {Promise<Object>} { content, toolCalls }
+ */
+async function toolProtocolChat(provider, request, connection, onToken) {
+  const messages = [];
+  request.messages.forEach(msg => {
+    if (msg.role === 'tool') {
+      messages.push({ role: 'user', content: `Tool result (${msg.name}):\n${msg.content}` });
+    } else if (msg.toolCalls && msg.toolCalls.length > 0) {
+      const call = msg.toolCalls[0];
+      messages.push({ role: 'assistant', content: JSON.stringify({ tool: call.name, arguments: call.arguments }) });
+    } else {
+      messages.push({ role: msg.role, content: msg.content });
+    }
+  });
+  // Tool instructions go after the persona but before the conversation
+  const firstTurn = messages.findIndex(msg => msg.role !== 'system');
+  messages.splice(firstTurn === -1 ? messages.length : firstTurn, 0, {
+    role: 'system',
+    content: buildToolProtocolPrompt(request.tools)
+  });
+
+  let held = '';
+  let passing = false;
+  const sniff = onToken && (content => {
+    if (passing) return onToken(content);
+    held += content;
+    const start = held.trimStart();
+    if (start && !start.startsWith('{') && !start.startsWith('`')) {
+      passing = true;
+      onToken(held);
+    }
+  });
+
+  const reply = await provider.chat({ ...request, messages }, connection, sniff);
+  const call = passing ? null : parseToolProtocolReply(reply, request.tools);
+  if (call) {
+    return { content: '', toolCalls: [{ id: `call_${Date.now().toString(36)}`, ...call }] };
+  }
+
+  if (onToken && !passing && held) onToken(held);
+  return { content: reply, toolCalls: [] };
+}
+
+const PROVIDERS = {
+  ollama: {
+    label: 'Ollama (Local)',
+    defaultModel: () => process.env.OLLAMA_MODEL || 'llama3.2',
+    isConfigured: connection => Boolean(connection.ollamaUrl),
+
+    client(connection) {
+      const headers = {};
+      if (connection.ollamaApiKey) headers.Authorization = `Bearer ${connection.ollamaApiKey}`;
+      return axios.create({
+        baseURL: connection.ollamaUrl,
+        headers,
+        // Local models can take minutes for a long non-streamed answer
+        timeout: parseInt(process.env.OLLAMA_TIMEOUT || '300000')
+      });
+    },
+
+    async chat(request, connection, onToken) {
+      const body = {
+        model: request.model,
+        messages: request.messages.map(msg => ({ role: msg.role, content: msg.content })),
+        options: {
+          temperature: request.temperature,
+          num_predict: request.maxTokens,
+          // Ollama silently truncates prompts to num_ctx (2048 by default)
+          num_ctx: request.contextWindow
+        }
+      };
+
+      if (!onToken) {
+        const response = await this.client(connection).post('/api/chat', { ...body, stream: false });
+        if (!response.data || !response.data.message) {
+          logger.error('Ollama returned invalid response:', response.data);
+          throw new Error('Ollama returned no response');
+        }
+        return response.data.message.content;
+      }
+
+      const response = await this.client(connection).post('/api/chat', { ...body, stream: true }, {
+        responseType: 'stream'
+      });
+
+      let message = '';
+      await readLines(response, (line) => {
+        if (!line.trim()) return;
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(data.error);
+        const content = data.message?.content;
+        if (content) {
+          message += content;
+          onToken(content);
+        }
+      });
+      return message;
+    },
+
+    async listModels(connection) {
+      const response = await this.client(connection).get('/api/tags');
+      return (response.data?.models || []).map(model => model.name);
+    }
+  },
+
+  openai: {
+    label: 'OpenAI API (Cloud)',
+    defaultModel: () => process.env.AI_MODEL || 'gpt-4',
+    isConfigured: connection => Boolean(connection.openaiApiKey),
+
+    client(connection) {
+      return new OpenAI({ apiKey: connection.openaiApiKey });
+    },
+
+    chat(request, connection, onToken) {
+      return openAICompatibleChat(this.client(connection), request, onToken);
+    },
+
+    chatWithTools(request, connection, onToken) {
+      return openAICompatibleToolChat(this.client(connection), request, onToken);
+    },
+
+    async listModels(connection) {
+      const response = await this.client(connection).models.list();
+      return (response.data || []).map(model => model.id);
+    }
+  },
+
+  openwebui: {
+    label: 'OpenWebUI (Local)',
+    defaultModel: () => process.env.AI_MODEL || 'gemma3:4b',
+    isConfigured: connection => Boolean(connection.openwebuiUrl),
+
+    client(connection) {
+      return new OpenAI({
+        baseURL: connection.openwebuiUrl,
+        apiKey: connection.openwebuiApiKey || 'not-needed'
+      });
+    },
+
+    chat(request, connection, onToken) {
+      return openAICompatibleChat(this.client(connection), request, onToken);
+    },
+
+    // OpenWebUI forwards tools to models that support them
+    chatWithTools(request, connection, onToken) {
+      return openAICompatibleToolChat(this.client(connection), request, onToken);
+    },
+
+    async listModels(connection) {
+      const response = await this.client(connection).models.list();
+      return (response.data || []).map(model => model.id);
+    }
+  },
+
+  anthropic: {
+    label: 'Anthropic Messages API',
+    defaultModel: () => process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    isConfigured: connection => Boolean(connection.anthropicApiKey),
+
+    client(connection) {
+      return axios.create({
+        baseURL: connection.anthropicUrl,
+        headers: {
+          'x-api-key': connection.anthropicApiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'content-type': 'application/json'
+        },
+        timeout: 120000
+      });
+    },
+
+    async chat(request, connection, onToken) {
+      const { system, messages } = toAnthropicMessages(request.messages);
+      const body = {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        messages,
+        ...(system && { system })
+      };
+
+      if (!onToken) {
+        const response = await this.client(connection).post('/v1/messages', body);
+        return (response.data?.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+      }
+
+      const response = await this.client(connection).post('/v1/messages', { ...body, stream: true }, {
+        responseType: 'stream'
+      });
+
+      // Server-sent events; only text deltas carry content
+      let message = '';
+      await readLines(response, (line) => {
+        if (!line.startsWith('data: ')) return;
+        const data = JSON.parse(line.slice(6));
+        if (data.type === 'error') throw new Error(data.error?.message || 'Anthropic stream error');
+        if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+          message += data.delta.text;
+          onToken(data.delta.text);
+        }
+      });
+      return message;
+    },
+
+    // Not streamed: text arrives in one piece once any tool_use blocks are known
+    async chatWithTools(request, connection, onToken) {
+      const { system, messages } = toAnthropicMessages(request.messages);
+      const response = await this.client(connection).post('/v1/messages', {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        messages,
+        tools: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters
+        })),
+        ...(system && { system })
+      });
+
+      const blocks = response.data?.content || [];
+      const content = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+      if (onToken && content) emitInPieces(content, onToken);
+      return {
+        content,
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+      };
+    },
+
+    async listModels(connection) {
+      const response = await this.client(connection).get('/v1/models');
+      return (response.data?.data || []).map(model => model.id);
+    }
+  },
+
+  mock: {
+    label: 'Mock (Deterministic, for testing)',
+    defaultModel: () => 'mock-1',
+    contextWindow: 4096,
+    isConfigured: () => true,
+
+    // Echoes the question and the amount of context it was given, so tests
+    // and demos can assert on exactly what reached the provider
+    async chat(request, connection, onToken) {
+      const lastUser = [...request.messages].reverse().find(msg => msg.role === 'user');
+      const systemCount = request.messages.filter(msg => msg.role === 'system').length;
+      const message = `[${request.model}] You asked: "${lastUser ? lastUser.content : ''}". ` +
+        `(${request.messages.length} messages, ${systemCount} system)`;
+
+      if (onToken) emitInPieces(message, onToken);
+      return message;
+    },
+
+    // "/tool <name> <json arguments>" calls a tool; a tool result is echoed back
+    async chatWithTools(request, connection, onToken) {
+      const last = request.messages[request.messages.length - 1];
+      if (last.role === 'tool') {
+        const content = `Tool ${last.name} returned: ${last.content}`;
+        if (onToken) emitInPieces(content, onToken);
+        return { content, toolCalls: [] };
+      }
+
+      const match = /^\/tool\s+(\w+)\s*([\s\S]*)$/.exec((last.content || '').trim());
+      if (match && request.tools.some(tool => tool.name === match[1])) {
+        return {
+          content: '',
+          toolCalls: [{ id: `mock-call-${request.messages.length}`, name: match[1], arguments: parseToolArguments(match[2]) }]
+        };
+      }
+
+      return { content: await this.chat(request, connection, onToken), toolCalls: [] };
+    },
+
+    async listModels() {
+      return ['mock-1'];
+    }
+  }
+};
+
+/**
+ * Pick a provider from environment variables (used to seed ai_provider)
+ * @returns {string} Provider name or 'none'
+ */
+function detectProviderFromEnv() {
+  if (process.env.OPENWEBUI_URL) return 'openwebui';
+  if (process.env.USE_LOCAL_LLM === 'true' && process.env.OLLAMA_URL) return 'ollama';
+
+  const apiKey = getSecret('OPENAI_API_KEY');
+  if (apiKey && apiKey !== 'your-openai-api-key-here') return 'openai';
+
+  return 'none';
+}
+
+/**
+ * Load AI-related app_settings as a key/value map
+ * @returns {Promise<Object>} Settings
+ */
+async function loadSettings() {
+  const rows = await allAsync("SELECT key, value FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\' OR key IN ('ollama_url', 'openwebui_url')");
+  return Object.fromEntries(rows.map(row => [row.key, row.value]));
+}
+
+/**
+ * Context window for a model: a provider-wide value (mock) wins, then the
+ * known-model table, then a conservative default
+ * @param {string} name - Provider name
+ * @param {string} model - Model ID (tags like ":latest" and "org/" prefixes are ignored)
+ * @returns {number} Tokens
+ */
+function contextWindowFor(name, model) {
+  if (PROVIDERS[name]?.contextWindow) return PROVIDERS[name].contextWindow;
+
+  const base = String(model || '').toLowerCase().split('/').pop();
+  const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(base));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Parse a numeric setting, ignoring blanks and garbage
+ * @returns {number|undefined} Number or undefined
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Resolve the provider to use for a call.
+ * Overrides (e.g. from the admin "test connection" form) take precedence
+ * over saved settings, which take precedence over environment defaults.
+ * @param {Object} [overrides] - provider, model, temperature, maxTokens,
+ *   ollamaUrl, openwebuiUrl, openaiApiKey, openwebuiApiKey, anthropicApiKey
+ * @returns {Promise<Object|null>} { name, label, model, temperature, maxTokens, contextWindow, connection }
+ *   or null when AI is disabled ('none')
+ * @throws {Error} If the provider name is unknown
+ */
+async function resolveProvider(overrides = {}) {
+  const settings = await loadSettings();
+  const name = overrides.provider || settings.ai_provider || 'none';
+
+  if (name === 'none') return null;
+
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  const openaiKey = getSecret('OPENAI_API_KEY');
+  const connection = {
+    ollamaUrl: (overrides.ollamaUrl || settings.ollama_url || process.env.OLLAMA_URL || '').replace(/\/+$/, ''),
+    ollamaApiKey: getSecret('OLLAMA_API_KEY'),
+    openwebuiUrl: overrides.openwebuiUrl || settings.openwebui_url || getSecret('OPENWEBUI_URL') || process.env.OPENWEBUI_URL,
+    openwebuiApiKey: overrides.openwebuiApiKey || getSecret('OPENWEBUI_API_KEY'),
+    openaiApiKey: overrides.openaiApiKey || (openaiKey !== 'your-openai-api-key-here' ? openaiKey : null),
+    anthropicApiKey: overrides.anthropicApiKey || getSecret('ANTHROPIC_API_KEY'),
+    anthropicUrl: (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '')
+  };
+
+  const pick = (key, globalKey) => settings[`ai_${name}_${key}`] || settings[globalKey];
+
+  const model = overrides.model || pick('model', 'ai_model') || provider.defaultModel();
+
+  return {
+    name,
+    label: provider.label,
+    model,
+    temperature: toNumber(overrides.temperature) ?? toNumber(pick('temperature', 'ai_temperature')) ?? DEFAULT_TEMPERATURE,
+    maxTokens: toNumber(overrides.maxTokens) ?? toNumber(pick('max_tokens', 'ai_max_tokens')) ?? DEFAULT_MAX_TOKENS,
+    contextWindow: toNumber(pick('context_window', 'ai_context_window')) ?? contextWindowFor(name, model),
+    connection
+  };
+}
+
+/**
+ * Run a chat completion with a resolved provider
+ * @param {Object} active - Result of resolveProvider
+ * @param {Array} messages - [{ role, content }]
+ * @param {Function} [onToken] - Receives content fragments while streaming
+ * @param {Object} [options] - Per-call temperature / maxTokens overrides
+ * @returns {Promise<string>} The complete message
+ * @throws {Error} If the provider is not configured or the call fails
+ */
+async function complete(active, messages, onToken = null, options = {}) {
+  const provider = PROVIDERS[active.name];
+  if (!isConfigured(active)) {
+    throw new Error(`AI provider "${active.name}" is not configured`);
+  }
+
+  return await provider.chat({
+    messages,
+    model: active.model,
+    temperature: options.temperature ?? active.temperature,
+    maxTokens: options.maxTokens ?? active.maxTokens,
+    contextWindow: active.contextWindow
+  }, active.connection, onToken);
+}
+
+/**
+ * Generate a reply that may call tools
+ * @param {Object} active - Result of resolveProvider
+ * @param {Array} messages - Chat messages, including earlier tool turns
+ * @param {Array} tools - [{ name, description, parameters }]
+ * @param {Function} [onToken] - Receives answer text while streaming
+ * @param {Object} [options] - temperature / maxTokens overrides
+ * @returns {Promise<Object>} { content, toolCalls: [{ id, name, arguments }] }
+ */
+async function completeWithTools(active, messages, tools, onToken = null, options = {}) {
+  const provider = PROVIDERS[active.name];
+  if (!isConfigured(active)) {
+    throw new Error(`AI provider "${active.name}" is not configured`);
+  }
+
+  const request = {
+    messages,
+    tools,
+    model: active.model,
+    temperature: options.temperature ?? active.temperature,
+    maxTokens: options.maxTokens ?? active.maxTokens,
+    contextWindow: active.contextWindow
+  };
+
+  if (provider.chatWithTools) {
+    return await provider.chatWithTools(request, active.connection, onToken);
+  }
+  return await toolProtocolChat(provider, request, active.connection, onToken);
+}
+
+/**
+ * Whether a resolved provider has the endpoint/key it needs
+ * @param {Object} active - Result of resolveProvider
+ * @returns {boolean}
+ */
+function isConfigured(active) {
+  return PROVIDERS[active.name].isConfigured(active.connection);
+}
+
+/**
+ * List models offered by a resolved provider
+ * @param {Object} active - Result of resolveProvider
+ * @returns {Promise<Array<string>>} Model IDs
+ */
+async function listModels(active) {
+  return await PROVIDERS[active.name].listModels(active.connection);
+}
+
+/**
+ * Describe all providers for the admin UI
+ * @returns {Array} [{ name, label, defaultModel }]
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([name, provider]) => ({
+    name,
+    label: provider.label,
+    defaultModel: provider.defaultModel()
+  }));
+}
+
+module.exports = {
+  PROVIDERS,
+  detectProviderFromEnv,
+  loadSettings,
+  contextWindowFor,
+  resolveProvider,
+  isConfigured,
+  complete,
+  completeWithTools,
+  listModels,
+  listProviders,
+  emitInPieces,
+  toAnthropicMessages,
+  toOpenAIMessages,
+  parseToolProtocolReply
+};
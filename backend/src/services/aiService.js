@@ -1,46 +1,20 @@
-const OpenAI = require('openai');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { getSecret } = require('../utils/secrets');
-const { enhanceWithDocuments } = require('./ragService');
+const { enhanceWithDocuments, retrieveSources, selectCitedSources } = require('./ragService');
+const aiProviderRegistry = require('./aiProviderRegistry');
+const aiFailoverService = require('./aiFailoverService');
+const chatContextService = require('./chatContextService');
+const assistantToolService = require('./assistantToolService');
 const openwebuiService = require('./openwebuiService');
 
-// Initialize AI client with secure secret management
-// Supports: Ollama (local), OpenAI API, or fallback to rule-based responses
-let aiClient = null;
-let aiProvider = 'none';
+// The AI provider (Ollama, OpenAI, OpenWebUI, Anthropic, mock or none for
+// rule-based responses) is resolved from app_settings on every call; see
+// aiProviderRegistry. Backup providers and circuit breakers live in
+// aiFailoverService.
 
-// Check for Ollama first (local LLM)
-const useLocalLLM = process.env.USE_LOCAL_LLM === 'true';
-const ollamaUrl = process.env.OLLAMA_URL;
-if (useLocalLLM && ollamaUrl) {
-  try {
-    // Use Ollama's native API (not OpenAI-compatible)
-    aiClient = axios.create({
-      baseURL: ollamaUrl,
-      timeout: 30000
-    });
-    aiProvider = 'ollama';
-    logger.info(`AI Service initialized with Ollama at ${ollamaUrl}`);
-  } catch (error) {
-    logger.warn('Failed to initialize Ollama client:', error.message);
-  }
-}
-
-// Fall back to OpenAI API if Ollama is not configured
-if (!aiClient) {
-  const apiKey = getSecret('OPENAI_API_KEY');
-  if (apiKey && apiKey !== 'your-openai-api-key-here') {
-    aiClient = new OpenAI({ apiKey });
-    aiProvider = 'openai';
-    logger.info('AI Service initialized with OpenAI API');
-  } else {
-    logger.info('AI Service running in fallback mode (no AI provider configured)');
-  }
-}
-
-// Alias for backwards compatibility
-const openai = aiClient;
+// Model turns allowed per answer when the assistant calls tools
+const MAX_TOOL_ROUNDS = 4;
 
 /**
  * Create or get OpenWebUI chat session for a user
@@ -238,22 +212,41 @@ Remember: You're here to make the certification journey engaging and successful
 }
 
 /**
- * Generate AI response to user message
+ * Generate AI response to user message.
+ * With onToken the provider is called in streaming mode and onToken receives
+ * each content fragment as it arrives; the resolved value is the same.
+ * @param {string} userMessage - The user's message
+ * @param {Array} [conversationHistory] - Earlier chat_messages rows, oldest first; trimmed to
+ *   the model's context window (see chatContextService)
+ * @param {Object} [context] - user, workspaceId, companyName (the workspace's, for the system
+ *   prompt), currentPhase, openwebuiChatId, plus
+ *   sessionId and sessionSummary to keep a rolling summary of turns that no longer fit,
+ *   and tools ({ user, workspace, sessionId }) to let the model call assistant tools
+ * @param {Function} [onToken] - Receives content fragments while streaming
+ * @returns {Promise<Object>} { message, emotion, animation, suggestions, citations, openwebuiChatId,
+ *   provider, model, failover, toolCalls, actions } - provider is the one that answered
+ *   ('rule-based' for the fallback), failover lists providers that were skipped or failed
+ *   first, and actions are tool calls waiting for the user's confirmation
  */
-async function generateResponse(userMessage, conversationHistory = [], context = {}) {
+async function generateResponse(userMessage, conversationHistory = [], context = {}, onToken = null) {
   // Declare openwebuiChatId outside try block so it's accessible in catch
   let openwebuiChatId = context.openwebuiChatId;
+  let streamed = false;
+  const emitToken = onToken && ((content) => {
+    streamed = true;
+    onToken(content);
+  });
 
   try {
-    if (!openai) {
-      // Fallback response if OpenAI is not configured
-      return await generateFallbackResponse(userMessage, context);
+    const chain = await aiFailoverService.getChain();
+    if (chain.length === 0) {
+      // Fallback response if no AI provider is configured
+      const fallback = await generateFallbackResponse(userMessage, context);
+      if (onToken) aiProviderRegistry.emitInPieces(fallback.message, onToken);
+      return { ...fallback, provider: aiFailoverService.RULE_BASED, model: null, failover: [] };
     }
 
     // Get or create OpenWebUI session for this user
-    if (!openwebuiChatId) {
-      openwebuiChatId = context.openwebuiChatId;
-    }
     if (context.user && !openwebuiChatId) {
       openwebuiChatId = await getOrCreateOpenWebUISession(
         context.user.id,
@@ -263,89 +256,27 @@ async function generateResponse(userMessage, conversationHistory = [], context =
       );
     }
 
-    // Build messages for OpenAI with dynamic system prompt
+    // Build messages with dynamic system prompt, fitted to the context window
     const userName = context.user?.name || context.user?.email || 'User';
-    const companyName = process.env.COMPANY_NAME || 'your company';
-    const messages = [
-      { role: 'system', content: getSystemPrompt(userName, companyName) }
-    ];
-
-    // Add conversation history (limit to last 10 messages)
-    const recentHistory = conversationHistory.slice(-10);
-    for (const msg of recentHistory) {
-      messages.push({
-        role: msg.sender === 'user' ? 'user' : 'assistant',
-        content: msg.message
-      });
-    }
-
-    // Add current context if provided
-    if (context && context.currentPhase) {
-      messages.push({
-        role: 'system',
-        content: `Current certification phase: ${context.currentPhase}`
-      });
-    }
-
-    // Add user message
-    messages.push({
-      role: 'user',
-      content: userMessage
+    const companyName = context.companyName || 'your company';
+    const { citations: retrieved } = await retrieveSources(userMessage, { workspaceId: context.workspaceId });
+    const { messages, citations, usage } = await chatContextService.buildContext({
+      systemPrompt: getSystemPrompt(userName, companyName),
+      extraSystem: context.currentPhase ? [`Current certification phase: ${context.currentPhase}`] : [],
+      history: conversationHistory,
+      summary: context.sessionSummary,
+      sessionId: context.sessionId,
+      citations: retrieved,
+      userMessage
     });
+    logger.info(`Prompt ~${usage.prompt}/${usage.contextWindow} tokens (${usage.history} history messages, ` +
+      `${usage.summarized} summarized, ${citations.length}/${retrieved.length} sources)`);
 
-    // Prepare completion options
-    const completionOptions = {
-      model: process.env.AI_MODEL || 'gpt-4',
-      messages,
-      temperature: 0.7,
-      max_tokens: 500
-    };
-
-    // Note: chat_id parameter might not be supported in OpenWebUI's OpenAI-compatible endpoint
-    // We'll need to use OpenWebUI's native API to store messages with chat sessions
-    if (openwebuiChatId) {
-      logger.info(`OpenWebUI session ${openwebuiChatId} created for user ${context.user?.email}`);
-      logger.info(`Note: OpenAI-compatible endpoint doesn't support chat_id, messages won't auto-store`);
-    }
-
-    logger.info(`Calling AI provider (${aiProvider}) with model: ${completionOptions.model}`);
-
-    let responseMessage;
-    if (aiProvider === 'ollama') {
-      // Use Ollama's native API format
-      const ollamaMessages = messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
-
-      const ollamaResponse = await aiClient.post('/api/chat', {
-        model: completionOptions.model,
-        messages: ollamaMessages,
-        stream: false,
-        options: {
-          temperature: completionOptions.temperature
-        }
-      });
-
-      if (!ollamaResponse.data || !ollamaResponse.data.message) {
-        logger.error('Ollama returned invalid response:', ollamaResponse.data);
-        throw new Error('Ollama returned no response');
-      }
-
-      responseMessage = ollamaResponse.data.message.content;
-      logger.info('Ollama response received successfully');
-    } else {
-      // Use OpenAI-compatible API (OpenAI or OpenWebUI)
-      const completion = await openai.chat.completions.create(completionOptions);
-
-      // Check if completion is valid
-      if (!completion || !completion.choices || completion.choices.length === 0) {
-        logger.error('AI provider returned invalid completion response:', completion);
-        throw new Error('AI provider returned no response');
-      }
-
-      responseMessage = completion.choices[0].message.content;
-    }
+    const result = context.tools
+      ? await completeWithTools(messages, context.tools, emitToken)
+      : await aiFailoverService.complete(messages, emitToken);
+    const responseMessage = result.message;
+    logger.info(`AI provider ${result.provider} responded successfully`);
 
     // Now sync the conversation to OpenWebUI's chat storage
     // OpenWebUI's OpenAI-compatible endpoint generates responses but doesn't auto-store them
@@ -364,65 +295,84 @@ async function generateResponse(userMessage, conversationHistory = [], context =
       emotion: determineEmotion(responseMessage),
       animation: determineAnimation(userMessage, responseMessage),
       suggestions: getSuggestions(context),
-      openwebuiChatId: openwebuiChatId // Return chat_id for persistence
+      citations: selectCitedSources(responseMessage, citations),
+      openwebuiChatId: openwebuiChatId, // Return chat_id for persistence
+      provider: result.provider,
+      model: result.model,
+      failover: result.failover,
+      toolCalls: result.toolCalls || [],
+      actions: result.actions || []
     };
   } catch (error) {
     logger.error('AI generation error:', error);
-    return await generateFallbackResponse(userMessage, context, openwebuiChatId);
+
+    // Part of the answer already reached the client; appending a fallback would garble it
+    if (streamed) {
+      throw error;
+    }
+
+    const fallback = await generateFallbackResponse(userMessage, context, openwebuiChatId);
+    if (onToken) aiProviderRegistry.emitInPieces(fallback.message, onToken);
+    return {
+      ...fallback,
+      provider: aiFailoverService.RULE_BASED,
+      model: null,
+      failover: error.failover || []
+    };
   }
 }
 
 /**
- * Analyze uploaded document
+ * Let the model call assistant tools until it answers in text. Read-only
+ * tools run immediately and their results go back to the model; mutating
+ * tools become pending actions for the user to confirm, which ends the turn.
+ * @param {Array} messages - Prompt from chatContextService.buildContext
+ * @param {Object} toolContext - { user, workspace, sessionId } (see assistantToolService)
+ * @param {Function} [onToken] - Receives content fragments while streaming
+ * @returns {Promise<Object>} aiFailoverService.complete result plus toolCalls (read tools
+ *   that ran: { name, arguments, ok }) and actions (pending confirmations)
  */
-async function analyzeDocument(document) {
-  try {
-    if (!openai) {
-      return generateFallbackDocumentAnalysis(document);
+async function completeWithTools(messages, toolContext, onToken) {
+  const tools = assistantToolService.listTools(toolContext);
+  const conversation = [...messages];
+  const toolCalls = [];
+  const actions = [];
+  let result;
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    result = await aiFailoverService.complete(conversation, onToken, { tools });
+    if (result.toolCalls.length === 0) break;
+
+    conversation.push({ role: 'assistant', content: result.message, toolCalls: result.toolCalls });
+    for (const call of result.toolCalls) {
+      let outcome;
+      if (assistantToolService.TOOLS[call.name]?.mutating) {
+        const action = await assistantToolService.proposeAction(call.name, call.arguments, toolContext);
+        if (action.id) actions.push(action);
+        outcome = action.id
+          ? { pending: true, note: 'Waiting for the user to confirm this change.' }
+          : { error: action.error };
+      } else {
+        const run = await assistantToolService.runTool(call.name, call.arguments, toolContext);
+        toolCalls.push({ name: call.name, arguments: call.arguments, ok: run.ok });
+        outcome = run.ok ? run.result : { error: run.error };
+      }
+      conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(outcome) });
     }
 
-    const prompt = `Analyze this C2PA-related document:
-
-Filename: ${document.original_name}
-Type: ${document.file_type}
-Category: ${document.category}
-
-Provide:
-1. A brief summary (2-3 sentences)
-2. 3-5 key points
-3. Any requirements or action items mentioned
-4. Suggestions for next steps
-
-Format your response as JSON with fields: summary, keyPoints (array), requirements (array), suggestions (array)`;
-
-    const completion = await openai.chat.completions.create({
-      model: process.env.AI_MODEL || 'gpt-4',
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.5,
-      max_tokens: 800
-    });
+    // Changes wait for the user; the model gets their outcome on a later turn
+    if (actions.length > 0) break;
+  }
 
-    const response = completion.choices[0].message.content;
-
-    // Try to parse JSON response
-    try {
-      return JSON.parse(response);
-    } catch {
-      // If not valid JSON, return structured fallback
-      return {
-        summary: response,
-        keyPoints: [],
-        requirements: [],
-        suggestions: ['Review the document carefully', 'Take notes on key requirements']
-      };
-    }
-  } catch (error) {
-    logger.error('Document analysis error:', error);
-    return generateFallbackDocumentAnalysis(document);
+  let message = result.message;
+  if (!message.trim()) {
+    message = actions.length > 0
+      ? `Please confirm: ${actions.map(action => action.summary).join('; ')}.`
+      : 'I looked that up but could not finish my answer. Could you rephrase the question?';
+    if (onToken) aiProviderRegistry.emitInPieces(message, onToken);
   }
+
+  return { ...result, message, toolCalls, actions };
 }
 
 /**
@@ -892,7 +842,9 @@ async function generateFallbackResponse(userMessage, context, openwebuiChatId =
   }
 
   // Enhance response with relevant documents using RAG
-  const enhancedMessage = await enhanceWithDocuments(userMessage, message);
+  const { message: enhancedMessage, citations } = await enhanceWithDocuments(userMessage, message, {
+    workspaceId: context.workspaceId
+  });
 
   // Note: Fallback responses don't sync to OpenWebUI since they're not generated by OpenWebUI
   // This is only used when OpenWebUI is unavailable
@@ -902,34 +854,11 @@ async function generateFallbackResponse(userMessage, context, openwebuiChatId =
     emotion,
     animation,
     suggestions: getSuggestions(context),
+    citations,
     openwebuiChatId: openwebuiChatId // Return chat_id for persistence
   };
 }
 
-/**
- * Fallback document analysis
- */
-function generateFallbackDocumentAnalysis(document) {
-  return {
-    summary: `This document (${document.original_name}) has been uploaded to your certification workspace. It appears to be a ${document.category} document related to C2PA certification.`,
-    keyPoints: [
-      'Document uploaded successfully',
-      'Review the content for certification requirements',
-      'Take notes on key sections'
-    ],
-    requirements: [
-      'Read through the entire document',
-      'Identify any action items',
-      'Note any questions for clarification'
-    ],
-    suggestions: [
-      'Add annotations to important sections',
-      'Discuss any questions with the AI assistant',
-      'Move to the next document when ready'
-    ]
-  };
-}
-
 /**
  * Determine emotion based on response content
  */
@@ -971,7 +900,6 @@ function determineAnimation(userMessage, response) {
 
 module.exports = {
   generateResponse,
-  analyzeDocument,
   getSuggestions,
   getOrCreateOpenWebUISession
 };
@@ -0,0 +1,484 @@
+/**
+ * Assistant Tool Service
+ *
+ * Tools the chat assistant may call to read and update certification state.
+ * Every call runs server-side in the caller's active workspace with the
+ * caller's workspace role, and is logged to assistant_actions.
+ *
+ * Read-only tools run as soon as the model asks for them. Mutating tools are
+ * recorded as pending actions and only run when the user confirms them in
+ * the chat (POST /api/chat/actions/:id/confirm); the role is checked again
+ * at that point.
+ *
+ * Tool context (ctx): { user, workspace: { id, role, companyName }, sessionId }
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const Workspace = require('../models/workspace');
+const { retrieveSources } = require('./ragService');
+const evidenceService = require('./evidenceService');
+const eoiService = require('./eoiService');
+const phaseRegistry = require('./phaseRegistry');
+const logger = require('../utils/logger');
+
+const WRITE_ROLES = ['owner', 'editor'];
+const CHECKLIST_STATUSES = ['pending', 'in_progress', 'completed'];
+
+// Keep tool results small enough to hand back to the model
+const MAX_FILE_CHARS = 6000;
+const MAX_CHECKLIST_ITEMS = 50;
+
+class ToolError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ToolError';
+    this.status = status;
+  }
+}
+
+// The phase must exist, or the item would never be shown or counted
+function requirePhase(phaseId) {
+  const phase = phaseRegistry.getPhase(phaseId);
+  if (!phase) {
+    const known = phaseRegistry.listPhases().map(p => p.id).join(', ');
+    throw new ToolError(`Unknown phase: ${phaseId}. Known phases: ${known}`);
+  }
+  return phase;
+}
+
+const TOOLS = {
+  get_progress: {
+    description: 'Get the certification progress of the active workspace: phase statuses and checklist items.',
+    parameters: {
+      type: 'object',
+      properties: {
+        phaseId: { type: 'string', description: 'Only list checklist items of this phase (e.g. "phase-1")' }
+      }
+    },
+    mutating: false,
+    async execute(args, ctx) {
+      const progress = await getAsync('SELECT * FROM progress WHERE workspace_id = ?', [ctx.workspace.id]);
+      const params = [ctx.workspace.id];
+      let query = 'SELECT id, phase_id, title, status FROM checklist_items WHERE workspace_id = ?';
+      if (args.phaseId) {
+        query += ' AND phase_id = ?';
+        params.push(args.phaseId);
+      }
+      query += ' ORDER BY phase_id, order_index LIMIT ?';
+      params.push(MAX_CHECKLIST_ITEMS);
+
+      const items = await allAsync(query, params);
+      return {
+        currentPhase: progress ? progress.current_phase : null,
+        phases: progress ? JSON.parse(progress.phases).map(({ id, name, status }) => ({ id, name, status })) : [],
+        checklist: items.map(item => ({ id: item.id, phaseId: item.phase_id, title: item.title, status: item.status }))
+      };
+    }
+  },
+
+  mark_checklist_item: {
+    description: 'Set the status of a checklist item. Use get_progress first to find the item id.',
+    parameters: {
+      type: 'object',
+      properties: {
+        itemId: { type: 'string', description: 'Checklist item id' },
+        status: { type: 'string', enum: CHECKLIST_STATUSES }
+      },
+      required: ['itemId', 'status']
+    },
+    mutating: true,
+    async describe(args, ctx) {
+      const item = await getAsync(
+        'SELECT title FROM checklist_items WHERE id = ? AND workspace_id = ?',
+        [args.itemId, ctx.workspace.id]
+      );
+      if (!item) throw new ToolError('Checklist item not found', 404);
+      return `Mark "${item.title}" as ${args.status.replace('_', ' ')}`;
+    },
+    async execute(args, ctx) {
+      if (args.status === 'completed') {
+        await evidenceService.assertCanComplete(ctx.workspace.id, args.itemId);
+      }
+
+      const completedAt = args.status === 'completed' ? new Date().toISOString() : null;
+      const result = await runAsync(
+        `UPDATE checklist_items
+         SET status = ?, completed_at = ?
+         WHERE id = ? AND workspace_id = ?`,
+        [args.status, completedAt, args.itemId, ctx.workspace.id]
+      );
+      if (result.changes === 0) throw new ToolError('Checklist item not found', 404);
+
+      return await getAsync('SELECT * FROM checklist_items WHERE id = ?', [args.itemId]);
+    }
+  },
+
+  create_checklist_item: {
+    description: 'Add an item to the checklist of a certification phase.',
+    parameters: {
+      type: 'object',
+      properties: {
+        phaseId: { type: 'string', description: 'Phase id, e.g. "phase-2"' },
+        title: { type: 'string' },
+        description: { type: 'string' }
+      },
+      required: ['phaseId', 'title']
+    },
+    mutating: true,
+    async describe(args) {
+      const phase = requirePhase(args.phaseId);
+      return `Add "${args.title}" to the ${phase.id} checklist`;
+    },
+    async execute(args, ctx) {
+      requirePhase(args.phaseId);
+      const last = await getAsync(
+        'SELECT MAX(order_index) AS maxIndex FROM checklist_items WHERE workspace_id = ? AND phase_id = ?',
+        [ctx.workspace.id, args.phaseId]
+      );
+      const itemId = uuidv4();
+      await runAsync(
+        `INSERT INTO checklist_items (id, workspace_id, phase_id, title, description, order_index)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [itemId, ctx.workspace.id, args.phaseId, args.title, args.description || null, (last?.maxIndex ?? -1) + 1]
+      );
+
+      return await getAsync('SELECT * FROM checklist_items WHERE id = ?', [itemId]);
+    }
+  },
+
+  search_documents: {
+    description: 'Search the uploaded and official C2PA documents of the active workspace.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for' }
+      },
+      required: ['query']
+    },
+    mutating: false,
+    async execute(args, ctx) {
+      const { citations } = await retrieveSources(args.query, { workspaceId: ctx.workspace.id, searchGithub: false });
+      return {
+        results: citations.map(({ title, documentId, page, excerpt }) => ({ title, documentId, page, excerpt }))
+      };
+    }
+  },
+
+  get_github_file: {
+    description: 'Read a file from an indexed GitHub repository.',
+    parameters: {
+      type: 'object',
+      properties: {
+        repository: { type: 'string', description: 'Repository as "owner/name"' },
+        path: { type: 'string', description: 'File path within the repository' },
+        startLine: { type: 'integer' },
+        endLine: { type: 'integer' }
+      },
+      required: ['repository', 'path']
+    },
+    mutating: false,
+    async execute(args) {
+      const [owner, name] = args.repository.split('/');
+      const file = await getAsync(
+        `SELECT f.content, f.file_path, r.repo_owner, r.repo_name, r.branch
+         FROM github_files f
+         JOIN github_repos r ON f.repo_id = r.id
+         WHERE r.repo_owner = ? AND r.repo_name = ? AND f.file_path = ?
+         ORDER BY f.indexed_at DESC
+         LIMIT 1`,
+        [owner, name, args.path.replace(/^\/+/, '')]
+      );
+      if (!file) throw new ToolError('File not found in indexed repositories', 404);
+
+      const lines = file.content.split('\n');
+      const startLine = Math.max(1, args.startLine || 1);
+      const endLine = Math.min(lines.length, args.endLine || lines.length);
+      let content = lines.slice(startLine - 1, endLine).join('\n');
+      const truncated = content.length > MAX_FILE_CHARS;
+      if (truncated) content = content.substring(0, MAX_FILE_CHARS);
+
+      return {
+        repository: `${file.repo_owner}/${file.repo_name}`,
+        branch: file.branch,
+        path: file.file_path,
+        startLine,
+        endLine,
+        totalLines: lines.length,
+        truncated,
+        content
+      };
+    }
+  },
+
+  draft_eoi: {
+    description: 'Save a draft of the Phase 1 Expression of Interest for the user to review on the Phase 1 page.',
+    parameters: {
+      type: 'object',
+      properties: {
+        companyName: { type: 'string' },
+        contactName: { type: 'string' },
+        contactEmail: { type: 'string' },
+        companyWebsite: { type: 'string' },
+        productDescription: { type: 'string' },
+        intendedUseCase: { type: 'string' },
+        estimatedTimeline: { type: 'string', enum: eoiService.TIMELINES }
+      },
+      required: ['productDescription']
+    },
+    mutating: true,
+    async describe(args, ctx) {
+      return `Save an Expression of Interest draft for ${args.companyName || ctx.workspace.companyName || 'this workspace'}`;
+    },
+    async execute(args, ctx) {
+      // Fill in from the workspace and user only what the stored EOI lacks
+      const current = await eoiService.getEoi(ctx.workspace.id);
+      const data = current ? current.data : {};
+      const defaults = {
+        companyName: ctx.workspace.companyName,
+        contactName: ctx.user.name,
+        contactEmail: ctx.user.email,
+        estimatedTimeline: '3-6 months'
+      };
+
+      const fields = {};
+      Object.entries(defaults).forEach(([field, value]) => {
+        if (!data[field] && value) fields[field] = value;
+      });
+      Object.keys(eoiService.FIELDS).filter(field => args[field]).forEach(field => {
+        fields[field] = args[field];
+      });
+
+      const eoi = await eoiService.saveEoi(ctx.workspace.id, fields, ctx.user.id, { note: 'Drafted by the assistant' });
+      return { status: eoi.status, version: eoi.version, ...eoi.data };
+    }
+  }
+};
+
+function canWrite(role) {
+  return WRITE_ROLES.includes(role);
+}
+
+/**
+ * Tool definitions to offer the model. Viewers are only offered read-only tools.
+ * @param {Object} ctx - Tool context
+ * @returns {Array} [{ name, description, parameters }]
+ */
+function listTools(ctx) {
+  return Object.entries(TOOLS)
+    .filter(([, tool]) => !tool.mutating || canWrite(ctx.workspace.role))
+    .map(([name, tool]) => ({ name, description: tool.description, parameters: tool.parameters }));
+}
+
+/**
+ * Check arguments against a tool's schema (required fields, types, enums)
+ * @param {string} name - Tool name
+ * @param {Object} args - Arguments from the model
+ * @returns {Object} The tool definition
+ * @throws {ToolError} When the tool is unknown or the arguments are invalid
+ */
+function validateArguments(name, args) {
+  const tool = TOOLS[name];
+  if (!tool) throw new ToolError(`Unknown tool: ${name}`);
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new ToolError('Tool arguments must be an object');
+  }
+
+  const { properties = {}, required = [] } = tool.parameters;
+  for (const field of required) {
+    if (args[field] === undefined || args[field] === null || args[field] === '') {
+      throw new ToolError(`Missing required argument: ${field}`);
+    }
+  }
+  for (const [field, value] of Object.entries(args)) {
+    const schema = properties[field];
+    if (!schema || value === undefined || value === null) continue;
+    const type = schema.type === 'integer' ? 'number' : schema.type;
+    if (typeof value !== type || (schema.type === 'integer' && !Number.isInteger(value))) {
+      throw new ToolError(`Argument ${field} must be a ${schema.type}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      throw new ToolError(`Argument ${field} must be one of: ${schema.enum.join(', ')}`);
+    }
+  }
+
+  return tool;
+}
+
+async function logAction(ctx, name, args, fields) {
+  const id = uuidv4();
+  await runAsync(
+    `INSERT INTO assistant_actions (id, workspace_id, user_id, session_id, tool, arguments, summary, status, result, error, resolved_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      ctx.workspace.id,
+      ctx.user.id,
+      ctx.sessionId || null,
+      name,
+      JSON.stringify(args || {}),
+      fields.summary || null,
+      fields.status,
+      fields.result !== undefined ? JSON.stringify(fields.result) : null,
+      fields.error || null,
+      fields.status === 'pending' ? null : new Date().toISOString()
+    ]
+  );
+  return id;
+}
+
+/**
+ * Run a read-only tool and log the call
+ * @param {string} name - Tool name
+ * @param {Object} args - Arguments from the model
+ * @param {Object} ctx - Tool context
+ * @returns {Promise<Object>} { ok, result } or { ok: false, error } - errors are reported
+ *   back to the model rather than thrown
+ */
+async function runTool(name, args, ctx) {
+  try {
+    const tool = validateArguments(name, args);
+    if (tool.mutating) throw new ToolError(`Tool ${name} changes data and needs confirmation`, 403);
+
+    const result = await tool.execute(args, ctx);
+    await logAction(ctx, name, args, { status: 'executed', result });
+    logger.info(`Assistant tool ${name} executed in workspace ${ctx.workspace.id}`);
+    return { ok: true, result };
+  } catch (error) {
+    await logAction(ctx, name, args, { status: 'failed', error: error.message });
+    logger.warn(`Assistant tool ${name} failed: ${error.message}`);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Record a mutating tool call as a pending action awaiting the user's confirmation
+ * @param {string} name - Tool name
+ * @param {Object} args - Arguments from the model
+ * @param {Object} ctx - Tool context
+ * @returns {Promise<Object>} { id, tool, arguments, summary, status } or { ok: false, error }
+ *   when the call is invalid or not allowed
+ */
+async function proposeAction(name, args, ctx) {
+  try {
+    const tool = validateArguments(name, args);
+    if (!canWrite(ctx.workspace.role)) {
+      throw new ToolError(`Workspace role required: ${WRITE_ROLES.join(' or ')}`, 403);
+    }
+
+    const summary = await tool.describe(args, ctx);
+    const id = await logAction(ctx, name, args, { status: 'pending', summary });
+    return { id, tool: name, arguments: args, summary, status: 'pending' };
+  } catch (error) {
+    await logAction(ctx, name, args, { status: 'failed', error: error.message });
+    return { ok: false, error: error.message };
+  }
+}
+
+function formatAction(row) {
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    tool: row.tool,
+    arguments: JSON.parse(row.arguments || '{}'),
+    summary: row.summary,
+    status: row.status,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+/**
+ * Load a pending action that belongs to the user
+ * @throws {ToolError} 404 when missing or someone else's, 409 when already resolved
+ */
+async function getPendingAction(actionId, user) {
+  const row = await getAsync('SELECT * FROM assistant_actions WHERE id = ?', [actionId]);
+  if (!row || row.user_id !== user.id) throw new ToolError('Action not found', 404);
+  if (row.status !== 'pending') throw new ToolError(`Action already ${row.status}`, 409);
+  return row;
+}
+
+/**
+ * Run a pending action the user has confirmed. The user's role in the
+ * action's workspace is checked again since it may have changed.
+ * @param {string} actionId - assistant_actions.id
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} The resolved action (status executed or failed)
+ * @throws {ToolError} When the action is missing, resolved, or no longer allowed
+ */
+async function confirmAction(actionId, user) {
+  const row = await getPendingAction(actionId, user);
+
+  let role = await Workspace.getMemberRole(row.workspace_id, user.id);
+  if (!role && user.role === 'admin') role = 'owner';
+  if (!canWrite(role)) throw new ToolError(`Workspace role required: ${WRITE_ROLES.join(' or ')}`, 403);
+
+  const workspace = await Workspace.findById(row.workspace_id);
+  const ctx = {
+    user,
+    workspace: { id: row.workspace_id, role, companyName: workspace?.company_name },
+    sessionId: row.session_id
+  };
+  const args = JSON.parse(row.arguments || '{}');
+
+  // Claim the action before running it, so a double click or retried request
+  // cannot run the same change twice
+  const claim = await runAsync(
+    `UPDATE assistant_actions SET status = 'running' WHERE id = ? AND status = 'pending'`,
+    [actionId]
+  );
+  if (claim.changes !== 1) {
+    const current = await getAsync('SELECT status FROM assistant_actions WHERE id = ?', [actionId]);
+    throw new ToolError(`Action already ${current ? current.status : 'resolved'}`, 409);
+  }
+
+  let status = 'executed';
+  let result = null;
+  let errorMessage = null;
+  try {
+    result = await TOOLS[row.tool].execute(args, ctx);
+    logger.info(`Assistant action ${row.tool} (${actionId}) confirmed by ${user.email}`);
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+    logger.warn(`Assistant action ${row.tool} (${actionId}) failed: ${error.message}`);
+  }
+
+  await runAsync(
+    `UPDATE assistant_actions SET status = ?, result = ?, error = ?, resolved_at = ?
+     WHERE id = ? AND status = 'running'`,
+    [status, result !== null ? JSON.stringify(result) : null, errorMessage, new Date().toISOString(), actionId]
+  );
+  return formatAction(await getAsync('SELECT * FROM assistant_actions WHERE id = ?', [actionId]));
+}
+
+/**
+ * Decline a pending action
+ * @param {string} actionId - assistant_actions.id
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} The action with status rejected
+ */
+async function rejectAction(actionId, user) {
+  await getPendingAction(actionId, user);
+  const rejected = await runAsync(
+    `UPDATE assistant_actions SET status = 'rejected', resolved_at = ? WHERE id = ? AND status = 'pending'`,
+    [new Date().toISOString(), actionId]
+  );
+  if (rejected.changes !== 1) throw new ToolError('Action already resolved', 409);
+  logger.info(`Assistant action ${actionId} rejected by ${user.email}`);
+  return formatAction(await getAsync('SELECT * FROM assistant_actions WHERE id = ?', [actionId]));
+}
+
+module.exports = {
+  TOOLS,
+  ToolError,
+  listTools,
+  validateArguments,
+  runTool,
+  proposeAction,
+  confirmAction,
+  rejectAction
+};
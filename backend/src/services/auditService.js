@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Service
+ * Records who changed what and when in audit_events: phase status,
+ * checklist items, evidence, documents, the EOI, users and admin settings.
+ *
+ * The table is append-only (triggers reject UPDATE and DELETE) and
+ * hash-chained: each event's hash covers its own fields and the hash of the
+ * event before it, so editing or removing a row directly in the database
+ * breaks the chain from that row on. verifyChain() walks it.
+ *
+ * Values of fields that look like secrets (keys, tokens, passwords) are
+ * replaced before they are stored.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+const REDACTED = '[redacted]';
+const SECRET_FIELD = /(password|secret|token|api_?key)/i;
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const EXPORT_LIMIT = 50000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Columns in export order
+const CSV_COLUMNS = [
+  'seq', 'id', 'createdAt', 'actorId', 'actorEmail', 'workspaceId', 'action',
+  'entityType', 'entityId', 'changes', 'before', 'after', 'ip', 'userAgent', 'method', 'path', 'hash'
+];
+
+// Events are chained one at a time; concurrent records wait their turn
+let queue = Promise.resolve();
+
+class AuditError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuditError';
+    this.status = status;
+  }
+}
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+
+  const result = {};
+  for (const [key, entry] of Object.entries(value)) {
+    result[key] = SECRET_FIELD.test(key) && entry !== null && entry !== undefined && entry !== ''
+      ? REDACTED
+      : redact(entry);
+  }
+  return result;
+}
+
+/**
+ * Fields that differ between two snapshots
+ * @param {Object|null} before - State before the change
+ * @param {Object|null} after - State after the change
+ * @returns {Object} { field: { from, to } }
+ */
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Two snapshots cut down to the fields that differ, for records of large
+ * objects such as the settings table
+ * @returns {Object} { before, after }
+ */
+function changedFields(before, after) {
+  const changes = diff(before, after);
+  const pick = (snapshot) => Object.fromEntries(
+    Object.keys(changes).filter(key => snapshot && key in snapshot).map(key => [key, snapshot[key]])
+  );
+  return { before: pick(before), after: pick(after) };
+}
+
+// The fields covered by an event's hash, in a fixed order
+function hashEvent(row, prevHash) {
+  const payload = JSON.stringify([
+    row.id, row.created_at, row.actor_id, row.actor_email, row.workspace_id, row.action,
+    row.entity_type, row.entity_id, row.before, row.after, row.changes,
+    row.ip, row.user_agent, row.method, row.path, prevHash
+  ]);
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Actor, workspace and request metadata of an Express request
+ * @param {Object} req - Express request (after requireAuth)
+ * @returns {Object} { actor, workspaceId, request }
+ */
+function fromRequest(req) {
+  return {
+    actor: req.user || null,
+    workspaceId: req.workspace ? req.workspace.id : null,
+    request: {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null,
+      method: req.method,
+      path: req.originalUrl
+    }
+  };
+}
+
+async function append(event) {
+  const before = event.before ? redact(event.before) : null;
+  const after = event.after ? redact(event.after) : null;
+  const request = event.request || {};
+
+  const row = {
+    id: uuidv4(),
+    created_at: new Date().toISOString(),
+    actor_id: event.actor ? event.actor.id : null,
+    actor_email: event.actor ? event.actor.email : null,
+    workspace_id: event.workspaceId || null,
+    action: event.action,
+    entity_type: event.entityType,
+    entity_id: event.entityId ? String(event.entityId) : null,
+    before: before ? JSON.stringify(before) : null,
+    after: after ? JSON.stringify(after) : null,
+    changes: JSON.stringify(diff(before, after)),
+    ip: request.ip || null,
+    user_agent: request.userAgent || null,
+    method: request.method || null,
+    path: request.path || null
+  };
+
+  const last = await getAsync('SELECT hash FROM audit_events ORDER BY seq DESC LIMIT 1');
+  row.prev_hash = last ? last.hash : GENESIS_HASH;
+  row.hash = hashEvent(row, row.prev_hash);
+
+  const columns = Object.keys(row);
+  const result = await runAsync(
+    `INSERT INTO audit_events (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  );
+  return { seq: result.lastID, ...row };
+}
+
+/**
+ * Append an event to the audit trail. Failures are logged, not thrown: the
+ * change being audited has already happened.
+ * @param {Object} event - { action, entityType, entityId, workspaceId, before,
+ *   after, actor: { id, email }, request: { ip, userAgent, method, path } }
+ *   (see fromRequest for the last three)
+ * @returns {Promise<Object|null>} The stored event, or null if it could not be stored
+ */
+function record(event) {
+  const result = queue.then(() => append(event)).then(formatEvent).catch(error => {
+    logger.error(`Failed to record audit event ${event.action}:`, error);
+    return null;
+  });
+  queue = result;
+  return result;
+}
+
+function formatEvent(row) {
+  return {
+    seq: row.seq,
+    id: row.id,
+    createdAt: row.created_at,
+    actorId: row.actor_id,
+    actorEmail: row.actor_email,
+    workspaceId: row.workspace_id,
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null,
+    changes: row.changes ? JSON.parse(row.changes) : {},
+    ip: row.ip,
+    userAgent: row.user_agent,
+    method: row.method,
+    path: row.path,
+    prevHash: row.prev_hash,
+    hash: row.hash
+  };
+}
+
+function buildFilter(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.actor) {
+    conditions.push('(actor_id = ? OR actor_email = ?)');
+    params.push(filters.actor, String(filters.actor).toLowerCase());
+  }
+  if (filters.action) {
+    // "checklist" matches every checklist.* action
+    conditions.push('(action = ? OR action LIKE ?)');
+    params.push(filters.action, `${filters.action}.%`);
+  }
+  for (const [key, column] of [['entityType', 'entity_type'], ['entityId', 'entity_id'], ['workspaceId', 'workspace_id']]) {
+    if (filters[key]) {
+      conditions.push(`${column} = ?`);
+      params.push(filters[key]);
+    }
+  }
+  for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+    if (filters[key]) {
+      const date = new Date(filters[key]);
+      if (Number.isNaN(date.getTime())) throw new AuditError(`${key} must be a date`);
+      // A bare date as upper bound includes that whole day
+      if (key === 'to' && DATE_ONLY.test(filters[key])) date.setUTCHours(23, 59, 59, 999);
+      conditions.push(`created_at ${operator} ?`);
+      params.push(date.toISOString());
+    }
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Audit events matching the filters, newest first
+ * @param {Object} [filters] - { actor (id or email), action (or action prefix),
+ *   entityType, entityId, workspaceId, from, to, limit, offset }
+ * @returns {Promise<Object>} { total, events }
+ * @throws {AuditError} When a date or the limit is invalid
+ */
+async function listEvents(filters = {}) {
+  const { where, params } = buildFilter(filters);
+
+  const limit = filters.limit === undefined ? DEFAULT_LIMIT : Number(filters.limit);
+  const offset = filters.offset === undefined ? 0 : Number(filters.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new AuditError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) throw new AuditError('offset must be 0 or more');
+
+  const { total } = await getAsync(`SELECT COUNT(*) AS total FROM audit_events ${where}`, params);
+  const rows = await allAsync(
+    `SELECT * FROM audit_events ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return { total, events: rows.map(formatEvent) };
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Audit fields are user-controlled; keep them from running as formulas in Excel or Sheets
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Matching events as a download, oldest first
+ * @param {Object} filters - As for listEvents (limit and offset are ignored)
+ * @param {string} format - csv or json
+ * @returns {Promise<Object>} { filename, contentType, body }
+ * @throws {AuditError} When the format or a filter is invalid
+ */
+async function exportEvents(filters, format) {
+  if (!['csv', 'json'].includes(format)) throw new AuditError('Invalid format. Must be: csv, json');
+
+  const { where, params } = buildFilter(filters);
+  const rows = await allAsync(`SELECT * FROM audit_events ${where} ORDER BY seq ASC LIMIT ?`, [...params, EXPORT_LIMIT]);
+  const events = rows.map(formatEvent);
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  if (format === 'json') {
+    return {
+      filename,
+      contentType: 'application/json; charset=utf-8',
+      body: JSON.stringify({ exportedAt: new Date().toISOString(), filters, count: events.length, events }, null, 2)
+    };
+  }
+
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const event of events) {
+    lines.push(CSV_COLUMNS.map(column => csvValue(event[column])).join(','));
+  }
+  return { filename, contentType: 'text/csv; charset=utf-8', body: `${lines.join('\n')}\n` };
+}
+
+/**
+ * Recompute the hash chain
+ * @returns {Promise<Object>} { valid, checked, brokenAt: seq of the first bad event or null, reason }
+ */
+async function verifyChain() {
+  const rows = await allAsync('SELECT * FROM audit_events ORDER BY seq ASC');
+  let prevHash = GENESIS_HASH;
+
+  for (const row of rows) {
+    if (row.prev_hash !== prevHash) {
+      return { valid: false, checked: rows.length, brokenAt: row.seq, reason: 'Previous hash does not match' };
+    }
+    if (hashEvent(row, prevHash) !== row.hash) {
+      return { valid: false, checked: rows.length, brokenAt: row.seq, reason: 'Event contents do not match its hash' };
+    }
+    prevHash = row.hash;
+  }
+
+  return { valid: true, checked: rows.length, brokenAt: null, reason: null };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  AuditError,
+  fromRequest,
+  diff,
+  changedFields,
+  record,
+  listEvents,
+  exportEvents,
+  verifyChain
+};
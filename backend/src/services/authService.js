@@ -5,6 +5,8 @@ const path = require('path');
 
 const SALT_ROUNDS = 10;
 const DEFAULT_EXPIRATION = '7d'; // 7 days
+const DOWNLOAD_EXPIRATION = '5m'; // Signed document download URLs
+const DOWNLOAD_PURPOSE = 'download';
 
 /**
  * Load JWT secret from secrets.json or environment
@@ -111,6 +113,48 @@ class AuthService {
     }
   }
 
+  /**
+   * Generate a short-lived token that grants one user the download of one
+   * document, for use in a URL. It cannot be used to authenticate API calls.
+   * @param {Object} grant - What the token allows
+   * @param {string} grant.documentId - Document ID
+   * @param {string} grant.userId - User the URL was issued to
+   * @param {string|null} grant.workspaceId - Workspace the document belongs to (null for shared documents)
+   * @param {Object} [options] - Token options
+   * @param {string} [options.expiresIn] - Token expiration (default: 5m)
+   * @returns {Object} { token, expiresAt } - Signed download token and its ISO expiry
+   */
+  static generateDownloadToken(grant, options = {}) {
+    const payload = {
+      purpose: DOWNLOAD_PURPOSE,
+      documentId: grant.documentId,
+      userId: grant.userId,
+      workspaceId: grant.workspaceId || null
+    };
+
+    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: options.expiresIn || DOWNLOAD_EXPIRATION });
+    const { exp } = jwt.decode(token);
+
+    return { token, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+
+  /**
+   * Verify a download token for a document
+   * @param {string} token - Token from the download URL
+   * @param {string} documentId - Document being downloaded
+   * @returns {Object} Decoded grant { documentId, userId, workspaceId }
+   * @throws {Error} If the token is invalid, expired or for another document
+   */
+  static verifyDownloadToken(token, documentId) {
+    const decoded = AuthService.verifyToken(token);
+
+    if (decoded.purpose !== DOWNLOAD_PURPOSE || decoded.documentId !== documentId) {
+      throw new Error('Invalid token');
+    }
+
+    return decoded;
+  }
+
   /**
    * Get the JWT secret (for testing purposes only)
    * @private
@@ -0,0 +1,526 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const JSZip = require('jszip');
+const { db, DB_PATH, runAsync, allAsync, getAsync } = require('../models/database');
+const { GENESIS_HASH } = require('./auditService');
+const { DATA_ROOT, fileDirectories } = require('./workspaceArchiveService');
+const logger = require('../utils/logger');
+
+/**
+ * Backup Service
+ * Copies the live database with SQLite's online backup API, so backups are
+ * consistent while the app keeps serving requests. Every backup is checked
+ * with PRAGMA integrity_check before it is kept; a backup that fails the
+ * check is discarded.
+ *
+ * Backups are files in the backup directory, each with a JSON sidecar
+ * holding its metadata. They are kept outside the database on purpose: a
+ * restore replaces the database, and must not replace the list of backups.
+ *
+ * The audit trail is never rolled back: events recorded after a backup was
+ * taken are carried into the restored database. A restore that cannot carry
+ * them (the backup's trail does not chain into them) is refused.
+ *
+ * Regular backups (scheduled and manual) are rotated: the newest backup of
+ * each of the last BACKUP_KEEP_HOURLY hours, BACKUP_KEEP_DAILY days and
+ * BACKUP_KEEP_WEEKLY weeks is kept. Snapshots taken before a restore are
+ * rotated separately, keeping the newest BACKUP_KEEP_SNAPSHOTS.
+ *
+ * Configuration (environment):
+ *   BACKUP_DIR - Where backups are written (default: backups/ next to the database)
+ *   BACKUP_INTERVAL_MINUTES - Scheduled backup interval, 0 to disable (default: 60)
+ *   BACKUP_KEEP_HOURLY / _DAILY / _WEEKLY / _SNAPSHOTS - Retention (24 / 7 / 4 / 5)
+ */
+
+const KINDS = ['scheduled', 'manual'];
+const ID_PATTERN = /^app-\d{8}T\d{6}\d{3}Z-[a-z-]+$/;
+const STEP_RETRIES = 50;
+const STEP_RETRY_MS = 100;
+
+const DEFAULTS = {
+  intervalMinutes: 60,
+  keepHourly: 24,
+  keepDaily: 7,
+  keepWeekly: 4,
+  keepSnapshots: 5
+};
+
+// One backup or restore at a time
+let queue = Promise.resolve();
+let timer = null;
+
+class BackupError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BackupError';
+    this.status = status;
+  }
+}
+
+function backupDir() {
+  return process.env.BACKUP_DIR || path.join(path.dirname(DB_PATH), 'backups');
+}
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Schedule and retention in effect
+ * @returns {Object} { directory, intervalMinutes, keepHourly, keepDaily, keepWeekly, keepSnapshots }
+ */
+function getConfig() {
+  return {
+    directory: backupDir(),
+    intervalMinutes: envInt('BACKUP_INTERVAL_MINUTES', DEFAULTS.intervalMinutes),
+    keepHourly: envInt('BACKUP_KEEP_HOURLY', DEFAULTS.keepHourly),
+    keepDaily: envInt('BACKUP_KEEP_DAILY', DEFAULTS.keepDaily),
+    keepWeekly: envInt('BACKUP_KEEP_WEEKLY', DEFAULTS.keepWeekly),
+    keepSnapshots: envInt('BACKUP_KEEP_SNAPSHOTS', DEFAULTS.keepSnapshots)
+  };
+}
+
+function serialize(task) {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+function filesFor(id) {
+  const directory = backupDir();
+  return { file: path.join(directory, `${id}.db`), meta: path.join(directory, `${id}.json`) };
+}
+
+function sha256(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Run an online backup to completion, retrying while the database is busy
+function runBackup(backup) {
+  return new Promise((resolve, reject) => {
+    let attempts = 0;
+    const step = () => {
+      backup.step(-1, (error) => {
+        if (backup.completed) return resolve();
+        if (backup.failed || attempts++ >= STEP_RETRIES) {
+          return reject(error || new Error('Backup did not complete'));
+        }
+        setTimeout(step, STEP_RETRY_MS);
+      });
+    };
+    step();
+  });
+}
+
+/**
+ * Check a database file with PRAGMA integrity_check
+ * @param {string} file - Database file
+ * @returns {Promise<Object>} { ok, result, schemaVersion }
+ */
+function checkIntegrity(file) {
+  return new Promise((resolve, reject) => {
+    // Not read-only: checking the FTS5 index (rag_chunks_fts) needs a writable
+    // connection, although the check itself changes nothing
+    const database = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, (openError) => {
+      if (openError) return reject(openError);
+
+      database.all('PRAGMA integrity_check', (checkError, rows) => {
+        if (checkError) {
+          return database.close(() => resolve({ ok: false, result: checkError.message, schemaVersion: null }));
+        }
+        const result = rows.map(row => row.integrity_check).join('; ');
+
+        database.get('SELECT MAX(version) AS version FROM schema_migrations', (versionError, row) => {
+          database.close(() => resolve({
+            ok: result === 'ok',
+            result,
+            schemaVersion: versionError || !row ? null : row.version
+          }));
+        });
+      });
+    });
+  });
+}
+
+function readMeta(id) {
+  const { file, meta } = filesFor(id);
+  if (!ID_PATTERN.test(id) || !fs.existsSync(meta) || !fs.existsSync(file)) {
+    throw new BackupError('Backup not found', 404);
+  }
+  return JSON.parse(fs.readFileSync(meta, 'utf8'));
+}
+
+function writeMeta(backup) {
+  fs.writeFileSync(filesFor(backup.id).meta, JSON.stringify(backup, null, 2));
+}
+
+/**
+ * Backups, newest first
+ * @returns {Array<Object>} [{ id, kind, createdAt, size, sha256, integrity, schemaVersion, verifiedAt }]
+ */
+function listBackups() {
+  const directory = backupDir();
+  if (!fs.existsSync(directory)) return [];
+
+  return fs.readdirSync(directory)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.replace(/\.json$/, ''))
+    .filter(id => ID_PATTERN.test(id) && fs.existsSync(filesFor(id).file))
+    .map(readMeta)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * A backup's metadata
+ * @param {string} id - Backup ID
+ * @returns {Object} Backup metadata
+ * @throws {BackupError} When there is no such backup
+ */
+function getBackup(id) {
+  return readMeta(id);
+}
+
+// Which regular backups the hourly/daily/weekly tiers keep
+function retained(backups, config) {
+  const keep = new Set();
+  const tiers = [
+    [config.keepHourly, date => date.toISOString().slice(0, 13)],
+    [config.keepDaily, date => date.toISOString().slice(0, 10)],
+    [config.keepWeekly, date => {
+      // Weeks start on Monday (UTC)
+      const monday = new Date(date);
+      monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+      return monday.toISOString().slice(0, 10);
+    }]
+  ];
+
+  for (const [count, bucketOf] of tiers) {
+    const seen = new Set();
+    for (const backup of backups) {
+      const bucket = bucketOf(new Date(backup.createdAt));
+      if (seen.has(bucket)) continue;
+      if (seen.size >= count) break;
+      seen.add(bucket);
+      keep.add(backup.id);
+    }
+  }
+  return keep;
+}
+
+/**
+ * Delete backups that fall outside the retention policy
+ * @returns {Array<string>} IDs of the deleted backups
+ */
+function applyRetention() {
+  const config = getConfig();
+  const backups = listBackups();
+  const regular = backups.filter(backup => backup.kind !== 'pre-restore');
+  const snapshots = backups.filter(backup => backup.kind === 'pre-restore');
+
+  const keep = retained(regular, config);
+  snapshots.slice(0, config.keepSnapshots).forEach(backup => keep.add(backup.id));
+
+  const removed = backups.filter(backup => !keep.has(backup.id)).map(backup => backup.id);
+  for (const id of removed) {
+    const { file, meta } = filesFor(id);
+    fs.rmSync(file, { force: true });
+    fs.rmSync(meta, { force: true });
+  }
+  if (removed.length > 0) {
+    logger.info(`Backup retention removed ${removed.length} backup(s)`);
+  }
+  return removed;
+}
+
+async function snapshot(kind) {
+  const directory = backupDir();
+  fs.mkdirSync(directory, { recursive: true });
+
+  const createdAt = new Date();
+  const id = `app-${createdAt.toISOString().replace(/[-:.]/g, '')}-${kind}`;
+  const { file } = filesFor(id);
+  const partial = `${file}.partial`;
+
+  try {
+    await runBackup(db.backup(partial));
+    const integrity = await checkIntegrity(partial);
+    if (!integrity.ok) {
+      throw new BackupError(`Backup failed integrity check: ${integrity.result}`, 500);
+    }
+
+    fs.renameSync(partial, file);
+    const backup = {
+      id,
+      kind,
+      createdAt: createdAt.toISOString(),
+      size: fs.statSync(file).size,
+      sha256: await sha256(file),
+      integrity: integrity.result,
+      schemaVersion: integrity.schemaVersion,
+      verifiedAt: new Date().toISOString()
+    };
+    writeMeta(backup);
+    logger.info(`Database backup ${id} created (${backup.size} bytes)`);
+    return backup;
+  } finally {
+    fs.rmSync(partial, { force: true });
+  }
+}
+
+/**
+ * Back up the live database, verify the copy and apply retention
+ * @param {Object} [options] - { kind: scheduled | manual (default) }
+ * @returns {Promise<Object>} The backup's metadata
+ * @throws {BackupError} When the copy fails its integrity check
+ */
+function createBackup(options = {}) {
+  const kind = options.kind || 'manual';
+  if (!KINDS.includes(kind)) throw new BackupError(`Invalid kind. Must be: ${KINDS.join(', ')}`);
+
+  return serialize(async () => {
+    const backup = await snapshot(kind);
+    applyRetention();
+    return backup;
+  });
+}
+
+/**
+ * Re-check a backup: its checksum and PRAGMA integrity_check
+ * @param {string} id - Backup ID
+ * @returns {Promise<Object>} { valid, backup, reason }
+ * @throws {BackupError} When there is no such backup
+ */
+async function verifyBackup(id) {
+  const backup = readMeta(id);
+  const { file } = filesFor(id);
+
+  if (await sha256(file) !== backup.sha256) {
+    return { valid: false, backup, reason: 'Backup file does not match its checksum' };
+  }
+
+  const integrity = await checkIntegrity(file);
+  const verified = { ...backup, integrity: integrity.result, verifiedAt: new Date().toISOString() };
+  writeMeta(verified);
+
+  return integrity.ok
+    ? { valid: true, backup: verified, reason: null }
+    : { valid: false, backup: verified, reason: `Integrity check failed: ${integrity.result}` };
+}
+
+/**
+ * The backup a restore would use: a given one, or the newest regular backup
+ * taken at or before a point in time
+ * @param {Object} target - { backupId } or { at: ISO date }
+ * @returns {Object} Backup metadata
+ * @throws {BackupError} When neither is given or nothing matches
+ */
+function resolveTarget(target = {}) {
+  if (target.backupId) return readMeta(target.backupId);
+
+  if (target.at) {
+    const at = new Date(target.at);
+    if (Number.isNaN(at.getTime())) throw new BackupError('at must be a date');
+    const backup = listBackups().find(candidate => candidate.kind !== 'pre-restore' && new Date(candidate.createdAt) <= at);
+    if (!backup) throw new BackupError(`No backup was taken at or before ${at.toISOString()}`, 404);
+    return backup;
+  }
+
+  throw new BackupError('backupId or at is required');
+}
+
+// The last audit event in a database file, or null if it has none
+function lastAuditEvent(file) {
+  return new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (openError) => {
+      if (openError) return reject(openError);
+
+      // Files from before the audit trail have no audit_events table
+      database.get('SELECT seq, hash FROM audit_events ORDER BY seq DESC LIMIT 1', (error, row) => {
+        database.close(() => resolve(error || !row ? null : row));
+      });
+    });
+  });
+}
+
+// Live audit events newer than a database file's trail, checked to chain onto it
+async function newerAuditEvents(file) {
+  const table = await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'audit_events'");
+  if (!table) return [];
+
+  const last = await lastAuditEvent(file);
+  const events = await allAsync('SELECT * FROM audit_events WHERE seq > ? ORDER BY seq', [last ? last.seq : 0]);
+  if (events.length > 0 && events[0].prev_hash !== (last ? last.hash : GENESIS_HASH)) {
+    throw new BackupError(
+      `${path.basename(file)} cannot be restored: audit events ${events[0].seq}-${events[events.length - 1].seq} ` +
+      'do not follow from its audit trail and would be lost',
+      409
+    );
+  }
+  return events;
+}
+
+async function copyIn(file) {
+  const integrity = await checkIntegrity(file);
+  if (!integrity.ok) {
+    throw new BackupError(`${path.basename(file)} cannot be restored: integrity check failed: ${integrity.result}`, 409);
+  }
+
+  const events = await newerAuditEvents(file);
+  const preRestore = await snapshot('pre-restore');
+  await runBackup(db.backup(file, 'main', 'main', false));
+  logger.info(`Database restored from ${path.basename(file)} (previous state saved as ${preRestore.id})`);
+
+  // Required lazily: database.js is loaded before this service
+  const { initDatabase } = require('../models/database');
+  await initDatabase();
+
+  // Put back the audit events recorded since the backup, unchanged, so the chain stays valid
+  for (const event of events) {
+    const columns = Object.keys(event);
+    await runAsync(
+      `INSERT INTO audit_events (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => event[column])
+    );
+  }
+  if (events.length > 0) {
+    logger.info(`Carried ${events.length} audit event(s) into the restored database`);
+  }
+  applyRetention();
+
+  return {
+    snapshot: preRestore,
+    audit: {
+      carried: events.length,
+      fromSeq: events.length > 0 ? events[0].seq : null,
+      toSeq: events.length > 0 ? events[events.length - 1].seq : null
+    }
+  };
+}
+
+/**
+ * Replace the live database with a backup. The current database is first
+ * saved as a pre-restore snapshot, then the backup is copied in with the
+ * online backup API and migrated to the current schema version. Audit
+ * events recorded since the backup are carried over.
+ * @param {Object} target - { backupId } or { at: ISO date } (see resolveTarget)
+ * @returns {Promise<Object>} { restored, snapshot, audit } - Metadata of both
+ *   backups, and the audit events carried over: { carried, fromSeq, toSeq }
+ * @throws {BackupError} When the backup is missing, fails verification, or
+ *   newer audit events cannot be carried over
+ */
+function restoreBackup(target) {
+  return serialize(async () => {
+    const backup = resolveTarget(target);
+    const verification = await verifyBackup(backup.id);
+    if (!verification.valid) {
+      throw new BackupError(`Backup ${backup.id} cannot be restored: ${verification.reason}`, 409);
+    }
+
+    const { snapshot: preRestore, audit } = await copyIn(filesFor(backup.id).file);
+    return { restored: verification.backup, snapshot: preRestore, audit };
+  });
+}
+
+/**
+ * Replace the live database with any SQLite file (e.g. a copy made by an
+ * older release), the same way restoreBackup does
+ * @param {string} file - Database file
+ * @returns {Promise<Object>} { snapshot, audit } (see restoreBackup)
+ * @throws {BackupError} When the file fails its integrity check, or newer
+ *   audit events cannot be carried over
+ */
+function restoreFile(file) {
+  return serialize(() => copyIn(file));
+}
+
+function addDirectory(zip, directory, prefix) {
+  if (!fs.existsSync(directory)) return 0;
+  let count = 0;
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const full = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      count += addDirectory(zip, full, `${prefix}${entry.name}/`);
+    } else if (entry.isFile()) {
+      zip.file(`${prefix}${entry.name}`, fs.createReadStream(full));
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * A self-contained export of a backup: the database, every directory under
+ * data/ that documents point to (uploads, phase submissions, adventure
+ * checkpoints) and a manifest, as a zip to download and keep off the server
+ * @param {string} id - Backup ID
+ * @returns {Object} { filename, manifest, stream }
+ * @throws {BackupError} When there is no such backup
+ */
+function exportBundle(id) {
+  const backup = readMeta(id);
+  const zip = new JSZip();
+
+  zip.file('app.db', fs.createReadStream(filesFor(id).file));
+  const fileCounts = {};
+  for (const directory of fileDirectories()) {
+    fileCounts[directory] = addDirectory(zip, path.join(DATA_ROOT, directory), `${directory}/`);
+  }
+  const manifest = { exportedAt: new Date().toISOString(), backup, fileCounts };
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+  return {
+    filename: `${id}.zip`,
+    manifest,
+    stream: zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+  };
+}
+
+/**
+ * Take scheduled backups every BACKUP_INTERVAL_MINUTES (no-op when 0)
+ * @returns {boolean} Whether the schedule is running
+ */
+function startScheduler() {
+  stopScheduler();
+  const { intervalMinutes } = getConfig();
+  if (intervalMinutes === 0) return false;
+
+  timer = setInterval(() => {
+    createBackup({ kind: 'scheduled' }).catch(error => {
+      logger.error('Scheduled database backup failed:', error);
+    });
+  }, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  logger.info(`Database backups scheduled every ${intervalMinutes} minute(s) in ${backupDir()}`);
+  return true;
+}
+
+function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  BackupError,
+  getConfig,
+  listBackups,
+  getBackup,
+  createBackup,
+  verifyBackup,
+  applyRetention,
+  restoreBackup,
+  restoreFile,
+  exportBundle,
+  checkIntegrity,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,289 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { runAsync, getAsync } = require('../models/database');
+const logger = require('../utils/logger');
+const extractionService = require('./extractionService');
+const requirementService = require('./requirementService');
+
+/**
+ * C2PA Document Sync Service
+ * Downloads the official C2PA conformance documents into data/c2pa-docs and
+ * records them in the documents table so they are available to the assistant.
+ * Documents with a `requirements` entry are parsed into workspace checklists
+ * whenever a new version arrives.
+ */
+
+// Where official documents are stored and where they are fetched from.
+// Both can be overridden, e.g. to point tests at a local HTTP server.
+const C2PA_DOCS_DIR = process.env.C2PA_DOCS_DIR || path.join(__dirname, '../../../data/c2pa-docs');
+const DEFAULT_BASE_URL = 'https://raw.githubusercontent.com/Sanmarcsoft/c2pa-org-conformance-public/main';
+
+const C2PA_DOCUMENTS = [
+  {
+    name: 'C2PA Generator Product Company Agreement',
+    path: 'legal-agreements/C2PA Generator Product Company Agreement v1.0 (Final 6-25-2025).pdf',
+    category: 'legal-agreement',
+    version: '1.0'
+  },
+  {
+    name: 'C2PA Conformance Program',
+    path: 'docs/current/C2PA Conformance Program.pdf',
+    category: 'program-docs',
+    version: 'current',
+    requirements: { prefix: 'CP', defaultPhase: 'phase-4' }
+  },
+  {
+    name: 'C2PA Generator Product Security Requirements',
+    path: 'docs/current/C2PA Generator Product Security Requirements.pdf',
+    category: 'requirements',
+    version: 'current',
+    requirements: { prefix: 'GPSR', defaultPhase: 'phase-2' }
+  },
+  {
+    name: 'C2PA Certificate Policy',
+    path: 'docs/current/C2PA Certificate Policy.pdf',
+    category: 'policy',
+    version: 'current'
+  },
+  {
+    name: 'C2PA Governance Framework',
+    path: 'docs/current/C2PA Governance Framework.pdf',
+    category: 'governance',
+    version: 'current'
+  },
+  {
+    name: 'Companion Guide for CPL',
+    path: 'docs/current/Companion Guide for the C2PA Conforming Products List.pdf',
+    category: 'guide',
+    version: 'current'
+  }
+];
+
+/**
+ * Get the base URL documents are downloaded from
+ * @returns {string} Base URL without trailing slash
+ */
+function getBaseUrl() {
+  return (process.env.C2PA_DOCS_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Build the download URL for a document
+ * @param {Object} doc - Entry from C2PA_DOCUMENTS
+ * @returns {string} Absolute URL
+ */
+function getDocumentUrl(doc) {
+  const encodedPath = doc.path.split('/').map(encodeURIComponent).join('/');
+  return `${getBaseUrl()}/${encodedPath}`;
+}
+
+/**
+ * Local filename for a document, e.g. "C2PA-Conformance-Program.pdf"
+ * @param {Object} doc - Entry from C2PA_DOCUMENTS
+ * @returns {string} Filename
+ */
+function getLocalFilename(doc) {
+  return path.basename(doc.path).replace(/[^A-Za-z0-9.()_-]+/g, '-');
+}
+
+/**
+ * List the documents that are synced, with their resolved URLs
+ * @returns {Array} Documents as { name, url, category, version }
+ */
+function listDocuments() {
+  return C2PA_DOCUMENTS.map(doc => ({
+    name: doc.name,
+    url: getDocumentUrl(doc),
+    category: doc.category,
+    version: doc.version
+  }));
+}
+
+/**
+ * Sync a single document.
+ * Sends If-None-Match / If-Modified-Since from the previous sync so the
+ * server can answer 304; a 200 with identical content is also unchanged.
+ * @param {Object} doc - Entry from C2PA_DOCUMENTS
+ * @returns {Promise<Object>} Result as { name, url, status, ... }
+ */
+async function syncDocument(doc) {
+  const url = getDocumentUrl(doc);
+  const filename = getLocalFilename(doc);
+  const filePath = path.join(C2PA_DOCS_DIR, filename);
+  const result = { name: doc.name, url, category: doc.category, version: doc.version, filename };
+
+  const existing = await getAsync('SELECT * FROM documents WHERE source_url = ?', [url]);
+  const haveFile = existing && fs.existsSync(filePath);
+
+  const headers = {};
+  if (haveFile && existing.etag) headers['If-None-Match'] = existing.etag;
+  if (haveFile && existing.last_modified) headers['If-Modified-Since'] = existing.last_modified;
+
+  const response = await axios.get(url, {
+    headers,
+    responseType: 'arraybuffer',
+    timeout: 60000,
+    validateStatus: status => status === 200 || status === 304
+  });
+
+  const now = new Date().toISOString();
+
+  if (response.status === 304) {
+    await runAsync('UPDATE documents SET synced_at = ? WHERE id = ?', [now, existing.id]);
+    return { ...result, status: 'unchanged', documentId: existing.id, sha256: existing.sha256 };
+  }
+
+  const content = Buffer.from(response.data);
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+  const etag = response.headers.etag || null;
+  const lastModified = response.headers['last-modified'] || null;
+
+  if (haveFile && existing.sha256 === sha256) {
+    await runAsync(
+      'UPDATE documents SET etag = ?, last_modified = ?, synced_at = ? WHERE id = ?',
+      [etag, lastModified, now, existing.id]
+    );
+    return { ...result, status: 'unchanged', documentId: existing.id, sha256 };
+  }
+
+  fs.writeFileSync(filePath, content);
+
+  if (existing) {
+    await runAsync(
+      `UPDATE documents
+       SET filename = ?, file_path = ?, file_size = ?, category = ?, version = ?,
+           sha256 = ?, etag = ?, last_modified = ?, synced_at = ?, upload_date = ?
+       WHERE id = ?`,
+      [filename, filePath, content.length, doc.category, doc.version, sha256, etag, lastModified, now, now, existing.id]
+    );
+    const extraction = await extractionService.extractDocument(existing.id);
+    return {
+      ...result,
+      status: 'updated',
+      documentId: existing.id,
+      sha256,
+      size: content.length,
+      extractionStatus: extraction.status
+    };
+  }
+
+  const documentId = uuidv4();
+  await runAsync(
+    `INSERT INTO documents (id, filename, original_name, file_path, file_type, file_size, category,
+                            upload_date, status, source_url, version, sha256, etag, last_modified, synced_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      documentId,
+      filename,
+      path.basename(doc.path),
+      filePath,
+      'pdf',
+      content.length,
+      doc.category,
+      now,
+      'reviewed',
+      url,
+      doc.version,
+      sha256,
+      etag,
+      lastModified,
+      now
+    ]
+  );
+
+  const extraction = await extractionService.extractDocument(documentId);
+  return {
+    ...result,
+    status: 'downloaded',
+    documentId,
+    sha256,
+    size: content.length,
+    extractionStatus: extraction.status
+  };
+}
+
+/**
+ * Sync every official C2PA document.
+ * A failure on one document is reported in its result and does not stop the rest.
+ * @returns {Promise<Object>} Summary with per-document results
+ */
+async function syncAll() {
+  if (!fs.existsSync(C2PA_DOCS_DIR)) {
+    fs.mkdirSync(C2PA_DOCS_DIR, { recursive: true });
+  }
+
+  const results = [];
+  for (const doc of C2PA_DOCUMENTS) {
+    try {
+      const result = await syncDocument(doc);
+      logger.info(`C2PA document ${result.status}: ${doc.name}`);
+      results.push(result);
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      logger.error(`C2PA document sync failed for ${doc.name}: ${reason}`);
+      results.push({
+        name: doc.name,
+        url: getDocumentUrl(doc),
+        category: doc.category,
+        version: doc.version,
+        status: 'failed',
+        error: reason
+      });
+    }
+  }
+
+  const summary = { downloaded: 0, updated: 0, unchanged: 0, failed: 0 };
+  results.forEach(result => {
+    summary[result.status]++;
+  });
+
+  // Only new versions need parsing; unchanged documents keep their requirements
+  const requirements = [];
+  for (const doc of C2PA_DOCUMENTS) {
+    const result = results.find(r => r.name === doc.name);
+    if (!doc.requirements || !['downloaded', 'updated'].includes(result.status)) continue;
+    if (result.extractionStatus !== 'completed') continue;
+    requirements.push(await extractDocumentRequirements(doc, result.documentId));
+  }
+
+  return { summary, results, requirements };
+}
+
+async function extractDocumentRequirements(doc, documentId) {
+  try {
+    return await requirementService.extractFromDocument(documentId, doc.requirements, doc.name);
+  } catch (error) {
+    logger.error(`Requirement extraction failed for ${doc.name}: ${error.message}`);
+    return { source: doc.requirements.prefix, documentId, error: error.message };
+  }
+}
+
+/**
+ * Parse requirements from every synced requirements document, e.g. after
+ * the parser changed. Documents that were never synced are skipped.
+ * @returns {Promise<Array>} Per-document results from requirementService.extractFromDocument
+ */
+async function extractRequirements() {
+  const results = [];
+  for (const doc of C2PA_DOCUMENTS.filter(entry => entry.requirements)) {
+    const existing = await getAsync('SELECT id FROM documents WHERE source_url = ?', [getDocumentUrl(doc)]);
+    if (!existing) {
+      results.push({ source: doc.requirements.prefix, error: `${doc.name} has not been synced` });
+      continue;
+    }
+    results.push(await extractDocumentRequirements(doc, existing.id));
+  }
+  return results;
+}
+
+module.exports = {
+  C2PA_DOCS_DIR,
+  C2PA_DOCUMENTS,
+  listDocuments,
+  syncDocument,
+  syncAll,
+  extractRequirements
+};
@@ -0,0 +1,322 @@
+/**
+ * Chat Context Service
+ *
+ * Fits a chat prompt into the model's context window. The window is split
+ * between the answer reserve (max_tokens), the system prompt, retrieved
+ * sources, a rolling session summary and recent history. History that no
+ * longer fits is folded into chat_sessions.summary so long certification
+ * conversations keep their early decisions.
+ *
+ * Token counts are estimated at ~4 characters per token, which is close
+ * enough for budgeting across the models we support.
+ */
+
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const aiProviderRegistry = require('./aiProviderRegistry');
+const aiFailoverService = require('./aiFailoverService');
+const { buildSourcesPrompt } = require('./ragService');
+const logger = require('../utils/logger');
+
+// Shares of the prompt budget left after the system prompt, answer and question
+const SOURCES_SHARE = 0.35;
+const SUMMARY_SHARE = 0.15;
+
+// After folding, keep history at this share of its budget so the summary is
+// not rewritten on every turn
+const HISTORY_REFILL = 0.5;
+
+// Per-message overhead of chat formatting (role markers, separators)
+const MESSAGE_OVERHEAD = 4;
+
+/**
+ * Estimate the token count of a string
+ * @param {string} text
+ * @returns {number} Tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Cut text to a token budget, preferring a word boundary
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string} The text, or a shortened copy ending in an ellipsis
+ */
+function truncateToTokens(text, maxTokens) {
+  if (!text || estimateTokens(text) <= maxTokens) return text || '';
+  if (maxTokens <= 0) return '';
+
+  const cut = text.substring(0, maxTokens * 4 - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > cut.length / 2 ? cut.substring(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+function messageTokens(msg) {
+  return estimateTokens(msg.content) + MESSAGE_OVERHEAD;
+}
+
+/**
+ * Token limits for the providers a request may reach. With a failover chain
+ * the prompt must fit the smallest window and leave room for the largest answer.
+ * @returns {Promise<Object>} { contextWindow, answerReserve }
+ */
+async function getBudget() {
+  const limits = [];
+  for (const name of await aiFailoverService.getChain()) {
+    try {
+      const active = await aiProviderRegistry.resolveProvider({ provider: name });
+      limits.push(active);
+    } catch (error) {
+      // Unknown providers are skipped by the failover service too
+    }
+  }
+
+  if (limits.length === 0) {
+    return { contextWindow: aiProviderRegistry.contextWindowFor(null, null), answerReserve: 500 };
+  }
+
+  return {
+    contextWindow: Math.min(...limits.map(active => active.contextWindow)),
+    answerReserve: Math.max(...limits.map(active => active.maxTokens))
+  };
+}
+
+/**
+ * Trim retrieved sources to a token budget. Sources are kept in rank order
+ * and share the budget evenly; a source that would get only a sliver is dropped.
+ * @param {Array} citations - From ragService.retrieveSources
+ * @param {number} budget - Tokens available for all excerpts
+ * @returns {Object} { prompt: citations with shortened excerpts, kept: original citations that made it in }
+ */
+function fitSources(citations, budget) {
+  const prompt = [];
+  const kept = [];
+  let remaining = budget;
+
+  citations.forEach((citation, i) => {
+    const share = Math.floor(remaining / (citations.length - i));
+    // Location line and separators
+    const overhead = estimateTokens(citation.title) + 12;
+    if (share - overhead < 20) return;
+
+    const excerpt = truncateToTokens(citation.excerpt, share - overhead);
+    remaining -= estimateTokens(excerpt) + overhead;
+    prompt.push({ ...citation, excerpt });
+    kept.push(citation);
+  });
+
+  return { prompt, kept };
+}
+
+/**
+ * Load a session's rolling summary and the messages it does not cover yet
+ * @param {string} sessionId - chat_sessions.id
+ * @param {Object} [options]
+ * @param {string} [options.excludeMessageId] - Leave out this message (the one being answered)
+ * @returns {Promise<Object>} { summary, messages } - messages oldest first, as chat_messages rows
+ */
+async function loadSessionHistory(sessionId, { excludeMessageId = null } = {}) {
+  const session = await getAsync(
+    'SELECT summary, summary_message_count FROM chat_sessions WHERE id = ?',
+    [sessionId]
+  );
+
+  const messages = await allAsync(
+    `SELECT id, sender, message FROM chat_messages
+     WHERE session_id = ?
+     ORDER BY created_at ASC, rowid ASC
+     LIMIT -1 OFFSET ?`,
+    [sessionId, session?.summary_message_count || 0]
+  );
+
+  return {
+    summary: session?.summary || null,
+    messages: messages.filter(msg => msg.id !== excludeMessageId)
+  };
+}
+
+function formatTurn(msg) {
+  return `${msg.sender === 'user' ? 'User' : 'Assistant'}: ${msg.message}`;
+}
+
+/**
+ * One summarization call: fold a batch of turns into the summary. If the AI
+ * chain fails the turns are appended as short extracts so nothing is lost.
+ */
+async function summarizeTurns(summary, messages, maxTokens, inputBudget) {
+  const transcript = truncateToTokens(messages.map(formatTurn).join('\n\n'), inputBudget);
+
+  try {
+    const result = await aiFailoverService.complete([
+      {
+        role: 'system',
+        content: 'You maintain a running summary of a C2PA certification conversation. ' +
+          'Keep every decision, commitment, requirement, name, date and open question. ' +
+          'Drop greetings and small talk. Write terse bullet points.'
+      },
+      {
+        role: 'user',
+        content: `${summary ? `Summary so far:\n${summary}\n\n` : ''}` +
+          `New conversation turns:\n${transcript}\n\n` +
+          `Return the updated summary in under ${Math.floor(maxTokens * 0.75)} words.`
+      }
+    ], null, { temperature: 0.2, maxTokens });
+    return result.message.trim();
+  } catch (error) {
+    logger.warn(`Session summary fell back to extracts: ${error.message}`);
+    const extracts = messages.map(msg => `- ${truncateToTokens(formatTurn(msg).replace(/\s+/g, ' '), 40)}`);
+    return [summary, ...extracts].filter(Boolean).join('\n');
+  }
+}
+
+/**
+ * Merge older messages into a session's rolling summary and move the
+ * summary watermark past them. Turns are summarized in batches that fit
+ * inputBudget, so a long backlog is folded in several calls rather than cut.
+ * @param {string} sessionId - chat_sessions.id
+ * @param {string|null} summary - Current summary
+ * @param {Array} messages - chat_messages rows to fold in, oldest first
+ * @param {number} maxTokens - Budget for the new summary
+ * @param {number} [inputBudget] - Tokens of transcript per summarization call
+ * @returns {Promise<string>} The new summary
+ */
+async function foldIntoSummary(sessionId, summary, messages, maxTokens, inputBudget = maxTokens * 4) {
+  let updated = summary;
+  let batch = [];
+  let batchTokens = 0;
+
+  for (const msg of messages) {
+    const tokens = estimateTokens(formatTurn(msg));
+    if (batch.length > 0 && batchTokens + tokens > inputBudget) {
+      updated = await summarizeTurns(updated, batch, maxTokens, inputBudget);
+      batch = [];
+      batchTokens = 0;
+    }
+    batch.push(msg);
+    batchTokens += tokens;
+  }
+  if (batch.length > 0) {
+    updated = await summarizeTurns(updated, batch, maxTokens, inputBudget);
+  }
+
+  // Oldest points go first when even the summary outgrows its budget
+  if (estimateTokens(updated) > maxTokens) {
+    updated = `…${updated.substring(updated.length - maxTokens * 4 + 1)}`;
+  }
+
+  await runAsync(
+    `UPDATE chat_sessions
+     SET summary = ?, summary_message_count = COALESCE(summary_message_count, 0) + ?, summary_updated_at = ?
+     WHERE id = ?`,
+    [updated, messages.length, new Date().toISOString(), sessionId]
+  );
+  logger.info(`Folded ${messages.length} messages into the summary of session ${sessionId}`);
+
+  return updated;
+}
+
+/**
+ * Build the message list for a chat completion within the token budget
+ * @param {Object} parts
+ * @param {string} parts.systemPrompt - Persona prompt
+ * @param {Array<string>} [parts.extraSystem] - Short system notes (e.g. current phase)
+ * @param {Array} [parts.history] - chat_messages rows, oldest first
+ * @param {string} [parts.summary] - Rolling summary of earlier turns
+ * @param {string} [parts.sessionId] - Lets overflowing history be folded into the summary
+ * @param {Array} [parts.citations] - Retrieved sources
+ * @param {string} parts.userMessage - The question being answered
+ * @param {Object} [budget] - From getBudget; resolved when omitted
+ * @returns {Promise<Object>} { messages, citations (the sources that fit), summary, usage }
+ */
+async function buildContext(parts, budget = null) {
+  const {
+    systemPrompt,
+    extraSystem = [],
+    history = [],
+    sessionId = null,
+    citations = [],
+    userMessage
+  } = parts;
+  let summary = parts.summary || null;
+  const { contextWindow, answerReserve } = budget || await getBudget();
+
+  const fixed = [
+    { role: 'system', content: systemPrompt },
+    ...extraSystem.map(content => ({ role: 'system', content }))
+  ];
+  const question = { role: 'user', content: userMessage };
+  const fixedTokens = [...fixed, question].reduce((sum, msg) => sum + messageTokens(msg), 0);
+  const available = Math.max(0, contextWindow - answerReserve - fixedTokens);
+
+  // Sources: up to their share; the rest goes to history
+  const sourcesBudget = Math.floor(available * SOURCES_SHARE);
+  const { prompt: promptSources, kept } = fitSources(citations, sourcesBudget);
+  const sourcesPrompt = buildSourcesPrompt(promptSources);
+  const sourcesTokens = sourcesPrompt ? estimateTokens(sourcesPrompt) + MESSAGE_OVERHEAD : 0;
+
+  const summaryBudget = Math.floor(available * SUMMARY_SHARE);
+  const historyBudget = Math.max(0, available - sourcesTokens - summaryBudget);
+
+  // Newest turns first until the budget runs out
+  let recent = [];
+  let used = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(history[i].message) + MESSAGE_OVERHEAD;
+    if (used + tokens > historyBudget) break;
+    used += tokens;
+    recent.unshift(history[i]);
+  }
+
+  const overflow = history.slice(0, history.length - recent.length);
+  if (overflow.length > 0 && sessionId) {
+    // Fold down to HISTORY_REFILL of the budget so this happens every few turns, not every turn
+    while (recent.length > 1 && used > historyBudget * HISTORY_REFILL) {
+      used -= estimateTokens(recent[0].message) + MESSAGE_OVERHEAD;
+      overflow.push(recent.shift());
+    }
+    // Each summarization call must itself fit: transcript + old summary + new summary
+    const inputBudget = Math.max(summaryBudget, available - 2 * summaryBudget);
+    summary = await foldIntoSummary(sessionId, summary, overflow, summaryBudget, inputBudget);
+  }
+  // A rolling summary built for a larger window may need trimming here
+  if (summary && estimateTokens(summary) > summaryBudget) {
+    summary = truncateToTokens(summary, summaryBudget);
+  }
+
+  const messages = [...fixed];
+  if (summary) {
+    messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${summary}` });
+  }
+  recent.forEach(msg => messages.push({
+    role: msg.sender === 'user' ? 'user' : 'assistant',
+    content: msg.message
+  }));
+  if (sourcesPrompt) {
+    messages.push({ role: 'system', content: sourcesPrompt });
+  }
+  messages.push(question);
+
+  return {
+    messages,
+    citations: kept,
+    summary,
+    usage: {
+      contextWindow,
+      answerReserve,
+      prompt: messages.reduce((sum, msg) => sum + messageTokens(msg), 0),
+      history: recent.length,
+      summarized: overflow.length
+    }
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  truncateToTokens,
+  getBudget,
+  fitSources,
+  loadSessionHistory,
+  foldIntoSummary,
+  buildContext
+};
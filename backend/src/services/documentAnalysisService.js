@@ -0,0 +1,361 @@
+/**
+ * Document Analysis Service
+ *
+ * Analyzes a document's extracted text into { summary, keyPoints,
+ * requirements, suggestions }. Text that does not fit one prompt is split
+ * into page-aligned chunks that are analyzed separately (map) and then
+ * merged (reduce). Every model reply is validated against the schema; a
+ * malformed reply is sent back to the model with the problem and retried.
+ *
+ * The latest analysis of each document is stored in document_analyses with
+ * the provider, model and ANALYSIS_VERSION that produced it, and the
+ * extraction it was based on so re-extracted documents show as stale.
+ */
+
+const { runAsync, getAsync } = require('../models/database');
+const aiFailoverService = require('./aiFailoverService');
+const chatContextService = require('./chatContextService');
+const extractionService = require('./extractionService');
+const logger = require('../utils/logger');
+
+// Bump when the prompts or schema change so old analyses can be told apart
+const ANALYSIS_VERSION = 1;
+
+const ANALYSIS_MAX_TOKENS = 800;
+const MAX_ATTEMPTS = 3;
+
+// Prompt instructions and JSON framing around each chunk
+const PROMPT_OVERHEAD = 400;
+// Large windows still get several calls; long prompts make for vague analyses
+const MAX_CHUNK_TOKENS = 12000;
+const MIN_CHUNK_TOKENS = 500;
+
+const LIST_FIELDS = ['keyPoints', 'requirements', 'suggestions'];
+const MAX_LIST_ITEMS = 12;
+
+const SYSTEM_PROMPT = 'You analyze documents for a company seeking C2PA Generator Product certification. ' +
+  'Be specific: quote clause numbers, obligations and deadlines where the text gives them. ' +
+  'Reply with a single JSON object and nothing else.';
+
+const SCHEMA_PROMPT = 'Reply with JSON of exactly this shape:\n' +
+  '{"summary": "2-3 sentences", "keyPoints": ["..."], "requirements": ["..."], "suggestions": ["..."]}\n' +
+  'keyPoints: 3-5 key points. requirements: requirements or action items the text states. ' +
+  'suggestions: next steps for the company. Every list item is a plain string.';
+
+class AnalysisError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check a parsed reply against the analysis schema
+ * @param {*} value - Parsed JSON
+ * @returns {Object} { summary, keyPoints, requirements, suggestions } with trimmed strings
+ * @throws {Error} Describing the first problem found
+ */
+function validateAnalysis(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('the reply must be a JSON object');
+  }
+  if (typeof value.summary !== 'string' || !value.summary.trim()) {
+    throw new Error('"summary" must be a non-empty string');
+  }
+
+  const analysis = { summary: value.summary.trim() };
+  for (const field of LIST_FIELDS) {
+    const list = value[field];
+    if (!Array.isArray(list)) {
+      throw new Error(`"${field}" must be an array of strings`);
+    }
+    if (list.some(item => typeof item !== 'string')) {
+      throw new Error(`every item of "${field}" must be a string`);
+    }
+    analysis[field] = list.map(item => item.trim()).filter(Boolean).slice(0, MAX_LIST_ITEMS);
+  }
+  return analysis;
+}
+
+/**
+ * Parse a model reply, tolerating code fences and text around the object
+ * @param {string} text - Model output
+ * @returns {Object} Validated analysis
+ * @throws {Error} When no valid analysis object is found
+ */
+function parseAnalysisReply(text) {
+  const body = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('the reply contained no JSON object');
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body.substring(start, end + 1));
+  } catch (error) {
+    throw new Error(`the JSON could not be parsed (${error.message})`);
+  }
+  return validateAnalysis(parsed);
+}
+
+/**
+ * Ask for an analysis, sending malformed replies back with the problem
+ * @returns {Promise<Object>} { analysis, provider, model }
+ */
+async function requestAnalysis(prompt) {
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `${prompt}\n\n${SCHEMA_PROMPT}` }
+  ];
+
+  let lastError;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await aiFailoverService.complete(messages, null, {
+      temperature: 0.3,
+      maxTokens: ANALYSIS_MAX_TOKENS
+    });
+
+    try {
+      return { analysis: parseAnalysisReply(result.message), provider: result.provider, model: result.model };
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Document analysis reply rejected (attempt ${attempt}/${MAX_ATTEMPTS}): ${error.message}`);
+      messages.push(
+        { role: 'assistant', content: result.message },
+        { role: 'user', content: `That reply is invalid: ${error.message}. Reply again with only the corrected JSON object.` }
+      );
+    }
+  }
+
+  throw new AnalysisError(`The AI model did not return a valid analysis: ${lastError.message}`);
+}
+
+/**
+ * Split extracted text into page-aligned chunks that fit a token budget.
+ * Pages longer than the budget are split on their own.
+ * @param {string} text - Extracted text
+ * @param {Array} pages - Page offsets [{ page, start, end }]
+ * @param {number} maxTokens - Budget per chunk
+ * @returns {Array} [{ text, firstPage, lastPage }] - pages are null when unknown
+ */
+function chunkText(text, pages, maxTokens) {
+  const maxChars = maxTokens * 4;
+  const spans = pages && pages.length > 0
+    ? pages.map(p => ({ page: p.page, text: text.substring(p.start, p.end) }))
+    : [{ page: null, text }];
+
+  const chunks = [];
+  let current = null;
+  const flush = () => {
+    if (current && current.text.trim()) chunks.push(current);
+    current = null;
+  };
+
+  for (const span of spans) {
+    for (let offset = 0; offset < span.text.length; offset += maxChars) {
+      const piece = span.text.substring(offset, offset + maxChars);
+      if (current && current.text.length + piece.length + 2 > maxChars) flush();
+      if (!current) {
+        current = { text: piece, firstPage: span.page, lastPage: span.page };
+      } else {
+        current.text += `\n\n${piece}`;
+        current.lastPage = span.page;
+      }
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+function describePages({ firstPage, lastPage }) {
+  if (!firstPage) return '';
+  return firstPage === lastPage ? ` (page ${firstPage})` : ` (pages ${firstPage}-${lastPage})`;
+}
+
+/**
+ * Merge partial analyses into one, in groups that fit the budget
+ * @returns {Promise<Object>} { analysis, provider, model }
+ */
+async function reduceAnalyses(document, partials, chunkTokens) {
+  let level = partials;
+  while (level.length > 1) {
+    const groups = [];
+    let group = [];
+    let groupTokens = 0;
+    for (const partial of level) {
+      const tokens = chatContextService.estimateTokens(JSON.stringify(partial.analysis));
+      if (group.length > 1 && groupTokens + tokens > chunkTokens) {
+        groups.push(group);
+        group = [];
+        groupTokens = 0;
+      }
+      group.push(partial);
+      groupTokens += tokens;
+    }
+    groups.push(group);
+
+    const next = [];
+    for (const members of groups) {
+      if (members.length === 1) {
+        next.push(members[0]);
+        continue;
+      }
+      const parts = members
+        .map((partial, i) => `Part ${i + 1}${describePages(partial)}:\n${JSON.stringify(partial.analysis)}`)
+        .join('\n\n');
+      const merged = await requestAnalysis(
+        `These are analyses of consecutive parts of the document "${document.original_name}". ` +
+        'Combine them into one analysis of the whole document, merging duplicates and keeping ' +
+        `the most important items.\n\n${parts}`
+      );
+      next.push({ ...merged, firstPage: members[0].firstPage, lastPage: members[members.length - 1].lastPage });
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+/**
+ * Analysis used when no AI provider is configured
+ */
+function generateFallbackAnalysis(document) {
+  return {
+    summary: `This document (${document.original_name}) has been uploaded to your certification workspace. It appears to be a ${document.category} document related to C2PA certification.`,
+    keyPoints: [
+      'Document uploaded successfully',
+      'Review the content for certification requirements',
+      'Take notes on key sections'
+    ],
+    requirements: [
+      'Read through the entire document',
+      'Identify any action items',
+      'Note any questions for clarification'
+    ],
+    suggestions: [
+      'Add annotations to important sections',
+      'Discuss any questions with the AI assistant',
+      'Move to the next document when ready'
+    ]
+  };
+}
+
+function formatRow(row) {
+  return {
+    documentId: row.document_id,
+    summary: row.summary,
+    keyPoints: JSON.parse(row.key_points),
+    requirements: JSON.parse(row.requirements),
+    suggestions: JSON.parse(row.suggestions),
+    provider: row.provider,
+    model: row.model,
+    version: row.analysis_version,
+    chunkCount: row.chunk_count,
+    sourceExtractedAt: row.source_extracted_at,
+    analyzedAt: row.analyzed_at
+  };
+}
+
+/**
+ * Get the stored analysis of a document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} Analysis with its stamp, and stale when the text was
+ *   re-extracted or the analysis predates ANALYSIS_VERSION; null if never analyzed
+ */
+async function getAnalysis(documentId) {
+  const row = await getAsync('SELECT * FROM document_analyses WHERE document_id = ?', [documentId]);
+  if (!row) return null;
+
+  const extraction = await extractionService.getExtractionStatus(documentId);
+  const analysis = formatRow(row);
+  analysis.stale = analysis.version !== ANALYSIS_VERSION ||
+    Boolean(extraction && extraction.extractedAt !== analysis.sourceExtractedAt);
+  return analysis;
+}
+
+/**
+ * Analyze a document's extracted text and store the result
+ * @param {Object} document - documents row
+ * @returns {Promise<Object>} The stored analysis (see getAnalysis)
+ * @throws {AnalysisError} 409 when the text has not been extracted, 502 when the AI
+ *   chain fails or keeps returning malformed output; a previous analysis is kept then
+ */
+async function analyzeDocument(document) {
+  const content = await extractionService.getContent(document.id);
+  if (!content || !content.text.trim()) {
+    throw new AnalysisError('Document text is not available', 409);
+  }
+  const extraction = await extractionService.getExtractionStatus(document.id);
+
+  let result;
+  let chunkCount = 0;
+  const chain = await aiFailoverService.getChain();
+  if (chain.length === 0) {
+    result = { analysis: generateFallbackAnalysis(document), provider: aiFailoverService.RULE_BASED, model: null };
+  } else {
+    const { contextWindow } = await chatContextService.getBudget();
+    const chunkTokens = Math.max(MIN_CHUNK_TOKENS,
+      Math.min(MAX_CHUNK_TOKENS, contextWindow - ANALYSIS_MAX_TOKENS - PROMPT_OVERHEAD));
+    const chunks = chunkText(content.text, content.pages, chunkTokens);
+    chunkCount = chunks.length;
+
+    const header = `Filename: ${document.original_name}\nType: ${document.file_type}\nCategory: ${document.category}`;
+    const partials = [];
+    for (const [i, chunk] of chunks.entries()) {
+      const intro = chunks.length === 1
+        ? 'Analyze this C2PA-related document.'
+        : `Analyze part ${i + 1} of ${chunks.length}${describePages(chunk)} of this C2PA-related document.`;
+      const partial = await requestAnalysis(`${intro}\n\n${header}\n\nText:\n${chunk.text}`);
+      partials.push({ ...partial, firstPage: chunk.firstPage, lastPage: chunk.lastPage });
+    }
+    result = await reduceAnalyses(document, partials, chunkTokens);
+  }
+
+  const { analysis } = result;
+  await runAsync(
+    `INSERT INTO document_analyses
+       (document_id, summary, key_points, requirements, suggestions, provider, model,
+        analysis_version, chunk_count, source_extracted_at, analyzed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(document_id) DO UPDATE SET
+       summary = excluded.summary,
+       key_points = excluded.key_points,
+       requirements = excluded.requirements,
+       suggestions = excluded.suggestions,
+       provider = excluded.provider,
+       model = excluded.model,
+       analysis_version = excluded.analysis_version,
+       chunk_count = excluded.chunk_count,
+       source_extracted_at = excluded.source_extracted_at,
+       analyzed_at = excluded.analyzed_at`,
+    [
+      document.id,
+      analysis.summary,
+      JSON.stringify(analysis.keyPoints),
+      JSON.stringify(analysis.requirements),
+      JSON.stringify(analysis.suggestions),
+      result.provider,
+      result.model,
+      ANALYSIS_VERSION,
+      chunkCount,
+      extraction ? extraction.extractedAt : null,
+      new Date().toISOString()
+    ]
+  );
+  logger.info(`Analyzed ${document.original_name} with ${result.provider} (${chunkCount} chunk(s))`);
+
+  return await getAnalysis(document.id);
+}
+
+module.exports = {
+  ANALYSIS_VERSION,
+  AnalysisError,
+  validateAnalysis,
+  parseAnalysisReply,
+  chunkText,
+  getAnalysis,
+  analyzeDocument
+};
@@ -0,0 +1,374 @@
+const axios = require('axios');
+const OpenAI = require('openai');
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const { getSecret } = require('../utils/secrets');
+const logger = require('../utils/logger');
+
+/**
+ * Embedding Service
+ * Turns RAG chunks and questions into vectors for semantic retrieval.
+ * Providers are pluggable: Ollama (/api/embeddings), OpenAI, or a local
+ * deterministic hashing embedder that needs no network (used in tests and
+ * as the fallback when no AI provider is configured).
+ */
+
+const HASH_DIMENSIONS = 256;
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
+  'is', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'i', 'my', 'me', 'we',
+  'our', 'you', 'your', 'it', 'its', 'this', 'that', 'how', 'what', 'which', 'who',
+  'can', 'should', 'would', 'could', 'will', 'from', 'by', 'as', 'if', 'so', 'not'
+]);
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value - String to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>} Normalized vector (zero vector stays zero)
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+/**
+ * Deterministic feature-hashing embedding of words, 4-letter prefixes and
+ * character trigrams. Prefixes and trigrams let related word forms
+ * ("signing", "signature") share features.
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} Unit vector of HASH_DIMENSIONS
+ */
+function hashEmbed(text) {
+  const vector = new Array(HASH_DIMENSIONS).fill(0);
+  const words = (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOP_WORDS.has(word));
+
+  const addFeature = (feature, weight) => {
+    const hash = fnv1a(feature);
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % HASH_DIMENSIONS] += sign * weight;
+  };
+
+  for (const word of words) {
+    addFeature(`w:${word}`, 1);
+    if (word.length > 4) addFeature(`p:${word.substring(0, 4)}`, 1);
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(`t:${padded.substring(i, i + 3)}`, 0.5);
+    }
+  }
+
+  return normalize(vector);
+}
+
+/**
+ * Available embedding providers.
+ * minSimilarity is the cosine below which a chunk is not considered related;
+ * neural embeddings place unrelated text much higher than the hashing embedder.
+ */
+const PROVIDERS = {
+  hash: {
+    defaultModel: `hash-${HASH_DIMENSIONS}`,
+    minSimilarity: 0.08,
+    isConfigured: () => true,
+    embed: async (texts) => texts.map(hashEmbed)
+  },
+
+  ollama: {
+    defaultModel: 'nomic-embed-text',
+    minSimilarity: 0.5,
+    isConfigured: () => Boolean(process.env.OLLAMA_URL),
+    embed: async (texts, model) => {
+      const headers = {};
+      const apiKey = getSecret('OLLAMA_API_KEY');
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      // Ollama's /api/embeddings takes one prompt per request
+      const vectors = [];
+      for (const text of texts) {
+        const response = await axios.post(
+          `${process.env.OLLAMA_URL.replace(/\/+$/, '')}/api/embeddings`,
+          { model, prompt: text },
+          { headers, timeout: 30000 }
+        );
+        vectors.push(normalize(response.data.embedding));
+      }
+      return vectors;
+    }
+  },
+
+  openai: {
+    defaultModel: 'text-embedding-3-small',
+    minSimilarity: 0.3,
+    isConfigured: () => {
+      const apiKey = getSecret('OPENAI_API_KEY');
+      return Boolean(apiKey && apiKey !== 'your-openai-api-key-here');
+    },
+    embed: async (texts, model) => {
+      const client = new OpenAI({ apiKey: getSecret('OPENAI_API_KEY') });
+      const response = await client.embeddings.create({ model, input: texts });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => normalize(item.embedding));
+    }
+  }
+};
+
+/**
+ * Resolve the active embedding provider.
+ * Order: app_settings 'embedding_provider', EMBEDDING_PROVIDER env, then
+ * Ollama if the local LLM is enabled, OpenAI if a key is set, else hashing.
+ * 'none' disables semantic retrieval.
+ * @returns {Promise<Object|null>} { name, model, minSimilarity, embed } or null if disabled
+ */
+async function getProvider() {
+  const providerSetting = await getAsync("SELECT value FROM app_settings WHERE key = 'embedding_provider'");
+  const modelSetting = await getAsync("SELECT value FROM app_settings WHERE key = 'embedding_model'");
+
+  let name = providerSetting?.value || process.env.EMBEDDING_PROVIDER;
+  if (!name) {
+    if (process.env.USE_LOCAL_LLM === 'true' && PROVIDERS.ollama.isConfigured()) {
+      name = 'ollama';
+    } else if (PROVIDERS.openai.isConfigured()) {
+      name = 'openai';
+    } else {
+      name = 'hash';
+    }
+  }
+
+  if (name === 'none') return null;
+
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    logger.warn(`Unknown embedding provider "${name}", falling back to hash`);
+    return getHashProvider();
+  }
+
+  const model = name === 'hash'
+    ? provider.defaultModel
+    : modelSetting?.value || process.env.EMBEDDING_MODEL || provider.defaultModel;
+  const envMinSimilarity = parseFloat(process.env.EMBEDDING_MIN_SIMILARITY);
+
+  return {
+    name,
+    model,
+    minSimilarity: Number.isNaN(envMinSimilarity) ? provider.minSimilarity : envMinSimilarity,
+    embed: texts => provider.embed(texts, model)
+  };
+}
+
+/**
+ * The local hashing provider
+ * @returns {Object} Provider descriptor
+ */
+function getHashProvider() {
+  return {
+    name: 'hash',
+    model: PROVIDERS.hash.defaultModel,
+    minSimilarity: PROVIDERS.hash.minSimilarity,
+    embed: PROVIDERS.hash.embed
+  };
+}
+
+/**
+ * Encode a vector for storage
+ * @param {Array<number>} vector - Vector
+ * @returns {Buffer} Float32 little-endian bytes
+ */
+function toBlob(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+/**
+ * Decode a stored vector
+ * @param {Buffer} blob - Stored bytes
+ * @returns {Float32Array} Vector
+ */
+function fromBlob(blob) {
+  return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4);
+}
+
+/**
+ * Dot product of two unit vectors (their cosine similarity)
+ * @param {ArrayLike<number>} a - Vector
+ * @param {ArrayLike<number>} b - Vector
+ * @returns {number} Cosine similarity
+ */
+function cosine(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+/**
+ * Embed and store chunks
+ * @param {Object} provider - Provider from getProvider
+ * @param {Array} chunks - rag_chunks rows with id, title and content
+ * @returns {Promise<number>} Number of chunks embedded
+ */
+async function storeEmbeddings(provider, chunks) {
+  const batchSize = 32;
+  let stored = 0;
+
+  for (let i = 0; i < chunks.length; i += batchSize) {
+    const batch = chunks.slice(i, i + batchSize);
+    const vectors = await provider.embed(batch.map(chunk => `${chunk.title || ''}\n${chunk.content}`));
+
+    for (let j = 0; j < batch.length; j++) {
+      await runAsync(
+        `INSERT INTO rag_embeddings (chunk_id, provider, model, dimensions, vector, created_at)
+         VALUES (?, ?, ?, ?, ?, datetime('now'))
+         ON CONFLICT(chunk_id) DO UPDATE SET
+           provider = excluded.provider,
+           model = excluded.model,
+           dimensions = excluded.dimensions,
+           vector = excluded.vector,
+           created_at = excluded.created_at`,
+        [batch[j].id, provider.name, provider.model, vectors[j].length, toBlob(vectors[j])]
+      );
+      stored++;
+    }
+  }
+
+  return stored;
+}
+
+/**
+ * Embed the chunks of one source with the active provider.
+ * Failures are logged, not thrown: lexical search still works without vectors.
+ * @param {string} sourceType - 'document' or 'github_file'
+ * @param {string|number} sourceId - Source ID
+ * @returns {Promise<number>} Number of chunks embedded
+ */
+async function embedSource(sourceType, sourceId) {
+  try {
+    const provider = await getProvider();
+    if (!provider) return 0;
+
+    const chunks = await allAsync(
+      'SELECT id, title, content FROM rag_chunks WHERE source_type = ? AND source_id = ? ORDER BY chunk_index',
+      [sourceType, String(sourceId)]
+    );
+    return await storeEmbeddings(provider, chunks);
+  } catch (error) {
+    logger.warn(`Embedding failed for ${sourceType} ${sourceId}: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Embed every chunk that has no vector from the active provider and model
+ * (new chunks, or all chunks after the provider changed).
+ * @returns {Promise<number>} Number of chunks embedded
+ */
+async function embedPendingChunks() {
+  try {
+    const provider = await getProvider();
+    if (!provider) return 0;
+
+    const chunks = await allAsync(
+      `SELECT c.id, c.title, c.content
+       FROM rag_chunks c
+       LEFT JOIN rag_embeddings e ON e.chunk_id = c.id
+       WHERE e.chunk_id IS NULL OR e.provider != ? OR e.model != ?`,
+      [provider.name, provider.model]
+    );
+
+    const stored = await storeEmbeddings(provider, chunks);
+    if (stored > 0) {
+      logger.info(`Embedded ${stored} pending chunk(s) with ${provider.name}/${provider.model}`);
+    }
+    return stored;
+  } catch (error) {
+    logger.warn(`Embedding pending chunks failed: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Find the chunks most similar to a query, best first, one per source
+ * @param {string} sourceType - 'document' or 'github_file'
+ * @param {string} queryText - Natural-language query
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=5] - Maximum number of sources
+ * @param {Array<string>} [options.sourceIds] - Restrict to these sources
+ * @returns {Promise<Array>} Matches as { sourceId, chunkIndex, start, end, content, similarity }
+ */
+async function searchSimilar(sourceType, queryText, { limit = 5, sourceIds = null } = {}) {
+  if (!queryText || !queryText.trim()) return [];
+  if (sourceIds && sourceIds.length === 0) return [];
+
+  try {
+    const provider = await getProvider();
+    if (!provider) return [];
+
+    const [queryVector] = await provider.embed([queryText]);
+
+    let query = `
+      SELECT c.source_id, c.chunk_index, c.start_offset, c.end_offset, c.content, e.vector
+      FROM rag_embeddings e
+      JOIN rag_chunks c ON c.id = e.chunk_id
+      WHERE c.source_type = ? AND e.provider = ? AND e.model = ?
+    `;
+    const params = [sourceType, provider.name, provider.model];
+
+    if (sourceIds) {
+      query += ` AND c.source_id IN (${sourceIds.map(() => '?').join(', ')})`;
+      params.push(...sourceIds.map(String));
+    }
+
+    const rows = await allAsync(query, params);
+
+    const best = new Map();
+    for (const row of rows) {
+      const similarity = cosine(queryVector, fromBlob(row.vector));
+      if (similarity < provider.minSimilarity) continue;
+
+      const current = best.get(row.source_id);
+      if (!current || similarity > current.similarity) {
+        best.set(row.source_id, {
+          sourceId: row.source_id,
+          chunkIndex: row.chunk_index,
+          start: row.start_offset,
+          end: row.end_offset,
+          content: row.content,
+          similarity: Math.round(similarity * 1000) / 1000
+        });
+      }
+    }
+
+    return [...best.values()]
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  } catch (error) {
+    logger.warn(`Semantic search failed: ${error.message}`);
+    return [];
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  hashEmbed,
+  cosine,
+  getProvider,
+  embedSource,
+  embedPendingChunks,
+  searchSimilar
+};
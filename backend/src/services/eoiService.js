@@ -0,0 +1,421 @@
+const { v4: uuidv4 } = require('uuid');
+const PDFDocument = require('pdfkit');
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const aiFailoverService = require('./aiFailoverService');
+const logger = require('../utils/logger');
+
+/**
+ * Expression of Interest Service
+ * Each workspace has one Expression of Interest (EOI) for the C2PA
+ * Conformance Program. It moves draft -> ready -> submitted -> acknowledged:
+ * drafts may be incomplete, ready requires every required field, and once
+ * submitted the data is locked. Every edit and status change is stored as a
+ * numbered version in eoi_versions.
+ *
+ * The EOI can be exported as a PDF or as a JSON payload keyed by the field
+ * names of the C2PA form. Saving without changes adds no version.
+ */
+
+const STATUSES = ['draft', 'ready', 'submitted', 'acknowledged'];
+
+// Allowed status changes; editing a ready EOI moves it back to draft
+const TRANSITIONS = {
+  draft: ['ready'],
+  ready: ['draft', 'submitted'],
+  submitted: ['acknowledged'],
+  acknowledged: []
+};
+
+const EDITABLE_STATUSES = ['draft', 'ready'];
+
+const TIMELINES = ['1-3 months', '3-6 months', '6-12 months', '12+ months'];
+
+// formField: name of the field on the C2PA Expression of Interest form
+const FIELDS = {
+  companyName: { label: 'Company name', formField: 'organization_name', required: true, max: 200 },
+  contactName: { label: 'Contact name', formField: 'contact_name', required: true, max: 200 },
+  contactEmail: { label: 'Contact email', formField: 'contact_email', required: true, max: 254, format: 'email' },
+  contactPhone: { label: 'Contact phone', formField: 'contact_phone', max: 40, format: 'phone' },
+  companyWebsite: { label: 'Company website', formField: 'organization_website', max: 500, format: 'url' },
+  productDescription: { label: 'Product description', formField: 'product_description', required: true, min: 20, max: 5000 },
+  intendedUseCase: { label: 'Intended use case', formField: 'intended_use_case', max: 5000 },
+  estimatedTimeline: { label: 'Estimated timeline', formField: 'estimated_timeline', values: TIMELINES }
+};
+
+const C2PA_FORM = {
+  name: 'C2PA Conformance Program - Expression of Interest',
+  url: 'https://c2pa.org/conformance/'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits with optional leading +, spaces, dots, dashes and parentheses
+const PHONE_PATTERN = /^\+?[0-9\s().-]{7,}$/;
+
+const IMPROVE_MAX_TOKENS = 600;
+
+class EoiError extends Error {
+  constructor(message, status = 400, errors = []) {
+    super(message);
+    this.name = 'EoiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check EOI fields. Drafts only need well-formed values; a complete EOI
+ * also needs every required field.
+ * @param {Object} data - Field values
+ * @param {Object} [options]
+ * @param {boolean} [options.complete] - Require the required fields
+ * @returns {Array} [{ field, message }] - empty when valid
+ */
+function validateFields(data, { complete = false } = {}) {
+  const errors = [];
+
+  for (const field of Object.keys(data)) {
+    if (!FIELDS[field]) errors.push({ field, message: 'Unknown field' });
+  }
+
+  for (const [field, spec] of Object.entries(FIELDS)) {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') {
+      if (complete && spec.required) errors.push({ field, message: `${spec.label} is required` });
+      continue;
+    }
+    if (typeof value !== 'string') {
+      errors.push({ field, message: `${spec.label} must be a string` });
+      continue;
+    }
+    if (spec.max && value.length > spec.max) {
+      errors.push({ field, message: `${spec.label} must be at most ${spec.max} characters` });
+    } else if (complete && spec.min && value.length < spec.min) {
+      errors.push({ field, message: `${spec.label} must be at least ${spec.min} characters` });
+    }
+    if (spec.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors.push({ field, message: `${spec.label} must be a valid email address` });
+    }
+    if (spec.format === 'phone' && (!PHONE_PATTERN.test(value) || value.replace(/\D/g, '').length < 7)) {
+      errors.push({ field, message: `${spec.label} must be a valid phone number` });
+    }
+    if (spec.format === 'url' && !isValidUrl(value)) {
+      errors.push({ field, message: `${spec.label} must be an http(s) URL` });
+    }
+    if (spec.values && !spec.values.includes(value)) {
+      errors.push({ field, message: `${spec.label} must be one of: ${spec.values.join(', ')}` });
+    }
+  }
+
+  return errors;
+}
+
+function trimFields(data) {
+  return Object.fromEntries(Object.entries(data).map(([field, value]) =>
+    [field, typeof value === 'string' ? value.trim() : value]));
+}
+
+// Empty values are dropped so clearing a field removes it
+function dropEmpty(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) =>
+    value !== undefined && value !== null && value !== ''));
+}
+
+function formatEoi(row) {
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    status: row.status,
+    version: row.version,
+    data: JSON.parse(row.data),
+    reference: row.reference,
+    submittedAt: row.submitted_at,
+    acknowledgedAt: row.acknowledged_at,
+    createdBy: row.created_by,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatVersion(row) {
+  return {
+    version: row.version,
+    status: row.status,
+    data: JSON.parse(row.data),
+    note: row.note,
+    changedBy: row.changed_by,
+    changedByName: row.changed_by_name || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Get a workspace's EOI
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>}
+ */
+async function getEoi(workspaceId) {
+  const row = await getAsync('SELECT * FROM eois WHERE workspace_id = ?', [workspaceId]);
+  return row ? formatEoi(row) : null;
+}
+
+async function recordVersion(eoi, note, userId) {
+  await runAsync(
+    `INSERT INTO eoi_versions (id, eoi_id, version, status, data, note, changed_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), eoi.id, eoi.version, eoi.status, JSON.stringify(eoi.data), note || null, userId, eoi.updatedAt]
+  );
+}
+
+/**
+ * Create or edit a workspace's EOI. Given fields replace stored ones; null
+ * or '' clears a field. Edits save the EOI as a draft and add a version.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} fields - EOI fields to change
+ * @param {string} [userId] - Editing user
+ * @param {Object} [options]
+ * @param {string} [options.note] - Recorded with the version
+ * @returns {Promise<Object>} The EOI
+ * @throws {EoiError} 400 with errors when a value is invalid, 409 once submitted
+ */
+async function saveEoi(workspaceId, fields, userId = null, { note } = {}) {
+  const changes = trimFields(fields);
+  const errors = validateFields(changes);
+  if (errors.length > 0) throw new EoiError('Invalid Expression of Interest', 400, errors);
+
+  const existing = await getEoi(workspaceId);
+  if (existing && !EDITABLE_STATUSES.includes(existing.status)) {
+    throw new EoiError(`Expression of Interest is ${existing.status} and can no longer be edited`, 409);
+  }
+
+  const data = dropEmpty({ ...(existing ? existing.data : {}), ...changes });
+  if (existing && JSON.stringify(data) === JSON.stringify(existing.data)) {
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  if (!existing) {
+    await runAsync(
+      `INSERT INTO eois (id, workspace_id, status, version, data, created_by, updated_by, created_at, updated_at)
+       VALUES (?, ?, 'draft', 1, ?, ?, ?, ?, ?)`,
+      [uuidv4(), workspaceId, JSON.stringify(data), userId, userId, now, now]
+    );
+  } else {
+    await runAsync(
+      `UPDATE eois SET status = 'draft', version = version + 1, data = ?, updated_by = ?, updated_at = ?
+       WHERE id = ?`,
+      [JSON.stringify(data), userId, now, existing.id]
+    );
+  }
+
+  const eoi = await getEoi(workspaceId);
+  await recordVersion(eoi, note || (existing ? 'Edited' : 'Created'), userId);
+  return eoi;
+}
+
+/**
+ * Move a workspace's EOI to another status
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} status - draft, ready, submitted or acknowledged
+ * @param {string} [userId] - User making the change
+ * @param {Object} [options]
+ * @param {string} [options.note] - Recorded with the version
+ * @param {string} [options.reference] - C2PA's acknowledgement reference
+ * @returns {Promise<Object>} The EOI
+ * @throws {EoiError} 404 without an EOI, 409 for a disallowed change,
+ *   400 with errors when it is not complete enough to be ready
+ */
+async function setStatus(workspaceId, status, userId = null, { note, reference } = {}) {
+  if (!STATUSES.includes(status)) {
+    throw new EoiError(`Invalid status. Must be: ${STATUSES.join(', ')}`);
+  }
+
+  const eoi = await getEoi(workspaceId);
+  if (!eoi) throw new EoiError('Expression of Interest not found', 404);
+  if (!TRANSITIONS[eoi.status].includes(status)) {
+    throw new EoiError(`Cannot change an Expression of Interest from ${eoi.status} to ${status}`, 409);
+  }
+
+  if (status === 'ready') {
+    const errors = validateFields(eoi.data, { complete: true });
+    if (errors.length > 0) throw new EoiError('Expression of Interest is incomplete', 400, errors);
+  }
+
+  const now = new Date().toISOString();
+  await runAsync(
+    `UPDATE eois
+     SET status = ?, version = version + 1, updated_by = ?, updated_at = ?,
+         submitted_at = CASE WHEN ? = 'submitted' THEN ? ELSE submitted_at END,
+         acknowledged_at = CASE WHEN ? = 'acknowledged' THEN ? ELSE acknowledged_at END,
+         reference = COALESCE(?, reference)
+     WHERE id = ?`,
+    [status, userId, now, status, now, status, now, reference || null, eoi.id]
+  );
+
+  const updated = await getEoi(workspaceId);
+  await recordVersion(updated, note || `Marked ${status}`, userId);
+  logger.info(`Expression of Interest in workspace ${workspaceId} marked ${status}`);
+  return updated;
+}
+
+/**
+ * Version history of a workspace's EOI, newest first
+ * @returns {Promise<Array>}
+ */
+async function listVersions(workspaceId) {
+  const rows = await allAsync(
+    `SELECT v.*, u.name AS changed_by_name
+     FROM eoi_versions v
+     JOIN eois e ON e.id = v.eoi_id
+     LEFT JOIN users u ON u.id = v.changed_by
+     WHERE e.workspace_id = ?
+     ORDER BY v.version DESC`,
+    [workspaceId]
+  );
+  return rows.map(formatVersion);
+}
+
+/**
+ * One version of a workspace's EOI
+ * @returns {Promise<Object|null>}
+ */
+async function getVersion(workspaceId, version) {
+  const row = await getAsync(
+    `SELECT v.*, u.name AS changed_by_name
+     FROM eoi_versions v
+     JOIN eois e ON e.id = v.eoi_id
+     LEFT JOIN users u ON u.id = v.changed_by
+     WHERE e.workspace_id = ? AND v.version = ?`,
+    [workspaceId, version]
+  );
+  return row ? formatVersion(row) : null;
+}
+
+/**
+ * JSON payload for the C2PA form
+ * @param {Object} eoi - From getEoi
+ * @returns {Object} { form, formUrl, status, version, exportedAt, fields }
+ */
+function toFormPayload(eoi) {
+  const fields = {};
+  for (const [field, spec] of Object.entries(FIELDS)) {
+    fields[spec.formField] = eoi.data[field] || null;
+  }
+  return {
+    form: C2PA_FORM.name,
+    formUrl: C2PA_FORM.url,
+    status: eoi.status,
+    version: eoi.version,
+    exportedAt: new Date().toISOString(),
+    fields
+  };
+}
+
+/**
+ * Render an EOI as a PDF to keep or send alongside the C2PA form
+ * @param {Object} eoi - From getEoi
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(eoi) {
+  // Required here since reportService depends on this module
+  const { BRAND, PRODUCT_NAME } = require('./reportService');
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `${C2PA_FORM.name} - ${eoi.data.companyName || ''}`, Creator: PRODUCT_NAME }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - 100;
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND.dark);
+    doc.rect(0, 90, doc.page.width, 4).fill(BRAND.accent);
+    doc.font('Courier-Bold').fontSize(20).fillColor(BRAND.accent).text('Expression of Interest', 50, 28);
+    doc.font('Helvetica').fontSize(11).fillColor('#ffffff')
+      .text(`${C2PA_FORM.name} - version ${eoi.version}, ${eoi.status}`, 50, 56);
+
+    doc.fillColor(BRAND.dark).text('', 50, 115);
+    for (const [field, spec] of Object.entries(FIELDS)) {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND.muted).text(spec.label.toUpperCase(), { width });
+      doc.font('Helvetica').fontSize(11).fillColor(BRAND.dark).text(eoi.data[field] || '-', { width });
+      doc.moveDown(0.6);
+    }
+
+    if (eoi.reference) {
+      doc.font('Helvetica-Bold').fontSize(10).text(`C2PA reference: ${eoi.reference}`);
+    }
+    doc.moveDown(1).font('Helvetica').fontSize(8).fillColor(BRAND.muted)
+      .text(`Submit at ${C2PA_FORM.url} - generated ${new Date().toISOString()} by the ${PRODUCT_NAME}`, { width });
+
+    doc.end();
+  });
+}
+
+/**
+ * Ask the AI to improve a product description for the EOI
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} [text] - Description to improve; defaults to the stored one
+ * @returns {Promise<Object>} { original, suggestion, provider, model } - nothing is saved
+ * @throws {EoiError} 400 without a description, 503 without an AI provider, 502 when the call fails
+ */
+async function improveDescription(workspaceId, text) {
+  const eoi = await getEoi(workspaceId);
+  const original = (text || (eoi && eoi.data.productDescription) || '').trim();
+  if (!original) throw new EoiError('There is no product description to improve');
+
+  const chain = await aiFailoverService.getChain();
+  if (chain.length === 0) throw new EoiError('No AI provider is configured', 503);
+
+  const company = eoi && eoi.data.companyName ? ` by ${eoi.data.companyName}` : '';
+  const messages = [
+    {
+      role: 'system',
+      content: 'You help companies write their Expression of Interest for the C2PA Conformance Program. ' +
+        'Rewrite product descriptions to be clear, specific and factual: say what the product generates, ' +
+        'how it will create and sign C2PA manifests, and who uses it. Do not invent capabilities. ' +
+        `Reply with the rewritten description only, at most ${FIELDS.productDescription.max} characters.`
+    },
+    { role: 'user', content: `Product description${company}:\n\n${original}` }
+  ];
+
+  let result;
+  try {
+    result = await aiFailoverService.complete(messages, null, { temperature: 0.4, maxTokens: IMPROVE_MAX_TOKENS });
+  } catch (error) {
+    throw new EoiError(`The AI model could not improve the description: ${error.message}`, 502);
+  }
+
+  const suggestion = (result.message || '').trim().substring(0, FIELDS.productDescription.max);
+  if (!suggestion) throw new EoiError('The AI model returned an empty description', 502);
+
+  return { original, suggestion, provider: result.provider, model: result.model };
+}
+
+module.exports = {
+  STATUSES,
+  TIMELINES,
+  FIELDS,
+  EoiError,
+  validateFields,
+  getEoi,
+  saveEoi,
+  setStatus,
+  listVersions,
+  getVersion,
+  toFormPayload,
+  renderPdf,
+  improveDescription
+};
@@ -0,0 +1,289 @@
+const { v4: uuidv4 } = require('uuid');
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const logger = require('../utils/logger');
+
+/**
+ * Evidence Service
+ * Links a workspace's documents - optionally a page or an annotation of
+ * one - to checklist items and requirements as evidence. A document can
+ * back any number of items and an item can have any number of documents.
+ *
+ * Evidence attached to a requirement counts for the workspace's checklist
+ * item seeded from it. Items whose requirement is flagged evidence_required
+ * cannot be marked completed until some evidence is attached.
+ */
+
+class EvidenceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EvidenceError';
+    this.status = status;
+  }
+}
+
+// Evidence of an item: linked to it directly or to the requirement it was seeded from
+const ITEM_EVIDENCE = `
+  (e.checklist_item_id = c.id OR (e.requirement_id IS NOT NULL AND e.requirement_id = c.requirement_id))
+  AND e.workspace_id = c.workspace_id`;
+
+function formatEvidence(row) {
+  return {
+    id: row.id,
+    checklistItemId: row.checklist_item_id,
+    requirementId: row.requirement_id,
+    documentId: row.document_id,
+    documentName: row.document_name,
+    pageNumber: row.page_number,
+    annotationId: row.annotation_id,
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Load a workspace's checklist item with its requirement's evidence flag
+ * @returns {Promise<Object>} The checklist_items row plus requirement_ref and evidence_required
+ * @throws {EvidenceError} 404 when the item is not in the workspace
+ */
+async function getChecklistItem(workspaceId, itemId) {
+  const item = await getAsync(
+    `SELECT c.*, r.ref AS requirement_ref, r.evidence_required
+     FROM checklist_items c
+     LEFT JOIN requirements r ON r.id = c.requirement_id
+     WHERE c.id = ? AND c.workspace_id = ?`,
+    [itemId, workspaceId]
+  );
+  if (!item) throw new EvidenceError('Checklist item not found', 404);
+  return item;
+}
+
+/**
+ * Attach a document as evidence. Exactly one of checklistItemId and
+ * requirementId names what it backs. Attaching the same document, page and
+ * annotation twice returns the existing link.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} evidence - { checklistItemId, requirementId, documentId, pageNumber, annotationId, note }
+ * @param {string} [userId] - User attaching the evidence
+ * @returns {Promise<Object>} The evidence link
+ * @throws {EvidenceError} When the target, document or annotation is invalid
+ */
+async function attachEvidence(workspaceId, evidence, userId = null) {
+  const { checklistItemId = null, requirementId = null, documentId, annotationId = null, note = null } = evidence;
+  let pageNumber = evidence.pageNumber ?? null;
+
+  if (!checklistItemId === !requirementId) {
+    throw new EvidenceError('Exactly one of checklistItemId and requirementId is required');
+  }
+  if (!documentId) throw new EvidenceError('documentId is required');
+  if (pageNumber !== null && (!Number.isInteger(Number(pageNumber)) || Number(pageNumber) < 1)) {
+    throw new EvidenceError('pageNumber must be a positive integer');
+  }
+
+  if (checklistItemId) {
+    await getChecklistItem(workspaceId, checklistItemId);
+  } else {
+    const requirement = await getAsync('SELECT id FROM requirements WHERE id = ?', [requirementId]);
+    if (!requirement) throw new EvidenceError('Requirement not found', 404);
+  }
+
+  // Only the workspace's own documents count as evidence, not the official ones
+  const document = await getAsync(
+    'SELECT id FROM documents WHERE id = ? AND workspace_id = ?',
+    [documentId, workspaceId]
+  );
+  if (!document) throw new EvidenceError('Document not found', 404);
+
+  if (annotationId) {
+    const annotation = await getAsync(
+      'SELECT page_number FROM annotations WHERE id = ? AND document_id = ?',
+      [annotationId, documentId]
+    );
+    if (!annotation) throw new EvidenceError('Annotation not found', 404);
+    // Deleting the annotation clears the link's annotation_id; the page keeps it meaningful
+    if (pageNumber === null) pageNumber = annotation.page_number;
+  }
+  if (pageNumber !== null) pageNumber = Number(pageNumber);
+
+  const existing = await getAsync(
+    `SELECT id FROM evidence_links
+     WHERE workspace_id = ? AND checklist_item_id IS ? AND requirement_id IS ?
+       AND document_id = ? AND page_number IS ? AND annotation_id IS ?`,
+    [workspaceId, checklistItemId, requirementId, documentId, pageNumber, annotationId]
+  );
+  if (existing) return getEvidence(workspaceId, existing.id);
+
+  const id = uuidv4();
+  await runAsync(
+    `INSERT INTO evidence_links (id, workspace_id, checklist_item_id, requirement_id, document_id,
+                                 page_number, annotation_id, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, workspaceId, checklistItemId, requirementId, documentId, pageNumber, annotationId, note, userId]
+  );
+
+  logger.info(`Evidence ${documentId} attached to ${checklistItemId ? `item ${checklistItemId}` : `requirement ${requirementId}`} in workspace ${workspaceId}`);
+  return getEvidence(workspaceId, id);
+}
+
+/**
+ * Get one evidence link
+ * @returns {Promise<Object|null>}
+ */
+async function getEvidence(workspaceId, evidenceId) {
+  const row = await getAsync(
+    `SELECT e.*, d.original_name AS document_name
+     FROM evidence_links e
+     JOIN documents d ON d.id = e.document_id
+     WHERE e.id = ? AND e.workspace_id = ?`,
+    [evidenceId, workspaceId]
+  );
+  return row ? formatEvidence(row) : null;
+}
+
+/**
+ * Remove an evidence link
+ * @returns {Promise<boolean>} Whether a link was removed
+ */
+async function detachEvidence(workspaceId, evidenceId) {
+  const result = await runAsync(
+    'DELETE FROM evidence_links WHERE id = ? AND workspace_id = ?',
+    [evidenceId, workspaceId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Evidence for a checklist item, including evidence attached to its requirement
+ * @returns {Promise<Array>}
+ * @throws {EvidenceError} 404 when the item is not in the workspace
+ */
+async function listItemEvidence(workspaceId, itemId) {
+  await getChecklistItem(workspaceId, itemId);
+  const rows = await allAsync(
+    `SELECT e.*, d.original_name AS document_name
+     FROM checklist_items c
+     JOIN evidence_links e ON ${ITEM_EVIDENCE}
+     JOIN documents d ON d.id = e.document_id
+     WHERE c.id = ?
+     ORDER BY e.created_at, e.id`,
+    [itemId]
+  );
+  return rows.map(formatEvidence);
+}
+
+/**
+ * Evidence attached directly to a requirement in a workspace
+ * @returns {Promise<Array>}
+ */
+async function listRequirementEvidence(workspaceId, requirementId) {
+  const rows = await allAsync(
+    `SELECT e.*, d.original_name AS document_name
+     FROM evidence_links e
+     JOIN documents d ON d.id = e.document_id
+     WHERE e.workspace_id = ? AND e.requirement_id = ?
+     ORDER BY e.created_at, e.id`,
+    [workspaceId, requirementId]
+  );
+  return rows.map(formatEvidence);
+}
+
+/**
+ * Checklist items and requirements a document is evidence for
+ * @returns {Promise<Array>}
+ */
+async function listDocumentEvidence(workspaceId, documentId) {
+  const rows = await allAsync(
+    `SELECT e.*, d.original_name AS document_name
+     FROM evidence_links e
+     JOIN documents d ON d.id = e.document_id
+     WHERE e.workspace_id = ? AND e.document_id = ?
+     ORDER BY e.created_at, e.id`,
+    [workspaceId, documentId]
+  );
+  return rows.map(formatEvidence);
+}
+
+/**
+ * Evidence coverage of a workspace's checklist, per phase
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} [phaseId] - Only this phase
+ * @returns {Promise<Array>} [{ phaseId, total, covered, evidenceRequired, missing, coverage,
+ *   items: [{ id, title, status, requirementRef, evidenceRequired, evidenceCount }] }]
+ */
+async function getCoverage(workspaceId, phaseId = null) {
+  const params = [workspaceId];
+  let query = `
+    SELECT c.id, c.phase_id, c.title, c.status, r.ref AS requirement_ref,
+           COALESCE(r.evidence_required, 0) AS evidence_required,
+           (SELECT COUNT(*) FROM evidence_links e WHERE ${ITEM_EVIDENCE}) AS evidence_count
+    FROM checklist_items c
+    LEFT JOIN requirements r ON r.id = c.requirement_id
+    WHERE c.workspace_id = ?`;
+  if (phaseId) {
+    query += ' AND c.phase_id = ?';
+    params.push(phaseId);
+  }
+  query += ' ORDER BY c.phase_id, c.order_index';
+
+  const phases = new Map();
+  for (const row of await allAsync(query, params)) {
+    if (!phases.has(row.phase_id)) {
+      phases.set(row.phase_id, { phaseId: row.phase_id, total: 0, covered: 0, evidenceRequired: 0, missing: 0, items: [] });
+    }
+    const phase = phases.get(row.phase_id);
+    const evidenceRequired = row.evidence_required === 1;
+
+    phase.total++;
+    if (row.evidence_count > 0) phase.covered++;
+    if (evidenceRequired) {
+      phase.evidenceRequired++;
+      if (row.evidence_count === 0) phase.missing++;
+    }
+    phase.items.push({
+      id: row.id,
+      title: row.title,
+      status: row.status,
+      requirementRef: row.requirement_ref,
+      evidenceRequired,
+      evidenceCount: row.evidence_count
+    });
+  }
+
+  return [...phases.values()].map(phase => ({
+    ...phase,
+    coverage: phase.total > 0 ? Math.round((phase.covered / phase.total) * 100) : 0
+  }));
+}
+
+/**
+ * Check that an item may be marked completed
+ * @throws {EvidenceError} 404 when the item is missing, 409 when its requirement
+ *   needs evidence and none is attached
+ */
+async function assertCanComplete(workspaceId, itemId) {
+  const item = await getChecklistItem(workspaceId, itemId);
+  if (item.evidence_required !== 1) return;
+
+  const { count } = await getAsync(
+    `SELECT COUNT(*) AS count FROM checklist_items c
+     JOIN evidence_links e ON ${ITEM_EVIDENCE}
+     WHERE c.id = ?`,
+    [itemId]
+  );
+  if (count === 0) {
+    throw new EvidenceError(`${item.requirement_ref} requires evidence: attach a document before completing this item`, 409);
+  }
+}
+
+module.exports = {
+  EvidenceError,
+  getChecklistItem,
+  attachEvidence,
+  getEvidence,
+  detachEvidence,
+  listItemEvidence,
+  listRequirementEvidence,
+  listDocumentEvidence,
+  getCoverage,
+  assertCanComplete
+};
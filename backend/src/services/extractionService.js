@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const mammoth = require('mammoth');
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const logger = require('../utils/logger');
+const searchIndexService = require('./searchIndexService');
+
+/**
+ * Document Text Extraction Service
+ * Turns uploaded files into plain text (with per-page offsets for PDFs) and
+ * stores it in document_content so RAG and analysis never re-read binaries.
+ */
+
+const TEXT_TYPES = ['txt', 'md', 'json'];
+const SUPPORTED_TYPES = ['pdf', 'docx', ...TEXT_TYPES];
+
+// Pages are separated by a blank line in the stored text
+const PAGE_SEPARATOR = '\n\n';
+
+/**
+ * Resolve a stored file_path to a location on disk.
+ * Older Phase 1 / checkpoint rows stored paths like "/data/phase1-submissions/x"
+ * that are relative to the project root rather than absolute.
+ * @param {string} filePath - documents.file_path value
+ * @returns {string|null} Existing path or null if the file is missing
+ */
+function resolveDocumentPath(filePath) {
+  if (!filePath) return null;
+
+  const candidates = [
+    filePath,
+    path.join(__dirname, '../../..', filePath),
+    path.join(__dirname, '../..', filePath)
+  ];
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Render one PDF page to text, keeping line breaks between text rows
+ * @param {Object} pageData - pdf.js page proxy
+ * @returns {Promise<string>} Page text
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === undefined || lastY === item.transform[5]) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+/**
+ * Join page texts and record where each page starts and ends
+ * @param {Array<string>} pageTexts - Text of each page, in order
+ * @returns {Object} { text, pages: [{ page, start, end }] }
+ */
+function joinPages(pageTexts) {
+  const pages = [];
+  let text = '';
+
+  pageTexts.forEach((pageText, index) => {
+    if (index > 0) text += PAGE_SEPARATOR;
+    const start = text.length;
+    text += pageText;
+    pages.push({ page: index + 1, start, end: text.length });
+  });
+
+  return { text, pages };
+}
+
+/**
+ * Extract text from a PDF buffer
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Promise<Object>} { text, pages }
+ */
+async function extractPdf(buffer) {
+  const pageTexts = [];
+
+  // Small Buffers are slices of Node's shared pool, which pdf.js reads from
+  // offset 0 of the underlying ArrayBuffer; hand it a standalone copy.
+  // pdf-parse renders pages sequentially, so push order is page order.
+  await pdfParse(new Uint8Array(buffer), {
+    pagerender: async pageData => {
+      let pageText = '';
+      try {
+        pageText = await renderPdfPage(pageData);
+      } finally {
+        // An unreadable page still occupies its slot
+        pageTexts.push(pageText);
+      }
+      return pageText;
+    }
+  });
+
+  return joinPages(pageTexts);
+}
+
+/**
+ * Extract text from a DOCX buffer
+ * @param {Buffer} buffer - DOCX contents
+ * @returns {Promise<Object>} { text, pages }
+ */
+async function extractDocx(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  result.messages
+    .filter(message => message.type === 'error')
+    .forEach(message => logger.warn(`DOCX extraction: ${message.message}`));
+
+  // DOCX has no fixed pagination; the whole document is one page
+  return joinPages([result.value.trim()]);
+}
+
+/**
+ * Extract text from a file
+ * @param {string} filePath - Path on disk
+ * @param {string} fileType - Extension without dot (pdf, docx, txt, md, json)
+ * @returns {Promise<Object>} { text, pages }
+ * @throws {Error} If the type is unsupported or the file cannot be parsed
+ */
+async function extractText(filePath, fileType) {
+  const type = (fileType || '').toLowerCase();
+  const buffer = fs.readFileSync(filePath);
+
+  if (type === 'pdf') {
+    return await extractPdf(buffer);
+  }
+  if (type === 'docx') {
+    return await extractDocx(buffer);
+  }
+  if (type === 'json') {
+    return joinPages([JSON.stringify(JSON.parse(buffer.toString('utf8')), null, 2)]);
+  }
+  if (TEXT_TYPES.includes(type)) {
+    return joinPages([buffer.toString('utf8')]);
+  }
+
+  throw new Error(`Unsupported file type: ${fileType}`);
+}
+
+/**
+ * Record the extraction state of a document
+ * @param {string} documentId - Document ID
+ * @param {Object} fields - Columns to set
+ * @returns {Promise<void>}
+ */
+async function saveContent(documentId, fields) {
+  const row = {
+    text: null,
+    pages: null,
+    page_count: 0,
+    char_count: 0,
+    error: null,
+    extracted_at: null,
+    ...fields
+  };
+
+  await runAsync(
+    `INSERT INTO document_content (document_id, status, text, pages, page_count, char_count, error, extracted_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+     ON CONFLICT(document_id) DO UPDATE SET
+       status = excluded.status,
+       text = excluded.text,
+       pages = excluded.pages,
+       page_count = excluded.page_count,
+       char_count = excluded.char_count,
+       error = excluded.error,
+       extracted_at = excluded.extracted_at,
+       updated_at = datetime('now')`,
+    [documentId, row.status, row.text, row.pages, row.page_count, row.char_count, row.error, row.extracted_at]
+  );
+}
+
+/**
+ * Extract and store the text of a document.
+ * Never throws: failures are recorded as status 'failed' with the error.
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Extraction status summary
+ */
+async function extractDocument(documentId) {
+  const document = await getAsync('SELECT * FROM documents WHERE id = ?', [documentId]);
+  if (!document) {
+    return { status: 'failed', error: 'Document not found' };
+  }
+
+  const fileType = (document.file_type || '').toLowerCase();
+  if (!SUPPORTED_TYPES.includes(fileType)) {
+    await saveContent(documentId, { status: 'unsupported', error: `Unsupported file type: ${fileType}` });
+    return { status: 'unsupported' };
+  }
+
+  const filePath = resolveDocumentPath(document.file_path);
+  if (!filePath) {
+    await saveContent(documentId, { status: 'failed', error: 'File not found on disk' });
+    return { status: 'failed', error: 'File not found on disk' };
+  }
+
+  await saveContent(documentId, { status: 'processing' });
+
+  try {
+    const { text, pages } = await extractText(filePath, fileType);
+
+    await saveContent(documentId, {
+      status: 'completed',
+      text,
+      pages: JSON.stringify(pages),
+      page_count: pages.length,
+      char_count: text.length,
+      extracted_at: new Date().toISOString()
+    });
+
+    await searchIndexService.indexSource(searchIndexService.SOURCE_DOCUMENT, documentId, document.original_name, text);
+
+    logger.info(`Extracted ${text.length} characters from ${document.original_name} (${pages.length} page(s))`);
+    return { status: 'completed', pageCount: pages.length, charCount: text.length };
+  } catch (error) {
+    logger.error(`Text extraction failed for ${document.original_name}:`, error.message);
+    await saveContent(documentId, { status: 'failed', error: error.message });
+    await searchIndexService.removeSource(searchIndexService.SOURCE_DOCUMENT, documentId);
+    return { status: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Get the extraction status of a document (without the text)
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} Status or null if never extracted
+ */
+async function getExtractionStatus(documentId) {
+  const row = await getAsync(
+    `SELECT status, page_count, char_count, error, extracted_at
+     FROM document_content WHERE document_id = ?`,
+    [documentId]
+  );
+  if (!row) return null;
+
+  return {
+    status: row.status,
+    pageCount: row.page_count,
+    charCount: row.char_count,
+    error: row.error,
+    extractedAt: row.extracted_at
+  };
+}
+
+/**
+ * Get the extracted text of a document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} { text, pages } or null if not extracted
+ */
+async function getContent(documentId) {
+  const row = await getAsync(
+    "SELECT text, pages FROM document_content WHERE document_id = ? AND status = 'completed'",
+    [documentId]
+  );
+  if (!row) return null;
+
+  return {
+    text: row.text,
+    pages: row.pages ? JSON.parse(row.pages) : []
+  };
+}
+
+/**
+ * Find the page a character offset falls on
+ * @param {Array} pages - Page offsets from getContent
+ * @param {number} offset - Character offset into the text
+ * @returns {number|null} Page number or null if unknown
+ */
+function getPageForOffset(pages, offset) {
+  if (!pages || pages.length === 0) return null;
+  const page = pages.find(p => offset >= p.start && offset <= p.end);
+  return page ? page.page : pages[pages.length - 1].page;
+}
+
+/**
+ * Extract every document that has never been extracted (e.g. rows that
+ * predate the extraction pipeline). Runs sequentially to bound memory.
+ * @returns {Promise<number>} Number of documents processed
+ */
+async function extractPendingDocuments() {
+  const pending = await allAsync(
+    `SELECT d.id FROM documents d
+     LEFT JOIN document_content dc ON dc.document_id = d.id
+     WHERE dc.document_id IS NULL OR dc.status IN ('pending', 'processing')`
+  );
+
+  for (const { id } of pending) {
+    await extractDocument(id);
+  }
+
+  if (pending.length > 0) {
+    logger.info(`Extracted text for ${pending.length} pending document(s)`);
+  }
+  return pending.length;
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  resolveDocumentPath,
+  extractText,
+  extractDocument,
+  extractPendingDocuments,
+  getExtractionStatus,
+  getContent,
+  getPageForOffset
+};
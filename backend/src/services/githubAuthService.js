@@ -1,42 +1,150 @@
 const { Octokit } = require('@octokit/rest');
 const { createOAuthDeviceAuth } = require('@octokit/auth-oauth-device');
+const { v4: uuidv4 } = require('uuid');
+const { runAsync, getAsync } = require('../models/database');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { getSecret, setSecret } = require('../utils/secrets');
 const logger = require('../utils/logger');
 
 /**
  * GitHub Authentication Service
  * Handles GitHub authentication using OAuth Device Flow or Personal Access Token
+ *
+ * Tokens are stored encrypted in github_credentials: one service token, used
+ * for indexing and by anyone without a token of their own, and optional
+ * per-user tokens. hydrate() loads the service token at startup so indexing
+ * keeps working across restarts; user tokens are loaded on first use.
+ *
+ * A GITHUB_TOKEN secret is used as the service token when none is stored.
+ * It is kept in memory only, since the operator manages it.
  */
 
+const KIND_SERVICE = 'service';
+const KIND_USER = 'user';
+
+// How long a finished device flow can still be polled for its result
+const DEVICE_FLOW_RETENTION_MS = 10 * 60 * 1000;
+
+// Token prefixes (https://github.blog/2021-04-05-behind-githubs-new-authentication-token-formats/)
+const TOKEN_TYPES = [
+  ['github_pat_', 'fine-grained'],
+  ['ghp_', 'classic'],
+  ['gho_', 'oauth'],
+  ['ghu_', 'github-app-user'],
+  ['ghs_', 'github-app-installation']
+];
+
+class GitHubAuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GitHubAuthError';
+    this.status = status;
+  }
+}
+
+function tokenType(token) {
+  const match = TOKEN_TYPES.find(([prefix]) => token.startsWith(prefix));
+  return match ? match[1] : 'unknown';
+}
+
+function tokenPreview(token) {
+  return token.length > 8
+    ? `${token.substring(0, 4)}...${token.substring(token.length - 4)}`
+    : `${token.substring(0, 4)}...****`;
+}
+
+// "repo, read:org" -> ['repo', 'read:org']; fine-grained tokens send no scopes header
+function parseScopes(header) {
+  if (header === undefined || header === null) return null;
+  return String(header).split(',').map(scope => scope.trim()).filter(Boolean);
+}
+
+// "2026-03-01 12:00:00 UTC" or "2026-03-01 12:00:00 +0100" -> ISO 8601
+function parseExpiration(header) {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) (UTC|[+-]\d{2}:?\d{2})$/.exec(String(header || '').trim());
+  if (!match) return null;
+
+  const offset = match[3] === 'UTC' ? 'Z' : match[3].replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+  const date = new Date(`${match[1]}T${match[2]}${offset}`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function formatUser(user) {
+  return user ? {
+    login: user.login,
+    name: user.name,
+    email: user.email,
+    avatarUrl: user.avatar_url
+  } : null;
+}
+
+// A stored credential as returned to clients (never the token itself)
+function formatCredential(row) {
+  return {
+    kind: row.kind,
+    userId: row.user_id,
+    login: row.login,
+    name: row.name,
+    avatarUrl: row.avatar_url,
+    tokenPreview: row.token_preview,
+    tokenType: row.token_type,
+    scopes: row.scopes ? JSON.parse(row.scopes) : null,
+    expiresAt: row.expires_at,
+    expired: row.expires_at ? new Date(row.expires_at) <= new Date() : false,
+    source: row.source,
+    lastVerifiedAt: row.last_verified_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function findCredential(userId) {
+  return userId
+    ? getAsync('SELECT * FROM github_credentials WHERE kind = ? AND user_id = ?', [KIND_USER, userId])
+    : getAsync('SELECT * FROM github_credentials WHERE kind = ?', [KIND_SERVICE]);
+}
+
 class GitHubAuthService {
   constructor() {
+    // Service identity
     this.octokit = null;
     this.authenticatedUser = null;
+    this.source = null;
+
+    this.userClients = new Map(); // userId -> Octokit
+    this.deviceFlows = new Map(); // flowId -> flow state
   }
 
   /**
-   * Authenticate using GitHub Personal Access Token
-   * This is the simplest method - user provides their token
+   * Ask GitHub who a token belongs to, what it may do and when it expires
+   * @param {string} token - GitHub token
+   * @returns {Promise<Object>} { octokit, user, scopes, tokenType, expiresAt }
    */
-  async authenticateWithToken(token) {
-    try {
-      this.octokit = new Octokit({
-        auth: token
-      });
+  async introspect(token) {
+    const octokit = new Octokit({ auth: token });
+    const { data: user, headers } = await octokit.request('GET /user');
 
-      // Verify the token by fetching authenticated user
-      const { data: user } = await this.octokit.rest.users.getAuthenticated();
-      this.authenticatedUser = user;
+    return {
+      octokit,
+      user,
+      scopes: parseScopes(headers['x-oauth-scopes']),
+      tokenType: tokenType(token),
+      expiresAt: parseExpiration(headers['github-authentication-token-expiration'])
+    };
+  }
 
-      logger.info(`GitHub authenticated as: ${user.login}`);
-      return {
-        success: true,
-        user: {
-          login: user.login,
-          name: user.name,
-          email: user.email,
-          avatarUrl: user.avatar_url
-        }
-      };
+  /**
+   * Authenticate using GitHub Personal Access Token
+   * The token is verified, stored encrypted and used from then on.
+   * @param {string} token - GitHub token
+   * @param {Object} options - { userId (store as that user's token; default the service token), source, createdBy }
+   * @returns {Promise<Object>} { success, user, credential } or { success: false, error }
+   */
+  async authenticateWithToken(token, { userId = null, source = 'token', createdBy = null } = {}) {
+    let info;
+    try {
+      info = await this.introspect(token);
     } catch (error) {
       logger.error('GitHub authentication failed:', error.message);
       return {
@@ -44,41 +152,256 @@ class GitHubAuthService {
         error: error.message
       };
     }
+
+    const row = await this.saveCredential(token, info, { userId, source, createdBy });
+    if (userId) {
+      this.userClients.set(userId, info.octokit);
+    } else {
+      this.useServiceClient(info.octokit, info.user, 'stored');
+    }
+
+    logger.info(`GitHub authenticated as: ${info.user.login} (${userId ? `user ${userId}` : 'service'})`);
+    return {
+      success: true,
+      user: formatUser(info.user),
+      credential: formatCredential(row)
+    };
+  }
+
+  async saveCredential(token, info, { userId, source, createdBy }) {
+    const values = [
+      encrypt(token),
+      tokenPreview(token),
+      info.tokenType,
+      info.user.login,
+      info.user.name || null,
+      info.user.avatar_url || null,
+      info.scopes ? JSON.stringify(info.scopes) : null,
+      info.expiresAt,
+      source
+    ];
+
+    const existing = await findCredential(userId);
+    if (existing) {
+      await runAsync(
+        `UPDATE github_credentials SET
+           token_encrypted = ?, token_preview = ?, token_type = ?, login = ?, name = ?, avatar_url = ?,
+           scopes = ?, expires_at = ?, source = ?, last_error = NULL,
+           last_verified_at = datetime('now'), updated_at = datetime('now')
+         WHERE id = ?`,
+        [...values, existing.id]
+      );
+    } else {
+      await runAsync(
+        `INSERT INTO github_credentials
+         (token_encrypted, token_preview, token_type, login, name, avatar_url, scopes, expires_at, source,
+          id, kind, user_id, created_by, last_verified_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+        [...values, uuidv4(), userId ? KIND_USER : KIND_SERVICE, userId, createdBy]
+      );
+    }
+
+    return findCredential(userId);
+  }
+
+  useServiceClient(octokit, user, source) {
+    this.octokit = octokit;
+    this.authenticatedUser = user;
+    this.source = source;
   }
 
   /**
-   * Authenticate using OAuth Device Flow
-   * This allows users to authenticate through GitHub's web interface
+   * Load the service token after a restart
+   * Uses the stored token; failing that, moves a plaintext token saved by an
+   * earlier release (app_settings 'github_token') into the encrypted store;
+   * failing that, uses the GITHUB_TOKEN secret. Nothing is sent to GitHub
+   * for a stored token, so startup does not depend on GitHub being reachable.
+   * @returns {Promise<Object>} { authenticated, source, error? }
    */
-  async authenticateWithDeviceFlow(clientId) {
-    try {
+  async hydrate() {
+    const stored = await findCredential(null);
+    if (stored) {
+      try {
+        const octokit = new Octokit({ auth: decrypt(stored.token_encrypted) });
+        this.useServiceClient(octokit, {
+          login: stored.login,
+          name: stored.name,
+          email: null,
+          avatar_url: stored.avatar_url
+        }, 'stored');
+        logger.info(`GitHub service token loaded for: ${stored.login}`);
+        return { authenticated: true, source: 'stored' };
+      } catch (error) {
+        logger.warn(`Stored GitHub service token is unusable (${error.message}). Please set it again.`);
+        return { authenticated: false, source: 'stored', error: error.message };
+      }
+    }
+
+    const legacy = await getAsync('SELECT value FROM app_settings WHERE key = ?', ['github_token']);
+    if (legacy && legacy.value) {
+      const result = await this.authenticateWithToken(legacy.value, { source: 'legacy' });
+      if (result.success) {
+        await runAsync('DELETE FROM app_settings WHERE key = ?', ['github_token']);
+        // Earlier releases also wrote it to secrets.json
+        if (getSecret('GITHUB_TOKEN') === legacy.value) {
+          setSecret('GITHUB_TOKEN', '');
+        }
+        logger.info('Moved the GitHub token from app_settings into encrypted storage');
+        return { authenticated: true, source: 'legacy' };
+      }
+      logger.warn(`GitHub token in app_settings could not be verified, leaving it in place: ${result.error}`);
+    }
+
+    const secret = getSecret('GITHUB_TOKEN');
+    if (secret) {
+      this.useServiceClient(new Octokit({ auth: secret }), null, 'secret');
+      return { authenticated: true, source: 'secret' };
+    }
+
+    return { authenticated: false, source: null };
+  }
+
+  /**
+   * Start an OAuth Device Flow
+   * Resolves as soon as GitHub has issued the user code, so the UI can show
+   * it; GitHub is polled in the background and the token is stored once the
+   * user has entered the code. Check progress with getDeviceFlow().
+   * @param {Object} options - { clientId, scopes, userId (default the service token), createdBy, onComplete(result) }
+   * @returns {Promise<Object>} Flow (see getDeviceFlow)
+   */
+  startDeviceFlow({ clientId, scopes = ['repo'], userId = null, createdBy = null, onComplete = null }) {
+    this.pruneDeviceFlows();
+
+    return new Promise((resolve, reject) => {
+      const flow = {
+        id: uuidv4(),
+        status: 'pending',
+        kind: userId ? KIND_USER : KIND_SERVICE,
+        userId,
+        userCode: null,
+        verificationUri: null,
+        expiresAt: null,
+        interval: null,
+        user: null,
+        error: null,
+        finishedAt: null
+      };
+
       const auth = createOAuthDeviceAuth({
-        clientId: clientId,
+        clientType: 'oauth-app',
+        clientId,
+        scopes,
         onVerification: (verification) => {
-          logger.info('GitHub Device Flow Authentication:');
-          logger.info(`Please visit: ${verification.verification_uri}`);
-          logger.info(`Enter code: ${verification.user_code}`);
-
-          return verification;
+          Object.assign(flow, {
+            userCode: verification.user_code,
+            verificationUri: verification.verification_uri,
+            expiresAt: new Date(Date.now() + verification.expires_in * 1000).toISOString(),
+            interval: verification.interval
+          });
+          this.deviceFlows.set(flow.id, flow);
+          logger.info(`GitHub Device Flow started: enter ${verification.user_code} at ${verification.verification_uri}`);
+          resolve(this.getDeviceFlow(flow.id));
         }
       });
 
-      const { token } = await auth();
-      return await this.authenticateWithToken(token);
+      auth({ type: 'oauth' })
+        .then(({ token }) => this.authenticateWithToken(token, { userId, source: 'device-flow', createdBy }))
+        .then(async result => {
+          Object.assign(flow, result.success
+            ? { status: 'complete', user: result.user }
+            : { status: 'failed', error: result.error });
+          if (result.success && onComplete) await onComplete(result);
+        })
+        .catch(error => {
+          logger.error('GitHub OAuth Device Flow failed:', error.message);
+          Object.assign(flow, { status: 'failed', error: error.message });
+          // Only reaches the caller if GitHub refused to start the flow
+          reject(new GitHubAuthError(`GitHub Device Flow failed: ${error.message}`, 502));
+        })
+        .finally(() => {
+          flow.finishedAt = Date.now();
+        });
+    });
+  }
+
+  /**
+   * State of a device flow
+   * @param {string} flowId - Flow ID
+   * @returns {Object|null} { id, status: pending|complete|failed, kind, userId, userCode, verificationUri, expiresAt, interval, user, error }
+   */
+  getDeviceFlow(flowId) {
+    const flow = this.deviceFlows.get(flowId);
+    if (!flow) return null;
+
+    const { finishedAt, ...state } = flow;
+    return { ...state };
+  }
+
+  pruneDeviceFlows() {
+    const cutoff = Date.now() - DEVICE_FLOW_RETENTION_MS;
+    for (const [id, flow] of this.deviceFlows) {
+      if (flow.finishedAt && flow.finishedAt < cutoff) {
+        this.deviceFlows.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Stored credential details, optionally re-checked with GitHub
+   * A failed check is recorded in lastError; the token stays stored.
+   * @param {string|null} userId - User whose token to describe (null for the service token)
+   * @param {Object} options - { refresh }
+   * @returns {Promise<Object|null>} Credential (see formatCredential) or null
+   */
+  async getCredential(userId = null, { refresh = false } = {}) {
+    let row = await findCredential(userId);
+
+    if (!row && !userId && this.source === 'secret') {
+      return { kind: KIND_SERVICE, userId: null, source: 'secret' };
+    }
+    if (!row || !refresh) {
+      return row ? formatCredential(row) : null;
+    }
+
+    try {
+      const token = decrypt(row.token_encrypted);
+      const info = await this.introspect(token);
+      row = await this.saveCredential(token, info, { userId, source: row.source, createdBy: row.created_by });
     } catch (error) {
-      logger.error('GitHub OAuth Device Flow failed:', error.message);
-      return {
-        success: false,
-        error: error.message
-      };
+      logger.warn(`GitHub token check failed for ${userId ? `user ${userId}` : 'service'}: ${error.message}`);
+      await runAsync(
+        "UPDATE github_credentials SET last_error = ?, last_verified_at = datetime('now') WHERE id = ?",
+        [error.message, row.id]
+      );
+      row = await findCredential(userId);
     }
+    return formatCredential(row);
+  }
+
+  /**
+   * Delete a stored token
+   * @param {string|null} userId - User whose token to delete (null for the service token)
+   * @returns {Promise<Object|null>} The deleted credential, or null if there was none
+   */
+  async removeToken(userId = null) {
+    const row = await findCredential(userId);
+    if (!row) return null;
+
+    await runAsync('DELETE FROM github_credentials WHERE id = ?', [row.id]);
+    if (userId) {
+      this.userClients.delete(userId);
+    } else {
+      this.logout();
+    }
+    return formatCredential(row);
   }
 
   /**
    * Check if user is authenticated
+   * (whether a service token is loaded)
    */
   isAuthenticated() {
-    return this.octokit !== null && this.authenticatedUser !== null;
+    return this.octokit !== null;
   }
 
   /**
@@ -90,20 +413,43 @@ class GitHubAuthService {
 
   /**
    * Get Octokit instance
+   * The user's own token if they stored one, otherwise the service token.
+   * @param {string|null} userId - User acting (optional)
+   * @returns {Promise<Octokit>}
+   * @throws {GitHubAuthError} 401 if neither is available
    */
-  getOctokit() {
+  async getOctokit(userId = null) {
+    if (userId) {
+      if (!this.userClients.has(userId)) {
+        const row = await findCredential(userId);
+        if (row) {
+          try {
+            this.userClients.set(userId, new Octokit({ auth: decrypt(row.token_encrypted) }));
+          } catch (error) {
+            logger.warn(`Stored GitHub token for user ${userId} is unusable: ${error.message}`);
+          }
+        }
+      }
+      if (this.userClients.has(userId)) {
+        return this.userClients.get(userId);
+      }
+    }
+
     if (!this.isAuthenticated()) {
-      throw new Error('Not authenticated. Please authenticate first.');
+      throw new GitHubAuthError('Not authenticated. Please authenticate first.', 401);
     }
     return this.octokit;
   }
 
   /**
    * Logout - clear authentication
+   * Forgets the loaded service token; a stored one is loaded again by the
+   * next hydrate() (use removeToken to delete it).
    */
   logout() {
     this.octokit = null;
     this.authenticatedUser = null;
+    this.source = null;
     logger.info('GitHub logged out');
   }
 }
@@ -112,3 +458,4 @@ class GitHubAuthService {
 const githubAuthService = new GitHubAuthService();
 
 module.exports = githubAuthService;
+module.exports.GitHubAuthError = GitHubAuthError;
@@ -1,11 +1,22 @@
 const githubAuthService = require('./githubAuthService');
-const { runAsync, allAsync } = require('../models/database');
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const searchIndexService = require('./searchIndexService');
+const embeddingService = require('./embeddingService');
+const { readTarball } = require('../utils/tarball');
 const logger = require('../utils/logger');
 const path = require('path');
 
 /**
  * GitHub RAG Service
  * Indexes and searches GitHub repository content for RAG functionality
+ *
+ * Re-indexing is incremental (see indexRepository). Configuration (environment):
+ * - GITHUB_TARBALL_MIN_FILES: download the repository archive instead of
+ *   single files once this many files changed (default 50)
+ * - GITHUB_RATE_LIMIT_RESERVE: requests to leave unused in each rate limit
+ *   window; indexing waits for the reset below it (default 100)
+ * - GITHUB_RATE_LIMIT_MAX_WAIT: longest wait for a reset in seconds before
+ *   the run fails instead (default 900)
  */
 
 // File extensions to index (text-based files)
@@ -24,9 +35,44 @@ const IGNORE_PATTERNS = [
   '*.min.js', '*.min.css', 'package-lock.json', 'yarn.lock'
 ];
 
+const DEFAULTS = {
+  tarballMinFiles: 50,
+  rateLimitReserve: 100,
+  rateLimitMaxWaitSeconds: 900
+};
+
+// Files fetched at once when fetching blob by blob
+const BATCH_SIZE = 10;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Indexing settings in effect
+ * @returns {Object} { tarballMinFiles, rateLimitReserve, rateLimitMaxWaitSeconds }
+ */
+function getIndexConfig() {
+  return {
+    tarballMinFiles: envInt('GITHUB_TARBALL_MIN_FILES', DEFAULTS.tarballMinFiles),
+    rateLimitReserve: envInt('GITHUB_RATE_LIMIT_RESERVE', DEFAULTS.rateLimitReserve),
+    rateLimitMaxWaitSeconds: envInt('GITHUB_RATE_LIMIT_MAX_WAIT', DEFAULTS.rateLimitMaxWaitSeconds)
+  };
+}
+
+// Primary (403/429 with nothing left) or secondary (Retry-After) rate limit
+function isRateLimited(error) {
+  const headers = (error.response && error.response.headers) || {};
+  return (error.status === 403 || error.status === 429) &&
+    (headers['retry-after'] !== undefined || headers['x-ratelimit-remaining'] === '0');
+}
+
 class GitHubRagService {
   constructor() {
     this.indexedRepos = new Map(); // Cache indexed repos
+    this.jobs = new Map(); // "owner/repo@branch" -> progress of the latest index run
+    this.sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -50,179 +96,348 @@ class GitHubRagService {
   }
 
   /**
-   * Fetch repository tree (all files) from GitHub
+   * Make a GitHub request, keeping within the rate limit
+   * Waits for the window to reset once fewer than GITHUB_RATE_LIMIT_RESERVE
+   * requests are left, and retries once after a rate limit error. Gives up if
+   * the reset is more than GITHUB_RATE_LIMIT_MAX_WAIT seconds away.
+   * @param {Object} job - Index run (see getIndexProgress)
+   * @param {Function} call - () => Promise<Octokit response>
+   * @returns {Promise<Object>} Response
    */
-  async fetchRepositoryTree(owner, repo, branch = 'main') {
+  async request(job, call, retried = false) {
+    const { rateLimitReserve } = getIndexConfig();
+    if (job.rateLimit && job.rateLimit.remaining <= rateLimitReserve) {
+      await this.waitForRateLimit(job, job.rateLimit.reset * 1000 - Date.now());
+    }
+
     try {
-      const octokit = githubAuthService.getOctokit();
+      const response = await call();
+      job.apiCalls++;
+      this.recordRateLimit(job, response.headers);
+      return response;
+    } catch (error) {
+      job.apiCalls++;
+      const headers = (error.response && error.response.headers) || {};
+      this.recordRateLimit(job, headers);
+      if (retried || !isRateLimited(error)) throw error;
+
+      const waitMs = headers['retry-after'] !== undefined
+        ? parseInt(headers['retry-after'], 10) * 1000
+        : parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now();
+      await this.waitForRateLimit(job, waitMs);
+      return this.request(job, call, true);
+    }
+  }
 
-      // Get default branch if not specified
-      if (!branch) {
-        const { data: repoData } = await octokit.rest.repos.get({ owner, repo });
-        branch = repoData.default_branch;
-      }
+  recordRateLimit(job, headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+    job.rateLimit = {
+      limit: parseInt(headers['x-ratelimit-limit'], 10),
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      reset: parseInt(headers['x-ratelimit-reset'], 10)
+    };
+  }
 
-      // Get the tree (recursive to get all files)
-      const { data: refData } = await octokit.rest.git.getRef({
-        owner,
-        repo,
-        ref: `heads/${branch}`
-      });
+  async waitForRateLimit(job, waitMs) {
+    const { rateLimitMaxWaitSeconds } = getIndexConfig();
+    if (!(waitMs > 0)) return;
 
-      const treeSha = refData.object.sha;
+    const resetAt = new Date(Date.now() + waitMs).toISOString();
+    if (waitMs > rateLimitMaxWaitSeconds * 1000) {
+      throw new Error(`GitHub rate limit reached; it resets at ${resetAt}`);
+    }
 
-      const { data: treeData } = await octokit.rest.git.getTree({
-        owner,
-        repo,
-        tree_sha: treeSha,
-        recursive: 'true'
-      });
+    logger.info(`GitHub rate limit nearly reached, waiting until ${resetAt}`);
+    job.status = 'waiting';
+    job.waitingUntil = resetAt;
+    await this.sleep(waitMs + 1000);
+    job.status = 'running';
+    job.waitingUntil = null;
+    // Assume a fresh window until the next response says otherwise
+    if (job.rateLimit) job.rateLimit.remaining = job.rateLimit.limit;
+  }
 
-      return treeData.tree;
-    } catch (error) {
-      logger.error(`Error fetching repository tree: ${error.message}`);
-      throw error;
+  /**
+   * Fetch repository tree (all files) from GitHub
+   * @returns {Promise<Object>} { branch, commitSha, treeSha, tree, truncated }
+   */
+  async fetchRepositoryTree(job, octokit, owner, repo, branch) {
+    // Get default branch if not specified
+    if (!branch) {
+      const { data: repoData } = await this.request(job, () => octokit.rest.repos.get({ owner, repo }));
+      branch = repoData.default_branch;
     }
+
+    const { data: refData } = await this.request(job, () => octokit.rest.git.getRef({
+      owner,
+      repo,
+      ref: `heads/${branch}`
+    }));
+    const commitSha = refData.object.sha;
+
+    // Get the tree (recursive to get all files)
+    const { data: treeData } = await this.request(job, () => octokit.rest.git.getTree({
+      owner,
+      repo,
+      tree_sha: commitSha,
+      recursive: 'true'
+    }));
+
+    return { branch, commitSha, treeSha: treeData.sha, tree: treeData.tree, truncated: !!treeData.truncated };
   }
 
   /**
-   * Fetch file content from GitHub
+   * Fetch the contents of the given files from the repository archive
+   * Files missing from the archive (e.g. export-ignore'd) are left out.
+   * @returns {Promise<Map<string, string>>} Content by path
    */
-  async fetchFileContent(owner, repo, filePath) {
-    try {
-      const octokit = githubAuthService.getOctokit();
+  async fetchFromTarball(job, octokit, owner, repo, ref, files) {
+    const wanted = new Set(files.map(file => file.path));
+    const { data } = await this.request(job, () => octokit.rest.repos.downloadTarballArchive({ owner, repo, ref }));
+
+    // Archive entries sit under an "<owner>-<repo>-<sha>/" directory
+    const contents = readTarball(Buffer.from(data), { stripComponents: 1, filter: filePath => wanted.has(filePath) });
+    const result = new Map();
+    for (const [filePath, content] of contents) {
+      result.set(filePath, content.toString('utf8'));
+    }
+    return result;
+  }
 
-      const { data } = await octokit.rest.repos.getContent({
-        owner,
-        repo,
-        path: filePath
-      });
+  /**
+   * Fetch file content from GitHub by blob SHA
+   * @returns {Promise<string>} Content
+   */
+  async fetchBlob(job, octokit, owner, repo, file) {
+    const { data } = await this.request(job, () => octokit.rest.git.getBlob({ owner, repo, file_sha: file.sha }));
+    return Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+  }
 
-      if (data.type !== 'file') {
-        return null;
-      }
+  async storeFile(repoId, file, content) {
+    // Store file in database (upsert keeps the row ID stable for the chunk index)
+    await runAsync(
+      `INSERT INTO github_files
+       (repo_id, file_path, file_name, file_extension, content, size, blob_sha, indexed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+       ON CONFLICT(repo_id, file_path) DO UPDATE SET
+         file_name = excluded.file_name,
+         file_extension = excluded.file_extension,
+         content = excluded.content,
+         size = excluded.size,
+         blob_sha = excluded.blob_sha,
+         indexed_at = excluded.indexed_at`,
+      [
+        repoId,
+        file.path,
+        path.basename(file.path),
+        path.extname(file.path),
+        content,
+        file.size,
+        file.sha
+      ]
+    );
 
-      // Decode base64 content
-      const content = Buffer.from(data.content, 'base64').toString('utf8');
-      return content;
-    } catch (error) {
-      logger.warn(`Error fetching file ${filePath}: ${error.message}`);
-      return null;
+    const stored = await getAsync(
+      'SELECT id FROM github_files WHERE repo_id = ? AND file_path = ?',
+      [repoId, file.path]
+    );
+    await searchIndexService.indexSource(
+      searchIndexService.SOURCE_GITHUB_FILE,
+      stored.id,
+      file.path,
+      content,
+      { embed: false }
+    );
+  }
+
+  /**
+   * First paragraph of the README that reads like a description
+   */
+  extractDescription(readme) {
+    const lines = (readme || '').split('\n');
+    for (const line of lines) {
+      const trimmed = line.trim();
+      // Skip empty lines, titles (#), badges ([![), and very short lines
+      if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('[![') && !trimmed.startsWith('<') && trimmed.length > 30) {
+        return trimmed.substring(0, 200); // Limit to 200 chars
+      }
     }
+    return null;
   }
 
   /**
    * Index a GitHub repository into the database
+   * Incremental: the repository tree is compared with the blob SHAs stored
+   * for each file, so only added and changed files are fetched and files
+   * removed from the repository are dropped from the index. The first index
+   * (and any run changing at least GITHUB_TARBALL_MIN_FILES files) downloads
+   * the repository archive instead of fetching files one by one.
+   * @param {Object} options - {
+   *   userId: index with this user's GitHub token if they have one,
+   *   force: fetch every file again,
+   *   onProgress(progress): called as the run advances (see getIndexProgress)
+   * }
+   * @returns {Promise<Object>} { success, repoId, filesIndexed, message, report } or { success: false, error }
    */
-  async indexRepository(owner, repo, branch = 'main') {
-    try {
-      logger.info(`Starting to index repository: ${owner}/${repo}`);
+  async indexRepository(owner, repo, branch = 'main', { userId = null, force = false, onProgress = null } = {}) {
+    const repoKey = `${owner}/${repo}`;
+    const jobKey = `${repoKey}@${branch || 'default'}`;
+    const running = this.jobs.get(jobKey);
+    if (running && !running.finishedAt) {
+      return { success: false, error: `${repoKey} is already being indexed` };
+    }
 
-      if (!githubAuthService.isAuthenticated()) {
-        throw new Error('GitHub authentication required. Please authenticate first.');
-      }
+    const job = {
+      repository: repoKey,
+      branch,
+      status: 'running',
+      stage: 'tree',
+      commitSha: null,
+      previousCommitSha: null,
+      fetchMode: null,
+      total: 0,
+      processed: 0,
+      added: 0,
+      updated: 0,
+      removed: 0,
+      unchanged: 0,
+      failed: 0,
+      apiCalls: 0,
+      rateLimit: null,
+      waitingUntil: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null
+    };
+    this.jobs.set(jobKey, job);
+    const progress = (changes = {}) => {
+      Object.assign(job, changes);
+      if (onProgress) onProgress(this.describeJob(job));
+    };
 
-      const repoKey = `${owner}/${repo}`;
+    try {
+      logger.info(`Starting to index repository: ${repoKey}`);
+
+      const octokit = await githubAuthService.getOctokit(userId);
+      const { commitSha, treeSha, tree, truncated, ...resolved } = await this.fetchRepositoryTree(job, octokit, owner, repo, branch);
+      branch = resolved.branch;
+      job.branch = branch;
 
-      // Check if already indexed recently
-      const existingRepo = await allAsync(
+      let existingRepo = await getAsync(
         'SELECT * FROM github_repos WHERE repo_owner = ? AND repo_name = ? AND branch = ?',
         [owner, repo, branch]
       );
-
-      let repoId;
-      if (existingRepo.length > 0) {
-        repoId = existingRepo[0].id;
-        logger.info(`Repository already indexed. Updating...`);
-      } else {
+      if (!existingRepo) {
         // Create new repo entry
         const result = await runAsync(
           `INSERT INTO github_repos (repo_owner, repo_name, branch, indexed_at, file_count)
            VALUES (?, ?, ?, datetime('now'), 0)`,
           [owner, repo, branch]
         );
-        repoId = result.lastID;
-      }
-
-      // Fetch repository description from README.md
-      let description = null;
-      try {
-        const readmeContent = await this.fetchFileContent(owner, repo, 'README.md');
-        if (readmeContent) {
-          // Extract first meaningful paragraph (skipping title and badges)
-          const lines = readmeContent.split('\n');
-          let foundDescription = false;
-          for (const line of lines) {
-            const trimmed = line.trim();
-            // Skip empty lines, titles (#), badges ([![), and very short lines
-            if (trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('[![') && !trimmed.startsWith('<') && trimmed.length > 30) {
-              description = trimmed.substring(0, 200); // Limit to 200 chars
-              foundDescription = true;
-              break;
-            }
-          }
-          logger.info(`Extracted description: ${description || 'None found'}`);
-        }
-      } catch (error) {
-        logger.warn(`Could not fetch README for description: ${error.message}`);
+        existingRepo = { id: result.lastID, commit_sha: null, description: null };
+      } else {
+        logger.info(`Repository already indexed at ${existingRepo.commit_sha || 'an unknown commit'}. Updating...`);
       }
+      const repoId = existingRepo.id;
 
-      // Fetch repository tree
-      const tree = await this.fetchRepositoryTree(owner, repo, branch);
-
-      // Filter files to index
-      const filesToIndex = tree.filter(item =>
+      // Filter files to index and compare them with what is stored
+      const filesInTree = tree.filter(item =>
         item.type === 'blob' && this.shouldIndexFile(item.path, path.basename(item.path))
       );
+      const storedFiles = await allAsync('SELECT id, file_path, blob_sha FROM github_files WHERE repo_id = ?', [repoId]);
+      const storedByPath = new Map(storedFiles.map(file => [file.file_path, file]));
+      const inTree = new Set(filesInTree.map(file => file.path));
 
-      logger.info(`Found ${filesToIndex.length} files to index`);
+      const toFetch = filesInTree.filter(file => {
+        const stored = storedByPath.get(file.path);
+        return force || !stored || stored.blob_sha !== file.sha;
+      });
+      // A truncated tree is missing files, which must not be taken for removed ones
+      const toRemove = truncated ? [] : storedFiles.filter(file => !inTree.has(file.file_path));
+      if (truncated) {
+        logger.warn(`Tree of ${repoKey} is too large for one request; files removed from it stay indexed`);
+      }
 
-      let indexedCount = 0;
-      const batchSize = 10;
+      const { tarballMinFiles } = getIndexConfig();
+      progress({
+        stage: 'fetch',
+        commitSha,
+        previousCommitSha: existingRepo.commit_sha,
+        fetchMode: toFetch.length === 0 ? null
+          : storedFiles.length === 0 || toFetch.length >= tarballMinFiles ? 'tarball' : 'blobs',
+        total: toFetch.length,
+        unchanged: filesInTree.length - toFetch.length
+      });
+      logger.info(`Found ${filesInTree.length} files to index, ${toFetch.length} new or changed, ${toRemove.length} removed`);
+
+      let contents = new Map();
+      if (job.fetchMode === 'tarball') {
+        try {
+          contents = await this.fetchFromTarball(job, octokit, owner, repo, commitSha, toFetch);
+        } catch (error) {
+          logger.warn(`Could not download the archive of ${repoKey}, fetching files one by one: ${error.message}`);
+          job.fetchMode = 'blobs';
+        }
+      }
 
       // Index files in batches
-      for (let i = 0; i < filesToIndex.length; i += batchSize) {
-        const batch = filesToIndex.slice(i, i + batchSize);
+      for (let i = 0; i < toFetch.length; i += BATCH_SIZE) {
+        const batch = toFetch.slice(i, i + BATCH_SIZE);
 
         await Promise.all(batch.map(async (file) => {
           try {
-            const content = await this.fetchFileContent(owner, repo, file.path);
-
-            if (content && content.length > 0) {
-              // Store file in database
-              await runAsync(
-                `INSERT OR REPLACE INTO github_files
-                 (repo_id, file_path, file_name, file_extension, content, size, indexed_at)
-                 VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
-                [
-                  repoId,
-                  file.path,
-                  path.basename(file.path),
-                  path.extname(file.path),
-                  content,
-                  file.size
-                ]
-              );
-
-              indexedCount++;
-
-              if (indexedCount % 50 === 0) {
-                logger.info(`Indexed ${indexedCount}/${filesToIndex.length} files...`);
-              }
-            }
+            const content = contents.has(file.path)
+              ? contents.get(file.path)
+              : await this.fetchBlob(job, octokit, owner, repo, file);
+
+            contents.delete(file.path);
+            await this.storeFile(repoId, file, content);
+            job[storedByPath.has(file.path) ? 'updated' : 'added']++;
           } catch (error) {
+            // The stored copy (if any) keeps its old SHA, so the file is retried next run
+            if (isRateLimited(error) || /rate limit/.test(error.message)) throw error;
             logger.warn(`Failed to index file ${file.path}: ${error.message}`);
+            job.failed++;
           }
         }));
+
+        progress({ processed: Math.min(i + BATCH_SIZE, toFetch.length) });
+        if (job.processed % 50 === 0) {
+          logger.info(`Indexed ${job.processed}/${toFetch.length} files...`);
+        }
       }
 
-      // Update repo with file count and description
+      progress({ stage: 'cleanup' });
+      for (const file of toRemove) {
+        // Its chunks go with it (rag_chunks_github_file_deleted trigger)
+        await runAsync('DELETE FROM github_files WHERE id = ?', [file.id]);
+        job.removed++;
+      }
+
+      // Description from the README, if it is indexed
+      const readme = await getAsync(
+        "SELECT content FROM github_files WHERE repo_id = ? AND file_path = 'README.md'",
+        [repoId]
+      );
+      const description = readme ? this.extractDescription(readme.content) : existingRepo.description;
+      const { count } = await getAsync('SELECT COUNT(*) AS count FROM github_files WHERE repo_id = ?', [repoId]);
+
+      // Update repo with file count, description and the commit indexed
       await runAsync(
-        'UPDATE github_repos SET file_count = ?, description = ?, indexed_at = datetime("now") WHERE id = ?',
-        [indexedCount, description, repoId]
+        `UPDATE github_repos
+         SET file_count = ?, description = ?, commit_sha = ?, tree_sha = ?, indexed_at = datetime('now')
+         WHERE id = ?`,
+        [count, description, commitSha, treeSha, repoId]
       );
 
-      logger.info(`Successfully indexed ${indexedCount} files from ${owner}/${repo}`);
+      const summary = `${job.added} added, ${job.updated} updated, ${job.removed} removed, ${job.unchanged} unchanged` +
+        (job.failed ? `, ${job.failed} failed` : '');
+      logger.info(`Indexed ${repoKey} at ${commitSha.substring(0, 7)}: ${summary}`);
+
+      // Embedding a whole repository can take a while with a remote provider; do it in the background
+      if (job.added + job.updated > 0) {
+        embeddingService.embedPendingChunks();
+      }
 
       // Cache the indexed repo
       this.indexedRepos.set(repoKey, {
@@ -230,107 +445,110 @@ class GitHubRagService {
         owner,
         repo,
         branch,
-        fileCount: indexedCount,
+        commitSha,
+        fileCount: count,
         indexedAt: new Date()
       });
 
+      progress({ status: 'complete', stage: 'done', finishedAt: new Date().toISOString() });
       return {
         success: true,
         repoId,
-        filesIndexed: indexedCount,
-        message: `Successfully indexed ${indexedCount} files from ${owner}/${repo}`
+        filesIndexed: count,
+        message: `Indexed ${repoKey} at ${commitSha.substring(0, 7)}: ${summary}`,
+        report: this.describeJob(job)
       };
 
     } catch (error) {
       logger.error(`Error indexing repository: ${error.message}`);
+      progress({ status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        report: this.describeJob(job)
       };
     }
   }
 
+  describeJob(job) {
+    return { ...job, rateLimit: job.rateLimit && { ...job.rateLimit } };
+  }
+
+  /**
+   * Progress of the latest index run of each repository
+   * @returns {Array<Object>} [{ repository, branch, status: running|waiting|complete|failed,
+   *   stage: tree|fetch|cleanup|done, commitSha, previousCommitSha, fetchMode: tarball|blobs|null,
+   *   total, processed, added, updated, removed, unchanged, failed, apiCalls,
+   *   rateLimit: { limit, remaining, reset }, waitingUntil, startedAt, finishedAt, error }]
+   */
+  getIndexProgress() {
+    return [...this.jobs.values()].map(job => this.describeJob(job));
+  }
+
   /**
-   * Search indexed GitHub repositories for relevant content
+   * Search indexed GitHub repositories for relevant content (BM25 ranked chunks).
+   * When queryText is given, results are fused with semantic similarity.
    */
-  async searchRepositories(keywords, repoFilter = null, limit = 5) {
+  async searchRepositories(keywords, repoFilter = null, limit = 5, queryText = null) {
     try {
-      let query = `
-        SELECT
-          gf.id,
-          gf.file_path,
-          gf.file_name,
-          gf.content,
-          gr.repo_owner,
-          gr.repo_name,
-          gr.branch
-        FROM github_files gf
-        JOIN github_repos gr ON gf.repo_id = gr.id
-      `;
-
-      const params = [];
-
-      // Add repo filter if specified
+      let sourceIds = null;
+
+      // Restrict to one repository if specified
       if (repoFilter) {
         const [owner, repo] = repoFilter.split('/');
-        query += ` WHERE gr.repo_owner = ? AND gr.repo_name = ?`;
-        params.push(owner, repo);
+        const repoFiles = await allAsync(
+          `SELECT gf.id FROM github_files gf
+           JOIN github_repos gr ON gf.repo_id = gr.id
+           WHERE gr.repo_owner = ? AND gr.repo_name = ?`,
+          [owner, repo]
+        );
+        sourceIds = repoFiles.map(file => file.id);
       }
 
-      const files = await allAsync(query, params);
+      const matches = queryText
+        ? await searchIndexService.hybridSearch(
+          searchIndexService.SOURCE_GITHUB_FILE,
+          { keywords, text: queryText },
+          { limit, sourceIds }
+        )
+        : await searchIndexService.search(
+          searchIndexService.SOURCE_GITHUB_FILE,
+          keywords,
+          { limit, sourceIds }
+        );
 
-      if (files.length === 0) {
+      if (matches.length === 0) {
         return [];
       }
 
-      const results = [];
-
-      // Score each file based on keyword matches
-      for (const file of files) {
-        let score = 0;
-        const contentLower = file.content.toLowerCase();
-        const filePathLower = file.file_path.toLowerCase();
-        const fileNameLower = file.file_name.toLowerCase();
-
-        keywords.forEach(keyword => {
-          const keywordLower = keyword.toLowerCase();
-
-          // Count matches in content
-          const contentMatches = (contentLower.match(new RegExp(keywordLower, 'g')) || []).length;
-          score += contentMatches * 5;
-
-          // Bonus for filename matches
-          if (fileNameLower.includes(keywordLower)) {
-            score += 20;
-          }
-
-          // Bonus for path matches
-          if (filePathLower.includes(keywordLower)) {
-            score += 10;
-          }
-        });
-
-        if (score > 0) {
-          // Extract relevant excerpt
-          const excerpt = this.extractRelevantExcerpt(file.content, keywords);
-
-          results.push({
+      const files = await allAsync(
+        `SELECT gf.id, gf.file_path, gf.file_name, gf.content, gr.repo_owner, gr.repo_name, gr.branch
+         FROM github_files gf
+         JOIN github_repos gr ON gf.repo_id = gr.id
+         WHERE gf.id IN (${matches.map(() => '?').join(', ')})`,
+        matches.map(match => Number(match.sourceId))
+      );
+      const filesById = new Map(files.map(file => [String(file.id), file]));
+
+      return matches
+        .filter(match => filesById.has(match.sourceId))
+        .map(match => {
+          const file = filesById.get(match.sourceId);
+          const lineStart = this.lineAt(file.content, match.start);
+          const lineEnd = this.lineAt(file.content, Math.max(match.start, match.end - 1));
+          return {
             fileId: file.id,
             fileName: file.file_name,
             filePath: file.file_path,
             repository: `${file.repo_owner}/${file.repo_name}`,
             branch: file.branch,
-            score,
-            excerpt,
-            url: `https://github.com/${file.repo_owner}/${file.repo_name}/blob/${file.branch}/${file.file_path}`
-          });
-        }
-      }
-
-      // Sort by score and limit
-      return results
-        .sort((a, b) => b.score - a.score)
-        .slice(0, limit);
+            score: match.score,
+            excerpt: this.extractRelevantExcerpt(match.content, keywords),
+            lineStart,
+            lineEnd,
+            url: `https://github.com/${file.repo_owner}/${file.repo_name}/blob/${file.branch}/${file.file_path}#L${lineStart}-L${lineEnd}`
+          };
+        });
 
     } catch (error) {
       logger.error('Error searching GitHub repositories:', error);
@@ -338,6 +556,18 @@ class GitHubRagService {
     }
   }
 
+  /**
+   * 1-based line number of a character offset in file content
+   */
+  lineAt(content, offset) {
+    let line = 1;
+    const end = Math.min(offset, (content || '').length);
+    for (let i = 0; i < end; i++) {
+      if (content[i] === '\n') line++;
+    }
+    return line;
+  }
+
   /**
    * Extract relevant excerpt from file content
    */
@@ -407,6 +637,7 @@ class GitHubRagService {
           branch,
           file_count,
           description,
+          commit_sha,
           indexed_at
         FROM github_repos
         ORDER BY indexed_at DESC
@@ -420,6 +651,7 @@ class GitHubRagService {
         branch: repo.branch,
         fileCount: repo.file_count,
         description: repo.description,
+        commitSha: repo.commit_sha,
         indexedAt: repo.indexed_at,
         url: `https://github.com/${repo.repo_owner}/${repo.repo_name}`
       }));
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+/**
+ * Phase Registry
+ * Certification phases are declared in definition files (JSON or YAML, one
+ * phase per file) instead of code. A definition holds everything a phase page
+ * shows and how its completion is measured:
+ *
+ *   id, order, name, icon, subtitle, description
+ *   features      - Extra panels, e.g. ["eoi"] for the Expression of Interest
+ *   checklist     - [{ id, title, description, required, items: [string] }]
+ *   requirements  - { title, description } of the group listing requirements
+ *                   extracted for this phase (see requirementService)
+ *   resources     - [{ id, title, icon, items: [{ title, url, description, category, status }] }]
+ *   uploads       - { directory, categoryPrefix, defaultType, description,
+ *                     recommended: [string], maxFiles, extensions: [string] }
+ *   completion    - Weighted rules: [{ id, type, weight, label, nextStep, ... }]
+ *                     documents: min uploads (optionally of one documentType)
+ *                     reviewed:  min uploads with a stored analysis
+ *                     evidence:  no evidence-mandatory checklist item without
+ *                                evidence, and at least coverage% of items backed
+ *                     eoi:       Expression of Interest in one of statuses
+ *                     checklist: the workspace's checklist items for the phase completed
+ *   nextSteps     - { complete: message shown once every rule is met }
+ *
+ * Definitions are read from config/phases (or PHASE_DEFINITIONS_DIR) on first
+ * use and validated; an invalid file stops the load with the file named.
+ */
+
+const DEFINITIONS_DIR = process.env.PHASE_DEFINITIONS_DIR || path.join(__dirname, '../../config/phases');
+
+const FEATURES = ['eoi'];
+const RULE_TYPES = ['documents', 'reviewed', 'evidence', 'eoi', 'checklist'];
+const DEFAULT_MAX_FILES = 10;
+const DEFAULT_EXTENSIONS = ['pdf', 'doc', 'docx', 'txt', 'md', 'png', 'jpg', 'jpeg'];
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+class PhaseDefinitionError extends Error {
+  constructor(message, file = null) {
+    super(file ? `${path.basename(file)}: ${message}` : message);
+    this.name = 'PhaseDefinitionError';
+    this.file = file;
+  }
+}
+
+let phases = null;
+
+function parseFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file) === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new PhaseDefinitionError(`Cannot parse: ${error.message}`, file);
+  }
+}
+
+function isString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function requireList(value, name, file) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) throw new PhaseDefinitionError(`${name} must be a list`, file);
+  return value;
+}
+
+function requireUniqueIds(list, name, file) {
+  const ids = new Set();
+  for (const entry of list) {
+    if (!entry || !isString(entry.id)) throw new PhaseDefinitionError(`Every ${name} entry needs an id`, file);
+    if (ids.has(entry.id)) throw new PhaseDefinitionError(`Duplicate ${name} id "${entry.id}"`, file);
+    ids.add(entry.id);
+  }
+}
+
+/**
+ * Check a parsed definition and fill in defaults
+ * @param {Object} definition - Parsed file contents
+ * @param {string} [file] - Source file, for error messages
+ * @returns {Object} The normalized definition
+ * @throws {PhaseDefinitionError} When the definition is invalid
+ */
+function validateDefinition(definition, file = null) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new PhaseDefinitionError('Definition must be an object', file);
+  }
+  const { id, order, name } = definition;
+  if (!isString(id) || !ID_PATTERN.test(id)) {
+    throw new PhaseDefinitionError('id must be lowercase letters, digits and dashes', file);
+  }
+  if (!Number.isInteger(order) || order < 1) throw new PhaseDefinitionError('order must be a positive integer', file);
+  if (!isString(name)) throw new PhaseDefinitionError('name is required', file);
+
+  const features = requireList(definition.features, 'features', file);
+  const unknownFeature = features.find(feature => !FEATURES.includes(feature));
+  if (unknownFeature) throw new PhaseDefinitionError(`Unknown feature "${unknownFeature}"`, file);
+
+  const checklist = requireList(definition.checklist, 'checklist', file);
+  requireUniqueIds(checklist, 'checklist', file);
+  for (const group of checklist) {
+    if (!isString(group.title)) throw new PhaseDefinitionError(`Checklist group "${group.id}" needs a title`, file);
+    if (!requireList(group.items, `Checklist group "${group.id}" items`, file).every(isString)) {
+      throw new PhaseDefinitionError(`Checklist group "${group.id}" items must be text`, file);
+    }
+  }
+
+  const resources = requireList(definition.resources, 'resources', file);
+  requireUniqueIds(resources, 'resources', file);
+  for (const section of resources) {
+    for (const item of requireList(section.items, `Resource section "${section.id}" items`, file)) {
+      if (!isString(item.title) || !isString(item.url)) {
+        throw new PhaseDefinitionError(`Resources in "${section.id}" need a title and url`, file);
+      }
+    }
+  }
+
+  const uploads = definition.uploads || {};
+  const prefix = uploads.categoryPrefix || id.replace(/-/g, '');
+  const extensions = requireList(uploads.extensions, 'uploads.extensions', file);
+
+  const completion = requireList(definition.completion, 'completion', file);
+  requireUniqueIds(completion, 'completion', file);
+  for (const rule of completion) {
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new PhaseDefinitionError(`Completion rule "${rule.id}" has unknown type "${rule.type}"`, file);
+    }
+    if (typeof rule.weight !== 'number' || rule.weight <= 0) {
+      throw new PhaseDefinitionError(`Completion rule "${rule.id}" needs a positive weight`, file);
+    }
+    if (rule.min !== undefined && (!Number.isInteger(rule.min) || rule.min < 1)) {
+      throw new PhaseDefinitionError(`Completion rule "${rule.id}" min must be a positive integer`, file);
+    }
+    if (rule.coverage !== undefined && (typeof rule.coverage !== 'number' || rule.coverage < 0 || rule.coverage > 100)) {
+      throw new PhaseDefinitionError(`Completion rule "${rule.id}" coverage must be a percentage`, file);
+    }
+    if (rule.type === 'eoi' && !features.includes('eoi')) {
+      throw new PhaseDefinitionError(`Completion rule "${rule.id}" needs the eoi feature`, file);
+    }
+  }
+
+  return {
+    id,
+    order,
+    name,
+    icon: definition.icon || null,
+    subtitle: definition.subtitle || null,
+    description: definition.description || '',
+    features,
+    checklist: checklist.map(group => ({
+      id: group.id,
+      title: group.title,
+      description: group.description || '',
+      required: group.required === true,
+      items: group.items || []
+    })),
+    requirements: definition.requirements || null,
+    resources: resources.map(section => ({
+      id: section.id,
+      title: section.title || section.id,
+      icon: section.icon || null,
+      items: section.items || []
+    })),
+    uploads: {
+      directory: uploads.directory || `${id}-submissions`,
+      categoryPrefix: prefix,
+      defaultType: uploads.defaultType || `${prefix}-general`,
+      description: uploads.description || '',
+      recommended: requireList(uploads.recommended, 'uploads.recommended', file),
+      maxFiles: Number.isInteger(uploads.maxFiles) && uploads.maxFiles > 0 ? uploads.maxFiles : DEFAULT_MAX_FILES,
+      extensions: extensions.length > 0 ? extensions.map(ext => String(ext).toLowerCase().replace(/^\./, '')) : DEFAULT_EXTENSIONS
+    },
+    completion: completion.map(rule => ({ label: rule.id, nextStep: null, ...rule })),
+    nextSteps: definition.nextSteps || {}
+  };
+}
+
+/**
+ * Read and validate every definition in a directory
+ * @param {string} [dir] - Directory of .json, .yaml and .yml files
+ * @returns {Array} Definitions sorted by order
+ * @throws {PhaseDefinitionError} When a file is invalid or ids/orders clash
+ */
+function loadDefinitions(dir = DEFINITIONS_DIR) {
+  const files = fs.readdirSync(dir)
+    .filter(file => ['.json', '.yaml', '.yml'].includes(path.extname(file)))
+    .sort()
+    .map(file => path.join(dir, file));
+
+  const definitions = files.map(file => validateDefinition(parseFile(file), file));
+  if (definitions.length === 0) throw new PhaseDefinitionError(`No phase definitions in ${dir}`);
+
+  for (const key of ['id', 'order']) {
+    const seen = new Map();
+    definitions.forEach((definition, index) => {
+      if (seen.has(definition[key])) {
+        throw new PhaseDefinitionError(`Duplicate phase ${key} "${definition[key]}" (also in ${path.basename(seen.get(definition[key]))})`, files[index]);
+      }
+      seen.set(definition[key], files[index]);
+    });
+  }
+
+  return definitions.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * (Re)load the definitions the rest of the app uses
+ * @param {string} [dir] - Directory to load from
+ * @returns {Array} The loaded definitions
+ */
+function reload(dir = DEFINITIONS_DIR) {
+  phases = loadDefinitions(dir);
+  logger.info(`Loaded ${phases.length} phase definitions from ${dir}`);
+  return phases;
+}
+
+/**
+ * All phases, in order
+ * @returns {Array}
+ */
+function listPhases() {
+  return phases || reload();
+}
+
+/**
+ * One phase by id
+ * @returns {Object|null}
+ */
+function getPhase(phaseId) {
+  return listPhases().find(phase => phase.id === phaseId) || null;
+}
+
+/**
+ * The phase after the given one
+ * @returns {Object|null}
+ */
+function getNextPhase(phaseId) {
+  const all = listPhases();
+  const index = all.findIndex(phase => phase.id === phaseId);
+  return index >= 0 ? all[index + 1] || null : null;
+}
+
+module.exports = {
+  PhaseDefinitionError,
+  RULE_TYPES,
+  FEATURES,
+  validateDefinition,
+  loadDefinitions,
+  reload,
+  listPhases,
+  getPhase,
+  getNextPhase
+};
@@ -0,0 +1,372 @@
+const { v4: uuidv4 } = require('uuid');
+const { getAsync, allAsync, withTransaction } = require('../models/database');
+const phaseRegistry = require('./phaseRegistry');
+const eoiService = require('./eoiService');
+const evidenceService = require('./evidenceService');
+const logger = require('../utils/logger');
+
+/**
+ * Phase Service
+ * What a phase definition (see phaseRegistry) means for one workspace: its
+ * checklist including extracted requirements, its uploaded documents, how
+ * far its completion rules are met and which status it is in.
+ *
+ * Completion is the weight of the met rules over the total weight. Unmet
+ * rules contribute their nextStep message; once all are met the phase's
+ * nextSteps.complete message (or a pointer to the next phase) is shown.
+ *
+ * A phase can only be marked completed when every rule is met and the phase
+ * before it is completed. Admins may override that gate with a reason. Every
+ * status change is recorded in phase_transitions.
+ */
+
+const STATUSES = ['pending', 'in_progress', 'completed'];
+
+// EOI states that count as prepared unless a rule lists its own
+const EOI_PREPARED = ['ready', 'submitted', 'acknowledged'];
+
+class PhaseTransitionError extends Error {
+  constructor(message, status = 400, blockers = []) {
+    super(message);
+    this.name = 'PhaseTransitionError';
+    this.status = status;
+    this.blockers = blockers;
+  }
+}
+
+/**
+ * Checklist groups of a phase, followed by the requirements extracted for it
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} phase - Phase definition
+ * @returns {Promise<Array>} [{ id, title, description, required, items: [string] }]
+ */
+async function getChecklist(workspaceId, phase) {
+  const checklist = phase.checklist.map(group => ({ ...group, items: [...group.items] }));
+
+  const requirementItems = await allAsync(
+    `SELECT c.title, c.status, r.ref, r.level
+     FROM checklist_items c
+     JOIN requirements r ON r.id = c.requirement_id
+     WHERE c.workspace_id = ? AND c.phase_id = ?
+     ORDER BY c.order_index`,
+    [workspaceId, phase.id]
+  );
+  if (requirementItems.length > 0) {
+    const group = phase.requirements || {};
+    checklist.push({
+      id: 'c2pa-requirements',
+      title: group.title || 'C2PA Requirements',
+      description: group.description || 'Requirements from the official C2PA documents for this phase',
+      required: requirementItems.some(item => item.level === 'MUST'),
+      items: requirementItems.map(item => `${item.ref}: ${item.title}`)
+    });
+  }
+
+  return checklist;
+}
+
+/**
+ * Documents uploaded for a phase
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} phase - Phase definition
+ * @returns {Promise<Array>} documents rows, newest first
+ */
+function listDocuments(workspaceId, phase) {
+  return allAsync(
+    `SELECT * FROM documents
+     WHERE category LIKE ? AND workspace_id = ?
+     ORDER BY upload_date DESC`,
+    [`${phase.uploads.categoryPrefix}-%`, workspaceId]
+  );
+}
+
+async function evaluateRule(rule, { documents, eoi, workspaceId, phase }) {
+  switch (rule.type) {
+    case 'documents': {
+      const matching = rule.documentType
+        ? documents.filter(doc => doc.category === rule.documentType)
+        : documents;
+      const min = rule.min || 1;
+      return { met: matching.length >= min, detail: `${Math.min(matching.length, min)}/${min} documents` };
+    }
+    case 'reviewed': {
+      const { count } = await getAsync(
+        `SELECT COUNT(*) AS count FROM document_analyses a
+         JOIN documents d ON d.id = a.document_id
+         WHERE d.workspace_id = ? AND d.category LIKE ?`,
+        [workspaceId, `${phase.uploads.categoryPrefix}-%`]
+      );
+      const min = rule.min || 1;
+      return { met: count >= min, detail: `${Math.min(count, min)}/${min} documents analyzed` };
+    }
+    case 'evidence': {
+      const [coverage] = await evidenceService.getCoverage(workspaceId, phase.id);
+      if (!coverage) return { met: false, detail: 'no checklist items' };
+      const met = coverage.missing === 0 && coverage.coverage >= (rule.coverage || 0);
+      const detail = `${coverage.covered}/${coverage.total} items with evidence` +
+        (coverage.missing > 0 ? `, ${coverage.missing} missing required evidence` : '');
+      return { met, detail };
+    }
+    case 'eoi': {
+      const statuses = rule.statuses || EOI_PREPARED;
+      return { met: !!eoi && statuses.includes(eoi.status), detail: eoi ? eoi.status : 'not started' };
+    }
+    case 'checklist': {
+      const { total, completed } = await getAsync(
+        `SELECT COUNT(*) AS total, COALESCE(SUM(status = 'completed'), 0) AS completed
+         FROM checklist_items WHERE workspace_id = ? AND phase_id = ?`,
+        [workspaceId, phase.id]
+      );
+      return { met: total > 0 && completed === total, detail: `${completed}/${total} items completed` };
+    }
+    default:
+      return { met: false, detail: null };
+  }
+}
+
+/**
+ * The workspace's progress row with its phases list. Phases added to the
+ * registry after the row was created are listed as pending.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} [connection] - Read through this connection, e.g. inside a transaction
+ * @returns {Promise<Object|null>} { progress, phases: [{ id, name, status, completedDate }] }
+ */
+async function getProgress(workspaceId, connection = { getAsync }) {
+  const progress = await connection.getAsync('SELECT * FROM progress WHERE workspace_id = ?', [workspaceId]);
+  if (!progress) return null;
+
+  const phases = JSON.parse(progress.phases);
+  for (const phase of phaseRegistry.listPhases()) {
+    if (!phases.some(entry => entry.id === phase.id)) {
+      phases.push({ id: phase.id, name: phase.name, status: 'pending', tasks: [] });
+    }
+  }
+  return { progress, phases };
+}
+
+/**
+ * Completion status of a phase for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} phase - Phase definition
+ * @returns {Promise<Object>} { phaseId, state, completedDate, documentsUploaded,
+ *   completionPercentage, criteria: [{ id, type, label, weight, met, detail }],
+ *   blockers: [{ type, id, message }], canComplete, nextSteps: [string] }
+ *   plus eoiSubmitted and eoiStatus for phases with the eoi feature
+ */
+async function getStatus(workspaceId, phase) {
+  const documents = await listDocuments(workspaceId, phase);
+  const eoi = phase.features.includes('eoi') ? await eoiService.getEoi(workspaceId) : null;
+  const context = { documents, eoi, workspaceId, phase };
+
+  const criteria = [];
+  for (const rule of phase.completion) {
+    const { met, detail } = await evaluateRule(rule, context);
+    criteria.push({ id: rule.id, type: rule.type, label: rule.label, weight: rule.weight, met, detail });
+  }
+
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const metWeight = criteria.filter(criterion => criterion.met).reduce((sum, criterion) => sum + criterion.weight, 0);
+  const completionPercentage = totalWeight > 0 ? Math.round((metWeight / totalWeight) * 100) : 0;
+
+  const nextSteps = phase.completion
+    .filter((rule, index) => !criteria[index].met && rule.nextStep)
+    .map(rule => rule.nextStep);
+  if (completionPercentage === 100) {
+    const next = phaseRegistry.getNextPhase(phase.id);
+    const message = phase.nextSteps.complete || (next && `Proceed to Phase ${next.order}: ${next.name}`);
+    if (message) nextSteps.push(message);
+  }
+
+  // Unmet rules block completion, and so does an unfinished previous phase
+  const blockers = criteria
+    .filter(criterion => !criterion.met)
+    .map(criterion => ({
+      type: 'criterion',
+      id: criterion.id,
+      message: criterion.detail ? `${criterion.label} (${criterion.detail})` : criterion.label
+    }));
+
+  const progress = await getProgress(workspaceId);
+  const entries = progress ? progress.phases : [];
+  const entry = entries.find(candidate => candidate.id === phase.id);
+  const previous = phaseRegistry.listPhases().filter(candidate => candidate.order < phase.order).pop();
+  if (previous) {
+    const previousEntry = entries.find(candidate => candidate.id === previous.id);
+    if (!previousEntry || previousEntry.status !== 'completed') {
+      blockers.push({
+        type: 'gate',
+        id: previous.id,
+        message: `Phase ${previous.order}: ${previous.name} must be completed first`
+      });
+    }
+  }
+
+  const status = {
+    phaseId: phase.id,
+    state: entry ? entry.status : 'pending',
+    completedDate: entry ? entry.completedDate || null : null,
+    documentsUploaded: documents.length,
+    completionPercentage,
+    criteria,
+    blockers,
+    canComplete: blockers.length === 0,
+    nextSteps
+  };
+  if (phase.features.includes('eoi')) {
+    // A ready EOI is prepared for submission; drafts do not count yet
+    status.eoiSubmitted = !!eoi && eoi.status !== 'draft';
+    status.eoiStatus = eoi ? eoi.status : null;
+  }
+  return status;
+}
+
+function formatTransition(row) {
+  return {
+    id: row.id,
+    phaseId: row.phase_id,
+    from: row.from_status,
+    to: row.to_status,
+    completionPercentage: row.completion,
+    override: row.override === 1,
+    reason: row.reason,
+    blockers: row.blockers ? JSON.parse(row.blockers) : [],
+    changedBy: row.changed_by,
+    changedByName: row.changed_by_name || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Change the status of a phase. Completing it requires every rule met and
+ * the previous phase completed; an admin can pass override with a reason to
+ * complete it anyway, and the blockers bypassed are recorded.
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} phase - Phase definition
+ * @param {Object} change - { status, override, reason }
+ * @param {Object} user - User making the change (req.user)
+ * @returns {Promise<Object>} { phase: progress entry, transition }
+ * @throws {PhaseTransitionError} 400 for invalid input, 403 for a non-admin
+ *   override, 404 without progress, 409 when already in that status or blocked
+ */
+async function transition(workspaceId, phase, { status, override = false, reason = null }, user) {
+  if (!STATUSES.includes(status)) {
+    throw new PhaseTransitionError(`Invalid status. Must be: ${STATUSES.join(', ')}`);
+  }
+
+  const progress = await getProgress(workspaceId);
+  if (!progress) throw new PhaseTransitionError('Progress not found', 404);
+  if (progress.phases.find(candidate => candidate.id === phase.id).status === status) {
+    throw new PhaseTransitionError(`Phase is already ${status}`, 409);
+  }
+
+  const current = await getStatus(workspaceId, phase);
+  let bypassed = [];
+  if (status === 'completed' && current.blockers.length > 0) {
+    if (!override) {
+      throw new PhaseTransitionError('Phase cannot be completed yet', 409, current.blockers);
+    }
+    if (!user || user.role !== 'admin') {
+      throw new PhaseTransitionError('Only admins can override phase gating', 403, current.blockers);
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new PhaseTransitionError('A reason is required to override phase gating', 400, current.blockers);
+    }
+    bypassed = current.blockers;
+  }
+
+  // The phases list is read again, changed and written back with the
+  // transition record in one transaction, so concurrent changes cannot
+  // overwrite each other. Only the transaction's connection is used inside it.
+  return withTransaction(async (connection) => {
+    const latest = await getProgress(workspaceId, connection);
+    const entry = latest.phases.find(candidate => candidate.id === phase.id);
+    const from = entry.status;
+    if (from === status) {
+      throw new PhaseTransitionError(`Phase is already ${status}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    entry.status = status;
+    if (status === 'completed') {
+      entry.completedDate = now;
+    } else {
+      delete entry.completedDate;
+    }
+
+    // Starting a phase makes it current; completing the current one moves on
+    let currentPhase = latest.progress.current_phase;
+    if (status === 'in_progress') {
+      currentPhase = phase.id;
+    } else if (status === 'completed' && currentPhase === phase.id) {
+      const next = phaseRegistry.getNextPhase(phase.id);
+      if (next) currentPhase = next.id;
+    }
+
+    await connection.runAsync(
+      `UPDATE progress
+       SET phases = ?, current_phase = ?, updated_at = ?
+       WHERE workspace_id = ?`,
+      [JSON.stringify(latest.phases), currentPhase, now, workspaceId]
+    );
+
+    const transitionId = uuidv4();
+    await connection.runAsync(
+      `INSERT INTO phase_transitions (id, workspace_id, phase_id, from_status, to_status, completion,
+         override, reason, blockers, changed_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        transitionId,
+        workspaceId,
+        phase.id,
+        from,
+        status,
+        current.completionPercentage,
+        bypassed.length > 0 ? 1 : 0,
+        reason ? String(reason).trim() : null,
+        bypassed.length > 0 ? JSON.stringify(bypassed) : null,
+        user ? user.id : null,
+        now
+      ]
+    );
+
+    logger.info(`Phase ${phase.id} moved from ${from} to ${status} in workspace ${workspaceId}` +
+      (bypassed.length > 0 ? ` (gating overridden by ${user.id})` : ''));
+
+    const row = await connection.getAsync('SELECT * FROM phase_transitions WHERE id = ?', [transitionId]);
+    return { phase: entry, transition: formatTransition(row) };
+  });
+}
+
+/**
+ * Recorded status changes, newest first
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} [phaseId] - Only this phase
+ * @returns {Promise<Array>} [{ id, phaseId, from, to, completionPercentage,
+ *   override, reason, blockers, changedBy, changedByName, createdAt }]
+ */
+async function listTransitions(workspaceId, phaseId = null) {
+  const params = [workspaceId];
+  let query = `
+    SELECT t.*, u.name AS changed_by_name
+    FROM phase_transitions t
+    LEFT JOIN users u ON u.id = t.changed_by
+    WHERE t.workspace_id = ?`;
+  if (phaseId) {
+    query += ' AND t.phase_id = ?';
+    params.push(phaseId);
+  }
+  query += ' ORDER BY t.created_at DESC, t.rowid DESC';
+
+  const rows = await allAsync(query, params);
+  return rows.map(formatTransition);
+}
+
+module.exports = {
+  STATUSES,
+  PhaseTransitionError,
+  getChecklist,
+  listDocuments,
+  getStatus,
+  transition,
+  listTransitions
+};
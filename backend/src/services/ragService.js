@@ -1,8 +1,8 @@
 const { allAsync } = require('../models/database');
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
 const githubRagService = require('./githubRagService');
+const searchIndexService = require('./searchIndexService');
+const { getPageForOffset } = require('./extractionService');
 
 /**
  * RAG (Retrieval-Augmented Generation) Service
@@ -66,86 +66,82 @@ function extractKeywords(message) {
 }
 
 /**
- * Search through document content for relevant information
+ * Extract general keywords: every word of the message except common words
  */
-async function searchDocuments(keywords, limit = 3) {
+function extractGeneralKeywords(message) {
+  const stopWords = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'is', 'are', 'was', 'were', 'show', 'me',
+    'how', 'what', 'does', 'can', 'you', 'should', 'our', 'my', 'this', 'that'];
+
+  return [...new Set(
+    message
+      .toLowerCase()
+      .split(/\s+/)
+      .map(word => word.replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, ''))
+      .filter(word => word.length > 2 && !stopWords.includes(word))
+  )];
+}
+
+/**
+ * Search indexed document chunks for relevant information.
+ * With options.query the lexical (BM25) ranking is fused with semantic
+ * similarity to the question; otherwise only keywords are matched.
+ * With options.workspaceId only that workspace's documents and the shared
+ * official C2PA documents are searched.
+ */
+async function searchDocuments(keywords, limit = 3, options = {}) {
   try {
-    if (!keywords || keywords.length === 0) {
+    const hasQuery = Boolean(options.query && options.query.trim());
+    if ((!keywords || keywords.length === 0) && !hasQuery) {
       return [];
     }
 
-    // Get all documents
-    const documents = await allAsync(
-      'SELECT * FROM documents WHERE file_type IN (?, ?, ?, ?)',
-      ['txt', 'md', 'json', 'pdf']
-    );
-
-    if (documents.length === 0) {
-      return [];
+    let sourceIds = null;
+    if (options.workspaceId) {
+      const visible = await allAsync(
+        'SELECT id FROM documents WHERE workspace_id = ? OR workspace_id IS NULL',
+        [options.workspaceId]
+      );
+      sourceIds = visible.map(doc => doc.id);
     }
 
-    const results = [];
-
-    for (const doc of documents) {
-      let content = '';
-      let score = 0;
-
-      // Try to read document content
-      try {
-        const filePath = path.join(__dirname, '../..', doc.file_path);
-
-        if (fs.existsSync(filePath)) {
-          // Read file content (for text-based files)
-          if (doc.file_type === 'txt' || doc.file_type === 'md') {
-            content = fs.readFileSync(filePath, 'utf8');
-          } else if (doc.file_type === 'json') {
-            const jsonContent = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-            content = JSON.stringify(jsonContent, null, 2);
-          }
-
-          // Score document based on keyword matches
-          const contentLower = content.toLowerCase();
-          keywords.forEach(keyword => {
-            const regex = new RegExp(keyword, 'gi');
-            const matches = content.match(regex);
-            if (matches) {
-              score += matches.length * 10; // 10 points per keyword match
-            }
-
-            // Bonus points for title/filename match
-            if (doc.original_name.toLowerCase().includes(keyword)) {
-              score += 20;
-            }
-
-            // Bonus points for category match
-            if (doc.category && doc.category.toLowerCase().includes(keyword)) {
-              score += 15;
-            }
-          });
-
-          if (score > 0) {
-            // Extract relevant excerpt
-            const excerpt = extractRelevantExcerpt(content, keywords);
-
-            results.push({
-              documentId: doc.id,
-              documentName: doc.original_name,
-              category: doc.category,
-              score,
-              excerpt,
-              uploadedAt: doc.created_at
-            });
-          }
-        }
-      } catch (error) {
-        logger.warn(`Error reading document ${doc.id}:`, error.message);
-      }
+    const matches = hasQuery
+      ? await searchIndexService.hybridSearch(
+        searchIndexService.SOURCE_DOCUMENT,
+        { keywords, text: options.query },
+        { limit, sourceIds }
+      )
+      : await searchIndexService.search(searchIndexService.SOURCE_DOCUMENT, keywords, { limit, sourceIds });
+
+    if (matches.length === 0) {
+      return [];
     }
 
-    // Sort by score and limit results
-    return results
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit);
+    const documents = await allAsync(
+      `SELECT d.id, d.original_name, d.category, d.created_at, dc.pages
+       FROM documents d
+       LEFT JOIN document_content dc ON dc.document_id = d.id
+       WHERE d.id IN (${matches.map(() => '?').join(', ')})`,
+      matches.map(match => match.sourceId)
+    );
+    const documentsById = new Map(documents.map(doc => [doc.id, doc]));
+
+    return matches
+      .filter(match => documentsById.has(match.sourceId))
+      .map(match => {
+        const doc = documentsById.get(match.sourceId);
+        const keywordOffset = findFirstKeyword(match.content, keywords);
+        const offset = match.start + Math.max(keywordOffset, 0);
+
+        return {
+          documentId: doc.id,
+          documentName: doc.original_name,
+          category: doc.category,
+          score: match.score,
+          excerpt: extractRelevantExcerpt(match.content, keywords),
+          page: getPageForOffset(JSON.parse(doc.pages || '[]'), offset),
+          uploadedAt: doc.created_at
+        };
+      });
 
   } catch (error) {
     logger.error('Error searching documents:', error);
@@ -154,25 +150,34 @@ async function searchDocuments(keywords, limit = 3) {
 }
 
 /**
- * Extract relevant excerpt from document content
+ * Find the offset of the first keyword occurrence in content
+ * @returns {number} Character offset, or -1 if no keyword occurs
  */
-function extractRelevantExcerpt(content, keywords, maxLength = 300) {
-  if (!content || content.length === 0) {
-    return '';
-  }
-
-  // Find the first occurrence of any keyword
+function findFirstKeyword(content, keywords) {
+  const contentLower = content.toLowerCase();
   let bestPosition = -1;
-  let bestKeyword = '';
 
   keywords.forEach(keyword => {
-    const position = content.toLowerCase().indexOf(keyword);
+    const position = contentLower.indexOf(keyword);
     if (position !== -1 && (bestPosition === -1 || position < bestPosition)) {
       bestPosition = position;
-      bestKeyword = keyword;
     }
   });
 
+  return bestPosition;
+}
+
+/**
+ * Extract relevant excerpt from document content
+ */
+function extractRelevantExcerpt(content, keywords, maxLength = 300) {
+  if (!content || content.length === 0) {
+    return '';
+  }
+
+  // Find the first occurrence of any keyword
+  const bestPosition = findFirstKeyword(content, keywords);
+
   if (bestPosition === -1) {
     // No keyword found, return beginning
     return content.substring(0, maxLength) + (content.length > maxLength ? '...' : '');
@@ -192,92 +197,186 @@ function extractRelevantExcerpt(content, keywords, maxLength = 300) {
 }
 
 /**
- * Generate context-enhanced response using RAG
- * Now searches both local documents AND GitHub repositories
+ * Turn search results into numbered citations.
+ * Documents point at a page of the stored file; GitHub files at a line range.
+ * @param {Array} documents - Results of searchDocuments
+ * @param {Array} githubResults - Results of githubRagService.searchRepositories
+ * @returns {Array} Citations as { index, type, title, excerpt, ... }
  */
-async function enhanceWithDocuments(userMessage, baseResponse, options = {}) {
-  try {
-    // Extract C2PA-specific keywords from user message
-    const c2paKeywords = extractKeywords(userMessage);
+function buildCitations(documents, githubResults) {
+  const citations = [];
+
+  documents.forEach(doc => {
+    citations.push({
+      index: citations.length + 1,
+      type: 'document',
+      title: doc.documentName,
+      documentId: doc.documentId,
+      category: doc.category,
+      page: doc.page,
+      excerpt: doc.excerpt
+    });
+  });
 
-    // Also extract general keywords from the user message for GitHub search
-    // Split by whitespace and filter out common words
-    const stopWords = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'is', 'are', 'was', 'were', 'show', 'me'];
-    const generalKeywords = userMessage
-      .toLowerCase()
-      .split(/\s+/)
-      .filter(word => word.length > 2 && !stopWords.includes(word));
+  githubResults.forEach(result => {
+    citations.push({
+      index: citations.length + 1,
+      type: 'github',
+      title: result.fileName,
+      repository: result.repository,
+      filePath: result.filePath,
+      lineStart: result.lineStart,
+      lineEnd: result.lineEnd,
+      url: result.url,
+      excerpt: result.excerpt
+    });
+  });
 
-    // Combine C2PA keywords and general keywords for comprehensive search
-    const allKeywords = [...new Set([...c2paKeywords, ...generalKeywords])];
+  return citations;
+}
 
-    logger.info(`RAG Enhancement - C2PA keywords: [${c2paKeywords.join(', ')}], General keywords: [${generalKeywords.join(', ')}]`);
+/**
+ * Retrieve the local documents and GitHub files relevant to a question
+ * @param {string} userMessage - The user's question
+ * @param {Object} [options] - Retrieval options
+ * @param {string} [options.workspaceId] - Restrict documents to this workspace (plus shared ones)
+ * @param {boolean} [options.searchGithub=true] - Also search indexed GitHub repositories
+ * @param {string} [options.repoFilter] - Restrict GitHub search to "owner/repo"
+ * @returns {Promise<Object>} { documents, githubResults, citations }
+ */
+async function retrieveSources(userMessage, options = {}) {
+  // Extract C2PA-specific keywords from user message
+  const c2paKeywords = extractKeywords(userMessage);
 
-    // If no keywords at all, return base response
-    if (allKeywords.length === 0) {
-      logger.info('RAG Enhancement - No keywords found, returning base response');
-      return baseResponse;
-    }
+  // Also extract general keywords from the user message
+  const generalKeywords = extractGeneralKeywords(userMessage);
 
-    // Search for relevant documents (local) - use C2PA keywords
-    const relevantDocs = await searchDocuments(c2paKeywords, 2);
-    logger.info(`RAG Enhancement - Found ${relevantDocs.length} local documents`);
-
-    // Search GitHub repositories if enabled - use all keywords
-    let githubResults = [];
-    if (options.searchGithub !== false) {
-      try {
-        logger.info(`RAG Enhancement - Searching GitHub with keywords: [${allKeywords.join(', ')}]`);
-        githubResults = await githubRagService.searchRepositories(allKeywords, options.repoFilter, 3);
-        logger.info(`RAG Enhancement - Found ${githubResults.length} GitHub results`);
-      } catch (error) {
-        logger.warn('GitHub search failed:', error.message);
-      }
+  // Combine C2PA keywords and general keywords for comprehensive search
+  const allKeywords = [...new Set([...c2paKeywords, ...generalKeywords])];
+
+  logger.info(`RAG Enhancement - C2PA keywords: [${c2paKeywords.join(', ')}], General keywords: [${generalKeywords.join(', ')}]`);
+
+  // If no keywords at all, there is nothing to look up
+  if (allKeywords.length === 0) {
+    logger.info('RAG Enhancement - No keywords found');
+    return { documents: [], githubResults: [], citations: [] };
+  }
+
+  // Search for relevant documents (local) - keywords plus semantic match on the question
+  const documents = await searchDocuments(allKeywords, 2, {
+    query: userMessage,
+    workspaceId: options.workspaceId
+  });
+  logger.info(`RAG Enhancement - Found ${documents.length} local documents`);
+
+  // Search GitHub repositories if enabled - use all keywords
+  let githubResults = [];
+  if (options.searchGithub !== false) {
+    try {
+      logger.info(`RAG Enhancement - Searching GitHub with keywords: [${allKeywords.join(', ')}]`);
+      githubResults = await githubRagService.searchRepositories(allKeywords, options.repoFilter, 3, userMessage);
+      logger.info(`RAG Enhancement - Found ${githubResults.length} GitHub results`);
+    } catch (error) {
+      logger.warn('GitHub search failed:', error.message);
     }
+  }
+
+  return { documents, githubResults, citations: buildCitations(documents, githubResults) };
+}
+
+/**
+ * Build the system prompt that hands retrieved sources to the AI model
+ * @param {Array} citations - Citations from retrieveSources
+ * @returns {string|null} Prompt, or null if there are no sources
+ */
+function buildSourcesPrompt(citations) {
+  if (!citations || citations.length === 0) {
+    return null;
+  }
+
+  const sources = citations.map(citation => {
+    const location = citation.type === 'document'
+      ? `${citation.title}${citation.page ? `, page ${citation.page}` : ''}`
+      : `${citation.repository}/${citation.filePath}, lines ${citation.lineStart}-${citation.lineEnd}`;
+    return `[${citation.index}] ${location}\n${citation.excerpt}`;
+  });
+
+  return 'Relevant excerpts from the user\'s documents and code are listed below. ' +
+    'When your answer relies on one, cite it with its number in square brackets, e.g. [1]. ' +
+    'Do not cite sources you did not use.\n\n' +
+    sources.join('\n\n');
+}
+
+/**
+ * Keep only the citations an answer refers to with [n] markers.
+ * If the answer cites nothing, every source it was given is kept.
+ * @param {string} message - Generated answer
+ * @param {Array} citations - Citations offered to the model
+ * @returns {Array} Citations used by the answer
+ */
+function selectCitedSources(message, citations) {
+  const cited = new Set(
+    [...(message || '').matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10))
+  );
+  const used = citations.filter(citation => cited.has(citation.index));
+  return used.length > 0 ? used : citations;
+}
+
+/**
+ * Generate context-enhanced response using RAG
+ * Now searches both local documents AND GitHub repositories
+ * @returns {Promise<Object>} { message, citations }
+ */
+async function enhanceWithDocuments(userMessage, baseResponse, options = {}) {
+  try {
+    const { documents, githubResults, citations } = await retrieveSources(userMessage, options);
 
     // If no results from either source, return base response
-    if (relevantDocs.length === 0 && githubResults.length === 0) {
-      return baseResponse;
+    if (citations.length === 0) {
+      return { message: baseResponse, citations };
     }
 
     // Enhance response with document references
     let enhancedMessage = baseResponse;
 
     // Add local document results
-    if (relevantDocs.length > 0) {
+    const documentCitations = citations.filter(citation => citation.type === 'document');
+    if (documentCitations.length > 0) {
       enhancedMessage += `\n\n📚 **Relevant Documents Found:**\n\n`;
 
-      relevantDocs.forEach((doc, index) => {
-        enhancedMessage += `**${index + 1}. ${doc.documentName}** (${doc.category})\n`;
-        enhancedMessage += `${doc.excerpt}\n\n`;
+      documentCitations.forEach(citation => {
+        const pageRef = citation.page ? `, p. ${citation.page}` : '';
+        enhancedMessage += `**[${citation.index}] ${citation.title}** (${citation.category}${pageRef})\n`;
+        enhancedMessage += `${citation.excerpt}\n\n`;
       });
     }
 
     // Add GitHub repository results
-    if (githubResults.length > 0) {
+    const githubCitations = citations.filter(citation => citation.type === 'github');
+    if (githubCitations.length > 0) {
       enhancedMessage += `\n\n💻 **Relevant Code from GitHub:**\n\n`;
 
-      githubResults.forEach((result, index) => {
-        enhancedMessage += `**${index + 1}. ${result.fileName}** (${result.repository})\n`;
-        enhancedMessage += `Path: \`${result.filePath}\`\n`;
-        enhancedMessage += `\`\`\`\n${result.excerpt}\n\`\`\`\n`;
-        enhancedMessage += `[View on GitHub](${result.url})\n\n`;
+      githubCitations.forEach(citation => {
+        enhancedMessage += `**[${citation.index}] ${citation.title}** (${citation.repository})\n`;
+        enhancedMessage += `Path: \`${citation.filePath}\`\n`;
+        enhancedMessage += `\`\`\`\n${citation.excerpt}\n\`\`\`\n`;
+        enhancedMessage += `[View on GitHub](${citation.url})\n\n`;
       });
     }
 
     // Add helpful tips
-    if (relevantDocs.length === 0) {
+    if (documents.length === 0) {
       enhancedMessage += `💡 *Tip: Upload C2PA documents to get even more specific guidance!*`;
     }
     if (githubResults.length === 0 && options.searchGithub !== false) {
       enhancedMessage += `\n💡 *Tip: Index a GitHub repository to search through code examples!*`;
     }
 
-    return enhancedMessage;
+    return { message: enhancedMessage, citations };
 
   } catch (error) {
     logger.error('Error enhancing response with documents:', error);
-    return baseResponse;
+    return { message: baseResponse, citations: [] };
   }
 }
 
@@ -285,8 +384,8 @@ async function enhanceWithDocuments(userMessage, baseResponse, options = {}) {
  * Get document summary for a specific topic
  */
 async function getDocumentSummary(topic) {
-  const keywords = extractKeywords(topic);
-  const docs = await searchDocuments(keywords, 5);
+  const keywords = [...new Set([...extractKeywords(topic), ...extractGeneralKeywords(topic)])];
+  const docs = await searchDocuments(keywords, 5, { query: topic });
 
   if (docs.length === 0) {
     return {
@@ -305,7 +404,11 @@ async function getDocumentSummary(topic) {
 
 module.exports = {
   extractKeywords,
+  extractGeneralKeywords,
   searchDocuments,
+  retrieveSources,
+  buildSourcesPrompt,
+  selectCitedSources,
   enhanceWithDocuments,
   getDocumentSummary
 };
@@ -0,0 +1,565 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { getAsync, allAsync } = require('../models/database');
+const Workspace = require('../models/workspace');
+const evidenceService = require('./evidenceService');
+const eoiService = require('./eoiService');
+
+/**
+ * Readiness Report Service
+ * Collects a workspace's certification state - phase status, checklist
+ * completion, evidence (with SHA-256 of each file), open risks and the
+ * Expression of Interest - into one report object, and renders it as
+ * Markdown, HTML or PDF. Everything is generated server-side.
+ */
+
+const FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+const PRODUCT_NAME = 'C2PA Generator Product Certification Assistant';
+const REPORT_TITLE = 'Certification Readiness Report';
+
+// Retro theme of the web app, toned down for paper
+const BRAND = {
+  dark: '#1a1a1a',
+  accent: '#00a8a8',
+  muted: '#666666',
+  high: '#c0392b',
+  medium: '#d35400',
+  low: '#7f8c8d'
+};
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_progress: 'In progress',
+  completed: 'Completed'
+};
+
+const EOI_FIELDS = [
+  ['companyName', 'Company'],
+  ['contactName', 'Contact'],
+  ['contactEmail', 'Email'],
+  ['contactPhone', 'Phone'],
+  ['companyWebsite', 'Website'],
+  ['productDescription', 'Product'],
+  ['intendedUseCase', 'Intended use'],
+  ['estimatedTimeline', 'Timeline'],
+  ['status', 'Status'],
+  ['reference', 'C2PA reference'],
+  ['updatedAt', 'Last updated']
+];
+
+/**
+ * Hash a document's file as it is now; each file is read once per report
+ * @returns {Promise<string|null>} Hex SHA-256, or null when the file is gone
+ */
+async function hashDocument(documentId, cache) {
+  if (!cache.has(documentId)) {
+    const document = await getAsync('SELECT file_path FROM documents WHERE id = ?', [documentId]);
+    let hash = null;
+    if (document && fs.existsSync(document.file_path)) {
+      hash = crypto.createHash('sha256').update(fs.readFileSync(document.file_path)).digest('hex');
+    }
+    cache.set(documentId, hash);
+  }
+  return cache.get(documentId);
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+/**
+ * Open risks: things that would hold up certification
+ * @returns {Array} [{ severity: high|medium|low, title, detail }]
+ */
+function collectRisks({ phases, eoi, failedExtractions }) {
+  const risks = [];
+
+  for (const phase of phases) {
+    for (const item of phase.items) {
+      if (item.evidenceRequired && item.evidence.length === 0) {
+        risks.push({
+          severity: 'high',
+          title: `No evidence for ${item.requirementRef || item.title}`,
+          detail: `${phase.name}: "${item.title}" needs evidence before it can be completed.`
+        });
+      }
+    }
+
+    // MUST requirements left open in phases that are under way or done
+    if (phase.status !== 'pending') {
+      const openMust = phase.items.filter(item => item.level === 'MUST' && item.status !== 'completed');
+      if (openMust.length > 0) {
+        risks.push({
+          severity: phase.status === 'completed' ? 'high' : 'medium',
+          title: `${openMust.length} open MUST requirement(s) in ${phase.name}`,
+          detail: openMust.map(item => item.requirementRef || item.title).join(', ')
+        });
+      }
+    }
+  }
+
+  if (!eoi) {
+    risks.push({
+      severity: 'medium',
+      title: 'Expression of Interest not prepared',
+      detail: 'Prepare the EOI in Phase 1 before applying to the C2PA Conformance Program.'
+    });
+  } else if (eoi.status === 'draft') {
+    risks.push({
+      severity: 'medium',
+      title: 'Expression of Interest is still a draft',
+      detail: 'Complete the EOI and mark it ready before submitting it to the C2PA.'
+    });
+  }
+
+  for (const document of failedExtractions) {
+    risks.push({
+      severity: 'low',
+      title: `Text of ${document.original_name} could not be extracted`,
+      detail: 'The assistant cannot search or analyze this document.'
+    });
+  }
+
+  const order = { high: 0, medium: 1, low: 2 };
+  return risks.sort((a, b) => order[a.severity] - order[b.severity]);
+}
+
+/**
+ * Collect the report data for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} Report, or null when the workspace has no progress record
+ */
+async function buildReport(workspaceId) {
+  const workspace = await Workspace.findById(workspaceId);
+  const progress = await getAsync('SELECT * FROM progress WHERE workspace_id = ?', [workspaceId]);
+  if (!workspace || !progress) return null;
+
+  const items = await allAsync(
+    `SELECT c.*, r.ref AS requirement_ref, r.level, COALESCE(r.evidence_required, 0) AS evidence_required
+     FROM checklist_items c
+     LEFT JOIN requirements r ON r.id = c.requirement_id
+     WHERE c.workspace_id = ?
+     ORDER BY c.order_index`,
+    [workspaceId]
+  );
+
+  const hashes = new Map();
+  const phases = JSON.parse(progress.phases).map(phase => ({
+    id: phase.id,
+    name: phase.name,
+    status: phase.status,
+    completedDate: phase.completedDate || null,
+    items: []
+  }));
+  const phaseById = new Map(phases.map(phase => [phase.id, phase]));
+
+  for (const item of items) {
+    const phase = phaseById.get(item.phase_id);
+    if (!phase) continue;
+
+    const evidence = [];
+    for (const link of await evidenceService.listItemEvidence(workspaceId, item.id)) {
+      evidence.push({
+        documentName: link.documentName,
+        pageNumber: link.pageNumber,
+        note: link.note,
+        sha256: await hashDocument(link.documentId, hashes)
+      });
+    }
+
+    phase.items.push({
+      id: item.id,
+      title: item.title,
+      status: item.status,
+      completedAt: item.completed_at,
+      requirementRef: item.requirement_ref,
+      level: item.level,
+      evidenceRequired: item.evidence_required === 1,
+      evidence
+    });
+  }
+
+  for (const phase of phases) {
+    const completed = phase.items.filter(item => item.status === 'completed').length;
+    phase.checklist = { total: phase.items.length, completed, percent: percent(completed, phase.items.length) };
+  }
+
+  const total = items.filter(item => phaseById.has(item.phase_id)).length;
+  const completed = phases.reduce((sum, phase) => sum + phase.checklist.completed, 0);
+  const eoi = await eoiService.getEoi(workspaceId);
+  const failedExtractions = await allAsync(
+    `SELECT d.original_name FROM documents d
+     JOIN document_content dc ON dc.document_id = d.id
+     WHERE d.workspace_id = ? AND dc.status = 'failed'
+     ORDER BY d.original_name`,
+    [workspaceId]
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    workspace: {
+      id: workspace.id,
+      name: workspace.name,
+      slug: workspace.slug,
+      companyName: workspace.company_name || progress.company_name
+    },
+    currentPhase: progress.current_phase,
+    startDate: progress.start_date,
+    summary: {
+      phasesCompleted: phases.filter(phase => phase.status === 'completed').length,
+      phaseCount: phases.length,
+      checklistTotal: total,
+      checklistCompleted: completed,
+      checklistPercent: percent(completed, total)
+    },
+    phases,
+    risks: collectRisks({ phases, eoi, failedExtractions }),
+    eoi: eoi
+      ? { ...eoi.data, status: eoi.status, reference: eoi.reference, updatedAt: eoi.updatedAt }
+      : null
+  };
+}
+
+function formatDate(value) {
+  return value ? String(value).substring(0, 10) : '';
+}
+
+function phaseLabel(report, phase) {
+  const current = phase.id === report.currentPhase ? ' (current)' : '';
+  return `${phase.name}${current}`;
+}
+
+function evidenceLabel(evidence) {
+  const page = evidence.pageNumber ? `, p. ${evidence.pageNumber}` : '';
+  return `${evidence.documentName}${page}`;
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/([\\|*_`[\]<>])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - From buildReport
+ * @returns {string}
+ */
+function renderMarkdown(report) {
+  const { workspace, summary } = report;
+  const lines = [
+    `# ${REPORT_TITLE}`,
+    '',
+    `**${escapeMarkdown(workspace.companyName || workspace.name)}** - generated ${report.generatedAt} by the ${PRODUCT_NAME}`,
+    '',
+    '## Summary',
+    '',
+    `- Phases completed: ${summary.phasesCompleted} of ${summary.phaseCount}`,
+    `- Checklist: ${summary.checklistCompleted} of ${summary.checklistTotal} items completed (${summary.checklistPercent}%)`,
+    `- Open risks: ${report.risks.length}`,
+    '',
+    '## Phase Status',
+    '',
+    '| Phase | Status | Checklist |',
+    '| --- | --- | --- |',
+    ...report.phases.map(phase =>
+      `| ${escapeMarkdown(phaseLabel(report, phase))} | ${STATUS_LABELS[phase.status] || phase.status} | ` +
+      `${phase.checklist.completed}/${phase.checklist.total} (${phase.checklist.percent}%) |`)
+  ];
+
+  lines.push('', '## Checklist and Evidence');
+  for (const phase of report.phases.filter(entry => entry.items.length > 0)) {
+    lines.push('', `### ${escapeMarkdown(phase.name)}`, '');
+    for (const item of phase.items) {
+      const box = item.status === 'completed' ? '[x]' : '[ ]';
+      const ref = item.requirementRef ? `**${escapeMarkdown(item.requirementRef)}** (${item.level}) ` : '';
+      const status = item.status === 'in_progress' ? ' _(in progress)_' : '';
+      lines.push(`- ${box} ${ref}${escapeMarkdown(item.title)}${status}`);
+      for (const evidence of item.evidence) {
+        const note = evidence.note ? ` - ${escapeMarkdown(evidence.note)}` : '';
+        lines.push(`  - Evidence: ${escapeMarkdown(evidenceLabel(evidence))}${note}  `);
+        lines.push(`    SHA-256: \`${evidence.sha256 || 'file missing'}\``);
+      }
+      if (item.evidenceRequired && item.evidence.length === 0) {
+        lines.push('  - Evidence: **required, none attached**');
+      }
+    }
+  }
+
+  lines.push('', '## Open Risks', '');
+  if (report.risks.length === 0) {
+    lines.push('No open risks.');
+  } else {
+    report.risks.forEach(risk => {
+      lines.push(`- **${risk.severity.toUpperCase()}** ${escapeMarkdown(risk.title)} - ${escapeMarkdown(risk.detail)}`);
+    });
+  }
+
+  lines.push('', '## Expression of Interest', '');
+  if (!report.eoi) {
+    lines.push('Not prepared yet.');
+  } else {
+    EOI_FIELDS.filter(([key]) => report.eoi[key]).forEach(([key, label]) => {
+      lines.push(`- ${label}: ${escapeMarkdown(report.eoi[key])}`);
+    });
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a report as a standalone HTML page (inline styles, printable)
+ * @param {Object} report - From buildReport
+ * @returns {string}
+ */
+function renderHtml(report) {
+  const { workspace, summary } = report;
+  const company = escapeHtml(workspace.companyName || workspace.name);
+
+  const phaseRows = report.phases.map(phase => `
+      <tr>
+        <td>${escapeHtml(phaseLabel(report, phase))}</td>
+        <td class="status-${phase.status}">${STATUS_LABELS[phase.status] || escapeHtml(phase.status)}</td>
+        <td>${phase.checklist.completed}/${phase.checklist.total} (${phase.checklist.percent}%)</td>
+      </tr>`).join('');
+
+  const checklist = report.phases.filter(phase => phase.items.length > 0).map(phase => `
+    <h3>${escapeHtml(phase.name)}</h3>
+    <ul class="checklist">${phase.items.map(item => `
+      <li class="${item.status}">
+        <span class="box">${item.status === 'completed' ? '&#10003;' : '&#9744;'}</span>
+        ${item.requirementRef ? `<strong>${escapeHtml(item.requirementRef)}</strong> <em>${item.level}</em> ` : ''}${escapeHtml(item.title)}
+        ${item.evidence.length > 0 ? `<ul class="evidence">${item.evidence.map(evidence => `
+          <li>${escapeHtml(evidenceLabel(evidence))}${evidence.note ? ` - ${escapeHtml(evidence.note)}` : ''}
+            <code>${evidence.sha256 || 'file missing'}</code></li>`).join('')}
+        </ul>` : ''}
+        ${item.evidenceRequired && item.evidence.length === 0 ? '<div class="missing">Evidence required, none attached</div>' : ''}
+      </li>`).join('')}
+    </ul>`).join('');
+
+  const risks = report.risks.length === 0
+    ? '<p>No open risks.</p>'
+    : `<ul class="risks">${report.risks.map(risk => `
+      <li><span class="severity ${risk.severity}">${risk.severity.toUpperCase()}</span>
+        <strong>${escapeHtml(risk.title)}</strong><br>${escapeHtml(risk.detail)}</li>`).join('')}
+    </ul>`;
+
+  const eoi = !report.eoi
+    ? '<p>Not prepared yet.</p>'
+    : `<dl>${EOI_FIELDS.filter(([key]) => report.eoi[key]).map(([key, label]) =>
+      `<dt>${label}</dt><dd>${escapeHtml(report.eoi[key])}</dd>`).join('')}</dl>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${REPORT_TITLE} - ${company}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: ${BRAND.dark}; margin: 0; }
+    header { background: ${BRAND.dark}; color: #fff; padding: 24px 40px; border-bottom: 4px solid ${BRAND.accent}; }
+    header h1 { margin: 0; color: ${BRAND.accent}; font-family: 'Courier New', monospace; }
+    header p { margin: 6px 0 0; }
+    main { padding: 16px 40px 40px; }
+    h2 { border-bottom: 2px solid ${BRAND.accent}; padding-bottom: 4px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+    .status-completed { color: #27ae60; }
+    .status-in_progress { color: ${BRAND.medium}; }
+    ul.checklist { list-style: none; padding-left: 0; }
+    ul.checklist > li { margin-bottom: 8px; }
+    ul.evidence { color: ${BRAND.muted}; font-size: 0.9em; }
+    code { display: block; font-size: 0.85em; word-break: break-all; }
+    .missing { color: ${BRAND.high}; font-size: 0.9em; margin-left: 24px; }
+    .severity { display: inline-block; min-width: 64px; font-weight: bold; }
+    .severity.high { color: ${BRAND.high}; }
+    .severity.medium { color: ${BRAND.medium}; }
+    .severity.low { color: ${BRAND.low}; }
+    dt { font-weight: bold; }
+    dd { margin: 0 0 8px; }
+    footer { color: ${BRAND.muted}; font-size: 0.8em; padding: 0 40px 24px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${REPORT_TITLE}</h1>
+    <p>${company} &middot; generated ${escapeHtml(report.generatedAt)}</p>
+  </header>
+  <main>
+    <h2>Summary</h2>
+    <ul>
+      <li>Phases completed: ${summary.phasesCompleted} of ${summary.phaseCount}</li>
+      <li>Checklist: ${summary.checklistCompleted} of ${summary.checklistTotal} items completed (${summary.checklistPercent}%)</li>
+      <li>Open risks: ${report.risks.length}</li>
+    </ul>
+    <h2>Phase Status</h2>
+    <table>
+      <tr><th>Phase</th><th>Status</th><th>Checklist</th></tr>${phaseRows}
+    </table>
+    <h2>Checklist and Evidence</h2>${checklist}
+    <h2>Open Risks</h2>
+    ${risks}
+    <h2>Expression of Interest</h2>
+    ${eoi}
+  </main>
+  <footer>Generated by the ${PRODUCT_NAME}</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report as PDF
+ * @param {Object} report - From buildReport
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const { workspace, summary } = report;
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      bufferPages: true,
+      info: {
+        Title: `${REPORT_TITLE} - ${workspace.companyName || workspace.name}`,
+        Creator: PRODUCT_NAME
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const heading = (text) => {
+      doc.moveDown(0.8).font('Helvetica-Bold').fontSize(14).fillColor(BRAND.dark).text(text);
+      doc.moveTo(doc.page.margins.left, doc.y + 2).lineTo(doc.page.margins.left + width, doc.y + 2)
+        .lineWidth(1.5).strokeColor(BRAND.accent).stroke();
+      doc.moveDown(0.5).font('Helvetica').fontSize(10).fillColor(BRAND.dark);
+    };
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 90).fill(BRAND.dark);
+    doc.rect(0, 90, doc.page.width, 4).fill(BRAND.accent);
+    doc.font('Courier-Bold').fontSize(20).fillColor(BRAND.accent).text(REPORT_TITLE, 50, 28);
+    doc.font('Helvetica').fontSize(11).fillColor('#ffffff')
+      .text(`${workspace.companyName || workspace.name} - generated ${report.generatedAt}`, 50, 56);
+    doc.fillColor(BRAND.dark).text('', 50, 110);
+
+    heading('Summary');
+    doc.text(`Phases completed: ${summary.phasesCompleted} of ${summary.phaseCount}`);
+    doc.text(`Checklist: ${summary.checklistCompleted} of ${summary.checklistTotal} items completed (${summary.checklistPercent}%)`);
+    doc.text(`Open risks: ${report.risks.length}`);
+
+    heading('Phase Status');
+    for (const phase of report.phases) {
+      const y = doc.y;
+      doc.text(phaseLabel(report, phase), doc.page.margins.left, y, { width: width * 0.55 });
+      const after = doc.y;
+      doc.text(STATUS_LABELS[phase.status] || phase.status, doc.page.margins.left + width * 0.58, y, { width: width * 0.2 });
+      doc.text(`${phase.checklist.completed}/${phase.checklist.total} (${phase.checklist.percent}%)`,
+        doc.page.margins.left + width * 0.8, y, { width: width * 0.2 });
+      doc.x = doc.page.margins.left;
+      doc.y = Math.max(after, doc.y) + 2;
+    }
+
+    heading('Checklist and Evidence');
+    for (const phase of report.phases.filter(entry => entry.items.length > 0)) {
+      doc.moveDown(0.3).font('Helvetica-Bold').fontSize(11).text(phase.name).font('Helvetica').fontSize(10);
+      for (const item of phase.items) {
+        const box = item.status === 'completed' ? '[x]' : '[ ]';
+        const ref = item.requirementRef ? `${item.requirementRef} (${item.level}) ` : '';
+        doc.fillColor(BRAND.dark).text(`${box} ${ref}${item.title}`, { indent: 8 });
+        for (const evidence of item.evidence) {
+          doc.fillColor(BRAND.muted).fontSize(9)
+            .text(`Evidence: ${evidenceLabel(evidence)}${evidence.note ? ` - ${evidence.note}` : ''}`, { indent: 24 })
+            .font('Courier').fontSize(8).text(`SHA-256 ${evidence.sha256 || 'file missing'}`, { indent: 24 })
+            .font('Helvetica').fontSize(10);
+        }
+        if (item.evidenceRequired && item.evidence.length === 0) {
+          doc.fillColor(BRAND.high).fontSize(9).text('Evidence required, none attached', { indent: 24 }).fontSize(10);
+        }
+      }
+    }
+    doc.fillColor(BRAND.dark);
+
+    heading('Open Risks');
+    if (report.risks.length === 0) {
+      doc.text('No open risks.');
+    }
+    for (const risk of report.risks) {
+      doc.font('Helvetica-Bold').fillColor(BRAND[risk.severity]).text(`${risk.severity.toUpperCase()}  `, { continued: true })
+        .fillColor(BRAND.dark).text(risk.title)
+        .font('Helvetica').fillColor(BRAND.muted).text(risk.detail, { indent: 8 }).fillColor(BRAND.dark);
+    }
+
+    heading('Expression of Interest');
+    if (!report.eoi) {
+      doc.text('Not prepared yet.');
+    } else {
+      EOI_FIELDS.filter(([key]) => report.eoi[key]).forEach(([key, label]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(report.eoi[key]));
+      });
+    }
+
+    // Footer on every page
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor(BRAND.muted)
+        .text(`${PRODUCT_NAME} - page ${i + 1} of ${range.count}`, 50, doc.page.height - 35, { width, align: 'center' });
+      doc.page.margins.bottom = bottom;
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Build and render a workspace's report
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} format - pdf, md or html
+ * @returns {Promise<Object|null>} { body, contentType, filename }, or null when there is no progress
+ */
+async function generateReport(workspaceId, format) {
+  const report = await buildReport(workspaceId);
+  if (!report) return null;
+
+  let body;
+  if (format === 'pdf') body = await renderPdf(report);
+  else if (format === 'md') body = renderMarkdown(report);
+  else body = renderHtml(report);
+
+  const { contentType, extension } = FORMATS[format];
+  return {
+    body,
+    contentType,
+    filename: `${report.workspace.slug}-readiness-report-${formatDate(report.generatedAt)}.${extension}`
+  };
+}
+
+module.exports = {
+  FORMATS,
+  BRAND,
+  PRODUCT_NAME,
+  buildReport,
+  renderMarkdown,
+  renderHtml,
+  renderPdf,
+  generateReport
+};
@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { runAsync, getAsync, allAsync } = require('../models/database');
+const extractionService = require('./extractionService');
+const logger = require('../utils/logger');
+
+/**
+ * Requirement Extraction Service
+ * Parses official C2PA documents (Generator Product Security Requirements,
+ * Conformance Program) into discrete requirement records and seeds every
+ * workspace's checklist from them.
+ *
+ * Parsing is deterministic so re-runs are idempotent: a requirement is keyed
+ * by its source and reference (the ID printed in the document, or
+ * <prefix>-<section>-<n> when the document has none). When a new version of
+ * a document is synced, changed requirements are updated in place, new ones
+ * added and missing ones marked withdrawn; checklist items follow, keeping
+ * each workspace's status.
+ *
+ * Levels follow RFC 2119: MUST (must, shall, required) and SHOULD (should,
+ * recommended). Permissions (may) are not requirements. MUST requirements
+ * start out evidence-mandatory (see evidenceService); admins can change the
+ * flag and re-extraction keeps it.
+ */
+
+const LEVEL_MUST = 'MUST';
+const LEVEL_SHOULD = 'SHOULD';
+
+// Numbered heading without sentence punctuation, e.g. "4.2 Key Management"
+const HEADING = /^(\d+(?:\.\d+){0,4})\.?\s+([A-Z][^.!?;:]{1,100})$/;
+// Reference printed at the start of a requirement, e.g. "GPSR-5.1:", "[SR-01]"
+const EXPLICIT_REF = /^(?:\[([A-Z][A-Z0-9]{1,9}(?:[-_.][A-Z0-9]+)+)\]|([A-Z][A-Z0-9]{1,9}(?:[-_.][A-Z0-9]+)+)[:.)])\s+/;
+// Lines that start a new statement: bullets, (a), a), 1)
+const LIST_ITEM = /^(?:[•▪◦*-]|\(?[a-z0-9]{1,2}\))\s+/;
+const PAGE_NOISE = /^(?:page\s+\d+(?:\s+of\s+\d+)?|\d+)$/i;
+
+// Sections that describe the document rather than state requirements
+const NON_NORMATIVE_SECTIONS = /^(?:introduction|scope|overview|purpose|terms|definitions|glossary|(?:normative |informative )?references|acknowledg\w*|revision history|document history|(?:table of )?contents|foreword|notices?)\b/i;
+
+const MUST_WORDS = /\b(?:must|shall|required)\b/i;
+const SHOULD_WORDS = /\b(?:should|recommended)\b/i;
+
+// First matching rule picks the certification phase; otherwise the source's default
+const PHASE_RULES = [
+  [/\b(?:renew\w*|annual\w*|re-?certif\w*|revoc\w*|revok\w*|ongoing|incidents?|vulnerabilit\w*|patch\w*|notify)\b/i, 'phase-6'],
+  [/\b(?:audit\w*|assessments?|test(?:ing)? labs?|auditors?)\b/i, 'phase-5'],
+  [/\b(?:submit\w*|submission|applicants?|applications? (?:form|process|package)|attest\w*|evidence|questionnaire)\b/i, 'phase-4'],
+  [/\b(?:eligib\w*|membership|legal entity)\b/i, 'phase-1']
+];
+
+const MIN_LENGTH = 20;
+const MAX_LENGTH = 1500;
+const TITLE_LENGTH = 120;
+
+/**
+ * Normative level of a statement
+ * @param {string} sentence
+ * @returns {string|null} MUST, SHOULD or null when the statement is not a requirement
+ */
+function detectLevel(sentence) {
+  if (MUST_WORDS.test(sentence)) return LEVEL_MUST;
+  if (SHOULD_WORDS.test(sentence)) return LEVEL_SHOULD;
+  return null;
+}
+
+/**
+ * Map a requirement to a certification phase
+ * @param {string} text - Requirement text
+ * @param {string} section - Section heading
+ * @param {string} defaultPhase - Phase used when no rule matches
+ * @returns {string} Phase ID
+ */
+function mapPhase(text, section, defaultPhase) {
+  const haystack = `${section || ''} ${text}`;
+  const rule = PHASE_RULES.find(([pattern]) => pattern.test(haystack));
+  return rule ? rule[1] : defaultPhase;
+}
+
+/**
+ * Split a section's lines into statements: list items and explicit references
+ * start new statements, other lines are joined and split into sentences
+ */
+function splitStatements(lines) {
+  const blocks = [];
+  for (const line of lines) {
+    if (blocks.length === 0 || LIST_ITEM.test(line) || EXPLICIT_REF.test(line)) {
+      blocks.push(line.replace(LIST_ITEM, ''));
+    } else if (/-$/.test(blocks[blocks.length - 1])) {
+      // Re-join words hyphenated across lines
+      blocks[blocks.length - 1] = blocks[blocks.length - 1].slice(0, -1) + line;
+    } else {
+      blocks[blocks.length - 1] += ` ${line}`;
+    }
+  }
+
+  return blocks.flatMap(block => {
+    // A referenced requirement stays whole even if it has several sentences
+    if (EXPLICIT_REF.test(block)) return [block];
+    return block.split(/(?<=[.;])\s+(?=[A-Z(])/);
+  });
+}
+
+/**
+ * Parse extracted document text into requirements
+ * @param {string} text - Extracted text
+ * @param {Object} source - { prefix, defaultPhase }
+ * @returns {Array} [{ ref, text, section, level, phaseId, position }] in document order
+ */
+function parseRequirements(text, source) {
+  const sections = [];
+  let current = { number: null, title: null, lines: [] };
+  sections.push(current);
+
+  for (const raw of (text || '').split('\n')) {
+    const line = raw.replace(/\s+/g, ' ').trim();
+    if (!line || PAGE_NOISE.test(line)) continue;
+
+    const heading = HEADING.exec(line);
+    if (heading && !detectLevel(line)) {
+      current = { number: heading[1], title: heading[2].trim(), lines: [] };
+      sections.push(current);
+    } else {
+      current.lines.push(line);
+    }
+  }
+
+  const requirements = [];
+  const seen = new Set();
+  for (const section of sections) {
+    if (section.title && NON_NORMATIVE_SECTIONS.test(section.title)) continue;
+    const sectionName = section.number ? `${section.number} ${section.title}` : null;
+
+    let counter = 0;
+    for (const statement of splitStatements(section.lines)) {
+      const level = detectLevel(statement);
+      if (!level) continue;
+
+      const explicit = EXPLICIT_REF.exec(statement);
+      const body = (explicit ? statement.substring(explicit[0].length) : statement).trim();
+      if (body.length < MIN_LENGTH) continue;
+
+      counter += 1;
+      const ref = explicit ? explicit[1] || explicit[2] : `${source.prefix}-${section.number || '0'}-${counter}`;
+      if (seen.has(ref)) continue;
+      seen.add(ref);
+
+      const requirementText = body.length > MAX_LENGTH ? `${body.substring(0, MAX_LENGTH - 1)}…` : body;
+      requirements.push({
+        ref,
+        text: requirementText,
+        section: sectionName,
+        level,
+        phaseId: mapPhase(requirementText, sectionName, source.defaultPhase),
+        position: requirements.length
+      });
+    }
+  }
+
+  return requirements;
+}
+
+function contentHash(requirement) {
+  return crypto.createHash('sha256')
+    .update(`${requirement.level}\n${requirement.section || ''}\n${requirement.text}`)
+    .digest('hex');
+}
+
+function checklistTitle(requirement) {
+  const text = requirement.text;
+  if (text.length <= TITLE_LENGTH) return text;
+  const cut = text.substring(0, TITLE_LENGTH - 1);
+  return `${cut.substring(0, cut.lastIndexOf(' ') > 60 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+function checklistDescription(requirement, documentName) {
+  const location = requirement.section ? `, section ${requirement.section}` : '';
+  return `${requirement.ref} (${requirement.level}) - ${requirement.text}\n\nSource: ${documentName}${location}`;
+}
+
+/**
+ * Extract requirements from a synced document and store them.
+ * Runs again safely: unchanged requirements are left alone.
+ * @param {string} documentId - documents.id of the official document
+ * @param {Object} source - { prefix, defaultPhase } from c2paSyncService
+ * @param {string} documentName - Shown as the source on checklist items
+ * @returns {Promise<Object>} { source, documentId, total, added, updated, unchanged, withdrawn, checklist }
+ */
+async function extractFromDocument(documentId, source, documentName) {
+  const content = await extractionService.getContent(documentId);
+  if (!content) {
+    throw new Error(`Text of ${documentName} has not been extracted`);
+  }
+
+  const document = await getAsync('SELECT sha256 FROM documents WHERE id = ?', [documentId]);
+  const parsed = parseRequirements(content.text, source);
+  const existing = await allAsync('SELECT * FROM requirements WHERE source = ?', [source.prefix]);
+  const byRef = new Map(existing.map(row => [row.ref, row]));
+  const now = new Date().toISOString();
+  const result = { source: source.prefix, documentId, total: parsed.length, added: 0, updated: 0, unchanged: 0, withdrawn: 0 };
+  const changed = [];
+
+  for (const requirement of parsed) {
+    const hash = contentHash(requirement);
+    const row = byRef.get(requirement.ref);
+    byRef.delete(requirement.ref);
+
+    if (!row) {
+      const id = uuidv4();
+      await runAsync(
+        `INSERT INTO requirements (id, source, ref, text, section, level, phase_id, position, document_id,
+                                   document_version, content_hash, status, evidence_required, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?)`,
+        [id, source.prefix, requirement.ref, requirement.text, requirement.section, requirement.level,
+          requirement.phaseId, requirement.position, documentId, document?.sha256 || null, hash,
+          requirement.level === LEVEL_MUST ? 1 : 0, now, now]
+      );
+      result.added++;
+    } else if (row.content_hash !== hash || row.status !== 'active' || row.position !== requirement.position) {
+      await runAsync(
+        `UPDATE requirements
+         SET text = ?, section = ?, level = ?, phase_id = ?, position = ?, document_id = ?,
+             document_version = ?, content_hash = ?, status = 'active', updated_at = ?
+         WHERE id = ?`,
+        [requirement.text, requirement.section, requirement.level, requirement.phaseId, requirement.position,
+          documentId, document?.sha256 || null, hash, now, row.id]
+      );
+      if (row.content_hash !== hash || row.status !== 'active') {
+        changed.push(row.id);
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+    } else {
+      result.unchanged++;
+    }
+  }
+
+  // Whatever the new version no longer contains is withdrawn
+  for (const row of byRef.values()) {
+    if (row.status === 'withdrawn') continue;
+    await runAsync(
+      "UPDATE requirements SET status = 'withdrawn', updated_at = ? WHERE id = ?",
+      [now, row.id]
+    );
+    result.withdrawn++;
+  }
+
+  result.checklist = await syncChecklist(source.prefix, documentName, changed);
+  logger.info(`Requirements from ${documentName}: ${result.total} found, ${result.added} added, ` +
+    `${result.updated} updated, ${result.withdrawn} withdrawn`);
+
+  return result;
+}
+
+/**
+ * Bring checklist items in line with a source's requirements: refresh the
+ * wording of changed ones, drop untouched items of withdrawn ones, and seed
+ * every workspace with the ones it lacks
+ * @returns {Promise<Object>} { seeded, refreshed, removed }
+ */
+async function syncChecklist(sourcePrefix, documentName, changedIds) {
+  const summary = { seeded: 0, refreshed: 0, removed: 0 };
+
+  for (const id of changedIds) {
+    const requirement = await getAsync('SELECT * FROM requirements WHERE id = ?', [id]);
+    const update = await runAsync(
+      'UPDATE checklist_items SET title = ?, description = ?, phase_id = ? WHERE requirement_id = ?',
+      [checklistTitle(requirement), checklistDescription(requirement, documentName), requirement.phase_id, id]
+    );
+    summary.refreshed += update.changes;
+  }
+
+  // Items someone has started on stay, so no progress is lost
+  const removed = await runAsync(
+    `DELETE FROM checklist_items
+     WHERE status = 'pending'
+       AND requirement_id IN (SELECT id FROM requirements WHERE source = ? AND status = 'withdrawn')`,
+    [sourcePrefix]
+  );
+  summary.removed = removed.changes;
+
+  const workspaces = await allAsync('SELECT id FROM workspaces');
+  for (const { id } of workspaces) {
+    summary.seeded += await seedChecklist(id, { source: sourcePrefix, documentName });
+  }
+
+  return summary;
+}
+
+/**
+ * Add checklist items for active requirements a workspace does not have yet
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} [options]
+ * @param {string} [options.source] - Only this source's requirements
+ * @param {string} [options.documentName] - Source name for item descriptions
+ * @returns {Promise<number>} Items added
+ */
+async function seedChecklist(workspaceId, { source = null, documentName = null } = {}) {
+  const params = [workspaceId];
+  let query = `
+    SELECT r.*, d.original_name AS document_name
+    FROM requirements r
+    LEFT JOIN documents d ON d.id = r.document_id
+    WHERE r.status = 'active'
+      AND NOT EXISTS (
+        SELECT 1 FROM checklist_items c WHERE c.workspace_id = ? AND c.requirement_id = r.id
+      )`;
+  if (source) {
+    query += ' AND r.source = ?';
+    params.push(source);
+  }
+  query += ' ORDER BY r.source, r.position';
+
+  const missing = await allAsync(query, params);
+  for (const requirement of missing) {
+    await runAsync(
+      `INSERT INTO checklist_items (id, workspace_id, phase_id, title, description, order_index, requirement_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        uuidv4(),
+        workspaceId,
+        requirement.phase_id,
+        checklistTitle(requirement),
+        checklistDescription(requirement, documentName || requirement.document_name || requirement.source),
+        // After hand-made items, in document order
+        1000 + requirement.position,
+        requirement.id
+      ]
+    );
+  }
+
+  return missing.length;
+}
+
+/**
+ * List stored requirements
+ * @param {Object} [filters] - id, phaseId, level, source; status defaults to active ('all' for every status)
+ * @returns {Promise<Array>} Requirements in document order
+ */
+async function listRequirements({ id, phaseId, level, source, status = 'active' } = {}) {
+  const conditions = [];
+  const params = [];
+  if (id) {
+    conditions.push('id = ?');
+    params.push(id);
+  }
+  if (status !== 'all') {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (phaseId) {
+    conditions.push('phase_id = ?');
+    params.push(phaseId);
+  }
+  if (level) {
+    conditions.push('level = ?');
+    params.push(level);
+  }
+  if (source) {
+    conditions.push('source = ?');
+    params.push(source);
+  }
+
+  const rows = await allAsync(
+    `SELECT * FROM requirements
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY source, position`,
+    params
+  );
+  return rows.map(row => ({
+    id: row.id,
+    ref: row.ref,
+    source: row.source,
+    text: row.text,
+    section: row.section,
+    level: row.level,
+    phaseId: row.phase_id,
+    status: row.status,
+    documentId: row.document_id,
+    documentVersion: row.document_version,
+    evidenceRequired: row.evidence_required === 1,
+    updatedAt: row.updated_at
+  }));
+}
+
+/**
+ * Flag whether a requirement needs evidence before its checklist items can be completed
+ * @param {string} requirementId - Requirement ID
+ * @param {boolean} evidenceRequired
+ * @returns {Promise<Object|null>} The requirement, or null if it does not exist
+ */
+async function setEvidenceRequired(requirementId, evidenceRequired) {
+  const result = await runAsync(
+    'UPDATE requirements SET evidence_required = ?, updated_at = ? WHERE id = ?',
+    [evidenceRequired ? 1 : 0, new Date().toISOString(), requirementId]
+  );
+  if (result.changes === 0) return null;
+
+  const [requirement] = await listRequirements({ id: requirementId, status: 'all' });
+  return requirement;
+}
+
+module.exports = {
+  LEVEL_MUST,
+  LEVEL_SHOULD,
+  detectLevel,
+  mapPhase,
+  parseRequirements,
+  extractFromDocument,
+  seedChecklist,
+  listRequirements,
+  setEvidenceRequired
+};
@@ -0,0 +1,285 @@
+const { runAsync, allAsync } = require('../models/database');
+const logger = require('../utils/logger');
+const embeddingService = require('./embeddingService');
+
+/**
+ * Search Index Service
+ * Full-text chunk index (SQLite FTS5, BM25 ranking) shared by document and
+ * GitHub file retrieval. Sources are split into overlapping chunks so a match
+ * points at a passage rather than a whole file. Chunks are also embedded so
+ * hybridSearch can combine lexical and semantic rankings.
+ */
+
+const SOURCE_DOCUMENT = 'document';
+const SOURCE_GITHUB_FILE = 'github_file';
+
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+
+// bm25() column weights: title matches count more than body matches
+const TITLE_WEIGHT = 5.0;
+const CONTENT_WEIGHT = 1.0;
+
+// Reciprocal rank fusion constant; 60 is the value from the original RRF paper
+const RRF_K = 60;
+
+/**
+ * Split text into overlapping chunks, breaking on whitespace where possible
+ * @param {string} text - Text to split
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.size] - Target chunk length in characters
+ * @param {number} [options.overlap] - Characters shared with the previous chunk
+ * @returns {Array} Chunks as { index, start, end, content }
+ */
+function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  if (!text || !text.trim()) return chunks;
+
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+
+    // Prefer to end at whitespace in the last fifth of the chunk
+    if (end < text.length) {
+      const breakAt = text.lastIndexOf(' ', end);
+      const newlineAt = text.lastIndexOf('\n', end);
+      const boundary = Math.max(breakAt, newlineAt);
+      if (boundary > start + size * 0.8) {
+        end = boundary;
+      }
+    }
+
+    const content = text.substring(start, end);
+    if (content.trim()) {
+      chunks.push({ index: chunks.length, start, end, content });
+    }
+
+    if (end >= text.length) break;
+
+    // Step back by the overlap, then forward to the next word start
+    let next = Math.max(end - overlap, start + 1);
+    const wordStart = text.slice(next, end).search(/\s\S/);
+    if (wordStart !== -1) next += wordStart + 1;
+    start = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Build an FTS5 MATCH expression that matches any of the keywords.
+ * Each keyword is quoted so punctuation and FTS operators are taken literally.
+ * @param {Array<string>} keywords - Search terms (may contain spaces)
+ * @returns {string|null} MATCH expression or null if no usable terms
+ */
+function buildMatchQuery(keywords) {
+  const terms = (keywords || [])
+    .map(keyword => String(keyword).replace(/"/g, ' ').trim())
+    .filter(keyword => keyword.length > 0)
+    .map(keyword => `"${keyword}"`);
+
+  return terms.length > 0 ? [...new Set(terms)].join(' OR ') : null;
+}
+
+/**
+ * Replace the indexed chunks of a source
+ * @param {string} sourceType - 'document' or 'github_file'
+ * @param {string|number} sourceId - ID of the document or github_files row
+ * @param {string} title - Title indexed alongside each chunk (name or path)
+ * @param {string} text - Full text to index
+ * @param {Object} [options] - Indexing options
+ * @param {boolean} [options.embed=true] - Embed the chunks now; bulk indexers
+ *   pass false and call embeddingService.embedPendingChunks() afterwards
+ * @returns {Promise<number>} Number of chunks indexed
+ */
+async function indexSource(sourceType, sourceId, title, text, { embed = true } = {}) {
+  await removeSource(sourceType, sourceId);
+
+  const chunks = chunkText(text);
+  for (const chunk of chunks) {
+    await runAsync(
+      `INSERT INTO rag_chunks (source_type, source_id, chunk_index, start_offset, end_offset, title, content)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [sourceType, String(sourceId), chunk.index, chunk.start, chunk.end, title || '', chunk.content]
+    );
+  }
+
+  if (embed && chunks.length > 0) {
+    await embeddingService.embedSource(sourceType, sourceId);
+  }
+
+  return chunks.length;
+}
+
+/**
+ * Remove all indexed chunks of a source
+ * @param {string} sourceType - 'document' or 'github_file'
+ * @param {string|number} sourceId - Source ID
+ * @returns {Promise<void>}
+ */
+async function removeSource(sourceType, sourceId) {
+  await runAsync(
+    'DELETE FROM rag_chunks WHERE source_type = ? AND source_id = ?',
+    [sourceType, String(sourceId)]
+  );
+}
+
+/**
+ * Search chunks of one source type, best match first.
+ * Returns at most one chunk (the best) per source.
+ * @param {string} sourceType - 'document' or 'github_file'
+ * @param {Array<string>} keywords - Search terms
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=5] - Maximum number of sources
+ * @param {Array<string>} [options.sourceIds] - Restrict to these sources
+ * @returns {Promise<Array>} Matches as { sourceId, chunkIndex, start, end, content, score }
+ */
+async function search(sourceType, keywords, { limit = 5, sourceIds = null } = {}) {
+  const matchQuery = buildMatchQuery(keywords);
+  if (!matchQuery) return [];
+
+  let query = `
+    SELECT c.source_id, c.chunk_index, c.start_offset, c.end_offset, c.content,
+           bm25(rag_chunks_fts, ${TITLE_WEIGHT}, ${CONTENT_WEIGHT}) AS rank
+    FROM rag_chunks_fts
+    JOIN rag_chunks c ON c.id = rag_chunks_fts.rowid
+    WHERE rag_chunks_fts MATCH ? AND c.source_type = ?
+  `;
+  const params = [matchQuery, sourceType];
+
+  if (sourceIds) {
+    if (sourceIds.length === 0) return [];
+    query += ` AND c.source_id IN (${sourceIds.map(() => '?').join(', ')})`;
+    params.push(...sourceIds.map(String));
+  }
+
+  // Several chunks of one source can match; over-fetch, then keep the best per source
+  query += ' ORDER BY rank LIMIT ?';
+  params.push(limit * 10);
+
+  try {
+    const rows = await allAsync(query, params);
+
+    const best = new Map();
+    for (const row of rows) {
+      if (!best.has(row.source_id)) {
+        best.set(row.source_id, {
+          sourceId: row.source_id,
+          chunkIndex: row.chunk_index,
+          start: row.start_offset,
+          end: row.end_offset,
+          content: row.content,
+          // bm25() is lower-is-better and negative; flip it so higher is better
+          score: Math.round(-row.rank * 1000) / 1000
+        });
+      }
+    }
+
+    return [...best.values()].slice(0, limit);
+  } catch (error) {
+    logger.error(`Search index query failed: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Combine lexical (BM25) and semantic (embedding) rankings with reciprocal
+ * rank fusion, so a passage found by either method can surface and one found
+ * by both ranks highest.
+ * @param {string} sourceType - 'document' or 'github_file'
+ * @param {Object} query - What to search for
+ * @param {Array<string>} query.keywords - Terms for the lexical search
+ * @param {string} [query.text] - Natural-language question for the semantic search
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=5] - Maximum number of sources
+ * @param {Array<string>} [options.sourceIds] - Restrict to these sources
+ * @returns {Promise<Array>} Matches as from search(), with lexicalRank and vectorRank
+ */
+async function hybridSearch(sourceType, { keywords, text }, { limit = 5, sourceIds = null } = {}) {
+  const candidates = limit * 4;
+  const [lexical, semantic] = await Promise.all([
+    search(sourceType, keywords, { limit: candidates, sourceIds }),
+    embeddingService.searchSimilar(sourceType, text, { limit: candidates, sourceIds })
+  ]);
+
+  const fused = new Map();
+  const addRanking = (matches, rankField) => {
+    matches.forEach((match, index) => {
+      const entry = fused.get(match.sourceId) || {
+        sourceId: match.sourceId,
+        chunkIndex: match.chunkIndex,
+        start: match.start,
+        end: match.end,
+        content: match.content,
+        score: 0,
+        lexicalRank: null,
+        vectorRank: null
+      };
+      entry.score += 1 / (RRF_K + index + 1);
+      entry[rankField] = index + 1;
+      fused.set(match.sourceId, entry);
+    });
+  };
+
+  // Lexical first: when both find a source, keep the chunk with the literal match
+  addRanking(lexical, 'lexicalRank');
+  addRanking(semantic, 'vectorRank');
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => ({ ...entry, score: Math.round(entry.score * 10000) / 10000 }));
+}
+
+/**
+ * Index every document and GitHub file that has no chunks yet.
+ * Used as the backfill when the index is introduced and is safe to re-run.
+ * @returns {Promise<Object>} Counts as { documents, githubFiles }
+ */
+async function backfill() {
+  const documents = await allAsync(`
+    SELECT d.id, d.original_name, dc.text
+    FROM documents d
+    JOIN document_content dc ON dc.document_id = d.id
+    WHERE dc.status = 'completed' AND dc.text IS NOT NULL AND TRIM(dc.text) != ''
+      AND NOT EXISTS (
+        SELECT 1 FROM rag_chunks c WHERE c.source_type = '${SOURCE_DOCUMENT}' AND c.source_id = d.id
+      )
+  `);
+
+  for (const doc of documents) {
+    await indexSource(SOURCE_DOCUMENT, doc.id, doc.original_name, doc.text, { embed: false });
+  }
+
+  const files = await allAsync(`
+    SELECT gf.id, gf.file_path, gf.content
+    FROM github_files gf
+    WHERE TRIM(gf.content) != ''
+      AND NOT EXISTS (
+        SELECT 1 FROM rag_chunks c
+        WHERE c.source_type = '${SOURCE_GITHUB_FILE}' AND c.source_id = CAST(gf.id AS TEXT)
+      )
+  `);
+
+  for (const file of files) {
+    await indexSource(SOURCE_GITHUB_FILE, file.id, file.file_path, file.content, { embed: false });
+  }
+
+  if (documents.length > 0 || files.length > 0) {
+    logger.info(`Search index backfilled: ${documents.length} document(s), ${files.length} GitHub file(s)`);
+  }
+
+  return { documents: documents.length, githubFiles: files.length };
+}
+
+module.exports = {
+  SOURCE_DOCUMENT,
+  SOURCE_GITHUB_FILE,
+  chunkText,
+  buildMatchQuery,
+  indexSource,
+  removeSource,
+  search,
+  hybridSearch,
+  backfill
+};
@@ -0,0 +1,580 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+const { DB_PATH, openDatabase } = require('../models/database');
+const migrator = require('../models/migrator');
+const phaseRegistry = require('./phaseRegistry');
+const searchIndexService = require('./searchIndexService');
+const { resolveDocumentPath } = require('./extractionService');
+const logger = require('../utils/logger');
+
+/**
+ * Workspace Archive Service
+ * Moves certification efforts between instances. An export is one zip:
+ *
+ *   manifest.json         - Format, source schema version, workspaces, and the
+ *                           row count and SHA-256 of every dump and file
+ *   tables/<table>.json   - The workspaces' rows, one JSON array per table
+ *   files/<dir>/<name>    - Every file their documents point to (uploads,
+ *                           phase submissions, adventure checkpoints)
+ *
+ * An import checks every hash before writing anything, then inserts the rows
+ * with new IDs in a single transaction, so an archive can be imported next to
+ * the data it came from. Each workspace is imported as a new one (its slug gets
+ * a suffix if taken here). A single-workspace archive may instead go into an
+ * explicit target workspace the importing user owns:
+ *   merge   - Adds the archive's records to it (existing progress, EOI,
+ *             workspace state and requirement-seeded checklist items win)
+ *   replace - Deletes its certification data (documents and their files,
+ *             checklist, evidence, progress, state, EOI, phase history) first
+ * Members are always merged. Users are matched by email; members with
+ * no account are created as regular users without a usable password, and are
+ * listed so an admin can set one. Password hashes are never exported.
+ * A document is only imported with its file from the archive; file paths in
+ * the dumps are never used.
+ *
+ * Not exported: chat history (per user, not per workspace), assistant action
+ * logs, the audit trail (each instance keeps its own chain), requirements and
+ * synced C2PA documents (shared by all workspaces, re-synced per instance) and
+ * the search index (rebuilt after import).
+ */
+
+const FORMAT = 'c2pa-workspace-archive';
+const FORMAT_VERSION = 1;
+const MODES = ['merge', 'replace'];
+const DATA_ROOT = path.join(__dirname, '../../../data');
+const FILE_DIRECTORIES = ['uploads', 'adventure-checkpoints'];
+// Stored for imported users; no bcrypt hash ever matches it, so they cannot log in
+// until an admin sets a password
+const NO_PASSWORD = '!';
+
+// Exported tables, with how each selects the workspaces' rows
+const TABLES = {
+  workspaces: 'SELECT * FROM workspaces WHERE id IN (:ids)',
+  workspace_members: 'SELECT * FROM workspace_members WHERE workspace_id IN (:ids)',
+  progress: 'SELECT * FROM progress WHERE workspace_id IN (:ids)',
+  workspace_state: 'SELECT * FROM workspace_state WHERE workspace_id IN (:ids)',
+  checklist_items: 'SELECT * FROM checklist_items WHERE workspace_id IN (:ids)',
+  documents: 'SELECT * FROM documents WHERE workspace_id IN (:ids)',
+  annotations: 'SELECT * FROM annotations WHERE document_id IN (SELECT id FROM documents WHERE workspace_id IN (:ids))',
+  document_content: 'SELECT * FROM document_content WHERE document_id IN (SELECT id FROM documents WHERE workspace_id IN (:ids))',
+  document_analyses: 'SELECT * FROM document_analyses WHERE document_id IN (SELECT id FROM documents WHERE workspace_id IN (:ids))',
+  eois: 'SELECT * FROM eois WHERE workspace_id IN (:ids)',
+  eoi_versions: 'SELECT * FROM eoi_versions WHERE eoi_id IN (SELECT id FROM eois WHERE workspace_id IN (:ids))',
+  evidence_links: 'SELECT * FROM evidence_links WHERE workspace_id IN (:ids)',
+  phase_transitions: 'SELECT * FROM phase_transitions WHERE workspace_id IN (:ids)',
+  // Shared tables: only what is needed to map references on import
+  requirements: `SELECT id, source, ref FROM requirements WHERE id IN (
+    SELECT requirement_id FROM checklist_items WHERE workspace_id IN (:ids)
+    UNION SELECT requirement_id FROM evidence_links WHERE workspace_id IN (:ids))`,
+  users: 'SELECT id, email, name, role, created_at FROM users WHERE id IN (:userIds)'
+};
+
+// Columns that hold a user ID, per table
+const USER_COLUMNS = {
+  workspaces: ['created_by'],
+  workspace_members: ['user_id'],
+  progress: ['user_id'],
+  documents: ['owner_id'],
+  annotations: ['user_id'],
+  eois: ['created_by', 'updated_by'],
+  eoi_versions: ['changed_by'],
+  evidence_links: ['created_by'],
+  phase_transitions: ['changed_by']
+};
+
+class ArchiveError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.status = status;
+  }
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Directories under data/ that document files may live in
+function fileDirectories() {
+  const phaseDirectories = phaseRegistry.listPhases().map(phase => phase.uploads.directory);
+  return new Set([...FILE_DIRECTORIES, ...phaseDirectories]);
+}
+
+// Expand :ids / :userIds into placeholders
+function bind(sql, values) {
+  const params = [];
+  const text = sql.replace(/:(ids|userIds)/g, (match, name) => {
+    const list = values[name];
+    params.push(...list);
+    return list.map(() => '?').join(', ') || 'NULL';
+  });
+  return [text, params];
+}
+
+// A document's file as "<dir>/<name>" under data/, or null if it is elsewhere or gone
+function archivePath(document, directories) {
+  const file = resolveDocumentPath(document.file_path);
+  if (!file) return null;
+
+  const relative = path.relative(DATA_ROOT, file).split(path.sep);
+  if (relative.length !== 2 || !directories.has(relative[0])) return null;
+  return { file, path: relative.join('/') };
+}
+
+async function withConnection(task) {
+  const connection = openDatabase(DB_PATH);
+  try {
+    return await task(connection);
+  } finally {
+    await connection.close();
+  }
+}
+
+/**
+ * Export workspaces with their records and files as a zip
+ * @param {Object} [options] - { workspaceIds } (default: every workspace)
+ * @returns {Promise<Object>} { filename, manifest, stream }
+ * @throws {ArchiveError} When a workspace does not exist
+ */
+async function exportWorkspaces(options = {}) {
+  const zip = new JSZip();
+  const directories = fileDirectories();
+
+  // Read everything in one transaction so the dumps are consistent
+  const { manifest, files } = await withConnection(async (connection) => {
+    await connection.runAsync('BEGIN');
+    try {
+      const known = await connection.allAsync('SELECT id FROM workspaces ORDER BY created_at');
+      const ids = options.workspaceIds && options.workspaceIds.length > 0
+        ? options.workspaceIds
+        : known.map(row => row.id);
+      const missing = ids.filter(id => !known.some(row => row.id === id));
+      if (missing.length > 0) throw new ArchiveError(`Workspace not found: ${missing.join(', ')}`, 404);
+
+      const rows = {};
+      for (const [table, sql] of Object.entries(TABLES)) {
+        if (table === 'users') continue;
+        rows[table] = await connection.allAsync(...bind(sql, { ids }));
+      }
+
+      const userIds = new Set();
+      for (const [table, columns] of Object.entries(USER_COLUMNS)) {
+        rows[table].forEach(row => columns.forEach(column => row[column] && userIds.add(row[column])));
+      }
+      rows.users = await connection.allAsync(...bind(TABLES.users, { userIds: [...userIds] }));
+
+      const { currentVersion } = await migrator.getStatus({ connection });
+
+      return {
+        files: rows.documents.map(document => ({ document, location: archivePath(document, directories) })),
+        manifest: {
+          format: FORMAT,
+          formatVersion: FORMAT_VERSION,
+          exportedAt: new Date().toISOString(),
+          schemaVersion: currentVersion,
+          workspaces: rows.workspaces.map(({ id, name, slug }) => ({ id, name, slug })),
+          tables: Object.fromEntries(Object.entries(rows).map(([table, tableRows]) => {
+            const dump = JSON.stringify(tableRows);
+            zip.file(`tables/${table}.json`, dump);
+            return [table, { rows: tableRows.length, sha256: sha256(dump) }];
+          }))
+        }
+      };
+    } finally {
+      await connection.runAsync('ROLLBACK');
+    }
+  });
+
+  manifest.files = [];
+  manifest.missingFiles = [];
+  for (const { document, location } of files) {
+    if (!location) {
+      manifest.missingFiles.push({ documentId: document.id, filePath: document.file_path });
+      continue;
+    }
+    const { size } = fs.statSync(location.file);
+    manifest.files.push({ documentId: document.id, path: location.path, size, sha256: await hashFile(location.file) });
+    zip.file(`files/${location.path}`, fs.createReadStream(location.file));
+  }
+
+  zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+  return {
+    filename: `workspaces-${manifest.exportedAt.replace(/[-:]|\.\d+/g, '')}.zip`,
+    manifest,
+    stream: zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+  };
+}
+
+/**
+ * Open an archive and check its format and every hash in its manifest
+ * @param {Buffer} buffer - Zip contents
+ * @returns {Promise<Object>} { manifest, tables: { table: rows }, files: { documentId: { path, data } } }
+ * @throws {ArchiveError} When the archive is unreadable, of another format or
+ *   version, or any dump or file does not match its hash
+ */
+async function readArchive(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new ArchiveError(`Not a zip archive: ${error.message}`);
+  }
+
+  const manifestEntry = zip.file('manifest.json');
+  if (!manifestEntry) throw new ArchiveError('Archive has no manifest.json');
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestEntry.async('string'));
+  } catch (error) {
+    throw new ArchiveError('manifest.json is not valid JSON');
+  }
+  if (manifest.format !== FORMAT) throw new ArchiveError('Not a workspace archive');
+  if (manifest.formatVersion !== FORMAT_VERSION) {
+    throw new ArchiveError(`Unsupported archive version ${manifest.formatVersion}`);
+  }
+
+  const { latestVersion } = await migrator.getStatus();
+  if (manifest.schemaVersion > latestVersion) {
+    throw new ArchiveError(
+      `Archive is from schema version ${manifest.schemaVersion}; this instance is at ${latestVersion}. Upgrade it first.`,
+      409
+    );
+  }
+
+  const tables = {};
+  for (const table of Object.keys(TABLES)) {
+    const expected = manifest.tables && manifest.tables[table];
+    const entry = zip.file(`tables/${table}.json`);
+    if (!expected || !entry) throw new ArchiveError(`Archive is missing tables/${table}.json`);
+
+    const dump = await entry.async('string');
+    if (sha256(dump) !== expected.sha256) throw new ArchiveError(`tables/${table}.json does not match its hash`);
+    tables[table] = JSON.parse(dump);
+  }
+
+  const directories = fileDirectories();
+  const files = {};
+  for (const file of manifest.files || []) {
+    const [directory, name, ...rest] = String(file.path).split('/');
+    if (rest.length > 0 || !directories.has(directory) || !name || name !== path.basename(name) || name.startsWith('.')) {
+      throw new ArchiveError(`Invalid file path in manifest: ${file.path}`);
+    }
+
+    const entry = zip.file(`files/${file.path}`);
+    if (!entry) throw new ArchiveError(`Archive is missing files/${file.path}`);
+    const data = await entry.async('nodebuffer');
+    if (sha256(data) !== file.sha256) throw new ArchiveError(`files/${file.path} does not match its hash`);
+    files[file.documentId] = { path: file.path, data };
+  }
+
+  return { manifest, tables, files };
+}
+
+// Insert a row, keeping only the columns this database has
+async function insertRow(connection, columnsOf, table, row, { ignore = false } = {}) {
+  if (!columnsOf[table]) {
+    columnsOf[table] = new Set((await connection.allAsync(`PRAGMA table_info(${table})`)).map(column => column.name));
+  }
+  const columns = Object.keys(row).filter(column => columnsOf[table].has(column));
+  return connection.runAsync(
+    `INSERT ${ignore ? 'OR IGNORE ' : ''}INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  );
+}
+
+// Delete a workspace's certification data; returns the files to remove once committed
+async function clearWorkspace(connection, workspaceId) {
+  const documents = await connection.allAsync('SELECT file_path FROM documents WHERE workspace_id = ?', [workspaceId]);
+  for (const table of ['evidence_links', 'documents', 'checklist_items', 'progress', 'workspace_state', 'eois', 'phase_transitions']) {
+    await connection.runAsync(`DELETE FROM ${table} WHERE workspace_id = ?`, [workspaceId]);
+  }
+  return documents.map(document => resolveDocumentPath(document.file_path)).filter(Boolean);
+}
+
+// Where an imported file goes: its own name, unless another file already has it
+async function placeFile(file, written) {
+  const [directory, name] = file.path.split('/');
+  let destination = path.join(DATA_ROOT, directory, name);
+
+  if (fs.existsSync(destination) || written.includes(destination)) {
+    if (fs.existsSync(destination) && await hashFile(destination) === sha256(file.data)) {
+      return { destination, write: false };
+    }
+    destination = path.join(DATA_ROOT, directory, `${uuidv4()}${path.extname(name)}`);
+  }
+  return { destination, write: true };
+}
+
+/**
+ * Import an archive made by exportWorkspaces
+ * @param {Buffer} buffer - Zip contents
+ * @param {Object} [options] - { targetWorkspaceId, mode: merge (default) | replace
+ *   (only with a target), userId (the importer, who must own the target), dryRun }
+ * @returns {Promise<Object>} { mode: new | merge | replace, dryRun, workspaces: [{ sourceId, id, name, slug, created }],
+ *   users: { matched, created, needPassword: [emails] }, counts: { table: rows imported }, files,
+ *   skippedDocuments: [{ sourceId, originalName }] (exported without their file) }
+ * @throws {ArchiveError} When the archive fails validation, or the target does
+ *   not exist or is not owned by the importer (nothing is written)
+ */
+async function importArchive(buffer, options = {}) {
+  const targetId = options.targetWorkspaceId || null;
+  if (options.mode && !targetId) throw new ArchiveError('mode requires a targetWorkspaceId');
+  const mode = targetId ? options.mode || 'merge' : 'new';
+  if (targetId && !MODES.includes(mode)) throw new ArchiveError(`Invalid mode. Must be: ${MODES.join(', ')}`);
+  const dryRun = !!options.dryRun;
+
+  const { manifest, tables, files } = await readArchive(buffer);
+  if (targetId && tables.workspaces.length !== 1) {
+    throw new ArchiveError('Only an archive with one workspace can be imported into a target workspace');
+  }
+  const written = [];
+  const placed = new Set();
+  const removed = [];
+
+  const result = await withConnection(async (connection) => {
+    const columnsOf = {};
+    const insert = (table, row, insertOptions) => insertRow(connection, columnsOf, table, row, insertOptions);
+    const ids = {};
+    const map = (kind, id) => (id && ids[kind] ? ids[kind].get(id) || null : null);
+    const remember = (kind, from, to) => {
+      ids[kind] = ids[kind] || new Map();
+      ids[kind].set(from, to);
+      return to;
+    };
+    const withUsers = (table, row) => {
+      const mapped = { ...row };
+      (USER_COLUMNS[table] || []).forEach(column => { mapped[column] = map('users', row[column]); });
+      return mapped;
+    };
+    const counts = Object.fromEntries(Object.keys(TABLES).map(table => [table, 0]));
+    const summary = { workspaces: [], users: { matched: 0, created: 0, needPassword: [] }, skippedDocuments: [] };
+
+    await connection.runAsync('BEGIN IMMEDIATE');
+    try {
+      // Users: match by email; create members who have no account here
+      const memberIds = new Set(tables.workspace_members.map(member => member.user_id));
+      for (const user of tables.users) {
+        const local = await connection.getAsync('SELECT id FROM users WHERE LOWER(email) = LOWER(?)', [user.email]);
+        if (local) {
+          remember('users', user.id, local.id);
+          summary.users.matched++;
+        } else if (memberIds.has(user.id)) {
+          const id = remember('users', user.id, uuidv4());
+          await insert('users', { ...user, id, role: 'user', password_hash: NO_PASSWORD });
+          summary.users.created++;
+          summary.users.needPassword.push(user.email);
+          counts.users++;
+        }
+      }
+
+      if (targetId) {
+        const [workspace] = tables.workspaces;
+        const target = await connection.getAsync('SELECT * FROM workspaces WHERE id = ?', [targetId]);
+        if (!target) throw new ArchiveError(`Workspace not found: ${targetId}`, 404);
+        const member = await connection.getAsync(
+          'SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+          [targetId, options.userId]
+        );
+        if (!member || member.role !== 'owner') {
+          throw new ArchiveError('Only an owner of the target workspace can import into it', 403);
+        }
+
+        remember('workspaces', workspace.id, target.id);
+        if (mode === 'replace') removed.push(...await clearWorkspace(connection, target.id));
+        summary.workspaces.push({ sourceId: workspace.id, id: target.id, name: target.name, slug: target.slug, created: false });
+      } else {
+        for (const workspace of tables.workspaces) {
+          const id = remember('workspaces', workspace.id, uuidv4());
+          // Slugs are unique; suffix with part of the ID on collision, as Workspace.create does
+          let slug = workspace.slug;
+          if (await connection.getAsync('SELECT id FROM workspaces WHERE slug = ?', [slug])) {
+            slug = `${slug}-${id.substring(0, 8)}`;
+          }
+          await insert('workspaces', { ...withUsers('workspaces', workspace), id, slug });
+          counts.workspaces++;
+          summary.workspaces.push({ sourceId: workspace.id, id, name: workspace.name, slug, created: true });
+        }
+      }
+      const workspaceOf = row => map('workspaces', row.workspace_id);
+
+      for (const member of tables.workspace_members) {
+        const userId = map('users', member.user_id);
+        if (!userId) continue;
+        const { changes } = await insert('workspace_members', {
+          ...member,
+          workspace_id: workspaceOf(member),
+          user_id: userId
+        }, { ignore: true });
+        counts.workspace_members += changes;
+      }
+
+      for (const progress of tables.progress) {
+        const workspaceId = workspaceOf(progress);
+        if (await connection.getAsync('SELECT id FROM progress WHERE workspace_id = ?', [workspaceId])) continue;
+        await insert('progress', {
+          ...withUsers('progress', progress),
+          id: uuidv4(),
+          workspace_id: workspaceId,
+          user_id: map('users', progress.user_id) || workspaceId
+        });
+        counts.progress++;
+      }
+
+      for (const state of tables.workspace_state) {
+        const { changes } = await insert('workspace_state', { ...state, workspace_id: workspaceOf(state) }, { ignore: true });
+        counts.workspace_state += changes;
+      }
+
+      // Requirements are shared; link to this instance's copy of the same requirement
+      for (const requirement of tables.requirements) {
+        const local = await connection.getAsync(
+          'SELECT id FROM requirements WHERE source = ? AND ref = ?',
+          [requirement.source, requirement.ref]
+        );
+        if (local) remember('requirements', requirement.id, local.id);
+      }
+
+      for (const item of tables.checklist_items) {
+        const workspaceId = workspaceOf(item);
+        const requirementId = map('requirements', item.requirement_id);
+        if (requirementId) {
+          const seeded = await connection.getAsync(
+            'SELECT id FROM checklist_items WHERE workspace_id = ? AND requirement_id = ?',
+            [workspaceId, requirementId]
+          );
+          if (seeded) {
+            remember('checklist_items', item.id, seeded.id);
+            continue;
+          }
+        }
+        const id = remember('checklist_items', item.id, uuidv4());
+        await insert('checklist_items', { ...item, id, workspace_id: workspaceId, requirement_id: requirementId });
+        counts.checklist_items++;
+      }
+
+      // The archive's file_path is never trusted: a document is only kept with
+      // a file written here from the archive, the rest are skipped and reported
+      for (const document of tables.documents) {
+        const file = files[document.id];
+        if (!file) {
+          summary.skippedDocuments.push({ sourceId: document.id, originalName: document.original_name });
+          continue;
+        }
+
+        const id = remember('documents', document.id, uuidv4());
+        const placement = await placeFile(file, written);
+        if (placement.write && !dryRun) {
+          fs.mkdirSync(path.dirname(placement.destination), { recursive: true });
+          fs.writeFileSync(placement.destination, file.data);
+          written.push(placement.destination);
+        }
+        placed.add(placement.destination);
+
+        await insert('documents', {
+          ...withUsers('documents', document),
+          id,
+          workspace_id: workspaceOf(document),
+          filename: path.basename(placement.destination),
+          file_path: placement.destination
+        });
+        counts.documents++;
+      }
+
+      for (const annotation of tables.annotations) {
+        const documentId = map('documents', annotation.document_id);
+        if (!documentId) continue;
+        const id = remember('annotations', annotation.id, uuidv4());
+        await insert('annotations', { ...withUsers('annotations', annotation), id, document_id: documentId });
+        counts.annotations++;
+      }
+
+      for (const table of ['document_content', 'document_analyses']) {
+        for (const row of tables[table]) {
+          const documentId = map('documents', row.document_id);
+          if (!documentId) continue;
+          await insert(table, { ...row, document_id: documentId });
+          counts[table]++;
+        }
+      }
+
+      for (const eoi of tables.eois) {
+        const workspaceId = workspaceOf(eoi);
+        if (await connection.getAsync('SELECT id FROM eois WHERE workspace_id = ?', [workspaceId])) continue;
+        const id = remember('eois', eoi.id, uuidv4());
+        await insert('eois', { ...withUsers('eois', eoi), id, workspace_id: workspaceId });
+        counts.eois++;
+      }
+
+      for (const version of tables.eoi_versions) {
+        const eoiId = map('eois', version.eoi_id);
+        if (!eoiId) continue;
+        await insert('eoi_versions', { ...withUsers('eoi_versions', version), id: uuidv4(), eoi_id: eoiId });
+        counts.eoi_versions++;
+      }
+
+      for (const link of tables.evidence_links) {
+        const checklistItemId = map('checklist_items', link.checklist_item_id);
+        const requirementId = map('requirements', link.requirement_id);
+        const documentId = map('documents', link.document_id);
+        // Requirement-only links need the requirement to exist on this instance
+        if ((!checklistItemId && !requirementId) || !documentId) continue;
+        await insert('evidence_links', {
+          ...withUsers('evidence_links', link),
+          id: uuidv4(),
+          workspace_id: workspaceOf(link),
+          checklist_item_id: checklistItemId,
+          requirement_id: requirementId,
+          document_id: documentId,
+          annotation_id: map('annotations', link.annotation_id)
+        });
+        counts.evidence_links++;
+      }
+
+      for (const transition of tables.phase_transitions) {
+        await insert('phase_transitions', { ...withUsers('phase_transitions', transition), id: uuidv4(), workspace_id: workspaceOf(transition) });
+        counts.phase_transitions++;
+      }
+
+      await connection.runAsync(dryRun ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+      await connection.runAsync('ROLLBACK');
+      written.forEach(file => fs.rmSync(file, { force: true }));
+      throw error;
+    }
+
+    delete counts.requirements;
+    return { mode, dryRun, ...summary, counts, files: Object.keys(files).length };
+  });
+
+  if (!dryRun) {
+    // A replaced document's file may be the very file an imported one now uses
+    removed.filter(file => !placed.has(file)).forEach(file => fs.rmSync(file, { force: true }));
+    await searchIndexService.backfill();
+    logger.info(`Imported archive from ${manifest.exportedAt}: ${result.workspaces.map(w => w.slug).join(', ')} (${mode})`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  ArchiveError,
+  DATA_ROOT,
+  fileDirectories,
+  exportWorkspaces,
+  readArchive,
+  importArchive
+};
@@ -0,0 +1,104 @@
+/**
+ * Circuit breaker
+ * Stops calling a dependency that keeps failing, then lets a single probe
+ * request through after a cooldown to see whether it has recovered.
+ *
+ * closed    - calls go through; consecutive failures are counted
+ * open      - calls are refused until cooldownMs has passed
+ * half-open - one probe call is allowed; success closes, failure re-opens
+ */
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in status reports
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=3] - Consecutive failures before opening
+   * @param {number} [options.cooldownMs=30000] - Time to stay open before probing
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.now = options.now || Date.now;
+
+    this.state = CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Ask to make a call. In half-open state only the first caller is let
+   * through; it must report back with onSuccess or onFailure.
+   * @returns {boolean} Whether the call may proceed
+   */
+  tryAcquire() {
+    if (this.state === OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = HALF_OPEN;
+    }
+
+    if (this.state === CLOSED) return true;
+
+    if (this.state === HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  onSuccess() {
+    this.state = CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * @param {Error} error - The failure, kept for status reports
+   */
+  onFailure(error) {
+    this.failures += 1;
+    this.lastError = error ? error.message : null;
+    this.probeInFlight = false;
+
+    if (this.state === HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = OPEN;
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * Snapshot for admin stats
+   * @returns {Object} { name, state, failures, openedAt, retryAt, lastError }
+   */
+  getStatus() {
+    // Report a breaker whose cooldown has passed as ready to probe
+    const state = this.state === OPEN && this.now() - this.openedAt >= this.cooldownMs
+      ? HALF_OPEN
+      : this.state;
+
+    return {
+      name: this.name,
+      state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: state === OPEN ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CLOSED,
+  OPEN,
+  HALF_OPEN
+};
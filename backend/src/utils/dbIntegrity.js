@@ -1,4 +1,5 @@
 const { getAsync, allAsync } = require('../models/database');
+const migrator = require('../models/migrator');
 const logger = require('./logger');
 
 /**
@@ -25,10 +26,13 @@ class DatabaseIntegrityChecker {
     logger.info('╚════════════════════════════════════════════════════════════╝');
 
     await this.checkDatabasePath();
+    await this.checkSchemaVersion();
     await this.checkTableExists('users');
     await this.checkTableExists('github_repos');
     await this.checkTableExists('app_settings');
     await this.checkTableExists('chat_sessions');
+    await this.checkTableExists('workspaces');
+    await this.checkTableExists('document_content');
     await this.checkUserData();
     await this.checkGitHubRepos();
     await this.checkAppSettings();
@@ -63,6 +67,49 @@ class DatabaseIntegrityChecker {
     }
   }
 
+  /**
+   * Check the schema is at the version this release expects
+   */
+  async checkSchemaVersion() {
+    try {
+      const status = await migrator.getStatus();
+
+      if (status.missing.length > 0) {
+        this.results.failed.push({
+          check: 'Schema Version',
+          message: `Database is at version ${status.currentVersion}, newer than this release (${status.latestVersion})`,
+          details: `Unknown migrations: ${status.missing.map(m => m.name).join(', ')}`
+        });
+      } else if (!status.upToDate) {
+        this.results.failed.push({
+          check: 'Schema Version',
+          message: `Database is at version ${status.currentVersion}, expected ${status.latestVersion}`,
+          details: `Pending migrations: ${status.pending.map(m => m.name).join(', ')}`
+        });
+      } else {
+        this.results.passed.push({
+          check: 'Schema Version',
+          message: `Schema at version ${status.currentVersion}`,
+          details: `${status.applied.length} migrations applied`
+        });
+      }
+
+      if (status.changed.length > 0) {
+        this.results.warnings.push({
+          check: 'Schema Version',
+          message: `${status.changed.length} migration file(s) changed after being applied`,
+          details: `Changed: ${status.changed.map(m => m.name).join(', ')}`
+        });
+      }
+    } catch (error) {
+      this.results.failed.push({
+        check: 'Schema Version',
+        message: `Error checking schema version: ${error.message}`,
+        details: error.stack
+      });
+    }
+  }
+
   /**
    * Check if a table exists
    */
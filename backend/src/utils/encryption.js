@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getSecret } = require('./secrets');
+
+/**
+ * Encryption at rest for credentials stored in the database
+ *
+ * AES-256-GCM with a random IV per value. Encrypted values are strings of the
+ * form "v1:<iv>:<tag>:<ciphertext>" (base64 parts), so the format can change
+ * later without guessing what an old value is.
+ *
+ * The key is derived from the DATABASE_ENCRYPTION_KEY secret (Docker secret,
+ * secrets.json or environment). It is never shared with JWT_SECRET, so a
+ * leaked signing secret does not expose stored credentials. Without the
+ * secret, production refuses to encrypt or decrypt; elsewhere a development
+ * constant is used (with a warning).
+ *
+ * Changing the key makes existing values unreadable; decrypt() then throws
+ * and the credential has to be entered again.
+ */
+
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_SALT = 'c2pa-generator-credentials';
+const DEVELOPMENT_KEY = 'development-encryption-key-please-change-in-production';
+
+let cachedKey = null;
+
+function getKey() {
+  if (cachedKey) return cachedKey;
+
+  let secret = getSecret('DATABASE_ENCRYPTION_KEY');
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('DATABASE_ENCRYPTION_KEY is not set; credentials cannot be stored without it in production');
+    }
+    logger.warn('Using default DATABASE_ENCRYPTION_KEY. Please set DATABASE_ENCRYPTION_KEY in secrets.json or environment!');
+    secret = DEVELOPMENT_KEY;
+  }
+
+  cachedKey = crypto.scryptSync(secret, KEY_SALT, 32);
+  return cachedKey;
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} Versioned, encoded ciphertext
+ * @throws {Error} In production without DATABASE_ENCRYPTION_KEY
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - Versioned, encoded ciphertext
+ * @returns {string} Plaintext
+ * @throws {Error} If the value is malformed, was tampered with or was encrypted with another key
+ */
+function decrypt(payload) {
+  const parts = typeof payload === 'string' ? payload.split(':') : [];
+  if (parts.length !== 4 || parts[0] !== VERSION) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const [, iv, tag, ciphertext] = parts;
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Encrypted value cannot be decrypted with the current key');
+  }
+}
+
+/**
+ * Forget the cached key (after DATABASE_ENCRYPTION_KEY changes, and in tests)
+ */
+function resetKey() {
+  cachedKey = null;
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  resetKey
+};
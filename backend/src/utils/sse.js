@@ -0,0 +1,38 @@
+/**
+ * Server-Sent Events helpers
+ * Used by the chat endpoints to stream generated tokens to the client.
+ */
+
+/**
+ * Switch a response to an SSE stream
+ * @param {Object} res - Express response object
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write one SSE message. Does nothing once the client has gone away.
+ * @param {Object} res - Express response object
+ * @param {Object|string} data - Payload; objects are sent as JSON
+ * @param {string} [event] - Event name (omitted for unnamed "message" events)
+ */
+function sendEvent(res, data, event = null) {
+  if (res.writableEnded || res.destroyed) return;
+
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  res.write(`${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+}
+
+module.exports = {
+  openEventStream,
+  sendEvent
+};
@@ -0,0 +1,94 @@
+const zlib = require('zlib');
+
+/**
+ * Tarball reader
+ * Used to read repository archives from GitHub (.tar.gz) in one download
+ * instead of one request per file. Handles ustar, pax extended headers and
+ * GNU long names, which is what `git archive` produces.
+ */
+
+const BLOCK_SIZE = 512;
+
+function readString(block, start, length) {
+  const end = block.indexOf(0, start);
+  return block.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readOctal(block, start, length) {
+  const value = readString(block, start, length).trim();
+  return value ? parseInt(value, 8) : 0;
+}
+
+// "<length> <key>=<value>\n" records
+function parsePax(buffer) {
+  const fields = {};
+  let offset = 0;
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(buffer.toString('utf8', offset, space), 10);
+    if (!length) break;
+
+    const record = buffer.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    if (equals !== -1) {
+      fields[record.slice(0, equals)] = record.slice(equals + 1);
+    }
+    offset += length;
+  }
+  return fields;
+}
+
+/**
+ * Read the regular files of a tar archive
+ * @param {Buffer} buffer - Archive, gzipped or not
+ * @param {Object} options - { stripComponents: leading path parts to drop, filter(path) => boolean }
+ * @returns {Map<string, Buffer>} Contents by path
+ */
+function readTarball(buffer, { stripComponents = 0, filter = null } = {}) {
+  const archive = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+  const files = new Map();
+  let pending = {};
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header[0] === 0) break; // End-of-archive marker
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + BLOCK_SIZE;
+    const data = archive.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (type === 'x') {
+      pending = { ...pending, ...parsePax(data) };
+      continue;
+    }
+    if (type === 'L') {
+      pending.path = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'g') continue; // Global header (GitHub puts the commit SHA here)
+
+    let name = pending.path;
+    if (!name) {
+      const prefix = readString(header, 345, 155);
+      name = readString(header, 0, 100);
+      if (prefix) name = `${prefix}/${name}`;
+    }
+    pending = {};
+
+    if (type !== '0' && type !== '7') continue; // Only regular files
+
+    const path = name.split('/').slice(stripComponents).join('/');
+    if (!path || (filter && !filter(path))) continue;
+    files.set(path, Buffer.from(data));
+  }
+
+  return files;
+}
+
+module.exports = {
+  readTarball
+};
@@ -0,0 +1,44 @@
+const zlib = require('zlib');
+
+/**
+ * Build a gzipped ustar archive laid out like a GitHub tarball download:
+ * every file sits under one "<owner>-<repo>-<sha>/" directory, after a pax
+ * global header. Paths must fit in 100 bytes including the directory.
+ * @param {Object} files - Contents by path
+ * @param {string} root - Top-level directory name
+ * @returns {Buffer} .tar.gz contents
+ */
+function buildTarball(files, root = 'owner-repo-0000000') {
+  const blocks = [];
+
+  const entry = (name, type, data) => {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+    header.write('00000000000\0', 136);
+    header.write(' '.repeat(8), 148);
+    header.write(type, 156);
+    header.write('ustar\0' + '00', 257);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  };
+
+  const comment = 'comment=0000000\n';
+  entry('pax_global_header', 'g', Buffer.from(`${comment.length + 3} ${comment}`));
+  entry(`${root}/`, '5', Buffer.alloc(0));
+  for (const [filePath, content] of Object.entries(files)) {
+    entry(`${root}/${filePath}`, '0', Buffer.from(content));
+  }
+  blocks.push(Buffer.alloc(1024));
+
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+module.exports = buildTarball;
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A scratch database file, picked up when database.js is loaded below
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-'));
+process.env.DATABASE_PATH = path.join(tmpDir, 'app.db');
+
+const { db, runAsync, allAsync, initDatabase } = require('../../src/models/database');
+
+describe('Database upgrade from the baseline release', () => {
+  beforeAll(async () => {
+    // The progress table and row as the release before workspaces created them
+    await runAsync(`
+      CREATE TABLE progress (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL DEFAULT 'sanmarcsoft-llc',
+        company_name TEXT,
+        current_phase TEXT,
+        start_date TEXT,
+        phases TEXT NOT NULL,
+        notes TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await runAsync(
+      `INSERT INTO progress (id, user_id, company_name, current_phase, start_date, phases, notes)
+       VALUES ('legacy-progress', 'sanmarcsoft-llc', 'Sanmarcsoft LLC', 'phase-2', '2025-01-01T00:00:00.000Z', ?, 'Kept')`,
+      [JSON.stringify([{ id: 'phase-1', name: 'Phase 1', status: 'completed', tasks: [] }])]
+    );
+
+    await runAsync(`
+      CREATE TABLE checklist_items (
+        id TEXT PRIMARY KEY,
+        phase_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        status TEXT DEFAULT 'pending',
+        order_index INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        completed_at TEXT
+      )
+    `);
+    await runAsync("INSERT INTO checklist_items (id, phase_id, title) VALUES ('legacy-item', 'phase-1', 'Kept item')");
+
+    // The EOI lived in the global settings table
+    await runAsync(`
+      CREATE TABLE app_settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        type TEXT DEFAULT 'string',
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await runAsync(
+      "INSERT INTO app_settings (key, value, type) VALUES ('phase1_eoi_submission', ?, 'json')",
+      [JSON.stringify({ companyName: 'Sanmarcsoft LLC', submittedAt: '2025-02-01T00:00:00.000Z', notAField: 'dropped' })]
+    );
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => db.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.DATABASE_PATH;
+  });
+
+  test('should give the default workspace the existing progress row', async () => {
+    await initDatabase();
+    // A second start changes nothing
+    await initDatabase();
+
+    const rows = await allAsync("SELECT id, current_phase, notes FROM progress WHERE workspace_id = 'sanmarcsoft-llc'");
+    expect(rows).toEqual([{ id: 'legacy-progress', current_phase: 'phase-2', notes: 'Kept' }]);
+  });
+
+  test('should move the release\'s checklist and EOI into the default workspace once', async () => {
+    const items = await allAsync("SELECT id FROM checklist_items WHERE workspace_id = 'sanmarcsoft-llc'");
+    expect(items).toEqual([{ id: 'legacy-item' }]);
+
+    const eois = await allAsync("SELECT status, data, created_at FROM eois WHERE workspace_id = 'sanmarcsoft-llc'");
+    expect(eois).toEqual([{ status: 'ready', data: '{"companyName":"Sanmarcsoft LLC"}', created_at: '2025-02-01T00:00:00.000Z' }]);
+    expect(await allAsync("SELECT key FROM app_settings WHERE key LIKE 'phase1_%'")).toEqual([]);
+    expect(await allAsync('SELECT key FROM workspace_state')).toEqual([]);
+
+    const migrations = await allAsync('SELECT name FROM schema_migrations ORDER BY version');
+    expect(migrations.map(row => row.name)).toEqual(expect.arrayContaining(['004_default_workspace', '005_eoi_records']));
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../../src/models/database');
+const migrator = require('../../src/models/migrator');
+
+describe('Schema Migrator', () => {
+  let tmpDir;
+  let connection;
+
+  const tables = async () => (await connection.allAsync(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  )).map(row => row.name);
+
+  // A migrations directory with the given files ({ '001_x.js': source })
+  const writeMigrations = (files) => {
+    const directory = fs.mkdtempSync(path.join(tmpDir, 'migrations-'));
+    for (const [file, source] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, file), source);
+    }
+    return directory;
+  };
+
+  const createTable = (table) => `module.exports = {
+    up: ({ runAsync }) => runAsync('CREATE TABLE ${table} (id INTEGER PRIMARY KEY)'),
+    down: ({ runAsync }) => runAsync('DROP TABLE ${table}')
+  };`;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-'));
+    connection = openDatabase(path.join(tmpDir, 'test.db'));
+  });
+
+  afterEach(async () => {
+    await connection.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should apply the real migrations to an empty database and roll them back', async () => {
+    const result = await migrator.migrate({ connection });
+    const status = await migrator.getStatus({ connection });
+
+    expect(result.from).toBe(0);
+    expect(result.migrations.map(m => m.name)).toContain('001_baseline');
+    expect(status.upToDate).toBe(true);
+    expect(status.currentVersion).toBe(status.latestVersion);
+    expect(await tables()).toEqual(expect.arrayContaining(['users', 'documents', 'audit_events', 'schema_migrations']));
+
+    // Running again is a no-op
+    expect((await migrator.migrate({ connection })).migrations).toEqual([]);
+
+    await migrator.rollback({ connection, target: 0 });
+    expect(await tables()).toEqual(['schema_migrations']);
+  });
+
+  test('should migrate up to a target and report status', async () => {
+    const directory = writeMigrations({
+      '001_create_alpha.js': createTable('alpha'),
+      '002_create_beta.js': createTable('beta'),
+      '003_create_gamma.js': createTable('gamma')
+    });
+
+    await migrator.migrate({ connection, directory, target: 2 });
+    const status = await migrator.getStatus({ connection, directory });
+
+    expect(status).toMatchObject({ currentVersion: 2, latestVersion: 3, upToDate: false });
+    expect(status.pending).toEqual([{ version: 3, name: '003_create_gamma', description: 'create gamma' }]);
+    expect(await tables()).toEqual(['alpha', 'beta', 'schema_migrations']);
+  });
+
+  test('should leave nothing behind when a migration fails', async () => {
+    const directory = writeMigrations({
+      '001_create_alpha.js': createTable('alpha'),
+      '002_broken.js': `module.exports = {
+        up: async ({ runAsync }) => {
+          await runAsync('CREATE TABLE beta (id INTEGER PRIMARY KEY)');
+          await runAsync('INSERT INTO missing_table VALUES (1)');
+        },
+        down: ({ runAsync }) => runAsync('DROP TABLE beta')
+      };`
+    });
+
+    await expect(migrator.migrate({ connection, directory })).rejects.toThrow('Migration 002_broken failed');
+
+    expect(await tables()).toEqual(['alpha', 'schema_migrations']);
+    expect((await migrator.getStatus({ connection, directory })).currentVersion).toBe(1);
+  });
+
+  test('should change nothing on a dry run', async () => {
+    const directory = writeMigrations({
+      '001_create_alpha.js': createTable('alpha'),
+      '002_create_beta.js': createTable('beta')
+    });
+
+    const planned = await migrator.migrate({ connection, directory, dryRun: true });
+    expect(planned).toMatchObject({ from: 0, to: 2, dryRun: true });
+    expect(await tables()).toEqual([]);
+
+    await migrator.migrate({ connection, directory });
+    const rollback = await migrator.rollback({ connection, directory, steps: 2, dryRun: true });
+    expect(rollback.migrations.map(m => m.name)).toEqual(['002_create_beta', '001_create_alpha']);
+    expect(await tables()).toEqual(['alpha', 'beta', 'schema_migrations']);
+  });
+
+  test('should flag migrations edited after being applied or missing from disk', async () => {
+    const directory = writeMigrations({
+      '001_create_alpha.js': createTable('alpha'),
+      '002_create_beta.js': createTable('beta')
+    });
+    await migrator.migrate({ connection, directory });
+
+    fs.appendFileSync(path.join(directory, '001_create_alpha.js'), '\n// edited\n');
+    fs.unlinkSync(path.join(directory, '002_create_beta.js'));
+    const status = await migrator.getStatus({ connection, directory });
+
+    expect(status.changed).toEqual([{ version: 1, name: '001_create_alpha' }]);
+    expect(status.missing).toEqual([{ version: 2, name: '002_create_beta' }]);
+    expect(status.upToDate).toBe(false);
+    await expect(migrator.rollback({ connection, directory })).rejects.toThrow('its file is missing');
+  });
+
+  test('should reject duplicate versions and invalid targets', async () => {
+    const duplicate = writeMigrations({
+      '001_create_alpha.js': createTable('alpha'),
+      '001_create_beta.js': createTable('beta')
+    });
+    expect(() => migrator.loadMigrations(duplicate)).toThrow('share version 1');
+
+    const directory = writeMigrations({ '001_create_alpha.js': createTable('alpha') });
+    await expect(migrator.migrate({ connection, directory, target: 5 })).rejects.toThrow('between 0 and 1');
+  });
+});
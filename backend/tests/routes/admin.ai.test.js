@@ -0,0 +1,177 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync, allAsync } = require('../../src/models/database');
+
+describe('Admin AI Configuration', () => {
+  let adminToken;
+  let userToken;
+  let savedSettings;
+
+  beforeAll(async () => {
+    await initDatabase();
+    savedSettings = await allAsync(
+      "SELECT key, value, type FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\' OR key = 'ollama_url'"
+    );
+  });
+
+  afterAll(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\' OR key = 'ollama_url'");
+    for (const { key, value, type } of savedSettings) {
+      await runAsync('INSERT INTO app_settings (key, value, type) VALUES (?, ?, ?)', [key, value, type]);
+    }
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    await runAsync("INSERT INTO app_settings (key, value, type) VALUES ('ai_provider', 'none', 'string')");
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'ai-admin@example.com', password: 'AdminPass123!', name: 'AI Admin' });
+    adminToken = adminResponse.body.token;
+    await runAsync('UPDATE users SET role = ? WHERE id = ?', ['admin', adminResponse.body.user.id]);
+
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'ai-user@example.com', password: 'UserPass123!', name: 'AI User' });
+    userToken = userResponse.body.token;
+  });
+
+  describe('PUT /api/admin/config/ai', () => {
+    test('should switch providers without a restart', async () => {
+      const before = await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ message: 'What is a manifest?' });
+      expect(before.body.response.message).not.toContain('You asked');
+
+      const update = await request(app)
+        .put('/api/admin/config/ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ provider: 'mock', aiModel: 'mock-7', temperature: 0.2, maxTokens: 50, contextWindow: 2048 });
+
+      expect(update.status).toBe(200);
+      expect(update.body.provider).toEqual({
+        name: 'mock', model: 'mock-7', temperature: 0.2, maxTokens: 50, contextWindow: 2048
+      });
+
+      const after = await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ message: 'What is a manifest?' });
+      expect(after.body.response.message).toContain('[mock-7] You asked: "What is a manifest?"');
+    });
+
+    test('should store model parameters per provider', async () => {
+      await request(app)
+        .put('/api/admin/config/ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ provider: 'mock', aiModel: 'mock-7' });
+      await request(app)
+        .put('/api/admin/config/ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ provider: 'ollama', aiModel: 'llama3.1' });
+
+      const mockModel = await getAsync("SELECT value FROM app_settings WHERE key = 'ai_mock_model'");
+      const ollamaModel = await getAsync("SELECT value FROM app_settings WHERE key = 'ai_ollama_model'");
+      expect(mockModel.value).toBe('mock-7');
+      expect(ollamaModel.value).toBe('llama3.1');
+    });
+
+    test('should reject unknown providers', async () => {
+      const response = await request(app)
+        .put('/api/admin/config/ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ provider: 'bogus' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should be admin only', async () => {
+      const response = await request(app)
+        .put('/api/admin/config/ai')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ provider: 'mock' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Failover chain', () => {
+    test('should save the chain and report the answering provider in stats', async () => {
+      const update = await request(app)
+        .put('/api/admin/config/ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ provider: 'ollama', ollamaUrl: 'http://127.0.0.1:1', failoverChain: ['mock'] });
+      expect(update.body.failoverChain).toEqual(['ollama', 'mock', 'rule-based']);
+
+      const chat = await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ message: 'Who answers?' });
+      expect(chat.body.response.provider).toBe('mock');
+
+      const stored = await getAsync('SELECT metadata FROM chat_messages WHERE id = ?', [chat.body.response.id]);
+      const metadata = JSON.parse(stored.metadata);
+      expect(metadata).toMatchObject({ provider: 'mock', model: 'mock-1' });
+      expect(metadata.failover.map(f => f.provider)).toEqual(['ollama']);
+
+      const stats = await request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(stats.body.stats.ai.chain).toEqual(['ollama', 'mock', 'rule-based']);
+      expect(stats.body.stats.ai.breakers.map(b => b.name)).toEqual(['ollama', 'mock']);
+      expect(stats.body.stats.ai.lastUsed).toMatchObject({ provider: 'mock', model: 'mock-1' });
+      expect(stats.body.stats.ai.usage.find(u => u.provider === 'mock').count).toBeGreaterThan(0);
+    });
+
+    test('should reject unknown providers in the chain', async () => {
+      const response = await request(app)
+        .put('/api/admin/config/ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ failoverChain: ['mock', 'bogus'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('bogus');
+    });
+  });
+
+  describe('POST /api/admin/config/test-ai', () => {
+    test('should exercise the registry with unsaved settings', async () => {
+      const response = await request(app)
+        .post('/api/admin/config/test-ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ provider: 'mock', aiModel: 'mock-probe' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, provider: 'mock', model: 'mock-probe', models: ['mock-1'] });
+      expect(response.body.reply).toContain('Reply with the single word OK.');
+
+      const saved = await getAsync("SELECT value FROM app_settings WHERE key = 'ai_provider'");
+      expect(saved.value).toBe('none');
+    });
+
+    test('should report connection failures', async () => {
+      const response = await request(app)
+        .post('/api/admin/config/test-ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ provider: 'ollama', ollamaUrl: 'http://127.0.0.1:1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Connection failed');
+    });
+
+    test('should reject unknown providers', async () => {
+      const response = await request(app)
+        .post('/api/admin/config/test-ai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ provider: 'bogus' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
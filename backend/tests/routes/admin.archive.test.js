@@ -0,0 +1,255 @@
+const fs = require('fs');
+const request = require('supertest');
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync, allAsync } = require('../../src/models/database');
+const { resolveDocumentPath } = require('../../src/services/extractionService');
+
+describe('Admin Routes - Workspace Archives', () => {
+  let adminToken;
+  let ownerToken;
+  let workspaceId;
+  let requirementId;
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+  const asOwner = (req, id = workspaceId) => req.set('Authorization', `Bearer ${ownerToken}`).set('X-Workspace-Id', id);
+
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  const exportArchive = async () => {
+    const response = await asAdmin(request(app).post('/api/admin/export'))
+      .send({ workspaceIds: [workspaceId] })
+      .buffer(true)
+      .parse(binary);
+    expect(response.status).toBe(200);
+    return response.body;
+  };
+
+  const importArchive = (archive, fields = {}) => {
+    const req = asAdmin(request(app).post('/api/admin/import')).attach('archive', archive, 'archive.zip');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req;
+  };
+
+  const documentsOf = (id) => allAsync('SELECT * FROM documents WHERE workspace_id = ?', [id]);
+
+  const removeWorkspaceFiles = async () => {
+    const documents = await allAsync("SELECT file_path FROM documents WHERE workspace_id IS NOT NULL AND workspace_id != 'sanmarcsoft-llc'");
+    documents.forEach(document => {
+      const file = resolveDocumentPath(document.file_path);
+      if (file) fs.rmSync(file, { force: true });
+    });
+    await runAsync("DELETE FROM documents WHERE workspace_id IS NOT NULL AND workspace_id != 'sanmarcsoft-llc'");
+  };
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await removeWorkspaceFiles();
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+    await runAsync('DELETE FROM requirements');
+
+    requirementId = uuidv4();
+    await runAsync(
+      `INSERT INTO requirements (id, source, ref, text, section, level, phase_id, content_hash, evidence_required)
+       VALUES (?, 'GPSR', 'GPSR-3-1', 'Keys must be rotated yearly.', '3 Key Rotation', 'MUST', 'phase-2', 'hash', 1)`,
+      [requirementId]
+    );
+
+    const admin = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'archive-admin@acme.test', password: 'AdminPass123!', name: 'Archive Admin' });
+    adminToken = admin.body.token;
+    await runAsync('UPDATE users SET role = ? WHERE id = ?', ['admin', admin.body.user.id]);
+
+    const owner = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'archive-owner@client.test', password: 'OwnerPass123!', name: 'Client Owner' });
+    ownerToken = owner.body.token;
+
+    const workspaces = await request(app)
+      .get('/api/workspaces')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    workspaceId = workspaces.body.workspaces[0].id;
+
+    const uploaded = await asOwner(request(app).post('/api/documents/upload'))
+      .attach('file', Buffer.from('Key rotation policy, reviewed 2026'), 'rotation-policy.txt');
+    const documentId = uploaded.body.document.id;
+
+    await asOwner(request(app).put(`/api/documents/${documentId}/annotations`))
+      .send({ annotations: [{ content: 'Covers GPSR-3-1', pageNumber: 1 }] });
+    await asOwner(request(app).post(`/api/progress/requirements/${requirementId}/evidence`))
+      .send({ documentId, note: 'Rotation schedule' });
+    await asOwner(request(app).put('/api/phase1/eoi')).send({ companyName: 'Client Imaging' });
+  });
+
+  afterAll(async () => {
+    await removeWorkspaceFiles();
+    await runAsync('DELETE FROM checklist_items WHERE requirement_id IS NOT NULL');
+    await runAsync('DELETE FROM requirements');
+  });
+
+  test('should move a workspace with its files to an instance that does not have it', async () => {
+    const archive = await exportArchive();
+    const zip = await JSZip.loadAsync(archive);
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    expect(manifest.workspaces.map(workspace => workspace.id)).toEqual([workspaceId]);
+    expect(manifest.files).toHaveLength(1);
+    expect(manifest.tables.documents.rows).toBe(1);
+    const users = JSON.parse(await zip.file('tables/users.json').async('string'));
+    expect(users.every(user => !('password_hash' in user))).toBe(true);
+
+    // Start over as if on another instance
+    await removeWorkspaceFiles();
+    await runAsync('DELETE FROM workspaces WHERE id = ?', [workspaceId]);
+    await runAsync("DELETE FROM users WHERE email = 'archive-owner@client.test'");
+
+    const response = await importArchive(archive);
+
+    expect(response.status).toBe(200);
+    expect(response.body.users).toEqual({ matched: 0, created: 1, needPassword: ['archive-owner@client.test'] });
+    const [imported] = response.body.workspaces;
+    expect(imported.created).toBe(true);
+    expect(imported.id).not.toBe(workspaceId);
+    expect(response.body.counts).toMatchObject({ documents: 1, annotations: 1, evidence_links: 1, eois: 1 });
+
+    // Imported members have no password until an admin sets one
+    const refused = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'archive-owner@client.test', password: 'OwnerPass123!' });
+    expect(refused.status).toBe(401);
+
+    const owner = await getAsync("SELECT id FROM users WHERE email = 'archive-owner@client.test'");
+    await asAdmin(request(app).put(`/api/admin/users/${owner.id}`)).send({ password: 'ResetPass123!' });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'archive-owner@client.test', password: 'ResetPass123!' });
+    ownerToken = login.body.token;
+
+    const documents = await asOwner(request(app).get('/api/documents'), imported.id);
+    expect(documents.body.documents.map(document => [document.original_name, document.owner_name]))
+      .toEqual([['rotation-policy.txt', 'Client Owner']]);
+    const detail = await asOwner(request(app).get(`/api/documents/${documents.body.documents[0].id}`), imported.id);
+    expect(detail.body.document.annotations.map(a => a.content)).toEqual(['Covers GPSR-3-1']);
+
+    const download = await asOwner(request(app).get(`/api/documents/${documents.body.documents[0].id}/download`), imported.id);
+    expect(download.text).toBe('Key rotation policy, reviewed 2026');
+
+    const item = await getAsync(
+      'SELECT id FROM checklist_items WHERE workspace_id = ? AND requirement_id = ?',
+      [imported.id, requirementId]
+    );
+    const evidence = await asOwner(request(app).get(`/api/progress/checklist/${item.id}/evidence`), imported.id);
+    expect(evidence.body.count).toBe(1);
+
+    const eoi = await asOwner(request(app).get('/api/phase1/eoi'), imported.id);
+    expect(eoi.body.eoi.data.companyName).toBe('Client Imaging');
+  });
+
+  test('should reject an archive whose files do not match their hashes', async () => {
+    const zip = await JSZip.loadAsync(await exportArchive());
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    zip.file(`files/${manifest.files[0].path}`, 'Tampered policy');
+    const tampered = await zip.generateAsync({ type: 'nodebuffer' });
+    const workspaces = await getAsync('SELECT COUNT(*) AS count FROM workspaces');
+
+    const response = await importArchive(tampered);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(`files/${manifest.files[0].path} does not match its hash`);
+    expect(await getAsync('SELECT COUNT(*) AS count FROM workspaces')).toEqual(workspaces);
+
+    const notAnArchive = await importArchive(Buffer.from('not a zip'));
+    expect(notAnArchive.status).toBe(400);
+  });
+
+  test('should skip documents whose file is not in the archive', async () => {
+    const zip = await JSZip.loadAsync(await exportArchive());
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    const documents = JSON.parse(await zip.file('tables/documents.json').async('string'));
+    documents[0].file_path = '/etc/passwd';
+    const dump = JSON.stringify(documents);
+    zip.file('tables/documents.json', dump);
+    zip.remove(`files/${manifest.files[0].path}`);
+    manifest.tables.documents.sha256 = require('crypto').createHash('sha256').update(dump).digest('hex');
+    manifest.files = [];
+    zip.file('manifest.json', JSON.stringify(manifest));
+
+    const response = await importArchive(await zip.generateAsync({ type: 'nodebuffer' }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.skippedDocuments).toEqual([{ sourceId: documents[0].id, originalName: 'rotation-policy.txt' }]);
+    expect(response.body.counts).toMatchObject({ documents: 0, annotations: 0, evidence_links: 0 });
+    expect(await documentsOf(response.body.workspaces[0].id)).toEqual([]);
+  });
+
+  test('should import into a new workspace when the slug is taken', async () => {
+    const archive = await exportArchive();
+    const { slug } = await getAsync('SELECT slug FROM workspaces WHERE id = ?', [workspaceId]);
+
+    const response = await importArchive(archive);
+
+    expect(response.status).toBe(200);
+    expect(response.body.mode).toBe('new');
+    const [imported] = response.body.workspaces;
+    expect(imported).toMatchObject({ created: true, slug: `${slug}-${imported.id.substring(0, 8)}` });
+    expect(imported.id).not.toBe(workspaceId);
+    expect(await documentsOf(workspaceId)).toHaveLength(1);
+    expect(await documentsOf(imported.id)).toHaveLength(1);
+
+    const withMode = await importArchive(archive, { mode: 'replace' });
+    expect(withMode.status).toBe(400);
+  });
+
+  test('should merge into or replace a target workspace the admin owns', async () => {
+    const archive = await exportArchive();
+    const target = { targetWorkspaceId: workspaceId };
+
+    // The admin is not a member of the owner's workspace yet
+    const notOwner = await importArchive(archive, { ...target, mode: 'merge' });
+    expect(notOwner.status).toBe(403);
+    const admin = await getAsync("SELECT id FROM users WHERE email = 'archive-admin@acme.test'");
+    await runAsync(
+      "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'owner')",
+      [workspaceId, admin.id]
+    );
+
+    const dryRun = await importArchive(archive, { ...target, mode: 'replace', dryRun: 'true' });
+    expect(dryRun.body).toMatchObject({ dryRun: true, counts: { documents: 1 } });
+    expect(await documentsOf(workspaceId)).toHaveLength(1);
+
+    const merged = await importArchive(archive, { ...target, mode: 'merge' });
+    expect(merged.body.workspaces).toEqual([expect.objectContaining({ id: workspaceId, created: false })]);
+    // The EOI already exists here, and the evidence goes to the workspace's own checklist item
+    expect(merged.body.counts).toMatchObject({ documents: 1, eois: 0, checklist_items: 0, evidence_links: 1 });
+    expect(await documentsOf(workspaceId)).toHaveLength(2);
+
+    const replaced = await importArchive(archive, { ...target, mode: 'replace' });
+    expect(replaced.body.counts).toMatchObject({ documents: 1, eois: 1 });
+    const documents = await documentsOf(workspaceId);
+    expect(documents).toHaveLength(1);
+    expect(fs.readFileSync(documents[0].file_path, 'utf8')).toBe('Key rotation policy, reviewed 2026');
+
+    const missing = await importArchive(archive, { targetWorkspaceId: uuidv4() });
+    expect(missing.status).toBe(404);
+
+    const audit = await asAdmin(request(app).get('/api/admin/audit?action=workspace'));
+    expect(audit.body.events.map(event => event.action)).toEqual(expect.arrayContaining(['workspace.export', 'workspace.import']));
+  });
+
+  test('should be admin only', async () => {
+    const response = await request(app)
+      .post('/api/admin/export')
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync } = require('../../src/models/database');
+
+describe('Admin Routes - Audit Trail', () => {
+  let adminToken;
+  let adminId;
+  let userToken;
+  let userId;
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+  const asUser = (req) => req.set('Authorization', `Bearer ${userToken}`);
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    const admin = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'audit-admin@acme.test', password: 'AdminPass123!', name: 'Audit Admin' });
+    adminToken = admin.body.token;
+    adminId = admin.body.user.id;
+    await runAsync('UPDATE users SET role = ? WHERE id = ?', ['admin', admin.body.user.id]);
+
+    const user = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'audit-user@acme.test', password: 'UserPass123!', name: 'Audit User' });
+    userToken = user.body.token;
+    userId = user.body.user.id;
+  });
+
+  test('should record checklist changes with who, what and a diff', async () => {
+    const created = await asUser(request(app).post('/api/progress/checklist'))
+      .set('User-Agent', 'audit-test')
+      .send({ phaseId: 'phase-2', title: 'Map key management' });
+    const itemId = created.body.item.id;
+    await asUser(request(app).put(`/api/progress/checklist/${itemId}`)).send({ status: 'in_progress' });
+    await asUser(request(app).delete(`/api/progress/checklist/${itemId}`));
+
+    const response = await asAdmin(request(app).get(`/api/admin/audit?actor=${userId}&entityId=${itemId}`));
+
+    expect(response.status).toBe(200);
+    expect(response.body.events.map(event => event.action)).toEqual(['checklist.delete', 'checklist.update', 'checklist.create']);
+    const [, update, create] = response.body.events;
+    expect(update.changes).toEqual({ status: { from: 'pending', to: 'in_progress' } });
+    expect(create).toMatchObject({
+      actorEmail: 'audit-user@acme.test',
+      entityType: 'checklist_item',
+      method: 'POST',
+      path: '/api/progress/checklist',
+      userAgent: 'audit-test'
+    });
+    expect(create.workspaceId).toBeTruthy();
+  });
+
+  test('should record membership and annotation changes', async () => {
+    const workspaces = await asUser(request(app).get('/api/workspaces'));
+    const workspaceId = workspaces.body.workspaces[0].id;
+
+    await asUser(request(app).post(`/api/workspaces/${workspaceId}/members`)).send({ email: 'audit-admin@acme.test', role: 'viewer' });
+    await asUser(request(app).put(`/api/workspaces/${workspaceId}/members/${adminId}`)).send({ role: 'editor' });
+    await asUser(request(app).delete(`/api/workspaces/${workspaceId}/members/${adminId}`));
+
+    const members = await asAdmin(request(app).get(`/api/admin/audit?actor=${userId}&entityId=${adminId}`));
+    expect(members.body.events.map(event => [event.action, event.before, event.after])).toEqual([
+      ['member.remove', { role: 'editor' }, null],
+      ['member.update', { role: 'viewer' }, { role: 'editor' }],
+      ['member.add', null, { email: 'audit-admin@acme.test', role: 'viewer' }]
+    ]);
+
+    const uploaded = await asUser(request(app).post('/api/documents/upload'))
+      .attach('file', Buffer.from('Audit notes'), 'audit-notes.txt');
+    const documentId = uploaded.body.document.id;
+    await asUser(request(app).put(`/api/documents/${documentId}/annotations`))
+      .send({ annotations: [{ content: 'First note' }] });
+
+    const annotations = await asAdmin(request(app).get(`/api/admin/audit?action=annotation.update&entityId=${documentId}`));
+    expect(annotations.body.events[0]).toMatchObject({
+      entityType: 'document',
+      before: { annotations: 0 },
+      after: { annotations: 1, updated: 0, created: 1, deleted: 0 }
+    });
+
+    await asUser(request(app).delete(`/api/documents/${documentId}`));
+  });
+
+  test('should record admin setting changes', async () => {
+    await asAdmin(request(app).put('/api/settings/audit_test_flag')).send({ value: true });
+
+    const response = await asAdmin(request(app).get('/api/admin/audit?action=settings&entityId=audit_test_flag&limit=1'));
+
+    expect(response.body.events[0]).toMatchObject({
+      action: 'settings.update',
+      actorEmail: 'audit-admin@acme.test',
+      after: { audit_test_flag: 'true' }
+    });
+
+    await runAsync("DELETE FROM app_settings WHERE key = 'audit_test_flag'");
+  });
+
+  test('should export the filtered trail as CSV and JSON', async () => {
+    await asUser(request(app).post('/api/progress/checklist')).send({ phaseId: 'phase-2', title: 'Export me, "quoted"' });
+
+    const csv = await asAdmin(request(app).get(`/api/admin/audit/export?format=csv&actor=${userId}`));
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-disposition']).toMatch(/attachment; filename="audit-\d{4}-\d{2}-\d{2}\.csv"/);
+    const lines = csv.text.trim().split('\n');
+    expect(lines[0]).toBe('seq,id,createdAt,actorId,actorEmail,workspaceId,action,entityType,entityId,changes,before,after,ip,userAgent,method,path,hash');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('checklist.create');
+    expect(lines[1]).toContain('Export me, \\""quoted\\""');
+
+    const json = await asAdmin(request(app).get(`/api/admin/audit/export?format=json&actor=${userId}`));
+    const body = JSON.parse(json.text);
+    expect(body.count).toBe(1);
+    expect(body.events[0].after.title).toBe('Export me, "quoted"');
+
+    const invalid = await asAdmin(request(app).get('/api/admin/audit/export?format=xml'));
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should verify the hash chain', async () => {
+    const response = await asAdmin(request(app).get('/api/admin/audit/verify'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ valid: true, brokenAt: null });
+    expect(response.body.checked).toBeGreaterThan(0);
+  });
+
+  test('should be admin only', async () => {
+    const response = await asUser(request(app).get('/api/admin/audit'));
+    expect(response.status).toBe(403);
+
+    const invalid = await asAdmin(request(app).get('/api/admin/audit?limit=5000'));
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync } = require('../../src/models/database');
+
+describe('Admin Routes - Backups', () => {
+  const originalBackupDir = process.env.BACKUP_DIR;
+  let adminToken;
+  let userToken;
+  let tmpDir;
+
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-backups-'));
+    process.env.BACKUP_DIR = tmpDir;
+
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    const admin = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'backup-admin@acme.test', password: 'AdminPass123!', name: 'Backup Admin' });
+    adminToken = admin.body.token;
+    await runAsync('UPDATE users SET role = ? WHERE id = ?', ['admin', admin.body.user.id]);
+
+    const user = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'backup-user@acme.test', password: 'UserPass123!', name: 'Backup User' });
+    userToken = user.body.token;
+  });
+
+  afterEach(() => {
+    if (originalBackupDir === undefined) delete process.env.BACKUP_DIR;
+    else process.env.BACKUP_DIR = originalBackupDir;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should create, list and verify backups and audit their creation', async () => {
+    const created = await asAdmin(request(app).post('/api/admin/backups'));
+    expect(created.status).toBe(201);
+    expect(created.body.backup).toMatchObject({ kind: 'manual', integrity: 'ok' });
+
+    const list = await asAdmin(request(app).get('/api/admin/backups'));
+    expect(list.body.backups.map(backup => backup.id)).toEqual([created.body.backup.id]);
+    expect(list.body.config).toMatchObject({ directory: tmpDir, keepHourly: 24 });
+
+    const verified = await asAdmin(request(app).post(`/api/admin/backups/${created.body.backup.id}/verify`));
+    expect(verified.body.valid).toBe(true);
+
+    const audit = await asAdmin(request(app).get(`/api/admin/audit?entityId=${created.body.backup.id}`));
+    expect(audit.body.events.map(event => event.action)).toEqual(['backup.create']);
+  });
+
+  test('should validate restore targets', async () => {
+    const missing = await asAdmin(request(app).post('/api/admin/backups/restore')).send({});
+    expect(missing.status).toBe(400);
+
+    const unknown = await asAdmin(request(app).post('/api/admin/backups/restore'))
+      .send({ backupId: 'app-20260101T000000000Z-manual' });
+    expect(unknown.status).toBe(404);
+
+    const tooEarly = await asAdmin(request(app).post('/api/admin/backups/restore'))
+      .send({ at: '2000-01-01T00:00:00Z' });
+    expect(tooEarly.status).toBe(404);
+  });
+
+  test('should be admin only', async () => {
+    const response = await request(app)
+      .post('/api/admin/backups')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(response.status).toBe(403);
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+});
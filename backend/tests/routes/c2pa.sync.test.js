@@ -0,0 +1,164 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const request = require('supertest');
+
+// Point the sync at a temporary directory and a local stand-in for GitHub
+const docsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'c2pa-docs-'));
+process.env.C2PA_DOCS_DIR = docsDir;
+
+const app = require('../../src/app');
+const { initDatabase, runAsync, allAsync } = require('../../src/models/database');
+const buildPdf = require('../helpers/buildPdf');
+
+describe('C2PA Routes - GET /api/c2pa/sync', () => {
+  let server;
+  let files;
+  let requests;
+  let adminToken;
+  let userToken;
+
+  const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+  beforeAll(async () => {
+    await initDatabase();
+
+    // Minimal static server with ETag support; serves whatever is in `files`
+    server = http.createServer((req, res) => {
+      const filePath = decodeURIComponent(req.url);
+      requests.push({ path: filePath, ifNoneMatch: req.headers['if-none-match'] });
+
+      const content = files[filePath];
+      if (content === undefined) {
+        res.writeHead(404);
+        return res.end('Not found');
+      }
+
+      const etag = `"${sha256(content)}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304);
+        return res.end();
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/pdf', ETag: etag });
+      res.end(content);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.C2PA_DOCS_BASE_URL = `http://127.0.0.1:${server.address().port}/repo`;
+  });
+
+  afterAll(async () => {
+    delete process.env.C2PA_DOCS_BASE_URL;
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(docsDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync('DELETE FROM documents WHERE source_url IS NOT NULL');
+    fs.readdirSync(docsDir).forEach(file => fs.unlinkSync(path.join(docsDir, file)));
+
+    const { C2PA_DOCUMENTS } = require('../../src/services/c2paSyncService');
+    files = {};
+    C2PA_DOCUMENTS.forEach(doc => {
+      files[`/repo/${doc.path}`] = buildPdf([doc.name]);
+    });
+    requests = [];
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'admin@example.com', password: 'AdminPass123!', name: 'Admin User' });
+    adminToken = adminResponse.body.token;
+    await runAsync('UPDATE users SET role = ? WHERE id = ?', ['admin', adminResponse.body.user.id]);
+
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'user@example.com', password: 'UserPass123!', name: 'Regular User' });
+    userToken = userResponse.body.token;
+  });
+
+  test('should reject non-admin users', async () => {
+    const response = await request(app)
+      .get('/api/c2pa/sync')
+      .set('Authorization', `Bearer ${userToken}`);
+
+    expect(response.status).toBe(403);
+    expect(requests).toHaveLength(0);
+  });
+
+  test('should download documents and record them with hash, source and version', async () => {
+    const response = await request(app)
+      .get('/api/c2pa/sync')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.summary).toEqual({ downloaded: 6, updated: 0, unchanged: 0, failed: 0 });
+    expect(response.body.documents).toHaveLength(6);
+
+    const rows = await allAsync('SELECT * FROM documents WHERE source_url IS NOT NULL');
+    expect(rows).toHaveLength(6);
+
+    const program = rows.find(row => row.category === 'program-docs');
+    const expected = files['/repo/docs/current/C2PA Conformance Program.pdf'];
+    expect(program.sha256).toBe(sha256(expected));
+    expect(program.version).toBe('current');
+    expect(program.source_url).toContain('/repo/docs/current/C2PA%20Conformance%20Program.pdf');
+    expect(program.workspace_id).toBeNull();
+    expect(fs.readFileSync(program.file_path)).toEqual(expected);
+
+    // Synced PDFs go through text extraction like uploads
+    expect(response.body.documents.every(doc => doc.extractionStatus === 'completed')).toBe(true);
+  });
+
+  test('should skip unchanged documents using the stored ETag', async () => {
+    await request(app).get('/api/c2pa/sync').set('Authorization', `Bearer ${adminToken}`);
+    requests = [];
+
+    const response = await request(app)
+      .get('/api/c2pa/sync')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.body.summary.unchanged).toBe(6);
+    expect(requests.every(req => req.ifNoneMatch)).toBe(true);
+
+    const rows = await allAsync('SELECT id FROM documents WHERE source_url IS NOT NULL');
+    expect(rows).toHaveLength(6);
+  });
+
+  test('should update a document whose content changed', async () => {
+    await request(app).get('/api/c2pa/sync').set('Authorization', `Bearer ${adminToken}`);
+
+    const changedPath = '/repo/docs/current/C2PA Certificate Policy.pdf';
+    files[changedPath] = buildPdf(['C2PA Certificate Policy', 'Revised']);
+
+    const response = await request(app)
+      .get('/api/c2pa/sync')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.body.summary).toEqual({ downloaded: 0, updated: 1, unchanged: 5, failed: 0 });
+
+    const policy = response.body.documents.find(doc => doc.category === 'policy');
+    expect(policy.status).toBe('updated');
+    expect(policy.sha256).toBe(sha256(files[changedPath]));
+  });
+
+  test('should report per-document failures without stopping the sync', async () => {
+    delete files['/repo/docs/current/C2PA Governance Framework.pdf'];
+
+    const response = await request(app)
+      .get('/api/c2pa/sync')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(false);
+    expect(response.body.summary).toEqual({ downloaded: 5, updated: 0, unchanged: 0, failed: 1 });
+
+    const governance = response.body.documents.find(doc => doc.category === 'governance');
+    expect(governance.status).toBe('failed');
+    expect(governance.error).toBe('HTTP 404');
+  });
+});
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync } = require('../../src/models/database');
+const { buildSourcesPrompt, selectCitedSources } = require('../../src/services/ragService');
+const buildPdf = require('../helpers/buildPdf');
+
+describe('Chat Citations', () => {
+  let ownerToken;
+  let otherToken;
+  let uploadedIds = [];
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'cite@acme.test', password: 'CitePass123!', name: 'Cite Owner' });
+    ownerToken = ownerResponse.body.token;
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'cite@globex.test', password: 'OtherPass123!', name: 'Other Owner' });
+    otherToken = otherResponse.body.token;
+  });
+
+  afterEach(async () => {
+    for (const id of uploadedIds) {
+      await request(app)
+        .delete(`/api/documents/${id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+    }
+    uploadedIds = [];
+  });
+
+  const uploadGuide = async () => {
+    const pdf = buildPdf(['Introduction', 'Zeroization of hardware keys happens at decommissioning']);
+    const upload = await request(app)
+      .post('/api/documents/upload')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .attach('file', pdf, 'zeroization-guide.pdf');
+    uploadedIds.push(upload.body.document.id);
+    return upload.body.document.id;
+  };
+
+  describe('POST /api/chat', () => {
+    test('should return and persist citations with document page anchors', async () => {
+      const documentId = await uploadGuide();
+
+      const response = await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ message: 'When does zeroization of keys happen?' });
+
+      expect(response.status).toBe(200);
+      const citation = response.body.response.citations.find(c => c.documentId === documentId);
+      expect(citation).toMatchObject({
+        type: 'document',
+        title: 'zeroization-guide.pdf',
+        page: 2
+      });
+      expect(citation.excerpt).toContain('Zeroization');
+      expect(response.body.response.message).toContain(`[${citation.index}]`);
+
+      const stored = await getAsync('SELECT metadata FROM chat_messages WHERE id = ?', [response.body.response.id]);
+      expect(JSON.parse(stored.metadata).citations).toEqual(response.body.response.citations);
+    });
+
+    test('should not cite documents from another workspace', async () => {
+      const documentId = await uploadGuide();
+
+      const response = await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ message: 'When does zeroization of keys happen?' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.response.citations.map(c => c.documentId)).not.toContain(documentId);
+    });
+  });
+
+  describe('buildSourcesPrompt / selectCitedSources', () => {
+    const citations = [
+      { index: 1, type: 'document', title: 'guide.pdf', page: 3, excerpt: 'Keys are rotated.' },
+      {
+        index: 2, type: 'github', title: 'signer.js', repository: 'acme/app', filePath: 'src/signer.js',
+        lineStart: 10, lineEnd: 24, excerpt: 'sign(claim)'
+      }
+    ];
+
+    test('should number sources with their anchors', () => {
+      const prompt = buildSourcesPrompt(citations);
+
+      expect(prompt).toContain('[1] guide.pdf, page 3');
+      expect(prompt).toContain('[2] acme/app/src/signer.js, lines 10-24');
+      expect(buildSourcesPrompt([])).toBeNull();
+    });
+
+    test('should keep only the sources an answer cites', () => {
+      expect(selectCitedSources('Rotate keys yearly [2].', citations).map(c => c.index)).toEqual([2]);
+      expect(selectCitedSources('No markers here.', citations)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync, allAsync } = require('../../src/models/database');
+
+/**
+ * Parse an SSE body into [{ event, data }]
+ */
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+      });
+      return { event, data };
+    });
+}
+
+describe('Chat Streaming', () => {
+  let token;
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'stream@example.com', password: 'StreamPass123!', name: 'Stream User' });
+    token = response.body.token;
+  });
+
+  describe('POST /api/chat with stream', () => {
+    test('should stream tokens then a done event, and persist the full message', async () => {
+      const response = await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message: 'What is a C2PA manifest?', stream: true });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+
+      const events = parseEvents(response.text);
+      const tokens = events.filter(e => e.event === 'token').map(e => JSON.parse(e.data).content);
+      const done = events.find(e => e.event === 'done');
+
+      expect(tokens.length).toBeGreaterThan(1);
+      expect(done).toBeDefined();
+      const result = JSON.parse(done.data);
+      expect(result.success).toBe(true);
+      expect(tokens.join('')).toBe(result.response.message);
+
+      const stored = await getAsync('SELECT message FROM chat_messages WHERE id = ?', [result.response.id]);
+      expect(stored.message).toBe(result.response.message);
+    });
+
+    test('should still validate before streaming', async () => {
+      const response = await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ stream: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/v1/chat/completions with stream', () => {
+    test('should stream OpenAI chat.completion.chunk events ending in [DONE]', async () => {
+      const response = await request(app)
+        .post('/api/v1/chat/completions')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ messages: [{ role: 'user', content: 'Explain provenance' }], stream: true });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+
+      const events = parseEvents(response.text);
+      expect(events[events.length - 1].data).toBe('[DONE]');
+
+      const chunks = events.slice(0, -1).map(e => JSON.parse(e.data));
+      chunks.forEach(chunk => {
+        expect(chunk.object).toBe('chat.completion.chunk');
+        expect(chunk.id).toBe(chunks[0].id);
+        expect(chunk.model).toBe('c2pa-assistant');
+      });
+      expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant', content: '' });
+      expect(chunks[chunks.length - 1].choices[0]).toEqual({ index: 0, delta: {}, finish_reason: 'stop' });
+
+      const content = chunks.map(chunk => chunk.choices[0].delta.content || '').join('');
+      const stored = await getAsync(
+        "SELECT id FROM chat_messages WHERE sender = 'assistant' AND message = ?",
+        [content]
+      );
+      expect(content.length).toBeGreaterThan(0);
+      expect(stored).toBeDefined();
+    });
+  });
+
+  describe('aiService with a streaming Ollama server', () => {
+    let server;
+    let aiService;
+    let savedSettings;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const { stream } = JSON.parse(body);
+          res.setHeader('Content-Type', 'application/x-ndjson');
+          if (!stream) {
+            res.end(JSON.stringify({ message: { role: 'assistant', content: 'Whole answer' }, done: true }));
+            return;
+          }
+          // Split a JSON line across writes to exercise buffering
+          res.write('{"message":{"role":"assistant","content":"Manifests "},"done":false}\n{"message":');
+          res.write('{"role":"assistant","content":"are signed."},"done":false}\n');
+          res.end('{"message":{"role":"assistant","content":""},"done":true}\n');
+        });
+      });
+      await new Promise(resolve => server.listen(0, resolve));
+
+      savedSettings = await allAsync("SELECT key, value FROM app_settings WHERE key IN ('ai_provider', 'ollama_url')");
+      await runAsync("INSERT OR REPLACE INTO app_settings (key, value) VALUES ('ai_provider', 'ollama')");
+      await runAsync(
+        "INSERT OR REPLACE INTO app_settings (key, value) VALUES ('ollama_url', ?)",
+        [`http://127.0.0.1:${server.address().port}`]
+      );
+      aiService = require('../../src/services/aiService');
+    });
+
+    afterAll(async () => {
+      await runAsync("DELETE FROM app_settings WHERE key IN ('ai_provider', 'ollama_url')");
+      for (const { key, value } of savedSettings) {
+        await runAsync('INSERT INTO app_settings (key, value) VALUES (?, ?)', [key, value]);
+      }
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should pass tokens through as they arrive', async () => {
+      const tokens = [];
+      const result = await aiService.generateResponse('How are manifests signed?', [], {}, t => tokens.push(t));
+
+      expect(tokens).toEqual(['Manifests ', 'are signed.']);
+      expect(result.message).toBe('Manifests are signed.');
+    });
+
+    test('should keep the non-streaming call unchanged', async () => {
+      const result = await aiService.generateResponse('How are manifests signed?', [], {});
+
+      expect(result.message).toBe('Whole answer');
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync, allAsync } = require('../../src/models/database');
+const aiFailoverService = require('../../src/services/aiFailoverService');
+const chatContextService = require('../../src/services/chatContextService');
+
+// The mock provider turns "/tool <name> <json>" into a tool call and echoes
+// tool results back, so the whole loop runs without a network
+describe('Chat Assistant Tools', () => {
+  let ownerToken;
+  let otherToken;
+  let workspaceId;
+  let savedSettings;
+
+  const setSetting = (key, value) =>
+    runAsync('INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)', [key, value]);
+
+  const chat = (token, message, headers = {}) => request(app)
+    .post('/api/chat')
+    .set('Authorization', `Bearer ${token}`)
+    .set(headers)
+    .send({ message });
+
+  beforeAll(async () => {
+    await initDatabase();
+    savedSettings = await allAsync("SELECT key, value, type FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    await setSetting('ai_provider', 'mock');
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'tools@acme.test', password: 'ToolsPass123!', name: 'Tools Owner' });
+    ownerToken = ownerResponse.body.token;
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'tools@globex.test', password: 'OtherPass123!', name: 'Other Owner' });
+    otherToken = otherResponse.body.token;
+
+    const list = await request(app)
+      .get('/api/workspaces')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    workspaceId = list.body.workspaces[0].id;
+  });
+
+  afterEach(() => {
+    aiFailoverService.resetBreakers();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    for (const { key, value, type } of savedSettings) {
+      await runAsync('INSERT INTO app_settings (key, value, type) VALUES (?, ?, ?)', [key, value, type]);
+    }
+  });
+
+  const proposeItem = async (token = ownerToken, headers = {}) =>
+    chat(token, '/tool create_checklist_item {"phaseId": "phase-1", "title": "Sign the company agreement"}', headers);
+
+  test('should run read-only tools straight away and log them', async () => {
+    const response = await chat(ownerToken, '/tool get_progress {}');
+
+    expect(response.status).toBe(200);
+    expect(response.body.response.message).toMatch(/^Tool get_progress returned: /);
+    expect(response.body.response.message).toContain('"currentPhase":"phase-1"');
+    expect(response.body.response.toolCalls).toEqual([{ name: 'get_progress', arguments: {}, ok: true }]);
+    expect(response.body.response.actions).toEqual([]);
+
+    const logged = await getAsync(
+      "SELECT * FROM assistant_actions WHERE workspace_id = ? AND tool = 'get_progress'",
+      [workspaceId]
+    );
+    expect(logged.status).toBe('executed');
+  });
+
+  test('should name the active workspace\'s company in the system prompt', async () => {
+    await runAsync("UPDATE workspaces SET company_name = 'Acme Imaging' WHERE id = ?", [workspaceId]);
+    const buildContext = jest.spyOn(chatContextService, 'buildContext');
+
+    const response = await chat(ownerToken, 'Hello');
+
+    expect(response.status).toBe(200);
+    expect(buildContext.mock.calls[0][0].systemPrompt).toContain('Company seeking certification: Acme Imaging');
+  });
+
+  test('should report invalid arguments back to the model', async () => {
+    const response = await chat(ownerToken, '/tool get_github_file {"repository": "acme/app"}');
+
+    expect(response.status).toBe(200);
+    expect(response.body.response.message).toContain('Missing required argument: path');
+    expect(response.body.response.toolCalls[0].ok).toBe(false);
+  });
+
+  test('should hold changes until the user confirms them', async () => {
+    const response = await proposeItem();
+
+    expect(response.status).toBe(200);
+    const [action] = response.body.response.actions;
+    expect(action).toMatchObject({
+      tool: 'create_checklist_item',
+      status: 'pending',
+      summary: 'Add "Sign the company agreement" to the phase-1 checklist'
+    });
+    expect(response.body.response.message).toBe(`Please confirm: ${action.summary}.`);
+
+    const before = await getAsync(
+      "SELECT id FROM checklist_items WHERE workspace_id = ? AND title = 'Sign the company agreement'",
+      [workspaceId]
+    );
+    expect(before).toBeUndefined();
+
+    const confirm = await request(app)
+      .post(`/api/chat/actions/${action.id}/confirm`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(confirm.status).toBe(200);
+    expect(confirm.body.action.status).toBe('executed');
+    expect(confirm.body.action.result.workspace_id).toBe(workspaceId);
+
+    const again = await request(app)
+      .post(`/api/chat/actions/${action.id}/confirm`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(again.status).toBe(409);
+  });
+
+  test('should run an action once when it is confirmed twice at the same time', async () => {
+    const response = await proposeItem();
+    const [action] = response.body.response.actions;
+
+    const confirm = () => request(app)
+      .post(`/api/chat/actions/${action.id}/confirm`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    const statuses = (await Promise.all([confirm(), confirm()])).map(r => r.status);
+
+    expect(statuses.sort()).toEqual([200, 409]);
+    const items = await allAsync(
+      "SELECT id FROM checklist_items WHERE workspace_id = ? AND title = 'Sign the company agreement'",
+      [workspaceId]
+    );
+    expect(items).toHaveLength(1);
+  });
+
+  test('should not create checklist items in unknown phases', async () => {
+    const response = await chat(ownerToken, '/tool create_checklist_item {"phaseId": "phase-99", "title": "Nowhere"}');
+
+    expect(response.body.response.actions).toEqual([]);
+    expect(response.body.response.message).toContain('Unknown phase: phase-99');
+  });
+
+  test('should discard rejected changes', async () => {
+    const response = await proposeItem();
+    const [action] = response.body.response.actions;
+
+    const reject = await request(app)
+      .post(`/api/chat/actions/${action.id}/reject`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(reject.status).toBe(200);
+    expect(reject.body.action.status).toBe('rejected');
+
+    const item = await getAsync(
+      "SELECT id FROM checklist_items WHERE workspace_id = ? AND title = 'Sign the company agreement'",
+      [workspaceId]
+    );
+    expect(item).toBeUndefined();
+  });
+
+  test('should not let another user confirm an action', async () => {
+    const response = await proposeItem();
+    const [action] = response.body.response.actions;
+
+    const confirm = await request(app)
+      .post(`/api/chat/actions/${action.id}/confirm`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(confirm.status).toBe(404);
+  });
+
+  test('should not offer mutating tools to viewers', async () => {
+    await request(app)
+      .post(`/api/workspaces/${workspaceId}/members`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'tools@globex.test', role: 'viewer' });
+
+    const response = await proposeItem(otherToken, { 'X-Workspace-Id': workspaceId });
+
+    expect(response.status).toBe(200);
+    expect(response.body.response.actions).toEqual([]);
+    expect(response.body.response.message).toContain('You asked');
+  });
+
+  test('should check the role again on confirmation', async () => {
+    await request(app)
+      .post(`/api/workspaces/${workspaceId}/members`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'tools@globex.test', role: 'editor' });
+
+    const response = await proposeItem(otherToken, { 'X-Workspace-Id': workspaceId });
+    const [action] = response.body.response.actions;
+
+    await request(app)
+      .post(`/api/workspaces/${workspaceId}/members`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'tools@globex.test', role: 'viewer' });
+
+    const confirm = await request(app)
+      .post(`/api/chat/actions/${action.id}/confirm`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(confirm.status).toBe(403);
+  });
+
+  test('should save an EOI draft to the workspace', async () => {
+    const response = await chat(ownerToken, '/tool draft_eoi {"productDescription": "Camera firmware that signs captures"}');
+    const [action] = response.body.response.actions;
+
+    const confirm = await request(app)
+      .post(`/api/chat/actions/${action.id}/confirm`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(confirm.status).toBe(200);
+    const eoi = await getAsync('SELECT status, data FROM eois WHERE workspace_id = ?', [workspaceId]);
+    expect(eoi.status).toBe('draft');
+    expect(JSON.parse(eoi.data)).toMatchObject({
+      productDescription: 'Camera firmware that signs captures',
+      contactEmail: 'tools@acme.test'
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const authService = require('../../src/services/authService');
+const { initDatabase, runAsync, getAsync } = require('../../src/models/database');
+
+describe('Document Routes - Ownership and Access', () => {
+  let ownerToken;
+  let editorToken;
+  let outsiderToken;
+  let workspaceId;
+  let documentId;
+
+  const as = (token, req) => req.set('Authorization', `Bearer ${token}`).set('X-Workspace-Id', workspaceId);
+
+  const register = async (email, name) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email, password: 'AccessPass123!', name });
+    return response.body.token;
+  };
+
+  const upload = async (token, name) => {
+    const response = await as(token, request(app).post('/api/documents/upload'))
+      .attach('file', Buffer.from(`Signing policy for ${name}`), `${name}.txt`);
+    return response.body.document.id;
+  };
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    ownerToken = await register('docs-owner@acme.test', 'Docs Owner');
+    editorToken = await register('docs-editor@acme.test', 'Docs Editor');
+    outsiderToken = await register('docs-outsider@globex.test', 'Docs Outsider');
+
+    const workspaces = await request(app)
+      .get('/api/workspaces')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    workspaceId = workspaces.body.workspaces[0].id;
+
+    await as(ownerToken, request(app).post(`/api/workspaces/${workspaceId}/members`))
+      .send({ email: 'docs-editor@acme.test', role: 'editor' });
+
+    documentId = await upload(ownerToken, 'owner-policy');
+  });
+
+  afterEach(async () => {
+    await as(ownerToken, request(app).delete(`/api/documents/${documentId}`));
+  });
+
+  test('should record the uploader as owner', async () => {
+    const response = await as(editorToken, request(app).get(`/api/documents/${documentId}`));
+
+    expect(response.status).toBe(200);
+    expect(response.body.document.owner_name).toBe('Docs Owner');
+    expect(response.body.document.canDelete).toBe(false);
+  });
+
+  test('should deny every route to users outside the workspace', async () => {
+    const forbidden = await as(outsiderToken, request(app).get(`/api/documents/${documentId}`));
+    expect(forbidden.status).toBe(403);
+
+    // In their own workspace the document simply does not exist
+    for (const [method, path] of [
+      ['get', `/api/documents/${documentId}`],
+      ['get', `/api/documents/${documentId}/download`],
+      ['get', `/api/documents/${documentId}/download-url`],
+      ['delete', `/api/documents/${documentId}`]
+    ]) {
+      const response = await request(app)[method](path).set('Authorization', `Bearer ${outsiderToken}`);
+      expect(response.status).toBe(404);
+    }
+
+    const annotations = await request(app)
+      .put(`/api/documents/${documentId}/annotations`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .send({ annotations: [{ content: 'Overwritten' }] });
+    expect(annotations.status).toBe(404);
+
+    const anonymous = await request(app).get(`/api/documents/${documentId}/download`);
+    expect(anonymous.status).toBe(401);
+  });
+
+  test('should only let the uploader or a workspace owner delete', async () => {
+    const denied = await as(editorToken, request(app).delete(`/api/documents/${documentId}`));
+    expect(denied.status).toBe(403);
+
+    const editorDocumentId = await upload(editorToken, 'editor-policy');
+    const own = await as(editorToken, request(app).delete(`/api/documents/${editorDocumentId}`));
+    expect(own.status).toBe(200);
+
+    const byOwner = await as(ownerToken, request(app).delete(`/api/documents/${documentId}`));
+    expect(byOwner.status).toBe(200);
+  });
+
+  test('should keep each user\'s annotations separate', async () => {
+    await as(ownerToken, request(app).put(`/api/documents/${documentId}/annotations`))
+      .send({ annotations: [{ content: 'Owner note', pageNumber: 1 }] });
+    await as(editorToken, request(app).put(`/api/documents/${documentId}/annotations`))
+      .send({ annotations: [{ content: 'Editor note' }] });
+    await as(editorToken, request(app).put(`/api/documents/${documentId}/annotations`))
+      .send({ annotations: [{ content: 'Editor note, revised' }] });
+
+    const response = await as(ownerToken, request(app).get(`/api/documents/${documentId}`));
+    const annotations = response.body.document.annotations.map(a => [a.author_name, a.content]);
+
+    expect(annotations).toEqual(expect.arrayContaining([
+      ['Docs Owner', 'Owner note'],
+      ['Docs Editor', 'Editor note, revised']
+    ]));
+    expect(annotations).toHaveLength(2);
+  });
+
+  test('should reject annotations without text and keep the saved ones', async () => {
+    await as(ownerToken, request(app).put(`/api/documents/${documentId}/annotations`))
+      .send({ annotations: [{ content: 'Owner note', pageNumber: 1 }] });
+
+    for (const annotation of [{ pageNumber: 2 }, { content: '   ' }, { content: { text: 'Nested' } }, null]) {
+      const response = await as(ownerToken, request(app).put(`/api/documents/${documentId}/annotations`))
+        .send({ annotations: [{ content: 'Replacement' }, annotation] });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Annotation 2 needs text content');
+    }
+
+    const response = await as(ownerToken, request(app).get(`/api/documents/${documentId}`));
+    expect(response.body.document.annotations.map(a => a.content)).toEqual(['Owner note']);
+  });
+
+  test('should let only admins analyze shared C2PA documents', async () => {
+    const sharedId = 'shared-c2pa-spec';
+    await runAsync(
+      `INSERT OR REPLACE INTO documents (id, filename, original_name, file_path, file_type, file_size, upload_date, source_url)
+       VALUES (?, 'spec.pdf', 'C2PA Specification', '/tmp/spec.pdf', 'application/pdf', 1, datetime('now'), 'https://c2pa.org/spec.pdf')`,
+      [sharedId]
+    );
+
+    try {
+      const byEditor = await as(editorToken, request(app).post(`/api/documents/${sharedId}/analyze`));
+      expect(byEditor.status).toBe(403);
+      expect(await getAsync('SELECT 1 FROM document_analyses WHERE document_id = ?', [sharedId])).toBeUndefined();
+
+      await runAsync("UPDATE users SET role = 'admin' WHERE email = 'docs-editor@acme.test'");
+      const byAdmin = await as(editorToken, request(app).post(`/api/documents/${sharedId}/analyze`));
+      // Allowed; there is just no extracted text to analyze
+      expect(byAdmin.status).toBe(409);
+    } finally {
+      await runAsync('DELETE FROM documents WHERE id = ?', [sharedId]);
+    }
+  });
+
+  test('should serve files only through signed, short-lived URLs', async () => {
+    const issued = await as(editorToken, request(app).get(`/api/documents/${documentId}/download-url`));
+    expect(issued.status).toBe(200);
+    expect(new Date(issued.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const download = await request(app).get(issued.body.url);
+    expect(download.status).toBe(200);
+    expect(download.text).toBe('Signing policy for owner-policy');
+
+    const { filename } = await getAsync('SELECT filename FROM documents WHERE id = ?', [documentId]);
+    const statik = await request(app).get(`/uploads/${filename}`);
+    expect(statik.text).not.toBe('Signing policy for owner-policy');
+
+    const token = new URL(issued.body.url, 'http://localhost').searchParams.get('token');
+    const otherDocument = await request(app).get(`/api/documents/some-other-id/file?token=${token}`);
+    expect(otherDocument.status).toBe(401);
+
+    const asLogin = await request(app).get('/api/documents').set('Authorization', `Bearer ${token}`);
+    expect(asLogin.status).toBe(401);
+
+    const { token: expired } = authService.generateDownloadToken(
+      { documentId, userId: 'anyone', workspaceId },
+      { expiresIn: '-1s' }
+    );
+    const late = await request(app).get(`/api/documents/${documentId}/file?token=${expired}`);
+    expect(late.status).toBe(401);
+    expect(late.body.error).toBe('Download link expired');
+  });
+
+  test('should refuse a signed URL once the user loses access', async () => {
+    const issued = await as(editorToken, request(app).get(`/api/documents/${documentId}/download-url`));
+    const editor = await getAsync("SELECT id FROM users WHERE email = 'docs-editor@acme.test'");
+    await as(ownerToken, request(app).delete(`/api/workspaces/${workspaceId}/members/${editor.id}`));
+
+    const response = await request(app).get(issued.body.url);
+    expect(response.status).toBe(403);
+  });
+});
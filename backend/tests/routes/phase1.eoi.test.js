@@ -0,0 +1,199 @@
+const request = require('supertest');
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const app = require('../../src/app');
+const { initDatabase, runAsync, allAsync } = require('../../src/models/database');
+const aiFailoverService = require('../../src/services/aiFailoverService');
+
+describe('Phase 1 Routes - Expression of Interest', () => {
+  let token;
+  let savedSettings;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  // Collect binary response bodies as buffers
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  const complete = {
+    companyName: 'Acme Imaging',
+    contactName: 'Ada Acme',
+    contactEmail: 'ada@acme.test',
+    companyWebsite: 'https://acme.test',
+    productDescription: 'Camera firmware that signs every capture.',
+    estimatedTimeline: '3-6 months'
+  };
+
+  const save = (fields) => auth(request(app).put('/api/phase1/eoi')).send(fields);
+  const setStatus = (body) => auth(request(app).post('/api/phase1/eoi/status')).send(body);
+
+  beforeAll(async () => {
+    await initDatabase();
+    savedSettings = await allAsync("SELECT key, value, type FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    await runAsync("INSERT INTO app_settings (key, value) VALUES ('ai_provider', 'mock')");
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'eoi@acme.test', password: 'EoiPass123!', name: 'Eoi User' });
+    token = response.body.token;
+  });
+
+  afterEach(() => {
+    aiFailoverService.resetBreakers();
+  });
+
+  afterAll(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    for (const { key, value, type } of savedSettings) {
+      await runAsync('INSERT INTO app_settings (key, value, type) VALUES (?, ?, ?)', [key, value, type]);
+    }
+  });
+
+  test('should save partial drafts and list what is missing', async () => {
+    const response = await save({ companyName: 'Acme Imaging', contactEmail: 'ada@acme.test' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.eoi).toMatchObject({ status: 'draft', version: 1, data: { companyName: 'Acme Imaging' } });
+
+    const eoi = await auth(request(app).get('/api/phase1/eoi'));
+    expect(eoi.body.missing.map(e => e.field)).toEqual(['contactName', 'productDescription']);
+  });
+
+  test('should reject invalid emails, URLs, phone numbers and unknown fields', async () => {
+    const response = await save({
+      contactEmail: 'not-an-email',
+      companyWebsite: 'ftp://acme.test',
+      contactPhone: 'call me',
+      budget: 'large'
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(e => e.field).sort()).toEqual(['budget', 'companyWebsite', 'contactEmail', 'contactPhone']);
+
+    const eoi = await auth(request(app).get('/api/phase1/eoi'));
+    expect(eoi.body.eoi).toBeNull();
+  });
+
+  test('should only mark complete drafts ready', async () => {
+    await save({ companyName: 'Acme Imaging' });
+
+    const response = await setStatus({ status: 'ready' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(e => e.field)).toContain('contactEmail');
+  });
+
+  test('should move through ready, submitted and acknowledged and lock edits', async () => {
+    await save(complete);
+
+    expect((await setStatus({ status: 'ready' })).body.eoi.status).toBe('ready');
+    expect((await setStatus({ status: 'acknowledged' })).status).toBe(409);
+
+    const submitted = await setStatus({ status: 'submitted', reference: 'C2PA-EOI-42' });
+    expect(submitted.body.eoi).toMatchObject({ status: 'submitted', reference: 'C2PA-EOI-42' });
+    expect(submitted.body.eoi.submittedAt).toBeTruthy();
+
+    const edit = await save({ contactName: 'Bob Acme' });
+    expect(edit.status).toBe(409);
+
+    const acknowledged = await setStatus({ status: 'acknowledged' });
+    expect(acknowledged.body.eoi.acknowledgedAt).toBeTruthy();
+
+    const status = await auth(request(app).get('/api/phase1/status'));
+    expect(status.body.status).toMatchObject({ eoiSubmitted: true, eoiStatus: 'acknowledged' });
+  });
+
+  test('should keep a version per change', async () => {
+    await save(complete);
+    await setStatus({ status: 'ready' });
+    await save({ contactName: 'Bob Acme', note: 'New contact' });
+
+    const versions = await auth(request(app).get('/api/phase1/eoi/versions'));
+    expect(versions.body.versions.map(v => [v.version, v.status, v.note])).toEqual([
+      [3, 'draft', 'New contact'],
+      [2, 'ready', 'Marked ready'],
+      [1, 'draft', 'Created']
+    ]);
+
+    const first = await auth(request(app).get('/api/phase1/eoi/versions/1'));
+    expect(first.body.version.data.contactName).toBe('Ada Acme');
+    expect(first.body.version.changedByName).toBe('Eoi User');
+
+    const missing = await auth(request(app).get('/api/phase1/eoi/versions/9'));
+    expect(missing.status).toBe(404);
+  });
+
+  test('should export the C2PA form payload as JSON', async () => {
+    await save(complete);
+
+    const response = await auth(request(app).get('/api/phase1/eoi/export?format=json'));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toContain('C2PA-EOI-Acme-Imaging-v1.json');
+    expect(response.body).toMatchObject({
+      status: 'draft',
+      version: 1,
+      fields: {
+        organization_name: 'Acme Imaging',
+        contact_email: 'ada@acme.test',
+        organization_website: 'https://acme.test',
+        contact_phone: null
+      }
+    });
+  });
+
+  test('should export a PDF', async () => {
+    await save(complete);
+
+    const response = await auth(request(app).get('/api/phase1/eoi/export')).buffer(true).parse(binary);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/pdf');
+
+    const { text } = await pdfParse(response.body);
+    expect(text).toContain('Expression of Interest');
+    expect(text).toContain('Camera firmware that signs every capture.');
+  });
+
+  test('should suggest an improved product description without saving it', async () => {
+    await save(complete);
+
+    const response = await auth(request(app).post('/api/phase1/eoi/improve-description')).send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.provider).toBe('mock');
+    expect(response.body.original).toBe(complete.productDescription);
+    expect(response.body.suggestion).toContain('Camera firmware that signs every capture.');
+
+    const eoi = await auth(request(app).get('/api/phase1/eoi'));
+    expect(eoi.body.eoi.version).toBe(1);
+  });
+
+  test('should report when no AI provider is configured', async () => {
+    await runAsync("UPDATE app_settings SET value = 'none' WHERE key = 'ai_provider'");
+
+    const response = await auth(request(app).post('/api/phase1/eoi/improve-description'))
+      .send({ productDescription: 'A camera.' });
+
+    expect(response.status).toBe(503);
+  });
+
+  test('should keep the legacy submit endpoint working', async () => {
+    const response = await auth(request(app).post('/api/phase1/submit-eoi')).send(complete);
+
+    expect(response.status).toBe(200);
+    expect(response.body.eoi.status).toBe('ready');
+    expect(response.body.nextSteps.automated.url).toBe('/api/phase1/eoi/export?format=pdf');
+
+    const invalid = await auth(request(app).post('/api/phase1/submit-eoi')).send({ contactEmail: 'ada-at-acme' });
+    expect(invalid.status).toBe(400);
+  });
+});
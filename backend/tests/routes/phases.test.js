@@ -0,0 +1,134 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const app = require('../../src/app');
+const { initDatabase, runAsync } = require('../../src/models/database');
+const buildPdf = require('../helpers/buildPdf');
+
+const PHASE1_UPLOADS = path.join(__dirname, '../../../data/phase1-submissions');
+
+describe('Phase Routes', () => {
+  let token;
+  let uploadedIds = [];
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const upload = async (phaseId, name) => {
+    const response = await auth(request(app).post(`/api/phases/${phaseId}/upload`))
+      .attach('documents', buildPdf([`Contents of ${name}`]), name);
+    uploadedIds.push(...response.body.documents.map(doc => doc.id));
+    return response;
+  };
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'phases@acme.test', password: 'PhasesPass123!', name: 'Phases User' });
+    token = response.body.token;
+  });
+
+  afterEach(async () => {
+    for (const id of uploadedIds) {
+      await auth(request(app).delete(`/api/documents/${id}`));
+    }
+    uploadedIds = [];
+  });
+
+  test('should list the phases in order', async () => {
+    const response = await auth(request(app).get('/api/phases'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.phases.map(phase => phase.id)).toEqual(['phase-1', 'phase-2', 'phase-3', 'phase-4', 'phase-5', 'phase-6']);
+    expect(response.body.phases[3]).toMatchObject({ order: 4, name: 'Application Preparation' });
+  });
+
+  test('should return 404 for an unknown phase', async () => {
+    const response = await auth(request(app).get('/api/phases/phase-9/checklist'));
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Phase not found');
+  });
+
+  test('should serve the checklist and resources of any phase', async () => {
+    const checklist = await auth(request(app).get('/api/phases/phase-3/checklist'));
+    expect(checklist.body.checklist.map(group => group.id)).toContain('company-agreement');
+
+    const resources = await auth(request(app).get('/api/phases/phase-3/resources'));
+    expect(resources.body.resources[0].items[0]).toHaveProperty('url');
+  });
+
+  test('should weigh completion rules and list next steps', async () => {
+    let status = await auth(request(app).get('/api/phases/phase-2/status'));
+    expect(status.body.status).toMatchObject({ phaseId: 'phase-2', documentsUploaded: 0, completionPercentage: 0 });
+    expect(status.body.status.nextSteps).toEqual([
+      'Upload your requirements mapping or gap analysis',
+      'Review the security requirements on the checklist'
+    ]);
+
+    const response = await upload('phase-2', 'gap-analysis.pdf');
+    expect(response.body.documents[0].type).toBe('phase2-general');
+
+    await auth(request(app).post('/api/progress/checklist')).send({ phaseId: 'phase-2', title: 'Map key management' });
+    const checklist = await auth(request(app).get('/api/progress/checklist?phaseId=phase-2'));
+    await auth(request(app).put(`/api/progress/checklist/${checklist.body.items[0].id}`)).send({ status: 'completed' });
+
+    status = await auth(request(app).get('/api/phases/phase-2/status'));
+    expect(status.body.status.completionPercentage).toBe(100);
+    expect(status.body.status.criteria.map(criterion => [criterion.id, criterion.met])).toEqual([
+      ['documents', true],
+      ['checklist', true]
+    ]);
+    expect(status.body.status.nextSteps).toEqual(['Proceed to Phase 3: Document Review']);
+    expect(status.body.status).not.toHaveProperty('eoiStatus');
+  });
+
+  test('should keep uploads separate per phase', async () => {
+    await upload('phase-4', 'architecture.pdf');
+
+    const phase1 = await auth(request(app).get('/api/phase1/status'));
+    expect(phase1.body.status).toMatchObject({ documentsUploaded: 0, completionPercentage: 0, eoiSubmitted: false });
+
+    const phase4 = await auth(request(app).get('/api/phases/phase-4/status'));
+    expect(phase4.body.status.criteria[0]).toMatchObject({ met: false, detail: '1/3 documents' });
+  });
+
+  test('should only accept the phase\'s file extensions', async () => {
+    const response = await auth(request(app).post('/api/phases/phase-1/upload'))
+      .attach('documents', buildPdf(['Not quite a PDF']), { filename: 'license.xpdfx', contentType: 'application/pdf' });
+
+    expect(response.status).not.toBe(200);
+    expect(response.body.error).toMatch(/^Only pdf, /);
+  });
+
+  test('should remove uploaded files when the checklist item does not exist', async () => {
+    const listFiles = () => (fs.existsSync(PHASE1_UPLOADS) ? fs.readdirSync(PHASE1_UPLOADS) : []);
+    const before = listFiles();
+
+    const response = await auth(request(app).post('/api/phases/phase-1/upload'))
+      .field('checklistItemId', 'no-such-item')
+      .attach('documents', buildPdf(['Business license']), 'license.pdf');
+
+    expect(response.status).toBe(404);
+    expect(listFiles()).toEqual(before);
+  });
+
+  test('should serve Phase 1 under the legacy routes', async () => {
+    await auth(request(app).post('/api/phase1/upload'))
+      .attach('documents', buildPdf(['Business license']), 'license.pdf')
+      .then(response => uploadedIds.push(response.body.documents[0].id));
+
+    const status = await auth(request(app).get('/api/phases/phase-1/status'));
+    expect(status.body.status).toMatchObject({ documentsUploaded: 1, completionPercentage: 40, eoiStatus: null });
+
+    const legacy = await auth(request(app).get('/api/phase1/checklist'));
+    const generic = await auth(request(app).get('/api/phases/phase-1/checklist'));
+    expect(legacy.body.checklist).toEqual(generic.body.checklist);
+  });
+});
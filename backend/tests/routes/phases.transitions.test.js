@@ -0,0 +1,168 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync } = require('../../src/models/database');
+const buildPdf = require('../helpers/buildPdf');
+
+describe('Phase Routes - Transitions', () => {
+  let token;
+  let adminToken;
+  let workspaceId;
+  let uploadedIds = [];
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+  const asAdmin = (req) => req.set('Authorization', `Bearer ${adminToken}`).set('X-Workspace-Id', workspaceId);
+  const transition = (phaseId, body) => auth(request(app).post(`/api/phases/${phaseId}/transition`)).send(body);
+
+  const finishPhase1 = async () => {
+    const upload = await auth(request(app).post('/api/phase1/upload'))
+      .attach('documents', buildPdf(['Business license']), 'license.pdf');
+    uploadedIds.push(upload.body.documents[0].id);
+
+    await auth(request(app).post('/api/phase1/submit-eoi')).send({
+      companyName: 'Acme Imaging',
+      contactName: 'Ada Acme',
+      contactEmail: 'ada@acme.test',
+      productDescription: 'Camera firmware that signs every capture.'
+    });
+  };
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'gates@acme.test', password: 'GatesPass123!', name: 'Gate Keeper' });
+    token = response.body.token;
+
+    const workspaces = await auth(request(app).get('/api/workspaces'));
+    workspaceId = workspaces.body.workspaces[0].id;
+
+    const admin = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'gates-admin@acme.test', password: 'AdminPass123!', name: 'Gate Admin' });
+    adminToken = admin.body.token;
+    await runAsync('UPDATE users SET role = ? WHERE id = ?', ['admin', admin.body.user.id]);
+  });
+
+  afterEach(async () => {
+    for (const id of uploadedIds) {
+      await auth(request(app).delete(`/api/documents/${id}`));
+    }
+    uploadedIds = [];
+  });
+
+  test('should refuse to complete a phase whose rules are not met', async () => {
+    const response = await transition('phase-1', { status: 'completed' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('Phase cannot be completed yet');
+    expect(response.body.blockers).toEqual([
+      { type: 'criterion', id: 'documents', message: 'Company documentation uploaded (0/1 documents)' },
+      { type: 'criterion', id: 'eoi', message: 'Expression of Interest prepared (not started)' }
+    ]);
+
+    const status = await auth(request(app).get('/api/phases/phase-1/status'));
+    expect(status.body.status).toMatchObject({ state: 'pending', canComplete: false });
+  });
+
+  test('should complete a phase once its rules are met and move on', async () => {
+    await finishPhase1();
+
+    const status = await auth(request(app).get('/api/phases/phase-1/status'));
+    expect(status.body.status).toMatchObject({ completionPercentage: 100, blockers: [], canComplete: true });
+
+    const response = await transition('phase-1', { status: 'completed' });
+    expect(response.status).toBe(200);
+    expect(response.body.phase).toMatchObject({ id: 'phase-1', status: 'completed' });
+    expect(response.body.transition).toMatchObject({ from: 'pending', to: 'completed', completionPercentage: 100, override: false });
+
+    const progress = await auth(request(app).get('/api/progress'));
+    expect(progress.body.progress.current_phase).toBe('phase-2');
+
+    const phase2 = await auth(request(app).get('/api/phases/phase-2/status'));
+    expect(phase2.body.status.blockers.map(blocker => blocker.type)).not.toContain('gate');
+  });
+
+  test('should gate a phase on the one before it', async () => {
+    const response = await transition('phase-2', { status: 'completed' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.blockers).toContainEqual({
+      type: 'gate',
+      id: 'phase-1',
+      message: 'Phase 1: Introduction & Prerequisites must be completed first'
+    });
+  });
+
+  test('should only let admins override gating, with a reason', async () => {
+    let response = await transition('phase-2', { status: 'completed', override: true, reason: 'Done offline' });
+    expect(response.status).toBe(403);
+
+    response = await asAdmin(request(app).post('/api/phases/phase-2/transition'))
+      .send({ status: 'completed', override: true });
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('A reason is required to override phase gating');
+
+    response = await asAdmin(request(app).post('/api/phases/phase-2/transition'))
+      .send({ status: 'completed', override: true, reason: 'Reviewed in person with the C2PA team' });
+    expect(response.status).toBe(200);
+    expect(response.body.transition).toMatchObject({
+      override: true,
+      reason: 'Reviewed in person with the C2PA team'
+    });
+    expect(response.body.transition.blockers.map(blocker => blocker.id)).toEqual(['documents', 'checklist', 'phase-1']);
+  });
+
+  test('should record every transition', async () => {
+    await transition('phase-1', { status: 'in_progress' });
+    await transition('phase-1', { status: 'pending' });
+
+    const duplicate = await transition('phase-1', { status: 'pending' });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error).toBe('Phase is already pending');
+
+    const invalid = await transition('phase-1', { status: 'done' });
+    expect(invalid.status).toBe(400);
+
+    const history = await auth(request(app).get('/api/phases/phase-1/transitions'));
+    expect(history.body.transitions.map(entry => [entry.from, entry.to])).toEqual([
+      ['in_progress', 'pending'],
+      ['pending', 'in_progress']
+    ]);
+    expect(history.body.transitions[0].changedByName).toBe('Gate Keeper');
+
+    const all = await auth(request(app).get('/api/progress/transitions'));
+    expect(all.body.count).toBe(2);
+  });
+
+  test('should keep concurrent transitions from overwriting each other', async () => {
+    const responses = await Promise.all([
+      transition('phase-2', { status: 'in_progress' }),
+      transition('phase-3', { status: 'in_progress' }),
+      transition('phase-3', { status: 'in_progress' })
+    ]);
+    expect(responses.map(response => response.status).sort()).toEqual([200, 200, 409]);
+
+    const progress = await auth(request(app).get('/api/progress'));
+    const states = Object.fromEntries(progress.body.progress.phases.map(entry => [entry.id, entry.status]));
+    expect(states).toMatchObject({ 'phase-2': 'in_progress', 'phase-3': 'in_progress' });
+
+    const all = await auth(request(app).get('/api/progress/transitions'));
+    expect(all.body.count).toBe(2);
+  });
+
+  test('should run the legacy progress route through the same rules', async () => {
+    const response = await auth(request(app).put('/api/progress/phase/phase-3')).send({ status: 'completed' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.blockers.map(blocker => blocker.id)).toEqual(['documents', 'reviewed', 'checklist', 'phase-2']);
+
+    const unknown = await auth(request(app).put('/api/progress/phase/phase-9')).send({ status: 'in_progress' });
+    expect(unknown.status).toBe(404);
+  });
+});
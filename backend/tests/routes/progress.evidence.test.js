@@ -0,0 +1,209 @@
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync } = require('../../src/models/database');
+const requirementService = require('../../src/services/requirementService');
+const buildPdf = require('../helpers/buildPdf');
+
+describe('Progress Routes - Evidence', () => {
+  let token;
+  let otherToken;
+  let workspaceId;
+  let requirementId;
+  let itemId;
+  let uploadedIds = [];
+
+  const auth = (req, bearer = token) => req.set('Authorization', `Bearer ${bearer}`);
+
+  const upload = async (name, bearer = token) => {
+    const response = await auth(request(app).post('/api/documents/upload'), bearer)
+      .attach('file', Buffer.from(`Evidence for ${name}`), name);
+    uploadedIds.push({ id: response.body.document.id, bearer });
+    return response.body.document.id;
+  };
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+    await runAsync('DELETE FROM requirements');
+
+    requirementId = uuidv4();
+    await runAsync(
+      `INSERT INTO requirements (id, source, ref, text, section, level, phase_id, content_hash, evidence_required)
+       VALUES (?, 'GPSR', 'GPSR-2-1', 'The private key must be stored in an HSM.', '2 Key Management',
+               'MUST', 'phase-2', 'hash', 1)`,
+      [requirementId]
+    );
+
+    // New workspaces are seeded with the requirement's checklist item
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'evidence@acme.test', password: 'EvidencePass123!', name: 'Evidence User' });
+    token = response.body.token;
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'evidence@globex.test', password: 'EvidencePass123!', name: 'Other User' });
+    otherToken = otherResponse.body.token;
+
+    const list = await auth(request(app).get('/api/workspaces'));
+    workspaceId = list.body.workspaces[0].id;
+
+    const item = await getAsync(
+      'SELECT id FROM checklist_items WHERE workspace_id = ? AND requirement_id = ?',
+      [workspaceId, requirementId]
+    );
+    itemId = item.id;
+  });
+
+  afterEach(async () => {
+    for (const { id, bearer } of uploadedIds) {
+      await auth(request(app).delete(`/api/documents/${id}`), bearer);
+    }
+    uploadedIds = [];
+  });
+
+  afterAll(async () => {
+    await runAsync('DELETE FROM checklist_items WHERE requirement_id IS NOT NULL');
+    await runAsync('DELETE FROM requirements');
+  });
+
+  test('should block completing an evidence-mandatory item without evidence', async () => {
+    const response = await auth(request(app).put(`/api/progress/checklist/${itemId}`))
+      .send({ status: 'completed' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toContain('GPSR-2-1 requires evidence');
+
+    const item = await getAsync('SELECT status FROM checklist_items WHERE id = ?', [itemId]);
+    expect(item.status).toBe('pending');
+  });
+
+  test('should count evidence attached to the requirement for its checklist item', async () => {
+    const documentId = await upload('hsm-policy.txt');
+
+    const attach = await auth(request(app).post(`/api/progress/requirements/${requirementId}/evidence`))
+      .send({ documentId, pageNumber: 3, note: 'Key storage section' });
+
+    expect(attach.status).toBe(201);
+    expect(attach.body.evidence).toMatchObject({ requirementId, documentId, pageNumber: 3, documentName: 'hsm-policy.txt' });
+
+    const evidence = await auth(request(app).get(`/api/progress/checklist/${itemId}/evidence`));
+    expect(evidence.body.count).toBe(1);
+
+    const complete = await auth(request(app).put(`/api/progress/checklist/${itemId}`))
+      .send({ status: 'completed' });
+    expect(complete.status).toBe(200);
+    expect(complete.body.item.status).toBe('completed');
+  });
+
+  test('should not attach the same evidence twice', async () => {
+    const documentId = await upload('hsm-policy.txt');
+
+    const first = await auth(request(app).post(`/api/progress/checklist/${itemId}/evidence`)).send({ documentId });
+    const second = await auth(request(app).post(`/api/progress/checklist/${itemId}/evidence`)).send({ documentId });
+
+    expect(second.body.evidence.id).toBe(first.body.evidence.id);
+
+    const documentEvidence = await auth(request(app).get(`/api/documents/${documentId}/evidence`));
+    expect(documentEvidence.body.count).toBe(1);
+    expect(documentEvidence.body.evidence[0].checklistItemId).toBe(itemId);
+  });
+
+  test('should reject documents from another workspace', async () => {
+    const foreignId = await upload('foreign.txt', otherToken);
+
+    const response = await auth(request(app).post(`/api/progress/checklist/${itemId}/evidence`))
+      .send({ documentId: foreignId });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Document not found');
+  });
+
+  test('should attach Phase 1 uploads to the given checklist item', async () => {
+    const response = await auth(request(app).post('/api/phase1/upload'))
+      .field('checklistItemId', itemId)
+      .attach('documents', buildPdf(['Key ceremony minutes']), 'ceremony.pdf');
+
+    expect(response.status).toBe(200);
+    uploadedIds.push({ id: response.body.documents[0].id, bearer: token });
+
+    const evidence = await auth(request(app).get(`/api/progress/checklist/${itemId}/evidence`));
+    expect(evidence.body.evidence.map(e => e.documentName)).toEqual(['ceremony.pdf']);
+  });
+
+  test('should report coverage per phase', async () => {
+    await auth(request(app).post('/api/progress/checklist'))
+      .send({ phaseId: 'phase-2', title: 'Write a key management policy' });
+
+    let coverage = await auth(request(app).get('/api/progress/evidence/coverage?phaseId=phase-2'));
+    expect(coverage.body.phases).toEqual([
+      expect.objectContaining({ phaseId: 'phase-2', total: 2, covered: 0, evidenceRequired: 1, missing: 1, coverage: 0 })
+    ]);
+
+    const documentId = await upload('hsm-policy.txt');
+    await auth(request(app).post(`/api/progress/checklist/${itemId}/evidence`)).send({ documentId });
+
+    coverage = await auth(request(app).get('/api/progress/evidence/coverage?phaseId=phase-2'));
+    expect(coverage.body.phases[0]).toMatchObject({ covered: 1, missing: 0, coverage: 50 });
+  });
+
+  test('should not create checklist items in unknown phases', async () => {
+    const response = await auth(request(app).post('/api/progress/checklist'))
+      .send({ phaseId: 'phase-99', title: 'Nowhere' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('Unknown phase: phase-99');
+
+    const item = await getAsync("SELECT id FROM checklist_items WHERE workspace_id = ? AND title = 'Nowhere'", [workspaceId]);
+    expect(item).toBeUndefined();
+  });
+
+  test('should detach evidence', async () => {
+    const documentId = await upload('hsm-policy.txt');
+    const attach = await auth(request(app).post(`/api/progress/checklist/${itemId}/evidence`)).send({ documentId });
+
+    const response = await auth(request(app).delete(`/api/progress/evidence/${attach.body.evidence.id}`));
+    expect(response.status).toBe(200);
+
+    const again = await auth(request(app).delete(`/api/progress/evidence/${attach.body.evidence.id}`));
+    expect(again.status).toBe(404);
+  });
+
+  test('should keep evidence anchored to an annotation when annotations are saved again', async () => {
+    const documentId = await upload('hsm-policy.txt');
+    await auth(request(app).put(`/api/documents/${documentId}/annotations`))
+      .send({ annotations: [{ content: 'HSM section', pageNumber: 1 }, { content: 'Draft note' }] });
+    let detail = await auth(request(app).get(`/api/documents/${documentId}`));
+    const [anchor] = detail.body.document.annotations.filter(a => a.content === 'HSM section');
+
+    const attach = await auth(request(app).post(`/api/progress/checklist/${itemId}/evidence`))
+      .send({ documentId, annotationId: anchor.id });
+    expect(attach.status).toBe(201);
+
+    // Edit the anchor, drop the draft note, add a new one
+    const saved = await auth(request(app).put(`/api/documents/${documentId}/annotations`))
+      .send({ annotations: [{ id: anchor.id, content: 'HSM section, revised', pageNumber: 1 }, { content: 'New note' }] });
+    expect(saved.status).toBe(200);
+
+    detail = await auth(request(app).get(`/api/documents/${documentId}`));
+    expect(detail.body.document.annotations.map(a => a.content).sort()).toEqual(['HSM section, revised', 'New note']);
+    expect(detail.body.document.annotations.find(a => a.content === 'HSM section, revised').id).toBe(anchor.id);
+
+    const evidence = await auth(request(app).get(`/api/progress/checklist/${itemId}/evidence`));
+    expect(evidence.body.evidence.map(e => e.annotationId)).toEqual([anchor.id]);
+  });
+
+  test('should let admins change whether a requirement needs evidence', async () => {
+    const requirement = await requirementService.setEvidenceRequired(requirementId, false);
+    expect(requirement.evidenceRequired).toBe(false);
+
+    const response = await auth(request(app).put(`/api/progress/checklist/${itemId}`))
+      .send({ status: 'completed' });
+    expect(response.status).toBe(200);
+  });
+});
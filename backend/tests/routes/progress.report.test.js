@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const app = require('../../src/app');
+const { initDatabase, runAsync } = require('../../src/models/database');
+
+describe('Progress Routes - GET /api/progress/report', () => {
+  let token;
+  let documentId;
+  const evidenceContent = Buffer.from('Keys are generated and stored in an HSM.');
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  // Collect binary response bodies as buffers
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+    await runAsync('DELETE FROM requirements');
+
+    const requirementId = uuidv4();
+    await runAsync(
+      `INSERT INTO requirements (id, source, ref, text, section, level, phase_id, content_hash, evidence_required)
+       VALUES (?, 'GPSR', 'GPSR-2-1', 'The private key must be stored in an HSM.', '2 Key Management',
+               'MUST', 'phase-2', 'hash', 1), (?, 'GPSR', 'GPSR-2-2', 'Keys should be rotated <yearly>.',
+               '2 Key Management', 'SHOULD', 'phase-2', 'hash', 0)`,
+      [requirementId, uuidv4()]
+    );
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'report@acme.test', password: 'ReportPass123!', name: 'Report User' });
+    token = response.body.token;
+
+    const upload = await auth(request(app).post('/api/documents/upload'))
+      .attach('file', evidenceContent, 'key-policy.txt');
+    documentId = upload.body.document.id;
+
+    await auth(request(app).post(`/api/progress/requirements/${requirementId}/evidence`))
+      .send({ documentId, pageNumber: 2 });
+    await auth(request(app).post('/api/phase1/submit-eoi'))
+      .send({
+        companyName: 'Acme Imaging',
+        contactName: 'Ada Acme',
+        contactEmail: 'ada@acme.test',
+        productDescription: 'Camera firmware that signs every capture.'
+      });
+  });
+
+  afterEach(async () => {
+    await auth(request(app).delete(`/api/documents/${documentId}`));
+  });
+
+  afterAll(async () => {
+    await runAsync('DELETE FROM checklist_items WHERE requirement_id IS NOT NULL');
+    await runAsync('DELETE FROM requirements');
+  });
+
+  test('should render Markdown with phases, evidence hashes, risks and the EOI', async () => {
+    const response = await auth(request(app).get('/api/progress/report?format=md'));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/markdown');
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename=".+-readiness-report-\d{4}-\d{2}-\d{2}\.md"/);
+
+    const markdown = response.text;
+    expect(markdown).toContain('# Certification Readiness Report');
+    expect(markdown).toContain('| Introduction & Prerequisites (current) | Pending | 0/0 (0%) |');
+    expect(markdown).toContain('- [ ] **GPSR-2-1** (MUST) The private key must be stored in an HSM.');
+    expect(markdown).toContain('Evidence: key-policy.txt, p. 2');
+    expect(markdown).toContain(crypto.createHash('sha256').update(evidenceContent).digest('hex'));
+    expect(markdown).toContain('- Company: Acme Imaging');
+    expect(markdown).not.toContain('Expression of Interest not prepared');
+  });
+
+  test('should escape content in HTML', async () => {
+    const response = await auth(request(app).get('/api/progress/report?format=html'));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/html');
+    expect(response.text).toContain('Keys should be rotated &lt;yearly&gt;.');
+    expect(response.text).not.toContain('<yearly>');
+  });
+
+  test('should render a PDF by default', async () => {
+    const response = await auth(request(app).get('/api/progress/report')).buffer(true).parse(binary);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+    const { text } = await pdfParse(response.body);
+    expect(text).toContain('Certification Readiness Report');
+    expect(text).toContain('GPSR-2-1');
+    expect(text).toContain('Acme Imaging');
+  });
+
+  test('should list missing mandatory evidence as a risk', async () => {
+    await runAsync('DELETE FROM evidence_links');
+
+    const response = await auth(request(app).get('/api/progress/report?format=md'));
+
+    expect(response.text).toContain('- **HIGH** No evidence for GPSR-2-1');
+  });
+
+  test('should reject unknown formats', async () => {
+    const response = await auth(request(app).get('/api/progress/report?format=docx'));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid format. Must be: pdf, md, html');
+  });
+});
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync } = require('../../src/models/database');
+
+describe('Workspace Routes - Multi-tenant Scoping', () => {
+  let ownerToken;
+  let otherToken;
+  let ownerWorkspaceId;
+  let otherWorkspaceId;
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    const ownerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'owner@acme.test', password: 'OwnerPass123!', name: 'Acme Owner' });
+    ownerToken = ownerResponse.body.token;
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'owner@globex.test', password: 'OtherPass123!', name: 'Globex Owner' });
+    otherToken = otherResponse.body.token;
+
+    const ownerList = await request(app)
+      .get('/api/workspaces')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    ownerWorkspaceId = ownerList.body.workspaces[0].id;
+
+    const otherList = await request(app)
+      .get('/api/workspaces')
+      .set('Authorization', `Bearer ${otherToken}`);
+    otherWorkspaceId = otherList.body.workspaces[0].id;
+  });
+
+  describe('GET /api/workspaces', () => {
+    test('should give each new user a personal workspace they own', async () => {
+      const response = await request(app)
+        .get('/api/workspaces')
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.workspaces[0].role).toBe('owner');
+      expect(ownerWorkspaceId).not.toBe(otherWorkspaceId);
+    });
+
+    test('should reject unauthenticated request', async () => {
+      const response = await request(app).get('/api/workspaces');
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/workspaces', () => {
+    test('should create a workspace with its own progress record', async () => {
+      const response = await request(app)
+        .post('/api/workspaces')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ name: 'Client Co', companyName: 'Client Co Inc' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.workspace.role).toBe('owner');
+
+      const progress = await request(app)
+        .get('/api/progress')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Workspace-Id', response.body.workspace.id);
+
+      expect(progress.status).toBe(200);
+      expect(progress.body.progress.company_name).toBe('Client Co Inc');
+      expect(progress.body.progress.phases).toHaveLength(6);
+    });
+
+    test('should require a name', async () => {
+      const response = await request(app)
+        .post('/api/workspaces')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Workspace isolation', () => {
+    test('should keep progress separate between workspaces', async () => {
+      await request(app)
+        .put('/api/progress/phase/phase-1')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ status: 'in_progress' });
+
+      const ownerProgress = await request(app)
+        .get('/api/progress')
+        .set('Authorization', `Bearer ${ownerToken}`);
+      const otherProgress = await request(app)
+        .get('/api/progress')
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(ownerProgress.body.progress.phases[0].status).toBe('in_progress');
+      expect(otherProgress.body.progress.phases[0].status).toBe('pending');
+    });
+
+    test('should keep checklist items separate between workspaces', async () => {
+      await request(app)
+        .post('/api/progress/checklist')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ phaseId: 'phase-1', title: 'Acme-only item' });
+
+      const otherChecklist = await request(app)
+        .get('/api/progress/checklist')
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(otherChecklist.body.count).toBe(0);
+    });
+
+    test('should keep EOI submissions separate between workspaces', async () => {
+      await request(app)
+        .post('/api/phase1/submit-eoi')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({
+          companyName: 'Acme',
+          contactName: 'Ann',
+          contactEmail: 'ann@acme.test',
+          productDescription: 'Camera firmware that signs every capture.'
+        });
+
+      const ownerStatus = await request(app)
+        .get('/api/phase1/status')
+        .set('Authorization', `Bearer ${ownerToken}`);
+      const otherStatus = await request(app)
+        .get('/api/phase1/status')
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(ownerStatus.body.status.eoiSubmitted).toBe(true);
+      expect(otherStatus.body.status.eoiSubmitted).toBe(false);
+    });
+
+    test('should deny access to a workspace the caller is not a member of', async () => {
+      const response = await request(app)
+        .get('/api/progress')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .set('X-Workspace-Id', ownerWorkspaceId);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should return 404 for an unknown workspace', async () => {
+      const response = await request(app)
+        .get('/api/documents')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Workspace-Id', 'does-not-exist');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Workspace members', () => {
+    test('should grant access once a user is added as member', async () => {
+      const addResponse = await request(app)
+        .post(`/api/workspaces/${ownerWorkspaceId}/members`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'owner@globex.test', role: 'viewer' });
+
+      expect(addResponse.status).toBe(201);
+      expect(addResponse.body.members).toHaveLength(2);
+
+      const readResponse = await request(app)
+        .get('/api/progress')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .set('X-Workspace-Id', ownerWorkspaceId);
+
+      expect(readResponse.status).toBe(200);
+    });
+
+    test('should prevent viewers from changing progress', async () => {
+      await request(app)
+        .post(`/api/workspaces/${ownerWorkspaceId}/members`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'owner@globex.test', role: 'viewer' });
+
+      const response = await request(app)
+        .put('/api/progress/phase/phase-1')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .set('X-Workspace-Id', ownerWorkspaceId)
+        .send({ status: 'completed' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should only let owners add members', async () => {
+      const response = await request(app)
+        .post(`/api/workspaces/${ownerWorkspaceId}/members`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ email: 'owner@globex.test', role: 'owner' });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should not remove the last owner', async () => {
+      const me = await request(app)
+        .get(`/api/workspaces/${ownerWorkspaceId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      const response = await request(app)
+        .delete(`/api/workspaces/${ownerWorkspaceId}/members/${me.body.members[0].userId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
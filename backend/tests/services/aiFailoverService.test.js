@@ -0,0 +1,177 @@
+const { initDatabase, runAsync, allAsync } = require('../../src/models/database');
+const aiProviderRegistry = require('../../src/services/aiProviderRegistry');
+const aiFailoverService = require('../../src/services/aiFailoverService');
+const aiService = require('../../src/services/aiService');
+const { CircuitBreaker } = require('../../src/utils/circuitBreaker');
+
+const { PROVIDERS } = aiProviderRegistry;
+
+describe('AI Failover Service', () => {
+  let savedSettings;
+  const originalEnv = { ...process.env };
+
+  const setSetting = (key, value) =>
+    runAsync('INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)', [key, value]);
+
+  const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { status });
+
+  beforeAll(async () => {
+    await initDatabase();
+    savedSettings = await allAsync(
+      "SELECT key, value, type FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\' OR key = 'ollama_url'"
+    );
+  });
+
+  beforeEach(async () => {
+    process.env.AI_RETRY_BASE_DELAY_MS = '1';
+    process.env.AI_BREAKER_THRESHOLD = '2';
+    process.env.AI_BREAKER_COOLDOWN_MS = '50';
+    aiFailoverService.resetBreakers();
+
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\' OR key = 'ollama_url'");
+    await setSetting('ai_provider', 'ollama');
+    await setSetting('ollama_url', 'http://127.0.0.1:1');
+    await setSetting('ai_failover_chain', 'mock');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(async () => {
+    aiFailoverService.resetBreakers();
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\' OR key = 'ollama_url'");
+    for (const { key, value, type } of savedSettings) {
+      await runAsync('INSERT INTO app_settings (key, value, type) VALUES (?, ?, ?)', [key, value, type]);
+    }
+  });
+
+  const messages = [{ role: 'user', content: 'Hello' }];
+
+  describe('getChain', () => {
+    test('should put the selected provider first and drop duplicates', async () => {
+      await setSetting('ai_failover_chain', 'mock, ollama,rule-based');
+
+      expect(await aiFailoverService.getChain()).toEqual(['ollama', 'mock']);
+    });
+
+    test('should be empty when AI is switched off', async () => {
+      await setSetting('ai_provider', 'none');
+
+      expect(await aiFailoverService.getChain()).toEqual([]);
+    });
+  });
+
+  describe('complete', () => {
+    test('should fail over to the next provider', async () => {
+      const result = await aiFailoverService.complete(messages);
+
+      expect(result.provider).toBe('mock');
+      expect(result.message).toContain('You asked: "Hello"');
+      expect(result.failover).toEqual([{ provider: 'ollama', error: expect.any(String) }]);
+    });
+
+    test('should retry transient errors with backoff', async () => {
+      const chat = jest.spyOn(PROVIDERS.ollama, 'chat')
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+        .mockResolvedValueOnce('Recovered');
+
+      const result = await aiFailoverService.complete(messages);
+
+      expect(chat).toHaveBeenCalledTimes(3);
+      expect(result).toMatchObject({ provider: 'ollama', message: 'Recovered', failover: [] });
+    });
+
+    test('should not retry permanent errors', async () => {
+      const chat = jest.spyOn(PROVIDERS.ollama, 'chat').mockRejectedValue(httpError(401));
+
+      const result = await aiFailoverService.complete(messages);
+
+      expect(chat).toHaveBeenCalledTimes(1);
+      expect(result.provider).toBe('mock');
+    });
+
+    test('should skip a provider whose breaker is open, then probe it after the cooldown', async () => {
+      const chat = jest.spyOn(PROVIDERS.ollama, 'chat').mockRejectedValue(httpError(401));
+
+      await aiFailoverService.complete(messages);
+      await aiFailoverService.complete(messages);
+      const skipped = await aiFailoverService.complete(messages);
+
+      expect(chat).toHaveBeenCalledTimes(2);
+      expect(skipped.failover).toEqual([{ provider: 'ollama', error: 'circuit open' }]);
+      expect((await aiFailoverService.getStatus()).breakers[0].state).toBe('open');
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      chat.mockResolvedValueOnce('Back online');
+      const probed = await aiFailoverService.complete(messages);
+
+      expect(probed.provider).toBe('ollama');
+      expect((await aiFailoverService.getStatus()).breakers[0].state).toBe('closed');
+    });
+
+    test('should not switch provider once tokens were streamed', async () => {
+      jest.spyOn(PROVIDERS.ollama, 'chat').mockImplementation(async (request, connection, onToken) => {
+        onToken('Half an ');
+        throw httpError(502);
+      });
+      const tokens = [];
+
+      await expect(aiFailoverService.complete(messages, t => tokens.push(t))).rejects.toThrow('502');
+      expect(tokens).toEqual(['Half an ']);
+    });
+
+    test('should report every failure when the chain is exhausted', async () => {
+      await setSetting('ai_failover_chain', '');
+
+      await expect(aiFailoverService.complete(messages)).rejects.toMatchObject({
+        message: 'All AI providers failed (ollama)',
+        failover: [{ provider: 'ollama', error: expect.any(String) }]
+      });
+    });
+  });
+
+  describe('aiService.generateResponse', () => {
+    test('should record the provider that answered', async () => {
+      const result = await aiService.generateResponse('What is a manifest?', [], {});
+
+      expect(result.provider).toBe('mock');
+      expect(result.model).toBe('mock-1');
+      expect(result.failover.map(f => f.provider)).toEqual(['ollama']);
+    });
+
+    test('should end with the rule-based responder', async () => {
+      await setSetting('ai_failover_chain', '');
+
+      const result = await aiService.generateResponse('What is a manifest?', [], {});
+
+      expect(result.provider).toBe('rule-based');
+      expect(result.message.length).toBeGreaterThan(0);
+      expect(result.failover.map(f => f.provider)).toEqual(['ollama']);
+    });
+  });
+
+  describe('CircuitBreaker', () => {
+    test('should let exactly one probe through when half-open', () => {
+      let now = 0;
+      const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: 100, now: () => now });
+
+      breaker.onFailure(new Error('down'));
+      expect(breaker.tryAcquire()).toBe(false);
+
+      now = 100;
+      expect(breaker.tryAcquire()).toBe(true);
+      expect(breaker.tryAcquire()).toBe(false);
+
+      breaker.onFailure(new Error('still down'));
+      expect(breaker.getStatus()).toMatchObject({ state: 'open', lastError: 'still down' });
+
+      now = 200;
+      expect(breaker.tryAcquire()).toBe(true);
+      breaker.onSuccess();
+      expect(breaker.getStatus()).toMatchObject({ state: 'closed', failures: 0 });
+    });
+  });
+});
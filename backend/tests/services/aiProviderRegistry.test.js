@@ -0,0 +1,181 @@
+const { initDatabase, runAsync, allAsync } = require('../../src/models/database');
+const aiProviderRegistry = require('../../src/services/aiProviderRegistry');
+
+describe('AI Provider Registry', () => {
+  let savedSettings;
+
+  beforeAll(async () => {
+    await initDatabase();
+    savedSettings = await allAsync("SELECT key, value, type FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+  });
+
+  beforeEach(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+  });
+
+  afterAll(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    for (const { key, value, type } of savedSettings) {
+      await runAsync('INSERT INTO app_settings (key, value, type) VALUES (?, ?, ?)', [key, value, type]);
+    }
+  });
+
+  const setSetting = (key, value) =>
+    runAsync('INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)', [key, value]);
+
+  describe('resolveProvider', () => {
+    test('should return null in fallback mode', async () => {
+      await setSetting('ai_provider', 'none');
+
+      expect(await aiProviderRegistry.resolveProvider()).toBeNull();
+    });
+
+    test('should re-read settings on every call', async () => {
+      await setSetting('ai_provider', 'mock');
+      expect((await aiProviderRegistry.resolveProvider()).name).toBe('mock');
+
+      await setSetting('ai_provider', 'ollama');
+      expect((await aiProviderRegistry.resolveProvider()).name).toBe('ollama');
+    });
+
+    test('should prefer per-provider parameters over global ones', async () => {
+      await setSetting('ai_provider', 'mock');
+      await setSetting('ai_model', 'global-model');
+      await setSetting('ai_temperature', '0.9');
+      await setSetting('ai_mock_model', 'mock-2');
+      await setSetting('ai_mock_max_tokens', '64');
+
+      const active = await aiProviderRegistry.resolveProvider();
+
+      expect(active).toMatchObject({ name: 'mock', model: 'mock-2', temperature: 0.9, maxTokens: 64 });
+    });
+
+    test('should apply overrides without saving them', async () => {
+      await setSetting('ai_provider', 'none');
+
+      const active = await aiProviderRegistry.resolveProvider({ provider: 'mock', model: 'mock-test' });
+
+      expect(active).toMatchObject({ name: 'mock', model: 'mock-test', temperature: 0.7, maxTokens: 500 });
+      expect(await aiProviderRegistry.resolveProvider()).toBeNull();
+    });
+
+    test('should reject unknown providers', async () => {
+      await expect(aiProviderRegistry.resolveProvider({ provider: 'bogus' }))
+        .rejects.toThrow('Unknown AI provider: bogus');
+    });
+  });
+
+  describe('complete', () => {
+    test('should stream and return the mock reply', async () => {
+      const active = await aiProviderRegistry.resolveProvider({ provider: 'mock' });
+      const tokens = [];
+
+      const reply = await aiProviderRegistry.complete(active, [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' }
+      ], token => tokens.push(token));
+
+      expect(reply).toBe('[mock-1] You asked: "Hello". (2 messages, 1 system)');
+      expect(tokens.join('')).toBe(reply);
+    });
+
+    test('should refuse a provider that is not configured', async () => {
+      const active = await aiProviderRegistry.resolveProvider({ provider: 'anthropic' });
+      active.connection.anthropicApiKey = null;
+
+      await expect(aiProviderRegistry.complete(active, [{ role: 'user', content: 'Hi' }]))
+        .rejects.toThrow(/not configured/);
+    });
+  });
+
+  describe('toAnthropicMessages', () => {
+    test('should lift system prompts and merge consecutive roles', () => {
+      const result = aiProviderRegistry.toAnthropicMessages([
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'assistant', content: 'Welcome!' },
+        { role: 'user', content: 'First' },
+        { role: 'system', content: 'Sources: none' },
+        { role: 'user', content: 'Second' }
+      ]);
+
+      expect(result.system).toBe('You are helpful.\n\nSources: none');
+      expect(result.messages).toEqual([{ role: 'user', content: 'First\n\nSecond' }]);
+    });
+
+    test('should turn tool calls and results into content blocks', () => {
+      const result = aiProviderRegistry.toAnthropicMessages([
+        { role: 'user', content: 'How far along are we?' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call-1', name: 'get_progress', arguments: {} }] },
+        { role: 'tool', toolCallId: 'call-1', name: 'get_progress', content: '{"currentPhase":"phase-1"}' }
+      ]);
+
+      expect(result.messages).toEqual([
+        { role: 'user', content: 'How far along are we?' },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'call-1', name: 'get_progress', input: {} }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call-1', content: '{"currentPhase":"phase-1"}' }] }
+      ]);
+    });
+  });
+
+  describe('tool calling', () => {
+    const tools = [{ name: 'get_progress', description: 'Get progress', parameters: { type: 'object', properties: {} } }];
+    const ollama = {
+      name: 'ollama',
+      model: 'llama3.2',
+      temperature: 0.7,
+      maxTokens: 500,
+      contextWindow: 8192,
+      connection: { ollamaUrl: 'http://ollama.test' }
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should parse JSON protocol tool calls, with or without a code fence', () => {
+      expect(aiProviderRegistry.parseToolProtocolReply('{"tool": "get_progress", "arguments": {}}', tools))
+        .toEqual({ name: 'get_progress', arguments: {} });
+      expect(aiProviderRegistry.parseToolProtocolReply('```json\n{"tool": "get_progress"}\n```', tools))
+        .toEqual({ name: 'get_progress', arguments: {} });
+      expect(aiProviderRegistry.parseToolProtocolReply('{"tool": "delete_everything"}', tools)).toBeNull();
+      expect(aiProviderRegistry.parseToolProtocolReply('You are in phase 1.', tools)).toBeNull();
+    });
+
+    test('should fall back to the JSON protocol for providers without a tool API', async () => {
+      const chat = jest.spyOn(aiProviderRegistry.PROVIDERS.ollama, 'chat')
+        .mockResolvedValueOnce('{"tool": "get_progress", "arguments": {}}');
+
+      const reply = await aiProviderRegistry.completeWithTools(ollama, [
+        { role: 'system', content: 'Persona' },
+        { role: 'user', content: 'Where are we?' }
+      ], tools);
+
+      expect(reply.content).toBe('');
+      expect(reply.toolCalls).toEqual([expect.objectContaining({ name: 'get_progress', arguments: {} })]);
+      const sent = chat.mock.calls[0][0].messages;
+      expect(sent[1].role).toBe('system');
+      expect(sent[1].content).toContain('get_progress');
+    });
+
+    test('should stream plain answers and send tool results as user turns', async () => {
+      const chat = jest.spyOn(aiProviderRegistry.PROVIDERS.ollama, 'chat').mockImplementation(async (request, connection, onToken) => {
+        onToken('You are ');
+        onToken('in phase 1.');
+        return 'You are in phase 1.';
+      });
+      const tokens = [];
+
+      const reply = await aiProviderRegistry.completeWithTools(ollama, [
+        { role: 'user', content: 'Where are we?' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call-1', name: 'get_progress', arguments: {} }] },
+        { role: 'tool', toolCallId: 'call-1', name: 'get_progress', content: '{"currentPhase":"phase-1"}' }
+      ], tools, token => tokens.push(token));
+
+      expect(reply).toEqual({ content: 'You are in phase 1.', toolCalls: [] });
+      expect(tokens.join('')).toBe('You are in phase 1.');
+      const sent = chat.mock.calls[0][0].messages;
+      expect(sent[2]).toEqual({ role: 'assistant', content: '{"tool":"get_progress","arguments":{}}' });
+      expect(sent[3]).toEqual({ role: 'user', content: 'Tool result (get_progress):\n{"currentPhase":"phase-1"}' });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { initDatabase, runAsync, getAsync } = require('../../src/models/database');
+const auditService = require('../../src/services/auditService');
+
+describe('Audit Service', () => {
+  const actor = { id: `audit-actor-${Date.now()}`, email: 'auditor@acme.test' };
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  test('should store the changed fields and redact secrets', async () => {
+    const event = await auditService.record({
+      actor,
+      action: 'config.update',
+      entityType: 'config',
+      entityId: 'ai',
+      before: { ai_provider: 'openai', openai_api_key: 'sk-old' },
+      after: { ai_provider: 'anthropic', openai_api_key: 'sk-new' }
+    });
+
+    expect(event).toMatchObject({ actorId: actor.id, actorEmail: 'auditor@acme.test', action: 'config.update' });
+    expect(event.after.openai_api_key).toBe('[redacted]');
+    expect(event.changes).toEqual({ ai_provider: { from: 'openai', to: 'anthropic' } });
+    expect(event.hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should chain each event to the one before it', async () => {
+    const first = await auditService.record({ actor, action: 'checklist.create', entityType: 'checklist_item', after: { title: 'A' } });
+    const second = await auditService.record({ actor, action: 'checklist.delete', entityType: 'checklist_item', before: { title: 'A' } });
+
+    expect(second.seq).toBeGreaterThan(first.seq);
+    expect(second.prevHash).toBe(first.hash);
+    expect(await auditService.verifyChain()).toMatchObject({ valid: true, brokenAt: null });
+  });
+
+  test('should reject updates and deletes', async () => {
+    await expect(runAsync("UPDATE audit_events SET action = 'forged'")).rejects.toThrow('append-only');
+    await expect(runAsync('DELETE FROM audit_events')).rejects.toThrow('append-only');
+  });
+
+  test('should detect an event edited behind its back', async () => {
+    const event = await auditService.record({ actor, action: 'user.update', entityType: 'user', after: { role: 'user' } });
+
+    const trigger = await getAsync("SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = 'audit_events_no_update'");
+    await runAsync('DROP TRIGGER audit_events_no_update');
+    try {
+      await runAsync('UPDATE audit_events SET after = ? WHERE seq = ?', ['{"role":"admin"}', event.seq]);
+      expect(await auditService.verifyChain()).toMatchObject({
+        valid: false,
+        brokenAt: event.seq,
+        reason: 'Event contents do not match its hash'
+      });
+    } finally {
+      await runAsync('UPDATE audit_events SET after = ? WHERE seq = ?', [JSON.stringify(event.after), event.seq]);
+      await runAsync(trigger.sql);
+    }
+
+    expect((await auditService.verifyChain()).valid).toBe(true);
+  });
+
+  test('should filter by actor and action prefix', async () => {
+    const { total, events } = await auditService.listEvents({ actor: actor.id, action: 'checklist' });
+
+    expect(total).toBe(2);
+    expect(events.map(event => event.action)).toEqual(['checklist.delete', 'checklist.create']);
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect((await auditService.listEvents({ actor: actor.id, to: today })).total).toBe(4);
+    await expect(auditService.listEvents({ from: 'yesterday-ish' })).rejects.toThrow('from must be a date');
+  });
+
+  test('should keep user-controlled values from running as spreadsheet formulas', async () => {
+    const formulaActor = { id: `audit-formula-${Date.now()}`, email: '@SUM(1+1)' };
+    await auditService.record({
+      actor: formulaActor,
+      action: 'document.update',
+      entityType: 'document',
+      entityId: '=HYPERLINK("https://evil.test","Open")',
+      after: { title: '=1+1' }
+    });
+
+    const { body } = await auditService.exportEvents({ actor: formulaActor.id }, 'csv');
+    const [, line] = body.trim().split('\n');
+
+    expect(line).toContain(`,'@SUM(1+1),`);
+    expect(line).toContain(`,"'=HYPERLINK(""https://evil.test"",""Open"")",`);
+    expect(line).not.toMatch(/,[=+@-]/);
+  });
+});
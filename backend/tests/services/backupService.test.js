@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const backupService = require('../../src/services/backupService');
+const auditService = require('../../src/services/auditService');
+const { initDatabase, runAsync, getAsync } = require('../../src/models/database');
+
+describe('Backup Service', () => {
+  const MARKER = 'backup-test-marker';
+  const originalEnv = { ...process.env };
+  let tmpDir;
+
+  // A backup file and sidecar as if taken at the given time
+  const fakeBackup = (createdAt, kind = 'scheduled') => {
+    const id = `app-${new Date(createdAt).toISOString().replace(/[-:.]/g, '')}-${kind}`;
+    fs.writeFileSync(path.join(tmpDir, `${id}.db`), '');
+    fs.writeFileSync(path.join(tmpDir, `${id}.json`), JSON.stringify({ id, kind, createdAt }));
+    return id;
+  };
+
+  const readZip = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream
+      .on('data', chunk => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => JSZip.loadAsync(Buffer.concat(chunks)).then(resolve, reject));
+  });
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+    process.env.BACKUP_DIR = tmpDir;
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    await runAsync('DELETE FROM app_settings WHERE key = ?', [MARKER]);
+  });
+
+  test('should take a verified backup of the live database', async () => {
+    const backup = await backupService.createBackup();
+
+    expect(backup).toMatchObject({ kind: 'manual', integrity: 'ok' });
+    expect(backup.schemaVersion).toBeGreaterThanOrEqual(1);
+    expect(fs.statSync(path.join(tmpDir, `${backup.id}.db`)).size).toBe(backup.size);
+    expect(backupService.listBackups().map(b => b.id)).toEqual([backup.id]);
+
+    const verification = await backupService.verifyBackup(backup.id);
+    expect(verification.valid).toBe(true);
+
+    fs.appendFileSync(path.join(tmpDir, `${backup.id}.db`), 'corrupted');
+    const tampered = await backupService.verifyBackup(backup.id);
+    expect(tampered).toMatchObject({ valid: false, reason: 'Backup file does not match its checksum' });
+  });
+
+  test('should keep the newest backup per hour, day and week', () => {
+    process.env.BACKUP_KEEP_HOURLY = '2';
+    process.env.BACKUP_KEEP_DAILY = '2';
+    process.env.BACKUP_KEEP_WEEKLY = '2';
+    process.env.BACKUP_KEEP_SNAPSHOTS = '1';
+
+    const newest = fakeBackup('2026-03-11T10:30:00Z');
+    const sameHour = fakeBackup('2026-03-11T10:05:00Z');
+    const previousHour = fakeBackup('2026-03-11T09:45:00Z');
+    const earlierToday = fakeBackup('2026-03-11T03:00:00Z');
+    const yesterday = fakeBackup('2026-03-10T22:00:00Z');
+    const lastWeek = fakeBackup('2026-03-04T12:00:00Z');
+    const weeksAgo = fakeBackup('2026-02-18T12:00:00Z');
+    const snapshot = fakeBackup('2026-03-11T08:00:00Z', 'pre-restore');
+    const olderSnapshot = fakeBackup('2026-03-09T08:00:00Z', 'pre-restore');
+
+    const removed = backupService.applyRetention();
+
+    expect(removed.sort()).toEqual([sameHour, earlierToday, weeksAgo, olderSnapshot].sort());
+    expect(backupService.listBackups().map(b => b.id)).toEqual([newest, previousHour, snapshot, yesterday, lastWeek]);
+  });
+
+  test('should restore a backup and keep the replaced database as a snapshot', async () => {
+    const backup = await backupService.createBackup();
+    await runAsync('INSERT INTO app_settings (key, value) VALUES (?, ?)', [MARKER, 'after backup']);
+
+    const result = await backupService.restoreBackup({ backupId: backup.id });
+
+    expect(result.restored.id).toBe(backup.id);
+    expect(result.snapshot.kind).toBe('pre-restore');
+    expect(await getAsync('SELECT value FROM app_settings WHERE key = ?', [MARKER])).toBeUndefined();
+
+    // The snapshot still holds the change the restore undid
+    const undo = await backupService.restoreBackup({ backupId: result.snapshot.id });
+    expect(undo.snapshot.kind).toBe('pre-restore');
+    expect(await getAsync('SELECT value FROM app_settings WHERE key = ?', [MARKER])).toEqual({ value: 'after backup' });
+  });
+
+  test('should carry audit events recorded after the backup into the restored database', async () => {
+    const backup = await backupService.createBackup();
+    const event = await auditService.record({ action: 'settings.update', entityType: 'setting', entityId: MARKER, after: { restoreTest: true } });
+
+    const result = await backupService.restoreBackup({ backupId: backup.id });
+
+    expect(result.audit).toEqual({ carried: 1, fromSeq: event.seq, toSeq: event.seq });
+    expect(await getAsync('SELECT hash FROM audit_events WHERE seq = ?', [event.seq])).toEqual({ hash: event.hash });
+    expect((await auditService.verifyChain()).valid).toBe(true);
+  });
+
+  test('should pick the newest regular backup at or before a point in time', async () => {
+    const older = fakeBackup('2026-03-10T08:00:00Z');
+    fakeBackup('2026-03-10T09:30:00Z', 'pre-restore');
+    fakeBackup('2026-03-10T12:00:00Z');
+
+    // The fake backups are empty files, so the restore stops at verification
+    await expect(backupService.restoreBackup({ at: '2026-03-10T10:00:00Z' }))
+      .rejects.toThrow(`Backup ${older} cannot be restored`);
+    await expect(backupService.restoreBackup({ at: '2026-03-01T00:00:00Z' }))
+      .rejects.toMatchObject({ status: 404 });
+    await expect(backupService.restoreBackup({}))
+      .rejects.toThrow('backupId or at is required');
+    await expect(backupService.restoreBackup({ backupId: '../app' }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should export a backup with its manifest as a zip', async () => {
+    const backup = await backupService.createBackup();
+    const bundle = backupService.exportBundle(backup.id);
+    const zip = await readZip(bundle.stream);
+
+    expect(bundle.filename).toBe(`${backup.id}.zip`);
+    expect((await zip.file('app.db').async('nodebuffer')).length).toBe(backup.size);
+
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    expect(manifest.backup.id).toBe(backup.id);
+    expect(Object.keys(manifest.fileCounts)).toEqual(expect.arrayContaining(['uploads', 'adventure-checkpoints', 'phase1-submissions']));
+    for (const [directory, count] of Object.entries(manifest.fileCounts)) {
+      expect(Object.keys(zip.files).filter(name => name.startsWith(`${directory}/`) && !name.endsWith('/'))).toHaveLength(count);
+    }
+  });
+});
@@ -0,0 +1,181 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync, allAsync } = require('../../src/models/database');
+const aiProviderRegistry = require('../../src/services/aiProviderRegistry');
+const aiFailoverService = require('../../src/services/aiFailoverService');
+const chatContextService = require('../../src/services/chatContextService');
+const sessionService = require('../../src/services/sessionService');
+
+const { PROVIDERS } = aiProviderRegistry;
+
+describe('Chat Context Service', () => {
+  let token;
+  let userId;
+  let savedSettings;
+
+  const setSetting = (key, value) =>
+    runAsync('INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)', [key, value]);
+
+  beforeAll(async () => {
+    await initDatabase();
+    savedSettings = await allAsync("SELECT key, value, type FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    await setSetting('ai_provider', 'mock');
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'context@example.com', password: 'ContextPass123!', name: 'Context User' });
+    token = response.body.token;
+    userId = response.body.user.id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    aiFailoverService.resetBreakers();
+  });
+
+  afterAll(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    for (const { key, value, type } of savedSettings) {
+      await runAsync('INSERT INTO app_settings (key, value, type) VALUES (?, ?, ?)', [key, value, type]);
+    }
+  });
+
+  const addMessages = async (sessionId, count, length = 400) => {
+    for (let i = 0; i < count; i++) {
+      const text = `Turn ${i}: ${'certification detail '.repeat(length / 21)}`.substring(0, length);
+      await runAsync(
+        'INSERT INTO chat_messages (id, sender, message, user_id, session_id) VALUES (?, ?, ?, ?, ?)',
+        [`ctx-${sessionId}-${i}`, i % 2 === 0 ? 'user' : 'assistant', text, userId, sessionId]
+      );
+    }
+  };
+
+  describe('truncateToTokens / fitSources', () => {
+    test('should cut at a word boundary within the budget', () => {
+      const text = 'alpha beta gamma delta epsilon zeta eta theta';
+
+      const cut = chatContextService.truncateToTokens(text, 5);
+
+      expect(cut).toBe('alpha beta gamma…');
+      expect(chatContextService.truncateToTokens(text, 100)).toBe(text);
+    });
+
+    test('should share the sources budget and drop what does not fit', () => {
+      const citations = [1, 2, 3].map(index => ({
+        index, type: 'document', title: `doc-${index}.pdf`, excerpt: 'word '.repeat(400)
+      }));
+
+      const wide = chatContextService.fitSources(citations, 600);
+      const narrow = chatContextService.fitSources(citations, 60);
+
+      expect(wide.kept).toHaveLength(3);
+      wide.prompt.forEach(source => expect(chatContextService.estimateTokens(source.excerpt)).toBeLessThanOrEqual(200));
+      expect(wide.kept[0].excerpt).toBe(citations[0].excerpt);
+      expect(narrow.kept.length).toBeLessThan(3);
+    });
+  });
+
+  describe('buildContext', () => {
+    test('should fit long histories to the window and fold the rest into a summary', async () => {
+      await setSetting('ai_mock_context_window', '2048');
+      await setSetting('ai_mock_max_tokens', '256');
+      const session = await sessionService.createSession(userId);
+      await addMessages(session.id, 30);
+
+      jest.spyOn(PROVIDERS.mock, 'chat').mockImplementation(async (req) =>
+        req.messages[0].content.startsWith('You maintain') ? '- Decided to sign with ES256' : 'ok');
+
+      const history = await chatContextService.loadSessionHistory(session.id);
+      const { messages, usage } = await chatContextService.buildContext({
+        systemPrompt: 'You are a helpful assistant.',
+        history: history.messages,
+        sessionId: session.id,
+        userMessage: 'Which algorithm did we pick?'
+      });
+
+      expect(usage.prompt).toBeLessThanOrEqual(2048 - 256);
+      expect(usage.summarized).toBeGreaterThan(0);
+      expect(messages[1]).toEqual({
+        role: 'system',
+        content: 'Summary of the earlier conversation:\n- Decided to sign with ES256'
+      });
+      expect(messages[messages.length - 1]).toEqual({ role: 'user', content: 'Which algorithm did we pick?' });
+      // The newest turns are kept verbatim
+      expect(messages[messages.length - 2].content).toContain('Turn 29');
+
+      const stored = await getAsync(
+        'SELECT summary, summary_message_count FROM chat_sessions WHERE id = ?',
+        [session.id]
+      );
+      expect(stored.summary).toBe('- Decided to sign with ES256');
+      expect(stored.summary_message_count).toBe(usage.summarized);
+
+      const after = await chatContextService.loadSessionHistory(session.id);
+      expect(after.messages).toHaveLength(30 - usage.summarized);
+      expect(after.summary).toBe(stored.summary);
+    });
+
+    test('should keep short histories whole without summarizing', async () => {
+      const session = await sessionService.createSession(userId);
+      await addMessages(session.id, 4, 100);
+      const chat = jest.spyOn(PROVIDERS.mock, 'chat');
+
+      const history = await chatContextService.loadSessionHistory(session.id);
+      const { messages, usage } = await chatContextService.buildContext({
+        systemPrompt: 'You are a helpful assistant.',
+        history: history.messages,
+        sessionId: session.id,
+        userMessage: 'Next?'
+      });
+
+      expect(chat).not.toHaveBeenCalled();
+      expect(usage).toMatchObject({ history: 4, summarized: 0 });
+      expect(messages).toHaveLength(6);
+    });
+
+    test('should fall back to extracts when summarization fails', async () => {
+      await setSetting('ai_mock_context_window', '2048');
+      const session = await sessionService.createSession(userId);
+      await addMessages(session.id, 30);
+      jest.spyOn(PROVIDERS.mock, 'chat').mockRejectedValue(new Error('offline'));
+
+      const history = await chatContextService.loadSessionHistory(session.id);
+      await chatContextService.buildContext({
+        systemPrompt: 'You are a helpful assistant.',
+        history: history.messages,
+        sessionId: session.id,
+        userMessage: 'Next?'
+      });
+
+      const stored = await getAsync('SELECT summary FROM chat_sessions WHERE id = ?', [session.id]);
+      expect(stored.summary).toMatch(/- (User|Assistant): Turn \d+/);
+    });
+  });
+
+  describe('POST /api/chat', () => {
+    test('should send the session summary and not repeat the question', async () => {
+      const first = await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message: 'We will sign with ES256.' });
+      const sessionId = first.body.session.id;
+      await runAsync("UPDATE chat_sessions SET summary = '- Signing algorithm: ES256' WHERE id = ?", [sessionId]);
+
+      const chat = jest.spyOn(PROVIDERS.mock, 'chat');
+      await request(app)
+        .post('/api/chat')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message: 'Remind me of the algorithm', sessionId });
+
+      const sent = chat.mock.calls[0][0].messages;
+      expect(sent.some(msg => msg.content.includes('- Signing algorithm: ES256'))).toBe(true);
+      expect(sent.filter(msg => msg.content === 'Remind me of the algorithm')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync, allAsync } = require('../../src/models/database');
+const aiProviderRegistry = require('../../src/services/aiProviderRegistry');
+const aiFailoverService = require('../../src/services/aiFailoverService');
+const documentAnalysisService = require('../../src/services/documentAnalysisService');
+const buildPdf = require('../helpers/buildPdf');
+
+const { PROVIDERS } = aiProviderRegistry;
+
+const reply = (summary) => JSON.stringify({
+  summary,
+  keyPoints: ['Keys live in an HSM'],
+  requirements: ['Rotate signing keys yearly'],
+  suggestions: ['Document the key ceremony']
+});
+
+describe('Document Analysis Service', () => {
+  let token;
+  let savedSettings;
+  let uploadedIds = [];
+
+  const setSetting = (key, value) =>
+    runAsync('INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)', [key, value]);
+
+  beforeAll(async () => {
+    await initDatabase();
+    savedSettings = await allAsync("SELECT key, value, type FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM users');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    await setSetting('ai_provider', 'mock');
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'analysis@acme.test', password: 'AnalysisPass123!', name: 'Analysis User' });
+    token = response.body.token;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    aiFailoverService.resetBreakers();
+    for (const id of uploadedIds) {
+      await request(app)
+        .delete(`/api/documents/${id}`)
+        .set('Authorization', `Bearer ${token}`);
+    }
+    uploadedIds = [];
+  });
+
+  afterAll(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key LIKE 'ai\\_%' ESCAPE '\\'");
+    for (const { key, value, type } of savedSettings) {
+      await runAsync('INSERT INTO app_settings (key, value, type) VALUES (?, ?, ?)', [key, value, type]);
+    }
+  });
+
+  const upload = async (content, name) => {
+    const response = await request(app)
+      .post('/api/documents/upload')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', content, name);
+    uploadedIds.push(response.body.document.id);
+    return response.body.document.id;
+  };
+
+  const analyze = (documentId) => request(app)
+    .post(`/api/documents/${documentId}/analyze`)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('parseAnalysisReply', () => {
+    test('should accept fenced JSON and trim list items', () => {
+      const analysis = documentAnalysisService.parseAnalysisReply(
+        'Here you go:\n```json\n{"summary": " Short. ", "keyPoints": [" A ", ""], "requirements": [], "suggestions": ["B"]}\n```'
+      );
+
+      expect(analysis).toEqual({ summary: 'Short.', keyPoints: ['A'], requirements: [], suggestions: ['B'] });
+    });
+
+    test('should explain what is wrong with a reply', () => {
+      expect(() => documentAnalysisService.parseAnalysisReply('No JSON here'))
+        .toThrow('no JSON object');
+      expect(() => documentAnalysisService.parseAnalysisReply('{"summary": "x", "keyPoints": "one"}'))
+        .toThrow('"keyPoints" must be an array of strings');
+      expect(() => documentAnalysisService.parseAnalysisReply('{"summary": "x", "keyPoints": [{"a": 1}], "requirements": [], "suggestions": []}'))
+        .toThrow('every item of "keyPoints" must be a string');
+    });
+  });
+
+  describe('chunkText', () => {
+    test('should keep pages together and split pages that are too long', () => {
+      const text = `${'a'.repeat(300)}\n\n${'b'.repeat(300)}\n\n${'c'.repeat(900)}`;
+      const pages = [
+        { page: 1, start: 0, end: 300 },
+        { page: 2, start: 302, end: 602 },
+        { page: 3, start: 604, end: 1504 }
+      ];
+
+      const chunks = documentAnalysisService.chunkText(text, pages, 200);
+
+      expect(chunks.map(({ firstPage, lastPage }) => [firstPage, lastPage])).toEqual([[1, 2], [3, 3], [3, 3]]);
+      expect(chunks.every(chunk => chunk.text.length <= 800)).toBe(true);
+    });
+  });
+
+  describe('POST /api/documents/:id/analyze', () => {
+    test('should analyze the extracted text and store the result with its stamp', async () => {
+      const chat = jest.spyOn(PROVIDERS.mock, 'chat').mockResolvedValue(reply('Signing key policy.'));
+      const documentId = await upload(Buffer.from('Signing keys must be stored in an HSM and rotated yearly.'), 'keys.txt');
+
+      const response = await analyze(documentId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.analysis).toMatchObject({
+        summary: 'Signing key policy.',
+        requirements: ['Rotate signing keys yearly'],
+        provider: 'mock',
+        model: 'mock-1',
+        version: documentAnalysisService.ANALYSIS_VERSION,
+        chunkCount: 1,
+        stale: false
+      });
+      expect(chat.mock.calls[0][0].messages[1].content).toContain('stored in an HSM');
+
+      const detail = await request(app)
+        .get(`/api/documents/${documentId}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(detail.body.document.analysis.summary).toBe('Signing key policy.');
+    });
+
+    test('should retry malformed replies with the validation error', async () => {
+      const chat = jest.spyOn(PROVIDERS.mock, 'chat')
+        .mockResolvedValueOnce('Sure! The document is about keys.')
+        .mockResolvedValueOnce(reply('Second try.'));
+      const documentId = await upload(Buffer.from('Key rotation policy.'), 'rotation.txt');
+
+      const response = await analyze(documentId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.analysis.summary).toBe('Second try.');
+      const retry = chat.mock.calls[1][0].messages;
+      expect(retry[retry.length - 1].content).toContain('no JSON object');
+    });
+
+    test('should keep the previous analysis when the model never returns valid JSON', async () => {
+      jest.spyOn(PROVIDERS.mock, 'chat').mockResolvedValueOnce(reply('Good analysis.'));
+      const documentId = await upload(Buffer.from('Key rotation policy.'), 'policy.txt');
+      await analyze(documentId);
+
+      jest.spyOn(PROVIDERS.mock, 'chat').mockResolvedValue('{"summary": ""}');
+      const response = await analyze(documentId);
+
+      expect(response.status).toBe(502);
+      expect(response.body.error).toContain('"summary" must be a non-empty string');
+      const stored = await getAsync('SELECT summary FROM document_analyses WHERE document_id = ?', [documentId]);
+      expect(stored.summary).toBe('Good analysis.');
+    });
+
+    test('should map-reduce documents that exceed the context window', async () => {
+      await setSetting('ai_mock_context_window', '1500');
+      const chat = jest.spyOn(PROVIDERS.mock, 'chat').mockImplementation(async (req) => {
+        const prompt = req.messages[1].content;
+        if (prompt.startsWith('These are analyses')) return reply('Whole document.');
+        return reply(prompt.match(/part \d of \d \(page \d\)/)[0]);
+      });
+      const page = (word) => Array(200).fill(word).join(' ');
+      const documentId = await upload(buildPdf([page('alpha'), page('bravo'), page('charlie')]), 'long.pdf');
+
+      const response = await analyze(documentId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.analysis.summary).toBe('Whole document.');
+      expect(response.body.analysis.chunkCount).toBe(3);
+      const reducePrompt = chat.mock.calls[3][0].messages[1].content;
+      expect(reducePrompt).toContain('part 1 of 3 (page 1)');
+      expect(reducePrompt).toContain('part 3 of 3 (page 3)');
+    });
+
+    test('should use the rule-based analysis when AI is switched off', async () => {
+      await setSetting('ai_provider', 'none');
+      const documentId = await upload(Buffer.from('Key rotation policy.'), 'offline.txt');
+
+      const response = await analyze(documentId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.analysis.provider).toBe('rule-based');
+      expect(response.body.analysis.summary).toContain('offline.txt');
+    });
+
+    test('should refuse documents without extracted text', async () => {
+      const documentId = await upload(Buffer.from('Text'), 'empty.txt');
+      await runAsync('DELETE FROM document_content WHERE document_id = ?', [documentId]);
+
+      const response = await analyze(documentId);
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const { initDatabase, runAsync, allAsync } = require('../../src/models/database');
+const embeddingService = require('../../src/services/embeddingService');
+const searchIndexService = require('../../src/services/searchIndexService');
+
+const { SOURCE_DOCUMENT } = searchIndexService;
+
+describe('Embedding Service', () => {
+  const originalProvider = process.env.EMBEDDING_PROVIDER;
+
+  beforeAll(async () => {
+    await initDatabase();
+    process.env.EMBEDDING_PROVIDER = 'hash';
+  });
+
+  afterAll(() => {
+    if (originalProvider === undefined) {
+      delete process.env.EMBEDDING_PROVIDER;
+    } else {
+      process.env.EMBEDDING_PROVIDER = originalProvider;
+    }
+  });
+
+  beforeEach(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key IN ('embedding_provider', 'embedding_model')");
+    await runAsync("DELETE FROM documents WHERE id LIKE 'embed-test-%'");
+    await runAsync("DELETE FROM rag_chunks WHERE source_id LIKE 'embed-test-%'");
+  });
+
+  afterEach(async () => {
+    await runAsync("DELETE FROM app_settings WHERE key IN ('embedding_provider', 'embedding_model')");
+  });
+
+  const indexDocument = async (id, name, text) => {
+    await runAsync(
+      `INSERT INTO documents (id, filename, original_name, file_path, file_type, file_size, upload_date)
+       VALUES (?, ?, ?, ?, 'txt', 0, ?)`,
+      [id, `${id}.txt`, name, `/tmp/${id}.txt`, new Date().toISOString()]
+    );
+    await searchIndexService.indexSource(SOURCE_DOCUMENT, id, name, text);
+  };
+
+  describe('hashEmbed', () => {
+    test('should return deterministic unit vectors', () => {
+      const a = embeddingService.hashEmbed('Manifest signing with hardware keys');
+      const b = embeddingService.hashEmbed('Manifest signing with hardware keys');
+
+      expect(a).toEqual(b);
+      expect(embeddingService.cosine(a, a)).toBeCloseTo(1, 5);
+    });
+
+    test('should score related wording above unrelated text', () => {
+      const query = embeddingService.hashEmbed('how are manifests signed');
+      const related = embeddingService.hashEmbed('Manifest signatures use COSE');
+      const unrelated = embeddingService.hashEmbed('Quarterly marketing budget review');
+
+      expect(embeddingService.cosine(query, related))
+        .toBeGreaterThan(embeddingService.cosine(query, unrelated));
+    });
+  });
+
+  describe('searchSimilar', () => {
+    test('should find a passage that shares no exact word with the question', async () => {
+      await indexDocument('embed-test-1', 'keys.txt', 'Signatures are produced with keys held in hardware security modules.');
+      await indexDocument('embed-test-2', 'budget.txt', 'The marketing budget is reviewed every quarter.');
+      const sourceIds = ['embed-test-1', 'embed-test-2'];
+
+      const lexical = await searchIndexService.search(SOURCE_DOCUMENT, ['signing'], { sourceIds });
+      const semantic = await embeddingService.searchSimilar(SOURCE_DOCUMENT, 'signing', { sourceIds });
+
+      expect(lexical).toHaveLength(0);
+      expect(semantic.map(r => r.sourceId)).toEqual(['embed-test-1']);
+      expect(semantic[0].similarity).toBeGreaterThan(0);
+    });
+
+    test('should drop vectors with their chunks', async () => {
+      await indexDocument('embed-test-1', 'temp.txt', 'Temporary provenance notes.');
+      const before = await allAsync(
+        `SELECT e.chunk_id FROM rag_embeddings e JOIN rag_chunks c ON c.id = e.chunk_id
+         WHERE c.source_id = 'embed-test-1'`
+      );
+      expect(before).toHaveLength(1);
+
+      await runAsync("DELETE FROM documents WHERE id = 'embed-test-1'");
+
+      const orphans = await allAsync(
+        'SELECT chunk_id FROM rag_embeddings WHERE chunk_id NOT IN (SELECT id FROM rag_chunks)'
+      );
+      expect(orphans).toHaveLength(0);
+    });
+  });
+
+  describe('hybridSearch', () => {
+    test('should rank a source found lexically and semantically first', async () => {
+      await indexDocument('embed-test-1', 'manifest.txt', 'Manifest signing uses COSE signatures and X.509 certificates.');
+      await indexDocument('embed-test-2', 'overview.txt', 'Signatures protect provenance claims.');
+      await indexDocument('embed-test-3', 'budget.txt', 'The marketing budget is reviewed every quarter.');
+
+      const results = await searchIndexService.hybridSearch(
+        SOURCE_DOCUMENT,
+        { keywords: ['manifest'], text: 'how is the manifest signed' },
+        { sourceIds: ['embed-test-1', 'embed-test-2', 'embed-test-3'] }
+      );
+
+      expect(results[0].sourceId).toBe('embed-test-1');
+      expect(results[0].lexicalRank).toBe(1);
+      expect(results[0].vectorRank).not.toBeNull();
+      expect(results.map(r => r.sourceId)).not.toContain('embed-test-3');
+    });
+  });
+
+  describe('getProvider', () => {
+    test('should prefer the embedding_provider setting and allow disabling', async () => {
+      expect((await embeddingService.getProvider()).name).toBe('hash');
+
+      await runAsync(
+        "INSERT INTO app_settings (key, value, type) VALUES ('embedding_provider', 'none', 'string')"
+      );
+
+      expect(await embeddingService.getProvider()).toBeNull();
+      expect(await embeddingService.searchSimilar(SOURCE_DOCUMENT, 'signing')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const request = require('supertest');
+const app = require('../../src/app');
+const { initDatabase, runAsync, getAsync } = require('../../src/models/database');
+const extractionService = require('../../src/services/extractionService');
+const { searchDocuments } = require('../../src/services/ragService');
+const buildPdf = require('../helpers/buildPdf');
+
+/**
+ * Build a minimal DOCX containing one paragraph per entry
+ */
+async function buildDocx(paragraphs) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml',
+    '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>');
+  zip.file('word/document.xml',
+    '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    paragraphs.map(text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join('') +
+    '</w:body></w:document>');
+  return await zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('Extraction Service', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    await initDatabase();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('extractText', () => {
+    test('should extract PDF text with per-page offsets', async () => {
+      const filePath = path.join(tmpDir, 'two-pages.pdf');
+      fs.writeFileSync(filePath, buildPdf(['First page about provenance', 'Second page about manifests']));
+
+      const { text, pages } = await extractionService.extractText(filePath, 'pdf');
+
+      expect(pages).toHaveLength(2);
+      expect(text.substring(pages[0].start, pages[0].end)).toBe('First page about provenance');
+      expect(text.substring(pages[1].start, pages[1].end)).toBe('Second page about manifests');
+      expect(extractionService.getPageForOffset(pages, text.indexOf('manifests'))).toBe(2);
+    });
+
+    test('should extract DOCX text', async () => {
+      const filePath = path.join(tmpDir, 'policy.docx');
+      fs.writeFileSync(filePath, await buildDocx(['Key management policy', 'Signing keys are rotated yearly']));
+
+      const { text, pages } = await extractionService.extractText(filePath, 'docx');
+
+      expect(text).toContain('Key management policy');
+      expect(text).toContain('Signing keys are rotated yearly');
+      expect(pages).toEqual([{ page: 1, start: 0, end: text.length }]);
+    });
+
+    test('should reject unsupported file types', async () => {
+      const filePath = path.join(tmpDir, 'image.png');
+      fs.writeFileSync(filePath, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+      await expect(extractionService.extractText(filePath, 'png')).rejects.toThrow('Unsupported file type');
+    });
+  });
+
+  describe('extractDocument', () => {
+    const documentId = 'extraction-test-doc';
+
+    afterEach(async () => {
+      await runAsync('DELETE FROM documents WHERE id = ?', [documentId]);
+    });
+
+    const insertDocument = async (filePath, fileType) => {
+      await runAsync(
+        `INSERT INTO documents (id, filename, original_name, file_path, file_type, file_size, upload_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [documentId, path.basename(filePath), path.basename(filePath), filePath, fileType, 0, new Date().toISOString()]
+      );
+    };
+
+    test('should record failure when the file is missing', async () => {
+      await insertDocument(path.join(tmpDir, 'missing.pdf'), 'pdf');
+
+      const result = await extractionService.extractDocument(documentId);
+
+      expect(result.status).toBe('failed');
+      const status = await extractionService.getExtractionStatus(documentId);
+      expect(status.status).toBe('failed');
+      expect(status.error).toBe('File not found on disk');
+    });
+
+    test('should record failure when the file cannot be parsed', async () => {
+      const filePath = path.join(tmpDir, 'corrupt.pdf');
+      fs.writeFileSync(filePath, 'not really a pdf');
+      await insertDocument(filePath, 'pdf');
+
+      await extractionService.extractDocument(documentId);
+
+      const status = await extractionService.getExtractionStatus(documentId);
+      expect(status.status).toBe('failed');
+      expect(status.error).toBeTruthy();
+    });
+
+    test('should mark unsupported types without failing', async () => {
+      const filePath = path.join(tmpDir, 'image.png');
+      fs.writeFileSync(filePath, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+      await insertDocument(filePath, 'png');
+
+      const result = await extractionService.extractDocument(documentId);
+
+      expect(result.status).toBe('unsupported');
+    });
+
+    test('should remove extracted content with the document', async () => {
+      const filePath = path.join(tmpDir, 'notes.txt');
+      fs.writeFileSync(filePath, 'Plain text notes');
+      await insertDocument(filePath, 'txt');
+      await extractionService.extractDocument(documentId);
+
+      await runAsync('DELETE FROM documents WHERE id = ?', [documentId]);
+
+      const row = await getAsync('SELECT * FROM document_content WHERE document_id = ?', [documentId]);
+      expect(row).toBeUndefined();
+    });
+  });
+
+  describe('document upload', () => {
+    let token;
+
+    beforeEach(async () => {
+      await runAsync('DELETE FROM users');
+      await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'extract@example.com', password: 'ExtractPass123!', name: 'Extract User' });
+      token = response.body.token;
+    });
+
+    test('should extract uploaded PDFs and make them searchable', async () => {
+      const pdf = buildPdf(['Introduction', 'Claim signatures require a hardware security module']);
+
+      const upload = await request(app)
+        .post('/api/documents/upload')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('file', pdf, 'hsm-guide.pdf');
+
+      expect(upload.status).toBe(201);
+      expect(upload.body.document.extraction.status).toBe('completed');
+      expect(upload.body.document.extraction.pageCount).toBe(2);
+
+      const documentId = upload.body.document.id;
+
+      const text = await request(app)
+        .get(`/api/documents/${documentId}/text`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(text.status).toBe(200);
+      expect(text.body.pages).toHaveLength(2);
+      expect(text.body.text).toContain('hardware security module');
+
+      const results = await searchDocuments(['signature']);
+      const match = results.find(result => result.documentId === documentId);
+      expect(match).toBeDefined();
+      expect(match.page).toBe(2);
+
+      await request(app)
+        .delete(`/api/documents/${documentId}`)
+        .set('Authorization', `Bearer ${token}`);
+    });
+  });
+});
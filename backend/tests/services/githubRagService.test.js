@@ -0,0 +1,256 @@
+const githubRagService = require('../../src/services/githubRagService');
+const githubAuthService = require('../../src/services/githubAuthService');
+const embeddingService = require('../../src/services/embeddingService');
+const buildTarball = require('../helpers/buildTarball');
+const { initDatabase, runAsync, getAsync, allAsync } = require('../../src/models/database');
+
+const OWNER = 'rag-test';
+const REPO = 'incremental';
+
+/**
+ * In-memory repository behind an Octokit-shaped client
+ * Each commit() snapshots the files; every response carries rate limit headers.
+ */
+function createFakeGitHub() {
+  const github = {
+    files: {},
+    commitSha: null,
+    blobs: {},
+    rateLimit: { limit: 5000, remaining: 4999, reset: Math.floor(Date.now() / 1000) + 3600 },
+    calls: [],
+    // Error thrown by the next call, once
+    failNext: null
+  };
+
+  const sha = (content) => require('crypto').createHash('sha1').update(`blob ${content}`).digest('hex');
+
+  github.commit = (files) => {
+    github.files = { ...files };
+    for (const content of Object.values(files)) github.blobs[sha(content)] = content;
+    github.commitSha = sha(JSON.stringify(files));
+  };
+
+  const respond = (name, handler) => async (params) => {
+    github.calls.push(name);
+    if (github.failNext) {
+      const error = github.failNext;
+      github.failNext = null;
+      throw error;
+    }
+    github.rateLimit.remaining--;
+    return {
+      data: handler(params),
+      headers: {
+        'x-ratelimit-limit': String(github.rateLimit.limit),
+        'x-ratelimit-remaining': String(github.rateLimit.remaining),
+        'x-ratelimit-reset': String(github.rateLimit.reset)
+      }
+    };
+  };
+
+  github.octokit = {
+    rest: {
+      repos: {
+        get: respond('repos.get', () => ({ default_branch: 'main' })),
+        downloadTarballArchive: respond('repos.downloadTarballArchive', ({ ref }) =>
+          new Uint8Array(buildTarball(github.files, `${OWNER}-${REPO}-${ref.substring(0, 7)}`)))
+      },
+      git: {
+        getRef: respond('git.getRef', () => ({ object: { sha: github.commitSha } })),
+        getTree: respond('git.getTree', () => ({
+          sha: `tree-${github.commitSha}`,
+          truncated: false,
+          tree: Object.entries(github.files).map(([filePath, content]) => ({
+            path: filePath,
+            type: 'blob',
+            sha: sha(content),
+            size: content.length
+          }))
+        })),
+        getBlob: respond('git.getBlob', ({ file_sha: fileSha }) => ({
+          content: Buffer.from(github.blobs[fileSha]).toString('base64'),
+          encoding: 'base64'
+        }))
+      }
+    }
+  };
+
+  return github;
+}
+
+describe('GitHub RAG Service - Indexing', () => {
+  let github;
+  let sleep;
+
+  const storedFiles = async () => {
+    const repo = await getAsync('SELECT id FROM github_repos WHERE repo_owner = ? AND repo_name = ?', [OWNER, REPO]);
+    const rows = await allAsync('SELECT file_path, content FROM github_files WHERE repo_id = ? ORDER BY file_path', [repo.id]);
+    return Object.fromEntries(rows.map(row => [row.file_path, row.content]));
+  };
+
+  const cleanup = async () => {
+    await runAsync('DELETE FROM github_repos WHERE repo_owner = ?', [OWNER]);
+    githubRagService.jobs.clear();
+  };
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await cleanup();
+    github = createFakeGitHub();
+    github.commit({
+      'README.md': '# Incremental\n\nA repository used to test incremental indexing of GitHub content.',
+      'src/manifest.js': 'function buildManifest() { return { claim_generator: "test" }; }',
+      'src/ingredient.js': 'function addIngredient() { return "ingredient"; }',
+      'image.png': 'not indexed'
+    });
+    githubAuthService.useServiceClient(github.octokit, null, 'secret');
+
+    sleep = jest.fn(async () => {});
+    githubRagService.sleep = sleep;
+    jest.spyOn(embeddingService, 'embedPendingChunks').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    githubAuthService.logout();
+  });
+
+  test('should download the archive on first index and record the commit', async () => {
+    const result = await githubRagService.indexRepository(OWNER, REPO, 'main');
+
+    expect(result.success).toBe(true);
+    expect(result.filesIndexed).toBe(3);
+    expect(result.report).toMatchObject({ status: 'complete', fetchMode: 'tarball', added: 3, updated: 0, removed: 0 });
+    expect(github.calls).toEqual(['git.getRef', 'git.getTree', 'repos.downloadTarballArchive']);
+
+    expect(Object.keys(await storedFiles())).toEqual(['README.md', 'src/ingredient.js', 'src/manifest.js']);
+    const repo = await getAsync('SELECT commit_sha, tree_sha, description FROM github_repos WHERE repo_owner = ?', [OWNER]);
+    expect(repo).toEqual({
+      commit_sha: github.commitSha,
+      tree_sha: `tree-${github.commitSha}`,
+      description: 'A repository used to test incremental indexing of GitHub content.'
+    });
+
+    const [listed] = (await githubRagService.getIndexedRepositories()).filter(r => r.owner === OWNER);
+    expect(listed.commitSha).toBe(github.commitSha);
+
+    const chunks = await getAsync(
+      `SELECT COUNT(*) AS count FROM rag_chunks c JOIN github_files f ON c.source_id = CAST(f.id AS TEXT)
+       WHERE c.source_type = 'github_file' AND f.file_path = 'src/manifest.js'`
+    );
+    expect(chunks.count).toBeGreaterThan(0);
+  });
+
+  test('should only fetch changed files and drop removed ones on re-index', async () => {
+    await githubRagService.indexRepository(OWNER, REPO, 'main');
+    const previousCommit = github.commitSha;
+    const kept = { ...github.files };
+    delete kept['src/ingredient.js'];
+    github.commit({
+      ...kept,
+      'src/manifest.js': 'function buildManifest() { return { claim_generator: "test/2.0" }; }',
+      'src/signer.js': 'function sign() { return "signed"; }'
+    });
+    github.calls = [];
+
+    const result = await githubRagService.indexRepository(OWNER, REPO, 'main');
+
+    expect(result.report).toMatchObject({
+      fetchMode: 'blobs',
+      previousCommitSha: previousCommit,
+      commitSha: github.commitSha,
+      added: 1,
+      updated: 1,
+      removed: 1,
+      unchanged: 1
+    });
+    expect(github.calls.filter(call => call === 'git.getBlob')).toHaveLength(2);
+    expect(github.calls).not.toContain('repos.downloadTarballArchive');
+
+    const files = await storedFiles();
+    expect(Object.keys(files)).toEqual(['README.md', 'src/manifest.js', 'src/signer.js']);
+    expect(files['src/manifest.js']).toContain('test/2.0');
+    const orphans = await getAsync(
+      `SELECT COUNT(*) AS count FROM rag_chunks WHERE source_type = 'github_file'
+       AND CAST(source_id AS INTEGER) NOT IN (SELECT id FROM github_files)`
+    );
+    expect(orphans.count).toBe(0);
+
+    // Nothing changed: no content is fetched at all
+    github.calls = [];
+    const unchanged = await githubRagService.indexRepository(OWNER, REPO, 'main');
+    expect(unchanged.report).toMatchObject({ fetchMode: null, added: 0, updated: 0, removed: 0, unchanged: 3 });
+    expect(github.calls).toEqual(['git.getRef', 'git.getTree']);
+    expect(embeddingService.embedPendingChunks).toHaveBeenCalledTimes(2);
+  });
+
+  test('should wait for the rate limit to reset when it runs low', async () => {
+    github.rateLimit.remaining = 101;
+    github.rateLimit.reset = Math.floor(Date.now() / 1000) + 60;
+    sleep.mockImplementation(async () => { github.rateLimit.remaining = github.rateLimit.limit; });
+
+    const result = await githubRagService.indexRepository(OWNER, REPO, 'main');
+
+    expect(result.success).toBe(true);
+    // getRef leaves 100 requests, the reserve, so the tree request waits
+    expect(sleep).toHaveBeenCalledTimes(1);
+    const waitedMs = sleep.mock.calls[0][0];
+    expect(waitedMs).toBeGreaterThan(55 * 1000);
+    expect(waitedMs).toBeLessThanOrEqual(61 * 1000);
+    expect(result.report.rateLimit).toMatchObject({ limit: 5000 });
+  });
+
+  test('should retry once after a rate limit error and give up on long waits', async () => {
+    const reset = Math.floor(Date.now() / 1000);
+    github.failNext = Object.assign(new Error('API rate limit exceeded'), {
+      status: 403,
+      response: { headers: { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset + 30) } }
+    });
+
+    const retried = await githubRagService.indexRepository(OWNER, REPO, 'main');
+    expect(retried.success).toBe(true);
+    expect(github.calls.slice(0, 2)).toEqual(['git.getRef', 'git.getRef']);
+    expect(sleep).toHaveBeenCalledTimes(1);
+
+    process.env.GITHUB_RATE_LIMIT_MAX_WAIT = '10';
+    try {
+      github.failNext = Object.assign(new Error('API rate limit exceeded'), {
+        status: 429,
+        response: { headers: { 'retry-after': '60' } }
+      });
+      const failed = await githubRagService.indexRepository(OWNER, REPO, 'main');
+      expect(failed.success).toBe(false);
+      expect(failed.error).toMatch(/rate limit reached; it resets at/);
+      expect(failed.report.status).toBe('failed');
+    } finally {
+      delete process.env.GITHUB_RATE_LIMIT_MAX_WAIT;
+    }
+  });
+
+  test('should report progress while indexing and refuse a second run', async () => {
+    const updates = [];
+    let concurrent;
+    const result = await githubRagService.indexRepository(OWNER, REPO, 'main', {
+      onProgress: (progress) => {
+        updates.push(progress.stage);
+        if (!concurrent) concurrent = githubRagService.indexRepository(OWNER, REPO, 'main');
+      }
+    });
+
+    expect(result.success).toBe(true);
+    expect(await concurrent).toEqual({ success: false, error: `${OWNER}/${REPO} is already being indexed` });
+    expect(updates).toEqual(['fetch', 'fetch', 'cleanup', 'done']);
+
+    const [job] = githubRagService.getIndexProgress().filter(j => j.repository === `${OWNER}/${REPO}`);
+    expect(job).toMatchObject({ status: 'complete', total: 3, processed: 3, branch: 'main' });
+    expect(job.apiCalls).toBe(3);
+    expect(job.finishedAt).not.toBeNull();
+  });
+});
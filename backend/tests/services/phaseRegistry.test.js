@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const phaseRegistry = require('../../src/services/phaseRegistry');
+
+const { PhaseDefinitionError } = phaseRegistry;
+
+describe('Phase Registry', () => {
+  let tmpDir;
+
+  const write = (name, content) =>
+    fs.writeFileSync(path.join(tmpDir, name), typeof content === 'string' ? content : JSON.stringify(content));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phases-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should load the shipped definitions for all six phases', () => {
+    const phases = phaseRegistry.loadDefinitions();
+
+    expect(phases.map(phase => phase.id)).toEqual(['phase-1', 'phase-2', 'phase-3', 'phase-4', 'phase-5', 'phase-6']);
+    expect(phaseRegistry.getPhase('phase-1').features).toEqual(['eoi']);
+    expect(phaseRegistry.getNextPhase('phase-2').id).toBe('phase-3');
+    expect(phaseRegistry.getNextPhase('phase-6')).toBeNull();
+  });
+
+  test('should load YAML and JSON definitions in order with defaults', () => {
+    write('b.json', { id: 'review', order: 2, name: 'Review' });
+    write('a.yaml', [
+      'id: intro',
+      'order: 1',
+      'name: Intro',
+      'checklist:',
+      '  - id: basics',
+      '    title: Basics',
+      '    items: [Read the FAQ]',
+      'completion:',
+      '  - id: docs',
+      '    type: documents',
+      '    weight: 1'
+    ].join('\n'));
+
+    const phases = phaseRegistry.loadDefinitions(tmpDir);
+
+    expect(phases.map(phase => phase.id)).toEqual(['intro', 'review']);
+    expect(phases[0].checklist[0]).toEqual({ id: 'basics', title: 'Basics', description: '', required: false, items: ['Read the FAQ'] });
+    expect(phases[0].completion[0]).toMatchObject({ label: 'docs', nextStep: null });
+    expect(phases[1].uploads).toMatchObject({
+      directory: 'review-submissions',
+      categoryPrefix: 'review',
+      defaultType: 'review-general',
+      maxFiles: 10
+    });
+  });
+
+  test('should name the file of an invalid definition', () => {
+    write('phase-x.json', { id: 'phase-x', order: 1, name: 'X', completion: [{ id: 'a', type: 'votes', weight: 1 }] });
+
+    expect(() => phaseRegistry.loadDefinitions(tmpDir))
+      .toThrow(new PhaseDefinitionError('Completion rule "a" has unknown type "votes"', path.join(tmpDir, 'phase-x.json')));
+  });
+
+  test('should reject EOI rules without the eoi feature', () => {
+    expect(() => phaseRegistry.validateDefinition({
+      id: 'phase-x', order: 1, name: 'X', completion: [{ id: 'eoi', type: 'eoi', weight: 1 }]
+    })).toThrow('Completion rule "eoi" needs the eoi feature');
+  });
+
+  test('should reject invalid rule thresholds', () => {
+    const definition = (rule) => ({ id: 'phase-x', order: 1, name: 'X', completion: [{ id: 'a', weight: 1, ...rule }] });
+
+    expect(() => phaseRegistry.validateDefinition(definition({ type: 'reviewed', min: 0 })))
+      .toThrow('Completion rule "a" min must be a positive integer');
+    expect(() => phaseRegistry.validateDefinition(definition({ type: 'evidence', coverage: 120 })))
+      .toThrow('Completion rule "a" coverage must be a percentage');
+  });
+
+  test('should reject duplicate phase ids and orders', () => {
+    write('a.json', { id: 'intro', order: 1, name: 'Intro' });
+    write('b.json', { id: 'other', order: 1, name: 'Other' });
+
+    expect(() => phaseRegistry.loadDefinitions(tmpDir)).toThrow('b.json: Duplicate phase order "1" (also in a.json)');
+  });
+
+  test('should report files that cannot be parsed', () => {
+    write('broken.json', '{ "id": ');
+
+    expect(() => phaseRegistry.loadDefinitions(tmpDir)).toThrow(/^broken\.json: Cannot parse/);
+  });
+});
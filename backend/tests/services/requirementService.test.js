@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require('uuid');
+const { initDatabase, runAsync, allAsync } = require('../../src/models/database');
+const Workspace = require('../../src/models/workspace');
+const extractionService = require('../../src/services/extractionService');
+const requirementService = require('../../src/services/requirementService');
+
+const SOURCE = { prefix: 'GPSR', defaultPhase: 'phase-2' };
+
+const DOCUMENT_V1 = [
+  'C2PA Generator Product Security Requirements',
+  '1 Introduction',
+  'This document describes what implementers must know before reading it.',
+  '2 Key Management',
+  'The private key must be stored in a hardware security module.',
+  'Keys should be rotated at least once a year.',
+  'Implementers may log key usage.',
+  'Page 2 of 10',
+  '3 Vulnerability Handling',
+  'GPSR-3.1: The vendor shall notify the C2PA of any vulnerability within 30 days.'
+].join('\n');
+
+describe('Requirement Service', () => {
+  let documentId;
+  let workspace;
+
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync('DELETE FROM checklist_items WHERE requirement_id IS NOT NULL');
+    await runAsync('DELETE FROM requirements');
+    await runAsync("DELETE FROM workspaces WHERE id != 'sanmarcsoft-llc'");
+
+    documentId = uuidv4();
+    await runAsync(
+      `INSERT INTO documents (id, filename, original_name, file_path, file_type, file_size, category, upload_date)
+       VALUES (?, 'gpsr.pdf', 'C2PA Generator Product Security Requirements.pdf', '/tmp/gpsr.pdf', 'application/pdf', 1, 'requirements', ?)`,
+      [documentId, new Date().toISOString()]
+    );
+    workspace = await Workspace.create({ name: 'Requirement Test Co' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await runAsync('DELETE FROM documents WHERE id = ?', [documentId]);
+  });
+
+  afterAll(async () => {
+    // Other suites expect new workspaces to start with an empty checklist
+    await runAsync('DELETE FROM checklist_items WHERE requirement_id IS NOT NULL');
+    await runAsync('DELETE FROM requirements');
+  });
+
+  const extract = (text) => {
+    jest.spyOn(extractionService, 'getContent').mockResolvedValue({ text, pages: [] });
+    return requirementService.extractFromDocument(documentId, SOURCE, 'GPSR');
+  };
+
+  const checklistFor = (workspaceId) => allAsync(
+    `SELECT c.*, r.ref FROM checklist_items c JOIN requirements r ON r.id = c.requirement_id
+     WHERE c.workspace_id = ? ORDER BY c.order_index`,
+    [workspaceId]
+  );
+
+  describe('parseRequirements', () => {
+    test('should keep MUST and SHOULD statements with section and level', () => {
+      const requirements = requirementService.parseRequirements(DOCUMENT_V1, SOURCE);
+
+      expect(requirements.map(r => [r.ref, r.level, r.section])).toEqual([
+        ['GPSR-2-1', 'MUST', '2 Key Management'],
+        ['GPSR-2-2', 'SHOULD', '2 Key Management'],
+        ['GPSR-3.1', 'MUST', '3 Vulnerability Handling']
+      ]);
+    });
+
+    test('should use the explicit reference and strip it from the text', () => {
+      const [, , explicit] = requirementService.parseRequirements(DOCUMENT_V1, SOURCE);
+
+      expect(explicit.text).toBe('The vendor shall notify the C2PA of any vulnerability within 30 days.');
+    });
+
+    test('should map requirements to phases by keyword, falling back to the default', () => {
+      const requirements = requirementService.parseRequirements(DOCUMENT_V1, SOURCE);
+
+      expect(requirements[0].phaseId).toBe('phase-2');
+      expect(requirements[2].phaseId).toBe('phase-6');
+    });
+
+    test('should join list items and hyphenated lines into statements', () => {
+      const requirements = requirementService.parseRequirements([
+        '4 Claim Signing',
+        '• The generator must sign every mani-',
+        'fest it produces.',
+        '• The generator should embed a timestamp in each claim.'
+      ].join('\n'), SOURCE);
+
+      expect(requirements.map(r => r.text)).toEqual([
+        'The generator must sign every manifest it produces.',
+        'The generator should embed a timestamp in each claim.'
+      ]);
+    });
+  });
+
+  describe('extractFromDocument', () => {
+    test('should store requirements and seed every workspace checklist', async () => {
+      const result = await extract(DOCUMENT_V1);
+
+      expect(result).toMatchObject({ total: 3, added: 3, updated: 0, withdrawn: 0 });
+
+      const items = await checklistFor(workspace.id);
+      expect(items.map(item => item.ref)).toEqual(['GPSR-2-1', 'GPSR-2-2', 'GPSR-3.1']);
+      expect(items[0].description).toContain('Source: GPSR, section 2 Key Management');
+    });
+
+    test('should be idempotent when the document has not changed', async () => {
+      await extract(DOCUMENT_V1);
+      const result = await extract(DOCUMENT_V1);
+
+      expect(result).toMatchObject({ added: 0, updated: 0, unchanged: 3, withdrawn: 0 });
+      expect(result.checklist).toEqual({ seeded: 0, refreshed: 0, removed: 0 });
+      expect(await checklistFor(workspace.id)).toHaveLength(3);
+    });
+
+    test('should update changed and withdraw missing requirements, keeping progress', async () => {
+      await extract(DOCUMENT_V1);
+      await runAsync(
+        "UPDATE checklist_items SET status = 'completed' WHERE workspace_id = ? AND title LIKE 'The private key%'",
+        [workspace.id]
+      );
+
+      const result = await extract(DOCUMENT_V1
+        .replace('Keys should be rotated at least once a year.', '')
+        .replace('hardware security module', 'FIPS 140-3 hardware security module'));
+
+      expect(result).toMatchObject({ added: 0, updated: 1, unchanged: 1, withdrawn: 1 });
+
+      const items = await checklistFor(workspace.id);
+      expect(items.map(item => item.ref)).toEqual(['GPSR-2-1', 'GPSR-3.1']);
+      expect(items[0].status).toBe('completed');
+      expect(items[0].title).toContain('FIPS 140-3');
+
+      const withdrawn = await requirementService.listRequirements({ status: 'withdrawn' });
+      expect(withdrawn.map(r => r.ref)).toEqual(['GPSR-2-2']);
+    });
+
+    test('should seed workspaces created after extraction', async () => {
+      await extract(DOCUMENT_V1);
+
+      const later = await Workspace.create({ name: 'Late Joiner Co' });
+
+      expect(await checklistFor(later.id)).toHaveLength(3);
+    });
+  });
+});
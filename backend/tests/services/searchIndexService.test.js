@@ -0,0 +1,162 @@
+const { initDatabase, runAsync, getAsync, allAsync } = require('../../src/models/database');
+const searchIndexService = require('../../src/services/searchIndexService');
+const githubRagService = require('../../src/services/githubRagService');
+
+const { SOURCE_DOCUMENT, SOURCE_GITHUB_FILE } = searchIndexService;
+
+describe('Search Index Service', () => {
+  beforeAll(async () => {
+    await initDatabase();
+  });
+
+  beforeEach(async () => {
+    await runAsync("DELETE FROM documents WHERE id LIKE 'search-test-%'");
+    await runAsync("DELETE FROM github_repos WHERE repo_owner = 'search-test'");
+    await runAsync("DELETE FROM rag_chunks WHERE source_id LIKE 'search-test-%'");
+  });
+
+  const insertDocument = async (id, name) => {
+    await runAsync(
+      `INSERT INTO documents (id, filename, original_name, file_path, file_type, file_size, upload_date)
+       VALUES (?, ?, ?, ?, 'txt', 0, ?)`,
+      [id, `${id}.txt`, name, `/tmp/${id}.txt`, new Date().toISOString()]
+    );
+  };
+
+  const insertGithubFile = async (filePath, content) => {
+    await runAsync(
+      `INSERT OR IGNORE INTO github_repos (repo_owner, repo_name, branch) VALUES ('search-test', 'repo', 'main')`
+    );
+    const repo = await getAsync("SELECT id FROM github_repos WHERE repo_owner = 'search-test'");
+    const result = await runAsync(
+      `INSERT INTO github_files (repo_id, file_path, file_name, file_extension, content, size)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [repo.id, filePath, filePath.split('/').pop(), '.md', content, content.length]
+    );
+    return result.lastID;
+  };
+
+  describe('chunkText', () => {
+    test('should split long text into overlapping chunks on word boundaries', () => {
+      const words = Array.from({ length: 600 }, (_, i) => `word${i}`);
+      const text = words.join(' ');
+
+      const chunks = searchIndexService.chunkText(text, { size: 500, overlap: 100 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => {
+        expect(chunk.content).toBe(text.substring(chunk.start, chunk.end));
+        expect(chunk.content.startsWith(' ')).toBe(false);
+      });
+      for (let i = 1; i < chunks.length; i++) {
+        expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+        expect(chunks[i].start).toBeGreaterThan(chunks[i - 1].start);
+      }
+      expect(chunks[chunks.length - 1].end).toBe(text.length);
+    });
+
+    test('should return no chunks for blank text', () => {
+      expect(searchIndexService.chunkText('   ')).toEqual([]);
+    });
+  });
+
+  describe('buildMatchQuery', () => {
+    test('should quote terms so FTS operators are literal', () => {
+      expect(searchIndexService.buildMatchQuery(['key management', 'NOT', 'a"b']))
+        .toBe('"key management" OR "NOT" OR "a b"');
+      expect(searchIndexService.buildMatchQuery([])).toBeNull();
+    });
+  });
+
+  describe('search', () => {
+    test('should rank sources by BM25 and return the best chunk', async () => {
+      await insertDocument('search-test-1', 'general.txt');
+      await insertDocument('search-test-2', 'signing.txt');
+      await searchIndexService.indexSource(SOURCE_DOCUMENT, 'search-test-1', 'general.txt',
+        'An overview of the program with one mention of signing.');
+      await searchIndexService.indexSource(SOURCE_DOCUMENT, 'search-test-2', 'signing.txt',
+        'Signing keys protect signing operations. Signing must use an HSM.');
+
+      const results = await searchIndexService.search(SOURCE_DOCUMENT, ['signing'], {
+        sourceIds: ['search-test-1', 'search-test-2']
+      });
+
+      expect(results.map(r => r.sourceId)).toEqual(['search-test-2', 'search-test-1']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    test('should match word stems', async () => {
+      await insertDocument('search-test-1', 'claims.txt');
+      await searchIndexService.indexSource(SOURCE_DOCUMENT, 'search-test-1', 'claims.txt',
+        'Claim signatures are validated by the consumer.');
+
+      const results = await searchIndexService.search(SOURCE_DOCUMENT, ['signature'], {
+        sourceIds: ['search-test-1']
+      });
+
+      expect(results).toHaveLength(1);
+    });
+
+    test('should replace chunks when a source is re-indexed', async () => {
+      await insertDocument('search-test-1', 'draft.txt');
+      await searchIndexService.indexSource(SOURCE_DOCUMENT, 'search-test-1', 'draft.txt', 'original provenance text');
+      await searchIndexService.indexSource(SOURCE_DOCUMENT, 'search-test-1', 'draft.txt', 'revised manifest text');
+
+      const old = await searchIndexService.search(SOURCE_DOCUMENT, ['provenance'], { sourceIds: ['search-test-1'] });
+      const current = await searchIndexService.search(SOURCE_DOCUMENT, ['manifest'], { sourceIds: ['search-test-1'] });
+
+      expect(old).toHaveLength(0);
+      expect(current).toHaveLength(1);
+    });
+
+    test('should drop chunks when the document is deleted', async () => {
+      await insertDocument('search-test-1', 'temp.txt');
+      await searchIndexService.indexSource(SOURCE_DOCUMENT, 'search-test-1', 'temp.txt', 'temporary assertion text');
+
+      await runAsync("DELETE FROM documents WHERE id = 'search-test-1'");
+
+      const chunks = await allAsync("SELECT id FROM rag_chunks WHERE source_id = 'search-test-1'");
+      expect(chunks).toHaveLength(0);
+      const results = await searchIndexService.search(SOURCE_DOCUMENT, ['assertion'], { sourceIds: ['search-test-1'] });
+      expect(results).toHaveLength(0);
+    });
+  });
+
+  describe('backfill', () => {
+    test('should index GitHub files that have no chunks', async () => {
+      const fileId = await insertGithubFile('docs/trust-list.md', 'The trust list defines accepted certificate authorities.');
+
+      await searchIndexService.backfill();
+
+      const chunks = await allAsync(
+        'SELECT * FROM rag_chunks WHERE source_type = ? AND source_id = ?',
+        [SOURCE_GITHUB_FILE, String(fileId)]
+      );
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].title).toBe('docs/trust-list.md');
+
+      // Re-running does not duplicate chunks
+      await searchIndexService.backfill();
+      const again = await allAsync(
+        'SELECT id FROM rag_chunks WHERE source_type = ? AND source_id = ?',
+        [SOURCE_GITHUB_FILE, String(fileId)]
+      );
+      expect(again).toHaveLength(1);
+    });
+  });
+
+  describe('githubRagService.searchRepositories', () => {
+    test('should search indexed files of the filtered repository', async () => {
+      const fileId = await insertGithubFile('src/signer.js', 'function signManifest(claim) { return cose.sign(claim); }');
+      await searchIndexService.indexSource(SOURCE_GITHUB_FILE, fileId, 'src/signer.js',
+        'function signManifest(claim) { return cose.sign(claim); }');
+
+      const results = await githubRagService.searchRepositories(['cose'], 'search-test/repo');
+
+      expect(results).toHaveLength(1);
+      expect(results[0].filePath).toBe('src/signer.js');
+      expect(results[0].repository).toBe('search-test/repo');
+      expect(results[0].excerpt).toContain('cose.sign');
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { useEffect, useState } from 'react';
 import { AuthProvider } from './contexts/AuthContext';
 import Header from './components/Header';
@@ -9,8 +9,9 @@ import Register from './components/Auth/Register';
 import HomePage from './pages/HomePage';
 import ChatPage from './pages/ChatPage';
 import DocumentsPage from './pages/DocumentsPage';
+import DocumentDetailPage from './pages/DocumentDetailPage';
 import ProgressPage from './pages/ProgressPage';
-import Phase1Page from './pages/Phase1Page';
+import PhasePage from './pages/PhasePage';
 import AdminPage from './pages/AdminPage';
 import SettingsPage from './pages/SettingsPage';
 import ProfilePage from './pages/ProfilePage';
@@ -61,8 +62,10 @@ function App() {
                 <Route path="/" element={<HomePage />} />
                 <Route path="/chat" element={<ChatPage />} />
                 <Route path="/documents" element={<DocumentsPage />} />
+                <Route path="/documents/:id" element={<DocumentDetailPage />} />
                 <Route path="/progress" element={<ProgressPage />} />
-                <Route path="/phase1" element={<Phase1Page />} />
+                <Route path="/phases/:phaseId" element={<PhasePage />} />
+                <Route path="/phase1" element={<Navigate to="/phases/phase-1" replace />} />
 
                 {/* Admin Routes */}
                 <Route path="/admin" element={
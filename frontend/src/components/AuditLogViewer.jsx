@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { actor: '', action: '', entityType: '', from: '', to: '' };
+
+// Audit trail browser for the admin panel: filter, page, verify and export
+const AuditLogViewer = ({ token }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    loadEvents();
+  }, [applied, offset]);
+
+  const queryString = (extra = {}) => {
+    const params = new URLSearchParams();
+    Object.entries({ ...applied, ...extra }).forEach(([key, value]) => {
+      if (value !== '' && value !== undefined && value !== null) params.set(key, value);
+    });
+    return params.toString();
+  };
+
+  const loadEvents = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`/api/admin/audit?${queryString({ limit: PAGE_SIZE, offset })}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setEvents(data.events);
+        setTotal(data.total);
+        setError(null);
+      } else {
+        setError(data.error);
+      }
+    } catch (err) {
+      console.error('Error loading audit events:', err);
+      setError('Failed to load audit events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const verifyChain = async () => {
+    try {
+      const response = await fetch('/api/admin/audit/verify', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      setVerification(data.success ? data : { valid: false, reason: data.error });
+    } catch (err) {
+      console.error('Error verifying audit chain:', err);
+      setVerification({ valid: false, reason: 'Failed to verify audit chain' });
+    }
+  };
+
+  const exportEvents = async (format) => {
+    try {
+      const response = await fetch(`/api/admin/audit/export?${queryString({ format })}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setError(data.error);
+        return;
+      }
+
+      const blob = await response.blob();
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `audit.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting audit events:', err);
+      setError('Failed to export audit events');
+    }
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setApplied(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setOffset(0);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  const formatValue = (value) => (value === null || value === undefined ? '∅' : JSON.stringify(value));
+
+  return (
+    <div className="admin-section audit-section">
+      <h2>🧾 Audit Trail</h2>
+      <p className="section-description">
+        Every change to phases, checklists, evidence, documents, the Expression of Interest, users and settings.
+        Events cannot be edited and are hash-chained so tampering can be detected.
+      </p>
+
+      <form className="audit-filters" onSubmit={applyFilters}>
+        <input
+          type="text"
+          placeholder="Actor (email or ID)"
+          value={filters.actor}
+          onChange={(e) => setFilters({ ...filters, actor: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder="Action (e.g. checklist)"
+          value={filters.action}
+          onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+        />
+        <input
+          type="text"
+          placeholder="Entity type"
+          value={filters.entityType}
+          onChange={(e) => setFilters({ ...filters, entityType: e.target.value })}
+        />
+        <input
+          type="date"
+          title="From"
+          value={filters.from}
+          onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+        />
+        <input
+          type="date"
+          title="To"
+          value={filters.to}
+          onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+        />
+        <button type="submit" className="btn-primary btn-small">FILTER</button>
+        <button type="button" className="btn-secondary btn-small" onClick={resetFilters}>RESET</button>
+      </form>
+
+      <div className="audit-toolbar">
+        <span>{total} event{total === 1 ? '' : 's'}</span>
+        <div className="audit-toolbar-actions">
+          <button className="btn-secondary btn-small" onClick={verifyChain}>VERIFY CHAIN</button>
+          <button className="btn-secondary btn-small" onClick={() => exportEvents('csv')}>EXPORT CSV</button>
+          <button className="btn-secondary btn-small" onClick={() => exportEvents('json')}>EXPORT JSON</button>
+        </div>
+      </div>
+
+      {verification && (
+        <div className={`audit-verification ${verification.valid ? 'valid' : 'broken'}`}>
+          {verification.valid
+            ? `✓ Chain intact (${verification.checked} events checked)`
+            : `✗ ${verification.reason}${verification.brokenAt ? ` at event #${verification.brokenAt}` : ''}`}
+        </div>
+      )}
+
+      {error && <div className="audit-error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading audit events...</div>
+      ) : events.length > 0 ? (
+        <div className="users-table-container">
+          <table className="users-table audit-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>When</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Entity</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <React.Fragment key={event.id}>
+                  <tr onClick={() => setExpanded(expanded === event.id ? null : event.id)} className="audit-row">
+                    <td>{event.seq}</td>
+                    <td>{new Date(event.createdAt).toLocaleString()}</td>
+                    <td>{event.actorEmail || 'system'}</td>
+                    <td><code>{event.action}</code></td>
+                    <td>{event.entityType}{event.entityId ? ` ${event.entityId.substring(0, 12)}` : ''}</td>
+                    <td>{Object.keys(event.changes).join(', ') || '-'}</td>
+                  </tr>
+                  {expanded === event.id && (
+                    <tr className="audit-details">
+                      <td colSpan="6">
+                        <ul className="audit-changes">
+                          {Object.entries(event.changes).map(([field, change]) => (
+                            <li key={field}>
+                              <strong>{field}</strong>: {formatValue(change.from)} → {formatValue(change.to)}
+                            </li>
+                          ))}
+                        </ul>
+                        <div className="audit-meta">
+                          {event.method} {event.path} · {event.ip || 'no IP'} · {event.userAgent || 'no user agent'}
+                          {event.workspaceId && ` · workspace ${event.workspaceId}`}
+                        </div>
+                        <div className="audit-meta">hash {event.hash}</div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="empty-state">No audit events match these filters.</div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="audit-pagination">
+          <button
+            className="btn-secondary btn-small"
+            disabled={offset === 0}
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+          >
+            ← NEWER
+          </button>
+          <span>{offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+          <button
+            className="btn-secondary btn-small"
+            disabled={offset + PAGE_SIZE >= total}
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+          >
+            OLDER →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -0,0 +1,408 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const EMPTY_EOI = {
+  companyName: '',
+  contactName: '',
+  contactEmail: '',
+  contactPhone: '',
+  companyWebsite: '',
+  productDescription: '',
+  intendedUseCase: '',
+  estimatedTimeline: '3-6 months'
+};
+
+const EOI_STATUS_LABELS = {
+  draft: 'Draft',
+  ready: 'Ready to submit',
+  submitted: 'Submitted to C2PA',
+  acknowledged: 'Acknowledged by C2PA'
+};
+
+// Expression of Interest editor; onStatusChange lets the phase page refresh its status
+const EoiPanel = ({ onStatusChange }) => {
+  const { authHeaders, activeWorkspaceId } = useAuth();
+  const [eoiForm, setEoiForm] = useState(EMPTY_EOI);
+  const [eoi, setEoi] = useState(null);
+  const [eoiErrors, setEoiErrors] = useState({});
+  const [eoiMessage, setEoiMessage] = useState(null);
+  const [suggestion, setSuggestion] = useState(null);
+  const [improving, setImproving] = useState(false);
+  const [submissionResult, setSubmissionResult] = useState(null);
+
+  useEffect(() => {
+    fetchEoi();
+  }, [activeWorkspaceId]);
+
+  const fetchEoi = async () => {
+    try {
+      const response = await fetch('/api/phase1/eoi', { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        showEoi(data.eoi);
+      }
+    } catch (error) {
+      console.error('Error fetching EOI:', error);
+    }
+  };
+
+  const showEoi = (record) => {
+    setEoi(record);
+    setEoiForm({ ...EMPTY_EOI, ...(record ? record.data : {}) });
+    setEoiErrors({});
+  };
+
+  // Field errors from the API, keyed by field name
+  const showEoiErrors = (data) => {
+    const errors = {};
+    (data.errors || []).forEach(({ field, message }) => {
+      errors[field] = message;
+    });
+    setEoiErrors(errors);
+    setEoiMessage(data.error);
+  };
+
+  const handleEoiSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await fetch('/api/phase1/submit-eoi', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(eoiForm)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        showEoi(data.eoi);
+        setEoiMessage(null);
+        setSubmissionResult(data);
+        if (onStatusChange) onStatusChange();
+      } else {
+        showEoiErrors(data);
+      }
+    } catch (error) {
+      console.error('Error submitting EOI:', error);
+      alert('Submission failed. Please try again.');
+    }
+  };
+
+  const saveEoiDraft = async () => {
+    try {
+      const response = await fetch('/api/phase1/eoi', {
+        method: 'PUT',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(eoiForm)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        showEoi(data.eoi);
+        setEoiMessage(`Draft saved (version ${data.eoi.version})`);
+      } else {
+        showEoiErrors(data);
+      }
+    } catch (error) {
+      console.error('Error saving EOI draft:', error);
+      setEoiMessage('Failed to save the draft. Please try again.');
+    }
+  };
+
+  const changeEoiStatus = async (status) => {
+    let reference;
+    if (status === 'submitted') {
+      reference = window.prompt('C2PA reference or confirmation number (optional):') || undefined;
+    }
+
+    try {
+      const response = await fetch('/api/phase1/eoi/status', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ status, reference })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        showEoi(data.eoi);
+        setEoiMessage(`Status: ${EOI_STATUS_LABELS[status]}`);
+        if (onStatusChange) onStatusChange();
+      } else {
+        showEoiErrors(data);
+      }
+    } catch (error) {
+      console.error('Error changing EOI status:', error);
+    }
+  };
+
+  const improveDescription = async () => {
+    setImproving(true);
+    setSuggestion(null);
+    try {
+      const response = await fetch('/api/phase1/eoi/improve-description', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ productDescription: eoiForm.productDescription })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSuggestion(data.suggestion);
+      } else {
+        setEoiMessage(data.error);
+      }
+    } catch (error) {
+      console.error('Error improving description:', error);
+    } finally {
+      setImproving(false);
+    }
+  };
+
+  // Exports need the auth header, so they are fetched and saved as a blob
+  const exportEoi = async (format) => {
+    try {
+      const response = await fetch(`/api/phase1/eoi/export?format=${format}`, { headers: authHeaders() });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to export');
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `C2PA-EOI.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting EOI:', error);
+      setEoiMessage(error.message);
+    }
+  };
+
+  // Submitted and acknowledged EOIs can no longer be edited
+  const eoiLocked = eoi && !['draft', 'ready'].includes(eoi.status);
+
+  return (
+    <div className="eoi-section">
+      <h2>Submit Expression of Interest</h2>
+      <p className="section-description">
+        Prepare your Expression of Interest for the C2PA Conformance Program.
+      </p>
+
+      {eoi && (
+        <div className={`eoi-status eoi-status-${eoi.status}`}>
+          <span>
+            {EOI_STATUS_LABELS[eoi.status]} · version {eoi.version}
+            {eoi.reference && ` · reference ${eoi.reference}`}
+          </span>
+          <div className="eoi-status-actions">
+            {eoi.status === 'ready' && (
+              <>
+                <button className="action-btn secondary" onClick={() => changeEoiStatus('draft')}>
+                  Back to Draft
+                </button>
+                <button className="action-btn primary" onClick={() => changeEoiStatus('submitted')}>
+                  Mark as Submitted
+                </button>
+              </>
+            )}
+            {eoi.status === 'submitted' && (
+              <button className="action-btn primary" onClick={() => changeEoiStatus('acknowledged')}>
+                Mark as Acknowledged
+              </button>
+            )}
+            <button className="action-btn secondary" onClick={() => exportEoi('pdf')}>PDF</button>
+            <button className="action-btn secondary" onClick={() => exportEoi('json')}>JSON</button>
+          </div>
+        </div>
+      )}
+      {eoiMessage && <p className="eoi-message">{eoiMessage}</p>}
+
+      {!submissionResult ? (
+        <form onSubmit={handleEoiSubmit} className="eoi-form">
+          <fieldset className="eoi-fieldset" disabled={eoiLocked}>
+            <div className="form-group">
+              <label>Company Name *</label>
+              <input
+                type="text"
+                value={eoiForm.companyName}
+                onChange={(e) => setEoiForm({ ...eoiForm, companyName: e.target.value })}
+                required
+              />
+              {eoiErrors.companyName && <span className="field-error">{eoiErrors.companyName}</span>}
+            </div>
+
+            <div className="form-group">
+              <label>Contact Name *</label>
+              <input
+                type="text"
+                value={eoiForm.contactName}
+                onChange={(e) => setEoiForm({ ...eoiForm, contactName: e.target.value })}
+                required
+              />
+              {eoiErrors.contactName && <span className="field-error">{eoiErrors.contactName}</span>}
+            </div>
+
+            <div className="form-group">
+              <label>Contact Email *</label>
+              <input
+                type="email"
+                value={eoiForm.contactEmail}
+                onChange={(e) => setEoiForm({ ...eoiForm, contactEmail: e.target.value })}
+                required
+              />
+              {eoiErrors.contactEmail && <span className="field-error">{eoiErrors.contactEmail}</span>}
+            </div>
+
+            <div className="form-group">
+              <label>Contact Phone</label>
+              <input
+                type="tel"
+                value={eoiForm.contactPhone}
+                onChange={(e) => setEoiForm({ ...eoiForm, contactPhone: e.target.value })}
+              />
+              {eoiErrors.contactPhone && <span className="field-error">{eoiErrors.contactPhone}</span>}
+            </div>
+
+            <div className="form-group">
+              <label>Company Website</label>
+              <input
+                type="url"
+                value={eoiForm.companyWebsite}
+                onChange={(e) => setEoiForm({ ...eoiForm, companyWebsite: e.target.value })}
+                placeholder="https://example.com"
+              />
+              {eoiErrors.companyWebsite && <span className="field-error">{eoiErrors.companyWebsite}</span>}
+            </div>
+
+            <div className="form-group">
+              <label>Product Description *</label>
+              <textarea
+                value={eoiForm.productDescription}
+                onChange={(e) => setEoiForm({ ...eoiForm, productDescription: e.target.value })}
+                rows="4"
+                placeholder="Describe your product and its content generation capabilities..."
+                required
+              />
+              <button
+                type="button"
+                className="improve-btn"
+                onClick={improveDescription}
+                disabled={improving || !eoiForm.productDescription}
+              >
+                {improving ? 'Improving...' : '✨ Improve with AI'}
+              </button>
+              {suggestion && (
+                <div className="description-suggestion">
+                  <p>{suggestion}</p>
+                  <button
+                    type="button"
+                    className="action-btn primary"
+                    onClick={() => {
+                      setEoiForm({ ...eoiForm, productDescription: suggestion });
+                      setSuggestion(null);
+                    }}
+                  >
+                    Use Suggestion
+                  </button>
+                  <button type="button" className="action-btn secondary" onClick={() => setSuggestion(null)}>
+                    Keep Mine
+                  </button>
+                </div>
+              )}
+              {eoiErrors.productDescription && <span className="field-error">{eoiErrors.productDescription}</span>}
+            </div>
+
+            <div className="form-group">
+              <label>Intended Use Case</label>
+              <textarea
+                value={eoiForm.intendedUseCase}
+                onChange={(e) => setEoiForm({ ...eoiForm, intendedUseCase: e.target.value })}
+                rows="4"
+                placeholder="How will you use C2PA content credentials?"
+              />
+              {eoiErrors.intendedUseCase && <span className="field-error">{eoiErrors.intendedUseCase}</span>}
+            </div>
+
+            <div className="form-group">
+              <label>Estimated Timeline</label>
+              <select
+                value={eoiForm.estimatedTimeline}
+                onChange={(e) => setEoiForm({ ...eoiForm, estimatedTimeline: e.target.value })}
+              >
+                <option value="1-3 months">1-3 months</option>
+                <option value="3-6 months">3-6 months</option>
+                <option value="6-12 months">6-12 months</option>
+                <option value="12+ months">12+ months</option>
+              </select>
+              {eoiErrors.estimatedTimeline && <span className="field-error">{eoiErrors.estimatedTimeline}</span>}
+            </div>
+
+            <div className="eoi-form-actions">
+              <button type="button" className="action-btn secondary" onClick={saveEoiDraft}>
+                Save Draft
+              </button>
+              <button type="submit" className="submit-btn">
+                Prepare Expression of Interest
+              </button>
+            </div>
+          </fieldset>
+        </form>
+      ) : (
+        <div className="submission-success">
+          <div className="success-icon">✅</div>
+          <h3>Expression of Interest Prepared!</h3>
+          <p>Your EOI has been prepared and saved. Now you need to submit it to C2PA.</p>
+
+          <div className="next-steps">
+            <div className="step-card primary-step">
+              <h4>📝 Official Submission</h4>
+              <p>Visit the C2PA Conformance page and fill out the official form:</p>
+              <a
+                href={submissionResult.nextSteps.manual.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="action-btn primary"
+              >
+                Go to C2PA Conformance Form ↗
+              </a>
+            </div>
+
+            <div className="step-card">
+              <h4>📄 Export Your Information</h4>
+              <p>Download your EOI information to help fill out the official form:</p>
+              <button className="action-btn secondary" onClick={() => exportEoi('pdf')}>
+                Download EOI (PDF)
+              </button>
+              <button className="action-btn secondary" onClick={() => exportEoi('json')}>
+                Download EOI Data (JSON)
+              </button>
+            </div>
+          </div>
+
+          <button
+            className="reset-btn"
+            onClick={() => setSubmissionResult(null)}
+          >
+            ← Back to Form
+          </button>
+        </div>
+      )}
+
+      <div className="info-box">
+        <h4>ℹ️ About the Conformance Program</h4>
+        <p>
+          The C2PA Conformance Program is a transparent governance process that ensures
+          Generator Products meet the Content Credentials specification and security requirements.
+        </p>
+        <p>
+          After submitting your Expression of Interest, the C2PA team will review your application
+          and provide next steps for the formal certification process.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default EoiPanel;
@@ -5,7 +5,7 @@ import './Header.css';
 function Header() {
   const location = useLocation();
   const navigate = useNavigate();
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, logout, workspaces, activeWorkspaceId, selectWorkspace } = useAuth();
 
   const isActive = (path) => location.pathname === path;
 
@@ -77,6 +77,20 @@ function Header() {
           )}
           {isAuthenticated ? (
             <div className="user-menu">
+              {workspaces.length > 1 && (
+                <select
+                  className="workspace-select"
+                  value={activeWorkspaceId || ''}
+                  onChange={(e) => selectWorkspace(e.target.value)}
+                  title="Active workspace"
+                >
+                  {workspaces.map(workspace => (
+                    <option key={workspace.id} value={workspace.id}>
+                      {workspace.name}
+                    </option>
+                  ))}
+                </select>
+              )}
               <span className="user-name">{user?.name || user?.email}</span>
               {user?.role === 'admin' && (
                 <span className="admin-badge">ADMIN</span>
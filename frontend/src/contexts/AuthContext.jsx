@@ -15,6 +15,10 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(
+    () => localStorage.getItem('active_workspace_id')
+  );
 
   // Initialize auth state from localStorage
   useEffect(() => {
@@ -43,6 +47,52 @@ export const AuthProvider = ({ children }) => {
     return () => window.removeEventListener('storage', handleStorageChange);
   }, []);
 
+  // Load the user's workspaces once authenticated
+  useEffect(() => {
+    if (!token || !user) {
+      setWorkspaces([]);
+      return;
+    }
+
+    const loadWorkspaces = async () => {
+      try {
+        const response = await fetch('/api/workspaces', {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+        });
+        const data = await response.json();
+
+        if (data.success) {
+          setWorkspaces(data.workspaces);
+
+          // Fall back to the first workspace if the stored one is gone
+          const stored = localStorage.getItem('active_workspace_id');
+          if (!data.workspaces.some(w => w.id === stored) && data.workspaces.length > 0) {
+            selectWorkspace(data.workspaces[0].id);
+          }
+        }
+      } catch (err) {
+        console.error('Error loading workspaces:', err);
+      }
+    };
+
+    loadWorkspaces();
+  }, [token, user]);
+
+  // Switch the active certification workspace
+  const selectWorkspace = (workspaceId) => {
+    localStorage.setItem('active_workspace_id', workspaceId);
+    setActiveWorkspaceId(workspaceId);
+  };
+
+  // Headers for workspace-scoped API calls
+  const authHeaders = (extra = {}) => ({
+    ...extra,
+    ...(token && { 'Authorization': `Bearer ${token}` }),
+    ...(activeWorkspaceId && { 'X-Workspace-Id': activeWorkspaceId }),
+  });
+
   // Verify token validity with backend
   const verifyToken = async (tokenToVerify) => {
     try {
@@ -142,6 +192,8 @@ export const AuthProvider = ({ children }) => {
   // Logout user
   const logout = () => {
     localStorage.removeItem('auth_token');
+    localStorage.removeItem('active_workspace_id');
+    setActiveWorkspaceId(null);
     setToken(null);
     setUser(null);
     setError(null);
@@ -157,6 +209,11 @@ export const AuthProvider = ({ children }) => {
     logout,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'admin',
+    workspaces,
+    activeWorkspaceId,
+    activeWorkspace: workspaces.find(w => w.id === activeWorkspaceId) || null,
+    selectWorkspace,
+    authHeaders,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
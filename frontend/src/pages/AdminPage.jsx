@@ -1,19 +1,29 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import AuditLogViewer from '../components/AuditLogViewer';
 import './AdminPage.css';
 
 const AdminPage = () => {
   const { user, token } = useAuth();
+  const [activeTab, setActiveTab] = useState('settings');
   const [config, setConfig] = useState({
     aiProvider: 'none',
     openwebuiUrl: '',
+    ollamaUrl: '',
     aiModel: '',
     openaiApiKey: '',
-    openwebuiApiKey: ''
+    openwebuiApiKey: '',
+    anthropicApiKey: '',
+    maxTokens: '',
+    contextWindow: '',
+    failoverChain: ''
   });
+  const [providers, setProviders] = useState([]);
+  const [savedSettings, setSavedSettings] = useState({});
   const [githubToken, setGithubToken] = useState({
     hasToken: false,
     tokenPreview: '',
+    credential: null,
     newToken: ''
   });
   const [stats, setStats] = useState(null);
@@ -25,6 +35,7 @@ const AdminPage = () => {
   const [showSecrets, setShowSecrets] = useState({
     openaiApiKey: false,
     openwebuiApiKey: false,
+    anthropicApiKey: false,
     githubToken: false
   });
   const [notification, setNotification] = useState(null);
@@ -71,13 +82,21 @@ const AdminPage = () => {
       const data = await response.json();
 
       if (data.success) {
+        const aiProvider = data.config.ai_provider || 'none';
         setConfig({
-          aiProvider: data.config.ai_provider || 'none',
+          aiProvider,
           openwebuiUrl: data.config.openwebui_url || '',
-          aiModel: data.config.ai_model || '',
+          ollamaUrl: data.config.ollama_url || '',
+          aiModel: data.config[`ai_${aiProvider}_model`] || data.config.ai_model || '',
           openaiApiKey: '',
-          openwebuiApiKey: ''
+          openwebuiApiKey: '',
+          anthropicApiKey: '',
+          maxTokens: data.config[`ai_${aiProvider}_max_tokens`] || '',
+          contextWindow: data.config[`ai_${aiProvider}_context_window`] || '',
+          failoverChain: data.config.ai_failover_chain || ''
         });
+        setSavedSettings(data.config);
+        setProviders(data.providers || []);
         setSecrets(data.secrets);
       }
     } catch (error) {
@@ -135,6 +154,7 @@ const AdminPage = () => {
         setGithubToken({
           hasToken: data.hasToken || false,
           tokenPreview: data.tokenPreview || '',
+          credential: data.credential || null,
           newToken: ''
         });
       }
@@ -164,7 +184,7 @@ const AdminPage = () => {
 
       if (data.success) {
         showNotification('GitHub token set successfully!', 'success');
-        setGithubToken({ hasToken: false, tokenPreview: '', newToken: '' });
+        setGithubToken({ hasToken: false, tokenPreview: '', credential: null, newToken: '' });
         await loadGitHubToken();
         await loadGitHubRepos();
       } else {
@@ -357,26 +377,28 @@ const AdminPage = () => {
         body: JSON.stringify({
           provider: config.aiProvider,
           openwebuiUrl: config.openwebuiUrl,
+          ollamaUrl: config.ollamaUrl,
           aiModel: config.aiModel,
           openaiApiKey: config.openaiApiKey || undefined,
-          openwebuiApiKey: config.openwebuiApiKey || undefined
+          openwebuiApiKey: config.openwebuiApiKey || undefined,
+          anthropicApiKey: config.anthropicApiKey || undefined,
+          maxTokens: config.maxTokens || undefined,
+          contextWindow: config.contextWindow || undefined,
+          failoverChain: config.failoverChain.split(',').map(name => name.trim()).filter(Boolean)
         })
       });
 
       const data = await response.json();
 
       if (data.success) {
-        showNotification(
-          'AI configuration saved successfully!' +
-          (data.requiresRestart ? ' Note: Server restart may be required for secrets to take effect.' : ''),
-          'success'
-        );
+        showNotification('AI configuration saved and active!', 'success');
 
         // Clear password fields
         setConfig({
           ...config,
           openaiApiKey: '',
-          openwebuiApiKey: ''
+          openwebuiApiKey: '',
+          anthropicApiKey: ''
         });
 
         // Reload config
@@ -406,7 +428,11 @@ const AdminPage = () => {
         body: JSON.stringify({
           provider: config.aiProvider,
           openwebuiUrl: config.openwebuiUrl,
-          openaiApiKey: config.openaiApiKey || undefined
+          ollamaUrl: config.ollamaUrl,
+          aiModel: config.aiModel,
+          openaiApiKey: config.openaiApiKey || undefined,
+          openwebuiApiKey: config.openwebuiApiKey || undefined,
+          anthropicApiKey: config.anthropicApiKey || undefined
         })
       });
 
@@ -593,463 +619,598 @@ const AdminPage = () => {
         <p className="subtitle">Configure AI providers, GitHub integration, and system settings</p>
       </div>
 
-      {/* System Statistics */}
-      {stats && (
-        <div className="admin-section">
-          <h2>📊 System Statistics</h2>
-          <div className="stats-grid">
-            <div className="stat-card">
-              <div className="stat-label">Total Users</div>
-              <div className="stat-value">{stats.users.total}</div>
-            </div>
-            <div className="stat-card">
-              <div className="stat-label">Admin Users</div>
-              <div className="stat-value">{stats.users.admins}</div>
-            </div>
-            <div className="stat-card">
-              <div className="stat-label">AI Provider</div>
-              <div className="stat-value">{stats.system.aiProvider}</div>
-            </div>
-            <div className="stat-card">
-              <div className="stat-label">Onboarding</div>
-              <div className="stat-value">{stats.system.onboardingCompleted ? '✓' : '✗'}</div>
-            </div>
-          </div>
-        </div>
-      )}
-
-      {/* AI Configuration */}
-      <div className="admin-section">
-        <h2>🤖 AI Provider Configuration</h2>
-
-        <div className="form-group">
-          <label>AI Provider</label>
-          <select
-            value={config.aiProvider}
-            onChange={(e) => setConfig({ ...config, aiProvider: e.target.value })}
-          >
-            <option value="none">None (Fallback Mode)</option>
-            <option value="openwebui">OpenWebUI (Local)</option>
-            <option value="openai">OpenAI API (Cloud)</option>
-          </select>
-        </div>
-
-        {config.aiProvider === 'openwebui' && (
-          <>
-            <div className="form-group">
-              <label>OpenWebUI API URL</label>
-              <input
-                type="text"
-                value={config.openwebuiUrl}
-                onChange={(e) => setConfig({ ...config, openwebuiUrl: e.target.value })}
-                placeholder="http://localhost:3000/api"
-              />
-              <small>Example: http://localhost:3000/api or http://host.docker.internal:3000/api</small>
-            </div>
+      <div className="admin-tabs">
+        <button
+          className={`admin-tab ${activeTab === 'settings' ? 'active' : ''}`}
+          onClick={() => setActiveTab('settings')}
+        >
+          ⚙️ Configuration
+        </button>
+        <button
+          className={`admin-tab ${activeTab === 'audit' ? 'active' : ''}`}
+          onClick={() => setActiveTab('audit')}
+        >
+          🧾 Audit Trail
+        </button>
+      </div>
 
-            <div className="form-group">
-              <label>OpenWebUI API Key (Optional)</label>
-              <div className="secret-input">
-                <input
-                  type={showSecrets.openwebuiApiKey ? "text" : "password"}
-                  value={config.openwebuiApiKey}
-                  onChange={(e) => setConfig({ ...config, openwebuiApiKey: e.target.value })}
-                  placeholder={secrets.hasOpenWebUIKey ? "••••••••••••" : "Leave blank if not required"}
-                />
-                <button
-                  type="button"
-                  onClick={() => toggleSecretVisibility('openwebuiApiKey')}
-                  className="toggle-visibility"
-                >
-                  {showSecrets.openwebuiApiKey ? '🙈' : '👁️'}
-                </button>
+      {activeTab === 'audit' && <AuditLogViewer token={token} />}
+
+      {activeTab === 'settings' && (
+        <>
+          {/* System Statistics */}
+          {stats && (
+            <div className="admin-section">
+              <h2>📊 System Statistics</h2>
+              <div className="stats-grid">
+                <div className="stat-card">
+                  <div className="stat-label">Total Users</div>
+                  <div className="stat-value">{stats.users.total}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Admin Users</div>
+                  <div className="stat-value">{stats.users.admins}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">AI Provider</div>
+                  <div className="stat-value">{stats.system.aiProvider}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Onboarding</div>
+                  <div className="stat-value">{stats.system.onboardingCompleted ? '✓' : '✗'}</div>
+                </div>
+                {stats.ai?.lastUsed && (
+                  <div className="stat-card">
+                    <div className="stat-label">Last Answered By</div>
+                    <div className="stat-value">{stats.ai.lastUsed.provider}</div>
+                  </div>
+                )}
               </div>
-              {secrets.hasOpenWebUIKey && (
-                <small className="text-success">✓ API key configured</small>
+              {stats.ai && (
+                <div className="failover-status">
+                  <div className="stat-label">Failover Chain</div>
+                  <ol className="failover-chain">
+                    {stats.ai.chain.map(name => {
+                      const breaker = stats.ai.breakers.find(b => b.name === name);
+                      const usage = stats.ai.usage.find(u => u.provider === name);
+                      return (
+                        <li key={name} className={`breaker-${breaker ? breaker.state : 'closed'}`}>
+                          <strong>{name}</strong>
+                          {breaker && <span> · {breaker.state}</span>}
+                          {usage && <span> · {usage.count} answers</span>}
+                          {breaker?.lastError && <small> · {breaker.lastError}</small>}
+                        </li>
+                      );
+                    })}
+                  </ol>
+                </div>
               )}
             </div>
-          </>
-        )}
-
-        {config.aiProvider === 'openai' && (
-          <div className="form-group">
-            <label>OpenAI API Key</label>
-            <div className="secret-input">
-              <input
-                type={showSecrets.openaiApiKey ? "text" : "password"}
-                value={config.openaiApiKey}
-                onChange={(e) => setConfig({ ...config, openaiApiKey: e.target.value })}
-                placeholder={secrets.hasOpenAIKey ? "••••••••••••" : "sk-..."}
-              />
-              <button
-                type="button"
-                onClick={() => toggleSecretVisibility('openaiApiKey')}
-                className="toggle-visibility"
-              >
-                {showSecrets.openaiApiKey ? '🙈' : '👁️'}
-              </button>
-            </div>
-            {secrets.hasOpenAIKey && (
-              <small className="text-success">✓ API key configured</small>
-            )}
-          </div>
-        )}
-
-        {config.aiProvider !== 'none' && (
-          <div className="form-group">
-            <label>AI Model (Optional)</label>
-            <input
-              type="text"
-              value={config.aiModel}
-              onChange={(e) => setConfig({ ...config, aiModel: e.target.value })}
-              placeholder="gpt-4, gpt-3.5-turbo, llama2, etc."
-            />
-            <small>Leave blank to use default model for your provider</small>
-          </div>
-        )}
-
-        {testResult && (
-          <div className={`test-result ${testResult.success ? 'success' : 'error'}`}>
-            <strong>{testResult.success ? '✓' : '✗'}</strong> {testResult.message}
-            {testResult.models && testResult.models.length > 0 && (
-              <div className="models-list">
-                <small>Available models: {testResult.models.join(', ')}</small>
-              </div>
-            )}
-          </div>
-        )}
-
-        <div className="button-group">
-          <button
-            onClick={handleTestAI}
-            disabled={testing || config.aiProvider === 'none'}
-            className="btn-secondary"
-          >
-            {testing ? 'Testing...' : 'Test Connection'}
-          </button>
-          <button
-            onClick={handleSaveAI}
-            disabled={saving}
-            className="btn-primary"
-          >
-            {saving ? 'Saving...' : 'Save AI Configuration'}
-          </button>
-        </div>
-      </div>
+          )}
+
+          {/* AI Configuration */}
+          <div className="admin-section">
+            <h2>🤖 AI Provider Configuration</h2>
 
-      {/* GitHub Token Management */}
-      <div className="admin-section">
-        <h2>🐙 GitHub Integration</h2>
-        <p className="section-description">
-          Configure a GitHub Personal Access Token to enable RAG (Retrieval-Augmented Generation)
-          features with your repositories.
-        </p>
-
-        {githubToken.hasToken ? (
-          <>
-            {/* Token Exists - Show Preview and Delete */}
-            <div className="form-group">
-              <label>Current GitHub Token</label>
-              <div className="token-display">
-                <code className="token-preview">{githubToken.tokenPreview}</code>
-                <button
-                  onClick={handleDeleteToken}
-                  disabled={saving}
-                  className="btn-danger btn-small"
-                >
-                  {saving ? 'DELETING...' : 'DELETE TOKEN'}
-                </button>
-              </div>
-              <small>To change the token, you must first delete the existing one.</small>
-            </div>
-          </>
-        ) : (
-          <>
-            {/* No Token - Show Input to Set New Token */}
             <div className="form-group">
-              <label>GitHub Personal Access Token</label>
-              <div className="secret-input">
-                <input
-                  type={showSecrets.githubToken ? "text" : "password"}
-                  value={githubToken.newToken}
-                  onChange={(e) => setGithubToken({ ...githubToken, newToken: e.target.value })}
-                  placeholder="ghp_... or github_pat_..."
-                  disabled={saving}
-                />
-                <button
-                  type="button"
-                  onClick={() => toggleSecretVisibility('githubToken')}
-                  className="toggle-visibility"
-                >
-                  {showSecrets.githubToken ? '🙈' : '👁️'}
-                </button>
-              </div>
-              <small>
-                <a href="https://github.com/settings/tokens" target="_blank" rel="noopener noreferrer">
-                  Create a token
-                </a>{' '}
-                with 'repo' or 'public_repo' scope
-              </small>
+              <label>AI Provider</label>
+              <select
+                value={config.aiProvider}
+                onChange={(e) => setConfig({
+                  ...config,
+                  aiProvider: e.target.value,
+                  // Each provider keeps its own model and limits
+                  aiModel: savedSettings[`ai_${e.target.value}_model`] || '',
+                  maxTokens: savedSettings[`ai_${e.target.value}_max_tokens`] || '',
+                  contextWindow: savedSettings[`ai_${e.target.value}_context_window`] || ''
+                })}
+              >
+                <option value="none">None (Fallback Mode)</option>
+                {providers.map(provider => (
+                  <option key={provider.name} value={provider.name}>{provider.label}</option>
+                ))}
+              </select>
+              <small>Changes take effect immediately, no restart required</small>
             </div>
 
-            <button
-              onClick={handleSetToken}
-              disabled={!githubToken.newToken || saving}
-              className="btn-primary"
-            >
-              {saving ? 'SETTING TOKEN...' : 'SET GITHUB TOKEN'}
-            </button>
-          </>
-        )}
-      </div>
-
-      {/* GitHub RAG Repository Management */}
-      <div className="admin-section">
-        <div className="github-repos-section">
-            <h3>📚 GitHub Repositories for RAG</h3>
-            <p className="section-description">
-              Add GitHub repositories to enhance AI responses with code examples and documentation. Paste a GitHub repository URL below.
-            </p>
-
-            <div className="add-repo-form">
-              <label>Repository URL</label>
-              <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+            {config.aiProvider === 'ollama' && (
+              <div className="form-group">
+                <label>Ollama URL</label>
                 <input
                   type="text"
-                  value={newRepoUrl}
-                  onChange={(e) => setNewRepoUrl(e.target.value)}
-                  placeholder="https://github.com/contentauth/c2pa-js"
-                  disabled={validating || indexing}
-                  style={{ flex: 1 }}
+                  value={config.ollamaUrl}
+                  onChange={(e) => setConfig({ ...config, ollamaUrl: e.target.value })}
+                  placeholder="http://localhost:11434"
                 />
-                <button
-                  onClick={handleAddRepoFromUrl}
-                  disabled={!newRepoUrl || validating || indexing}
-                  className="btn-primary"
-                >
-                  {validating ? 'VALIDATING...' : indexing ? 'INDEXING...' : 'ADD REPOSITORY'}
-                </button>
+                <small>Leave blank to use the OLLAMA_URL environment variable</small>
               </div>
-              <small>Must start with https://github.com/ or https://www.github.com/</small>
-            </div>
+            )}
 
-            {githubRepos.length > 0 ? (
-              <div>
-                <h4>Configured Repositories:</h4>
-                <div className="repos-list">
-                  {githubRepos.map(repo => (
-                    <div key={repo.id} className="repo-card">
-                      <div className="repo-info">
-                        <strong>
-                          <a href={repo.url} target="_blank" rel="noopener noreferrer">
-                            {repo.owner}/{repo.name}
-                          </a>
-                          <span className="repo-status indexed">
-                            ✓ Indexed ({repo.fileCount || 0} files)
-                          </span>
-                        </strong>
-                        {repo.description && (
-                          <p className="repo-description">{repo.description}</p>
-                        )}
-                        {repo.indexedAt && (
-                          <span className="last-indexed">
-                            Last indexed: {new Date(repo.indexedAt).toLocaleString()}
-                          </span>
-                        )}
-                      </div>
-                      <div className="repo-actions">
-                        <button
-                          onClick={() => handleIndexRepo(repo.owner, repo.name)}
-                          disabled={indexing}
-                          className="btn-secondary btn-small"
-                        >
-                          RE-INDEX
-                        </button>
-                        <button
-                          onClick={() => handleRemoveRepo(repo.id, `${repo.owner}/${repo.name}`)}
-                          className="btn-danger btn-small"
-                        >
-                          REMOVE
-                        </button>
-                      </div>
-                    </div>
-                  ))}
+            {config.aiProvider === 'anthropic' && (
+              <div className="form-group">
+                <label>Anthropic API Key</label>
+                <div className="secret-input">
+                  <input
+                    type={showSecrets.anthropicApiKey ? "text" : "password"}
+                    value={config.anthropicApiKey}
+                    onChange={(e) => setConfig({ ...config, anthropicApiKey: e.target.value })}
+                    placeholder={secrets.hasAnthropicKey ? "••••••••••••" : "sk-ant-..."}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => toggleSecretVisibility('anthropicApiKey')}
+                    className="toggle-visibility"
+                  >
+                    {showSecrets.anthropicApiKey ? '🙈' : '👁️'}
+                  </button>
                 </div>
-              </div>
-            ) : (
-              <div className="empty-state">
-                No repositories configured yet. Add a repository above to enable RAG features.
+                {secrets.hasAnthropicKey && (
+                  <small className="text-success">✓ API key configured</small>
+                )}
               </div>
             )}
-        </div>
-      </div>
 
-      {/* User Management Section */}
-      <div className="admin-section">
-        <h2>👥 User Management</h2>
-        <p className="section-description">
-          Manage user accounts, roles, and permissions. Create new users or modify existing accounts.
-        </p>
-
-        <div style={{ marginBottom: '1.5rem' }}>
-          <button onClick={() => handleOpenUserModal()} className="btn-primary">
-            + CREATE NEW USER
-          </button>
-        </div>
+            {config.aiProvider === 'openwebui' && (
+              <>
+                <div className="form-group">
+                  <label>OpenWebUI API URL</label>
+                  <input
+                    type="text"
+                    value={config.openwebuiUrl}
+                    onChange={(e) => setConfig({ ...config, openwebuiUrl: e.target.value })}
+                    placeholder="http://localhost:3000/api"
+                  />
+                  <small>Example: http://localhost:3000/api or http://host.docker.internal:3000/api</small>
+                </div>
 
-        {users.length > 0 ? (
-          <div className="users-table-container">
-            <table className="users-table">
-              <thead>
-                <tr>
-                  <th>Name</th>
-                  <th>Email</th>
-                  <th>Role</th>
-                  <th>Created</th>
-                  <th>Last Login</th>
-                  <th>Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                {users.map(u => (
-                  <tr key={u.id}>
-                    <td>{u.name || '-'}</td>
-                    <td>{u.email}</td>
-                    <td>
-                      <span className={`role-badge ${u.role}`}>
-                        {u.role === 'admin' ? '👑 Admin' : '👤 User'}
-                      </span>
-                    </td>
-                    <td>{new Date(u.createdAt).toLocaleDateString()}</td>
-                    <td>{u.lastLogin ? new Date(u.lastLogin).toLocaleDateString() : 'Never'}</td>
-                    <td className="actions-cell">
-                      <button
-                        onClick={() => handleOpenUserModal(u)}
-                        className="btn-secondary btn-small"
-                        title="Edit user"
-                      >
-                        EDIT
-                      </button>
-                      <button
-                        onClick={() => handleDeleteUser(u.id, u.email)}
-                        className="btn-danger btn-small"
-                        disabled={u.id === user.id}
-                        title={u.id === user.id ? "Can't delete yourself" : "Delete user"}
-                      >
-                        DELETE
-                      </button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        ) : (
-          <div className="empty-state">
-            No users found. This shouldn't happen - at least one admin should exist.
-          </div>
-        )}
-      </div>
+                <div className="form-group">
+                  <label>OpenWebUI API Key (Optional)</label>
+                  <div className="secret-input">
+                    <input
+                      type={showSecrets.openwebuiApiKey ? "text" : "password"}
+                      value={config.openwebuiApiKey}
+                      onChange={(e) => setConfig({ ...config, openwebuiApiKey: e.target.value })}
+                      placeholder={secrets.hasOpenWebUIKey ? "••••••••••••" : "Leave blank if not required"}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => toggleSecretVisibility('openwebuiApiKey')}
+                      className="toggle-visibility"
+                    >
+                      {showSecrets.openwebuiApiKey ? '🙈' : '👁️'}
+                    </button>
+                  </div>
+                  {secrets.hasOpenWebUIKey && (
+                    <small className="text-success">✓ API key configured</small>
+                  )}
+                </div>
+              </>
+            )}
 
-      {/* User Modal */}
-      {showUserModal && (
-        <div className="modal-overlay" onClick={handleCloseUserModal}>
-          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-            <h2>{editingUser ? 'Edit User' : 'Create New User'}</h2>
-            <form onSubmit={handleSaveUser}>
+            {config.aiProvider === 'openai' && (
               <div className="form-group">
-                <label>Email *</label>
-                <input
-                  type="email"
-                  value={userForm.email}
-                  onChange={(e) => setUserForm({ ...userForm, email: e.target.value })}
-                  required
-                  disabled={userModalLoading}
-                />
+                <label>OpenAI API Key</label>
+                <div className="secret-input">
+                  <input
+                    type={showSecrets.openaiApiKey ? "text" : "password"}
+                    value={config.openaiApiKey}
+                    onChange={(e) => setConfig({ ...config, openaiApiKey: e.target.value })}
+                    placeholder={secrets.hasOpenAIKey ? "••••••••••••" : "sk-..."}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => toggleSecretVisibility('openaiApiKey')}
+                    className="toggle-visibility"
+                  >
+                    {showSecrets.openaiApiKey ? '🙈' : '👁️'}
+                  </button>
+                </div>
+                {secrets.hasOpenAIKey && (
+                  <small className="text-success">✓ API key configured</small>
+                )}
               </div>
+            )}
 
+            {config.aiProvider !== 'none' && (
               <div className="form-group">
-                <label>Name (Optional)</label>
+                <label>AI Model (Optional)</label>
                 <input
                   type="text"
-                  value={userForm.name}
-                  onChange={(e) => setUserForm({ ...userForm, name: e.target.value })}
-                  disabled={userModalLoading}
+                  value={config.aiModel}
+                  onChange={(e) => setConfig({ ...config, aiModel: e.target.value })}
+                  placeholder={providers.find(p => p.name === config.aiProvider)?.defaultModel || 'gpt-4, llama2, etc.'}
                 />
+                <small>Leave blank to use default model for your provider</small>
+              </div>
+            )}
+
+            {config.aiProvider !== 'none' && (
+              <div className="form-group">
+                <label>Token Limits (Optional)</label>
+                <div className="inline-inputs">
+                  <input
+                    type="number"
+                    min="1"
+                    value={config.maxTokens}
+                    onChange={(e) => setConfig({ ...config, maxTokens: e.target.value })}
+                    placeholder="Max answer tokens (500)"
+                  />
+                  <input
+                    type="number"
+                    min="512"
+                    value={config.contextWindow}
+                    onChange={(e) => setConfig({ ...config, contextWindow: e.target.value })}
+                    placeholder="Context window (from model)"
+                  />
+                </div>
+                <small>Chat history beyond the context window is folded into a rolling session summary</small>
               </div>
+            )}
 
+            {config.aiProvider !== 'none' && (
               <div className="form-group">
-                <label>Password {editingUser ? '(Leave blank to keep current)' : '*'}</label>
+                <label>Failover Providers (Optional)</label>
                 <input
-                  type="password"
-                  value={userForm.password}
-                  onChange={(e) => setUserForm({ ...userForm, password: e.target.value })}
-                  required={!editingUser}
-                  disabled={userModalLoading}
-                  minLength={8}
+                  type="text"
+                  value={config.failoverChain}
+                  onChange={(e) => setConfig({ ...config, failoverChain: e.target.value })}
+                  placeholder="openwebui, openai"
                 />
-                <small>Password must be at least 8 characters long</small>
+                <small>Tried in order when {config.aiProvider} is down; rule-based answers are the last resort</small>
               </div>
+            )}
 
-              <div className="form-group">
-                <label>Role *</label>
-                <select
-                  value={userForm.role}
-                  onChange={(e) => setUserForm({ ...userForm, role: e.target.value })}
-                  disabled={userModalLoading || (editingUser && editingUser.id === user.id)}
-                  required
-                >
-                  <option value="user">User</option>
-                  <option value="admin">Admin</option>
-                </select>
-                {editingUser && editingUser.id === user.id && (
-                  <small>You cannot change your own role</small>
+            {testResult && (
+              <div className={`test-result ${testResult.success ? 'success' : 'error'}`}>
+                <strong>{testResult.success ? '✓' : '✗'}</strong> {testResult.message}
+                {testResult.models && testResult.models.length > 0 && (
+                  <div className="models-list">
+                    <small>Available models: {testResult.models.join(', ')}</small>
+                  </div>
                 )}
               </div>
+            )}
+
+            <div className="button-group">
+              <button
+                onClick={handleTestAI}
+                disabled={testing || config.aiProvider === 'none'}
+                className="btn-secondary"
+              >
+                {testing ? 'Testing...' : 'Test Connection'}
+              </button>
+              <button
+                onClick={handleSaveAI}
+                disabled={saving}
+                className="btn-primary"
+              >
+                {saving ? 'Saving...' : 'Save AI Configuration'}
+              </button>
+            </div>
+          </div>
+
+          {/* GitHub Token Management */}
+          <div className="admin-section">
+            <h2>🐙 GitHub Integration</h2>
+            <p className="section-description">
+              Configure a GitHub Personal Access Token to enable RAG (Retrieval-Augmented Generation)
+              features with your repositories.
+            </p>
+
+            {githubToken.hasToken ? (
+              <>
+                {/* Token Exists - Show Preview and Delete */}
+                <div className="form-group">
+                  <label>Current GitHub Token</label>
+                  <div className="token-display">
+                    <code className="token-preview">{githubToken.tokenPreview}</code>
+                    <button
+                      onClick={handleDeleteToken}
+                      disabled={saving}
+                      className="btn-danger btn-small"
+                    >
+                      {saving ? 'DELETING...' : 'DELETE TOKEN'}
+                    </button>
+                  </div>
+                  {githubToken.credential && githubToken.credential.login && (
+                    <small>
+                      Authenticated as {githubToken.credential.login}
+                      {githubToken.credential.scopes && ` · scopes: ${githubToken.credential.scopes.join(', ') || 'none'}`}
+                      {githubToken.credential.expiresAt && ` · ${githubToken.credential.expired ? 'expired' : 'expires'} ${new Date(githubToken.credential.expiresAt).toLocaleDateString()}`}
+                    </small>
+                  )}
+                  <small>To change the token, you must first delete the existing one.</small>
+                </div>
+              </>
+            ) : (
+              <>
+                {/* No Token - Show Input to Set New Token */}
+                <div className="form-group">
+                  <label>GitHub Personal Access Token</label>
+                  <div className="secret-input">
+                    <input
+                      type={showSecrets.githubToken ? "text" : "password"}
+                      value={githubToken.newToken}
+                      onChange={(e) => setGithubToken({ ...githubToken, newToken: e.target.value })}
+                      placeholder="ghp_... or github_pat_..."
+                      disabled={saving}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => toggleSecretVisibility('githubToken')}
+                      className="toggle-visibility"
+                    >
+                      {showSecrets.githubToken ? '🙈' : '👁️'}
+                    </button>
+                  </div>
+                  <small>
+                    <a href="https://github.com/settings/tokens" target="_blank" rel="noopener noreferrer">
+                      Create a token
+                    </a>{' '}
+                    with 'repo' or 'public_repo' scope
+                  </small>
+                </div>
 
-              <div className="button-group">
-                <button type="submit" className="btn-primary" disabled={userModalLoading}>
-                  {userModalLoading ? 'SAVING...' : 'SAVE USER'}
-                </button>
                 <button
-                  type="button"
-                  onClick={handleCloseUserModal}
-                  className="btn-secondary"
-                  disabled={userModalLoading}
+                  onClick={handleSetToken}
+                  disabled={!githubToken.newToken || saving}
+                  className="btn-primary"
                 >
-                  CANCEL
+                  {saving ? 'SETTING TOKEN...' : 'SET GITHUB TOKEN'}
                 </button>
+              </>
+            )}
+          </div>
+
+          {/* GitHub RAG Repository Management */}
+          <div className="admin-section">
+            <div className="github-repos-section">
+                <h3>📚 GitHub Repositories for RAG</h3>
+                <p className="section-description">
+                  Add GitHub repositories to enhance AI responses with code examples and documentation. Paste a GitHub repository URL below.
+                </p>
+
+                <div className="add-repo-form">
+                  <label>Repository URL</label>
+                  <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                    <input
+                      type="text"
+                      value={newRepoUrl}
+                      onChange={(e) => setNewRepoUrl(e.target.value)}
+                      placeholder="https://github.com/contentauth/c2pa-js"
+                      disabled={validating || indexing}
+                      style={{ flex: 1 }}
+                    />
+                    <button
+                      onClick={handleAddRepoFromUrl}
+                      disabled={!newRepoUrl || validating || indexing}
+                      className="btn-primary"
+                    >
+                      {validating ? 'VALIDATING...' : indexing ? 'INDEXING...' : 'ADD REPOSITORY'}
+                    </button>
+                  </div>
+                  <small>Must start with https://github.com/ or https://www.github.com/</small>
+                </div>
+
+                {githubRepos.length > 0 ? (
+                  <div>
+                    <h4>Configured Repositories:</h4>
+                    <div className="repos-list">
+                      {githubRepos.map(repo => (
+                        <div key={repo.id} className="repo-card">
+                          <div className="repo-info">
+                            <strong>
+                              <a href={repo.url} target="_blank" rel="noopener noreferrer">
+                                {repo.owner}/{repo.name}
+                              </a>
+                              <span className="repo-status indexed">
+                                ✓ Indexed ({repo.fileCount || 0} files)
+                              </span>
+                            </strong>
+                            {repo.description && (
+                              <p className="repo-description">{repo.description}</p>
+                            )}
+                            {repo.indexedAt && (
+                              <span className="last-indexed">
+                                Last indexed: {new Date(repo.indexedAt).toLocaleString()}
+                              </span>
+                            )}
+                          </div>
+                          <div className="repo-actions">
+                            <button
+                              onClick={() => handleIndexRepo(repo.owner, repo.name)}
+                              disabled={indexing}
+                              className="btn-secondary btn-small"
+                            >
+                              RE-INDEX
+                            </button>
+                            <button
+                              onClick={() => handleRemoveRepo(repo.id, `${repo.owner}/${repo.name}`)}
+                              className="btn-danger btn-small"
+                            >
+                              REMOVE
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ) : (
+                  <div className="empty-state">
+                    No repositories configured yet. Add a repository above to enable RAG features.
+                  </div>
+                )}
+            </div>
+          </div>
+
+          {/* User Management Section */}
+          <div className="admin-section">
+            <h2>👥 User Management</h2>
+            <p className="section-description">
+              Manage user accounts, roles, and permissions. Create new users or modify existing accounts.
+            </p>
+
+            <div style={{ marginBottom: '1.5rem' }}>
+              <button onClick={() => handleOpenUserModal()} className="btn-primary">
+                + CREATE NEW USER
+              </button>
+            </div>
+
+            {users.length > 0 ? (
+              <div className="users-table-container">
+                <table className="users-table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Email</th>
+                      <th>Role</th>
+                      <th>Created</th>
+                      <th>Last Login</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {users.map(u => (
+                      <tr key={u.id}>
+                        <td>{u.name || '-'}</td>
+                        <td>{u.email}</td>
+                        <td>
+                          <span className={`role-badge ${u.role}`}>
+                            {u.role === 'admin' ? '👑 Admin' : '👤 User'}
+                          </span>
+                        </td>
+                        <td>{new Date(u.createdAt).toLocaleDateString()}</td>
+                        <td>{u.lastLogin ? new Date(u.lastLogin).toLocaleDateString() : 'Never'}</td>
+                        <td className="actions-cell">
+                          <button
+                            onClick={() => handleOpenUserModal(u)}
+                            className="btn-secondary btn-small"
+                            title="Edit user"
+                          >
+                            EDIT
+                          </button>
+                          <button
+                            onClick={() => handleDeleteUser(u.id, u.email)}
+                            className="btn-danger btn-small"
+                            disabled={u.id === user.id}
+                            title={u.id === user.id ? "Can't delete yourself" : "Delete user"}
+                          >
+                            DELETE
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="empty-state">
+                No users found. This shouldn't happen - at least one admin should exist.
+              </div>
+            )}
+          </div>
+
+          {/* User Modal */}
+          {showUserModal && (
+            <div className="modal-overlay" onClick={handleCloseUserModal}>
+              <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+                <h2>{editingUser ? 'Edit User' : 'Create New User'}</h2>
+                <form onSubmit={handleSaveUser}>
+                  <div className="form-group">
+                    <label>Email *</label>
+                    <input
+                      type="email"
+                      value={userForm.email}
+                      onChange={(e) => setUserForm({ ...userForm, email: e.target.value })}
+                      required
+                      disabled={userModalLoading}
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label>Name (Optional)</label>
+                    <input
+                      type="text"
+                      value={userForm.name}
+                      onChange={(e) => setUserForm({ ...userForm, name: e.target.value })}
+                      disabled={userModalLoading}
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label>Password {editingUser ? '(Leave blank to keep current)' : '*'}</label>
+                    <input
+                      type="password"
+                      value={userForm.password}
+                      onChange={(e) => setUserForm({ ...userForm, password: e.target.value })}
+                      required={!editingUser}
+                      disabled={userModalLoading}
+                      minLength={8}
+                    />
+                    <small>Password must be at least 8 characters long</small>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Role *</label>
+                    <select
+                      value={userForm.role}
+                      onChange={(e) => setUserForm({ ...userForm, role: e.target.value })}
+                      disabled={userModalLoading || (editingUser && editingUser.id === user.id)}
+                      required
+                    >
+                      <option value="user">User</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                    {editingUser && editingUser.id === user.id && (
+                      <small>You cannot change your own role</small>
+                    )}
+                  </div>
+
+                  <div className="button-group">
+                    <button type="submit" className="btn-primary" disabled={userModalLoading}>
+                      {userModalLoading ? 'SAVING...' : 'SAVE USER'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleCloseUserModal}
+                      className="btn-secondary"
+                      disabled={userModalLoading}
+                    >
+                      CANCEL
+                    </button>
+                  </div>
+                </form>
               </div>
-            </form>
+            </div>
+          )}
+
+          {/* Help Section */}
+          <div className="admin-section help-section">
+            <h2>📚 Configuration Help</h2>
+            <div className="help-content">
+              <h3>AI Provider Options:</h3>
+              <ul>
+                <li><strong>OpenWebUI:</strong> Run AI models locally using Ollama or other backends. Free and private.</li>
+                <li><strong>OpenAI API:</strong> Cloud-based AI from OpenAI. Requires API key and usage costs apply.</li>
+                <li><strong>Fallback Mode:</strong> Rule-based responses without AI. Good for testing or limited functionality.</li>
+              </ul>
+
+              <h3>GitHub Integration:</h3>
+              <ul>
+                <li>Enables code search directly from the chat interface</li>
+                <li>Provides context-aware responses using your codebase</li>
+                <li>Requires a GitHub Personal Access Token with repo access</li>
+              </ul>
+
+              <h3>Need Help?</h3>
+              <p>
+                See the <a href="https://docs.openwebui.com/" target="_blank" rel="noopener noreferrer">OpenWebUI docs</a> or
+                check <code>ADMIN_SETUP.md</code> in the project root.
+              </p>
+            </div>
           </div>
-        </div>
+        </>
       )}
-
-      {/* Help Section */}
-      <div className="admin-section help-section">
-        <h2>📚 Configuration Help</h2>
-        <div className="help-content">
-          <h3>AI Provider Options:</h3>
-          <ul>
-            <li><strong>OpenWebUI:</strong> Run AI models locally using Ollama or other backends. Free and private.</li>
-            <li><strong>OpenAI API:</strong> Cloud-based AI from OpenAI. Requires API key and usage costs apply.</li>
-            <li><strong>Fallback Mode:</strong> Rule-based responses without AI. Good for testing or limited functionality.</li>
-          </ul>
-
-          <h3>GitHub Integration:</h3>
-          <ul>
-            <li>Enables code search directly from the chat interface</li>
-            <li>Provides context-aware responses using your codebase</li>
-            <li>Requires a GitHub Personal Access Token with repo access</li>
-          </ul>
-
-          <h3>Need Help?</h3>
-          <p>
-            See the <a href="https://docs.openwebui.com/" target="_blank" rel="noopener noreferrer">OpenWebUI docs</a> or
-            check <code>ADMIN_SETUP.md</code> in the project root.
-          </p>
-        </div>
-      </div>
     </div>
   );
 };
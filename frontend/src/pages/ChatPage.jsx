@@ -1,9 +1,93 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import './ChatPage.css';
 
+// Split a message on [n] citation markers that match a known citation
+function renderWithFootnotes(text, citations, onOpen) {
+  if (!citations || citations.length === 0) return text;
+
+  const byIndex = new Map(citations.map(c => [c.index, c]));
+  return text.split(/(\[\d+\])/g).map((part, i) => {
+    const marker = part.match(/^\[(\d+)\]$/);
+    const citation = marker && byIndex.get(parseInt(marker[1], 10));
+    if (!citation) return part;
+
+    return (
+      <button
+        key={i}
+        type="button"
+        className="citation-marker"
+        title={citation.title}
+        onClick={() => onOpen(citation)}
+      >
+        {part}
+      </button>
+    );
+  });
+}
+
+// Human-readable location of a citation
+function citationLocation(citation) {
+  if (citation.type === 'github') {
+    return `${citation.repository}/${citation.filePath}, lines ${citation.lineStart}-${citation.lineEnd}`;
+  }
+  return citation.page ? `${citation.title}, p. ${citation.page}` : citation.title;
+}
+
+// Read a Server-Sent Events response, calling onEvent(event, data) per message
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+    for (const raw of messages) {
+      let event = 'message';
+      let data = '';
+      raw.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Terminal-style typewriter: reveals text a few characters per tick behind a
+// blinking cursor, catching up with streamed text; renders children when done
+function TypewriterText({ text, streaming, children }) {
+  const [shown, setShown] = useState(0);
+
+  useEffect(() => {
+    if (shown >= text.length) return;
+    const timer = setTimeout(() => {
+      // Speed up when far behind so long answers don't lag the stream
+      const step = Math.max(2, Math.ceil((text.length - shown) / 40));
+      setShown(prev => Math.min(text.length, prev + step));
+    }, 20);
+    return () => clearTimeout(timer);
+  }, [shown, text]);
+
+  if (!streaming && shown >= text.length) {
+    return children;
+  }
+
+  return (
+    <>
+      {text.slice(0, shown)}
+      <span className="terminal-cursor" aria-hidden="true">█</span>
+    </>
+  );
+}
+
 function ChatPage() {
-  const { token } = useAuth();
+  const { token, authHeaders } = useAuth();
   const [messages, setMessages] = useState([
     {
       id: 1,
@@ -29,40 +113,67 @@ function ChatPage() {
     setInput('');
     setLoading(true);
 
+    const assistantId = Date.now() + 1;
+    const updateAssistant = (update) => {
+      setMessages(prev => prev.map(msg => (msg.id === assistantId ? { ...msg, ...update(msg) } : msg)));
+    };
+
     try {
       console.log('[ChatPage] Sending message:', messageText);
       console.log('[ChatPage] Token:', token ? 'Present' : 'Missing');
 
       const response = await fetch('/api/chat', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ message: messageText })
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ message: messageText, stream: true })
       });
 
       console.log('[ChatPage] Response status:', response.status);
-      const data = await response.json();
-      console.log('[ChatPage] Response data:', data);
 
-      if (data.success && data.response) {
-        setMessages(prev => [...prev, {
-          id: Date.now() + 1,
-          sender: 'assistant',
-          message: data.response.message
-        }]);
-      } else {
+      // Validation and auth errors come back as plain JSON
+      if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        const data = await response.json();
         setMessages(prev => [...prev, {
-          id: Date.now() + 1,
+          id: assistantId,
           sender: 'assistant',
           message: data.error || 'Failed to get response from AI'
         }]);
+        return;
       }
+
+      setMessages(prev => [...prev, {
+        id: assistantId,
+        sender: 'assistant',
+        message: '',
+        streaming: true,
+        typewriter: true
+      }]);
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'token') {
+          updateAssistant(msg => ({ message: msg.message + data.content }));
+        } else if (event === 'done') {
+          console.log('[ChatPage] Response data:', data);
+          updateAssistant(() => ({
+            message: data.response.message,
+            citations: data.response.citations || [],
+            actions: data.response.actions || [],
+            streaming: false
+          }));
+        } else if (event === 'error') {
+          updateAssistant(msg => ({
+            message: `${msg.message}\n\nError: ${data.error}`,
+            streaming: false
+          }));
+        }
+      });
+
+      // The stream can end without a final event if the connection drops
+      updateAssistant(() => ({ streaming: false }));
     } catch (error) {
       console.error('[ChatPage] Chat error:', error);
       setMessages(prev => [...prev, {
-        id: Date.now() + 1,
+        id: Date.now() + 2,
         sender: 'assistant',
         message: `Error: ${error.message}`
       }]);
@@ -71,6 +182,56 @@ function ChatPage() {
     }
   };
 
+  // Confirm or reject a change the assistant proposed; the server runs it
+  const resolveAction = async (messageId, action, decision) => {
+    const setAction = (update) => {
+      setMessages(prev => prev.map(msg => (msg.id === messageId ? {
+        ...msg,
+        actions: msg.actions.map(a => (a.id === action.id ? { ...a, ...update } : a))
+      } : msg)));
+    };
+
+    setAction({ busy: true });
+    try {
+      const response = await fetch(`/api/chat/actions/${action.id}/${decision}`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      setAction(data.action
+        ? { ...data.action, busy: false }
+        : { busy: false, error: data.error || 'Request failed' });
+    } catch (error) {
+      console.error('[ChatPage] Error resolving action:', error);
+      setAction({ busy: false, error: error.message });
+    }
+  };
+
+  // Open the source of a citation: GitHub files on github.com, documents
+  // through the authenticated download route (PDFs at the cited page)
+  const openCitation = async (citation) => {
+    if (citation.type === 'github') {
+      window.open(citation.url, '_blank', 'noopener');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/documents/${citation.documentId}/download`, {
+        headers: authHeaders()
+      });
+      if (!response.ok) {
+        alert('This document is no longer available');
+        return;
+      }
+
+      const blobUrl = URL.createObjectURL(await response.blob());
+      window.open(citation.page ? `${blobUrl}#page=${citation.page}` : blobUrl, '_blank');
+    } catch (error) {
+      console.error('[ChatPage] Error opening citation:', error);
+      alert('Error opening document');
+    }
+  };
+
   return (
     <div className="chat-page">
       <h1 className="page-title">AI ASSISTANT CHAT</h1>
@@ -82,10 +243,62 @@ function ChatPage() {
               <div className="message-sender">
                 {msg.sender === 'user' ? 'YOU' : 'AI ASSISTANT'}
               </div>
-              <div className="message-content">{msg.message}</div>
+              <div className="message-content">
+                {msg.typewriter ? (
+                  <TypewriterText text={msg.message} streaming={msg.streaming}>
+                    {renderWithFootnotes(msg.message, msg.citations, openCitation)}
+                  </TypewriterText>
+                ) : renderWithFootnotes(msg.message, msg.citations, openCitation)}
+                {!msg.streaming && msg.citations && msg.citations.length > 0 && (
+                  <ol className="message-citations">
+                    {msg.citations.map(citation => (
+                      <li key={citation.index} value={citation.index}>
+                        <button
+                          type="button"
+                          className="citation-link"
+                          onClick={() => openCitation(citation)}
+                        >
+                          {citationLocation(citation)}
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+                {!msg.streaming && msg.actions && msg.actions.length > 0 && (
+                  <ul className="message-actions">
+                    {msg.actions.map(action => (
+                      <li key={action.id} className={`action-card ${action.status}`}>
+                        <span className="action-summary">{action.summary}</span>
+                        {action.status === 'pending' ? (
+                          <span className="action-buttons">
+                            <button
+                              type="button"
+                              disabled={action.busy}
+                              onClick={() => resolveAction(msg.id, action, 'confirm')}
+                            >
+                              CONFIRM
+                            </button>
+                            <button
+                              type="button"
+                              className="action-reject"
+                              disabled={action.busy}
+                              onClick={() => resolveAction(msg.id, action, 'reject')}
+                            >
+                              REJECT
+                            </button>
+                          </span>
+                        ) : (
+                          <span className="action-status">{action.status.toUpperCase()}</span>
+                        )}
+                        {action.error && <span className="action-error">{action.error}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
             </div>
           ))}
-          {loading && (
+          {loading && !messages.some(msg => msg.streaming) && (
             <div className="chat-message assistant">
               <div className="message-sender">AI ASSISTANT</div>
               <div className="message-content">
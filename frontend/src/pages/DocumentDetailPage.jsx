@@ -0,0 +1,145 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import './DocumentsPage.css';
+
+const ANALYSIS_SECTIONS = [
+  ['keyPoints', 'KEY POINTS'],
+  ['requirements', 'REQUIREMENTS'],
+  ['suggestions', 'SUGGESTED NEXT STEPS']
+];
+
+function DocumentDetailPage() {
+  const { id } = useParams();
+  const { authHeaders, activeWorkspaceId } = useAuth();
+  const [document, setDocument] = useState(null);
+  const [error, setError] = useState(null);
+  const [analyzing, setAnalyzing] = useState(false);
+
+  useEffect(() => {
+    fetchDocument();
+  }, [id, activeWorkspaceId]);
+
+  const fetchDocument = async () => {
+    try {
+      const response = await fetch(`/api/documents/${id}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        setDocument(data.document);
+      } else {
+        setError(data.error || 'Document not found');
+      }
+    } catch (err) {
+      console.error('Error fetching document:', err);
+      setError('Error loading document');
+    }
+  };
+
+  // Downloads go through a short-lived signed URL so the browser can fetch
+  // the file itself without the Authorization header
+  const handleDownload = async () => {
+    try {
+      const response = await fetch(`/api/documents/${id}/download-url`, { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        window.location.assign(data.url);
+      } else {
+        setError(data.error || 'Download failed');
+      }
+    } catch (err) {
+      console.error('Error downloading document:', err);
+      setError('Error downloading document');
+    }
+  };
+
+  const handleAnalyze = async () => {
+    setAnalyzing(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/documents/${id}/analyze`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (data.success) {
+        setDocument(prev => ({ ...prev, analysis: data.analysis }));
+      } else {
+        setError(data.error || 'Analysis failed');
+      }
+    } catch (err) {
+      console.error('Error analyzing document:', err);
+      setError('Error analyzing document');
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  if (!document) {
+    return (
+      <div className="documents-page">
+        <Link to="/documents" className="back-link">&larr; ALL DOCUMENTS</Link>
+        {error ? <p className="text-magenta">{error}</p> : <div className="loading-spinner"></div>}
+      </div>
+    );
+  }
+
+  const { analysis, extraction } = document;
+  const canAnalyze = extraction && extraction.status === 'completed';
+
+  return (
+    <div className="documents-page">
+      <Link to="/documents" className="back-link">&larr; ALL DOCUMENTS</Link>
+      <h1 className="page-title">{document.original_name}</h1>
+
+      <div className="retro-card document-meta">
+        <span className="retro-badge cyan">{document.category}</span>
+        <span className="retro-badge">{document.file_type}</span>
+        {extraction && (
+          <span className={`retro-badge ${extraction.status === 'completed' ? '' : 'magenta'}`}>
+            TEXT: {extraction.status}{extraction.pageCount ? ` (${extraction.pageCount} pages)` : ''}
+          </span>
+        )}
+        {document.owner_name && <span className="retro-badge">BY {document.owner_name}</span>}
+        <button type="button" onClick={handleDownload}>DOWNLOAD</button>
+      </div>
+
+      <div className="retro-card document-analysis">
+        <div className="flex-between">
+          <h2>AI ANALYSIS</h2>
+          <button type="button" onClick={handleAnalyze} disabled={analyzing || !canAnalyze}>
+            {analyzing ? 'ANALYZING...' : analysis ? 'RE-ANALYZE' : 'ANALYZE'}
+          </button>
+        </div>
+
+        {!canAnalyze && <p className="text-yellow">The document text has not been extracted, so it cannot be analyzed.</p>}
+        {error && <p className="text-magenta">{error}</p>}
+        {analyzing && <div className="loading-spinner"></div>}
+
+        {analysis ? (
+          <>
+            {analysis.stale && (
+              <p className="text-yellow">The document changed since this analysis. Re-analyze to update it.</p>
+            )}
+            <p>{analysis.summary}</p>
+            {ANALYSIS_SECTIONS.map(([field, title]) => analysis[field].length > 0 && (
+              <div key={field} className="analysis-section">
+                <h3>{title}</h3>
+                <ul>
+                  {analysis[field].map((item, i) => <li key={i}>{item}</li>)}
+                </ul>
+              </div>
+            ))}
+            <p className="analysis-stamp text-cyan">
+              {analysis.provider}{analysis.model ? ` / ${analysis.model}` : ''} &middot; v{analysis.version}
+              {analysis.chunkCount > 1 ? ` · ${analysis.chunkCount} parts` : ''} &middot; {new Date(analysis.analyzedAt).toLocaleString()}
+            </p>
+          </>
+        ) : (
+          !analyzing && canAnalyze && <p>This document has not been analyzed yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DocumentDetailPage;
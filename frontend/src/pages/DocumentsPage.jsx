@@ -1,8 +1,28 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
 import './DocumentsPage.css';
 
 function DocumentsPage() {
+  const { authHeaders, activeWorkspaceId } = useAuth();
   const [uploading, setUploading] = useState(false);
+  const [documents, setDocuments] = useState([]);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [activeWorkspaceId]);
+
+  const fetchDocuments = async () => {
+    try {
+      const response = await fetch('/api/documents', { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        setDocuments(data.documents);
+      }
+    } catch (error) {
+      console.error('Error fetching documents:', error);
+    }
+  };
 
   const handleFileUpload = async (e) => {
     const file = e.target.files[0];
@@ -16,11 +36,19 @@ function DocumentsPage() {
     try {
       const response = await fetch('/api/documents/upload', {
         method: 'POST',
+        headers: authHeaders(),
         body: formData
       });
 
       if (response.ok) {
-        alert('Document uploaded successfully!');
+        const data = await response.json();
+        const extraction = data.document?.extraction;
+        if (extraction && extraction.status !== 'completed') {
+          alert(`Document uploaded, but its text could not be read (${extraction.error || extraction.status}). The assistant will not be able to search it.`);
+        } else {
+          alert('Document uploaded successfully!');
+        }
+        fetchDocuments();
       }
     } catch (error) {
       console.error('Upload error:', error);
@@ -48,8 +76,18 @@ function DocumentsPage() {
       <div className="documents-list">
         <div className="retro-card">
           <h2>YOUR DOCUMENTS</h2>
-          <p>Documents will appear here after uploading.</p>
-          <p className="text-cyan">Backend API: /api/documents</p>
+          {documents.length === 0 ? (
+            <p>Documents will appear here after uploading.</p>
+          ) : (
+            <ul className="document-rows">
+              {documents.map(doc => (
+                <li key={doc.id}>
+                  <Link to={`/documents/${doc.id}`}>{doc.original_name}</Link>
+                  <span className="text-cyan">{doc.category}{doc.owner_name ? ` · ${doc.owner_name}` : ''}</span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </div>
     </div>
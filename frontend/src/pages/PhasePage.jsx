@@ -0,0 +1,438 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useDropzone } from 'react-dropzone';
+import { useAuth } from '../contexts/AuthContext';
+import EoiPanel from '../components/EoiPanel';
+import './PhasePage.css';
+
+// Dropzone accept map for the extensions a phase allows
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg'
+};
+
+const acceptFor = (extensions) => {
+  const accept = {};
+  extensions.filter(ext => MIME_TYPES[ext]).forEach(ext => {
+    accept[MIME_TYPES[ext]] = [...(accept[MIME_TYPES[ext]] || []), `.${ext}`];
+  });
+  return accept;
+};
+
+const PhasePage = () => {
+  const { phaseId } = useParams();
+  const { authHeaders, activeWorkspaceId, isAdmin } = useAuth();
+  const [phase, setPhase] = useState(null);
+  const [phases, setPhases] = useState([]);
+  const [notFound, setNotFound] = useState(false);
+  const [activeTab, setActiveTab] = useState('checklist');
+  const [checklist, setChecklist] = useState([]);
+  const [uploadedDocs, setUploadedDocs] = useState([]);
+  const [phaseStatus, setPhaseStatus] = useState(null);
+  const [transitionError, setTransitionError] = useState(null);
+
+  useEffect(() => {
+    setActiveTab('checklist');
+    setUploadedDocs([]);
+    setTransitionError(null);
+    fetchPhase();
+    fetchPhases();
+    fetchChecklist();
+    fetchStatus();
+  }, [phaseId, activeWorkspaceId]);
+
+  const fetchPhase = async () => {
+    try {
+      const response = await fetch(`/api/phases/${phaseId}`, { headers: authHeaders() });
+      const data = await response.json();
+      setNotFound(response.status === 404);
+      if (data.success) {
+        setPhase(data.phase);
+      }
+    } catch (error) {
+      console.error('Error fetching phase:', error);
+    }
+  };
+
+  const fetchPhases = async () => {
+    try {
+      const response = await fetch('/api/phases', { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        setPhases(data.phases);
+      }
+    } catch (error) {
+      console.error('Error fetching phases:', error);
+    }
+  };
+
+  const fetchChecklist = async () => {
+    try {
+      const response = await fetch(`/api/phases/${phaseId}/checklist`, { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        setChecklist(data.checklist);
+      }
+    } catch (error) {
+      console.error('Error fetching checklist:', error);
+    }
+  };
+
+  const fetchStatus = async () => {
+    try {
+      const response = await fetch(`/api/phases/${phaseId}/status`, { headers: authHeaders() });
+      const data = await response.json();
+      if (data.success) {
+        setPhaseStatus(data.status);
+      }
+    } catch (error) {
+      console.error('Error fetching status:', error);
+    }
+  };
+
+  // Completing needs every criterion met; admins may override with a reason
+  const changePhaseStatus = async (status, override = false) => {
+    const body = { status };
+    if (override) {
+      const reason = window.prompt('Why should this phase be completed despite its blockers?');
+      if (!reason) return;
+      Object.assign(body, { override: true, reason });
+    }
+
+    try {
+      const response = await fetch(`/api/phases/${phaseId}/transition`, {
+        method: 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      setTransitionError(data.success ? null : data.error);
+      fetchStatus();
+    } catch (error) {
+      console.error('Error updating phase:', error);
+      setTransitionError('Failed to update phase');
+    }
+  };
+
+  const onDrop = useCallback(async (acceptedFiles) => {
+    const formData = new FormData();
+    acceptedFiles.forEach(file => {
+      formData.append('documents', file);
+    });
+    formData.append('documentType', phase.uploads.defaultType);
+
+    try {
+      const response = await fetch(`/api/phases/${phaseId}/upload`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: formData
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setUploadedDocs([...uploadedDocs, ...data.documents]);
+        fetchStatus(); // Refresh status
+        alert(`Successfully uploaded ${data.documents.length} document(s)!`);
+      } else {
+        alert('Upload failed: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Error uploading files:', error);
+      alert('Upload failed. Please try again.');
+    }
+  }, [phase, phaseId, uploadedDocs, authHeaders]);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: phase ? acceptFor(phase.uploads.extensions) : undefined,
+    maxFiles: phase ? phase.uploads.maxFiles : 0,
+    maxSize: 50 * 1024 * 1024 // 50MB
+  });
+
+  if (notFound) {
+    return (
+      <div className="phase-page">
+        <header className="phase-page-header">
+          <h1>Phase not found</h1>
+          <p className="phase-page-subtitle">
+            <Link to="/progress">Back to your certification progress</Link>
+          </p>
+        </header>
+      </div>
+    );
+  }
+
+  if (!phase) {
+    return <div className="phase-page loading">Loading phase...</div>;
+  }
+
+  const index = phases.findIndex(p => p.id === phase.id);
+  const previous = index > 0 ? phases[index - 1] : null;
+  const next = index >= 0 && index < phases.length - 1 ? phases[index + 1] : null;
+  const hasEoi = phase.features.includes('eoi');
+
+  return (
+    <div className="phase-page">
+      <header className="phase-page-header">
+        <h1>{phase.icon} Phase {phase.order}: {phase.name}</h1>
+        <p className="phase-page-subtitle">{phase.subtitle || phase.description}</p>
+
+        {phaseStatus && (
+          <div className="progress-indicator">
+            <div className="progress-bar-container">
+              <div
+                className="progress-bar-fill"
+                style={{ width: `${phaseStatus.completionPercentage}%` }}
+              />
+            </div>
+            <span className="progress-text">{phaseStatus.completionPercentage}% Complete</span>
+          </div>
+        )}
+
+        {phaseStatus && (
+          <div className="phase-page-state">
+            <span className={`phase-state phase-state-${phaseStatus.state}`}>
+              {phaseStatus.state.replace('_', ' ').toUpperCase()}
+            </span>
+            {phaseStatus.state === 'pending' && (
+              <button className="action-btn secondary" onClick={() => changePhaseStatus('in_progress')}>
+                Start phase
+              </button>
+            )}
+            {phaseStatus.state !== 'completed' && (phaseStatus.canComplete || !isAdmin) && (
+              <button
+                className="action-btn primary"
+                disabled={!phaseStatus.canComplete}
+                onClick={() => changePhaseStatus('completed')}
+              >
+                Mark phase complete
+              </button>
+            )}
+            {phaseStatus.state !== 'completed' && !phaseStatus.canComplete && isAdmin && (
+              <button className="action-btn primary" onClick={() => changePhaseStatus('completed', true)}>
+                Override and complete
+              </button>
+            )}
+            {phaseStatus.state === 'completed' && (
+              <button className="action-btn secondary" onClick={() => changePhaseStatus('in_progress')}>
+                Reopen phase
+              </button>
+            )}
+          </div>
+        )}
+
+        {transitionError && <p className="phase-page-error">{transitionError}</p>}
+
+        {phaseStatus && phaseStatus.state !== 'completed' && phaseStatus.blockers.length > 0 && (
+          <ul className="phase-page-blockers">
+            {phaseStatus.blockers.map((blocker) => (
+              <li key={`${blocker.type}-${blocker.id}`}>⛔ {blocker.message}</li>
+            ))}
+          </ul>
+        )}
+
+        {phaseStatus && phaseStatus.nextSteps.length > 0 && (
+          <ul className="phase-page-next-steps">
+            {phaseStatus.nextSteps.map((step) => (
+              <li key={step}>▶ {step}</li>
+            ))}
+          </ul>
+        )}
+      </header>
+
+      <div className="phase-page-tabs">
+        <button
+          className={`tab ${activeTab === 'checklist' ? 'active' : ''}`}
+          onClick={() => setActiveTab('checklist')}
+        >
+          📋 Checklist
+        </button>
+        {phase.resources.length > 0 && (
+          <button
+            className={`tab ${activeTab === 'resources' ? 'active' : ''}`}
+            onClick={() => setActiveTab('resources')}
+          >
+            📚 Official Resources
+          </button>
+        )}
+        <button
+          className={`tab ${activeTab === 'documents' ? 'active' : ''}`}
+          onClick={() => setActiveTab('documents')}
+        >
+          📄 Upload Documents
+        </button>
+        {hasEoi && (
+          <button
+            className={`tab ${activeTab === 'eoi' ? 'active' : ''}`}
+            onClick={() => setActiveTab('eoi')}
+          >
+            ✍️ Expression of Interest
+          </button>
+        )}
+      </div>
+
+      <div className="phase-page-content">
+        {/* Checklist Tab */}
+        {activeTab === 'checklist' && (
+          <div className="checklist-section">
+            <h2>Phase {phase.order} Checklist</h2>
+            <p className="section-description">{phase.description}</p>
+
+            {checklist.map((section) => (
+              <div key={section.id} className="checklist-card">
+                <div className="card-header">
+                  <h3>{section.title}</h3>
+                  {section.required && <span className="badge required">Required</span>}
+                </div>
+                <p className="card-description">{section.description}</p>
+                <ul className="checklist-items">
+                  {section.items.map((item, idx) => (
+                    <li key={idx}>
+                      <input type="checkbox" id={`${section.id}-${idx}`} />
+                      <label htmlFor={`${section.id}-${idx}`}>{item}</label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+
+            {phaseStatus && phaseStatus.criteria.length > 0 && (
+              <div className="checklist-card completion-criteria">
+                <div className="card-header">
+                  <h3>Completion Criteria</h3>
+                </div>
+                <ul className="checklist-items">
+                  {phaseStatus.criteria.map((criterion) => (
+                    <li key={criterion.id} className={criterion.met ? 'met' : ''}>
+                      <span className="criterion-mark">{criterion.met ? '✓' : '○'}</span>
+                      <span>{criterion.label}</span>
+                      {criterion.detail && <span className="criterion-detail">{criterion.detail}</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Resources Tab */}
+        {activeTab === 'resources' && (
+          <div className="resources-section">
+            <h2>Official C2PA Resources</h2>
+            <p className="section-description">
+              Direct links to official C2PA resources, verification authorities, and tools.
+            </p>
+
+            {phase.resources.map((section) => (
+              <div key={section.id} className="resource-category">
+                <h3>{section.icon} {section.title}</h3>
+                <div className="resource-grid">
+                  {section.items.map((resource, idx) => (
+                    <a
+                      key={idx}
+                      href={resource.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={`resource-card ${resource.status ? 'ca-card' : ''}`}
+                    >
+                      <div className="resource-header">
+                        <h4>{resource.title}</h4>
+                        {resource.status ? (
+                          <span className={`status-badge ${resource.status.toLowerCase().replace(' ', '-')}`}>
+                            {resource.status}
+                          </span>
+                        ) : (
+                          <span className="external-link">↗</span>
+                        )}
+                      </div>
+                      <p className="resource-description">{resource.description}</p>
+                      {resource.category && <span className="resource-badge">{resource.category}</span>}
+                    </a>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Documents Upload Tab */}
+        {activeTab === 'documents' && (
+          <div className="documents-section">
+            <h2>Upload Phase {phase.order} Documents</h2>
+            <p className="section-description">
+              {phase.uploads.description} Accepted formats: {phase.uploads.extensions.join(', ').toUpperCase()}
+            </p>
+
+            <div {...getRootProps()} className={`dropzone ${isDragActive ? 'active' : ''}`}>
+              <input {...getInputProps()} />
+              <div className="dropzone-content">
+                <div className="upload-icon">📤</div>
+                {isDragActive ? (
+                  <p className="dropzone-text">Drop your files here...</p>
+                ) : (
+                  <>
+                    <p className="dropzone-text">Drag & drop files here, or click to select</p>
+                    <p className="dropzone-hint">
+                      Up to {phase.uploads.maxFiles} files at a time (max 50MB each)
+                    </p>
+                  </>
+                )}
+              </div>
+            </div>
+
+            {uploadedDocs.length > 0 && (
+              <div className="uploaded-docs">
+                <h3>Uploaded Documents ({uploadedDocs.length})</h3>
+                <ul className="docs-list">
+                  {uploadedDocs.map((doc) => (
+                    <li key={doc.id} className="doc-item">
+                      <span className="doc-icon">📄</span>
+                      <span className="doc-name">{doc.filename}</span>
+                      <span className="doc-size">{(doc.size / 1024).toFixed(1)} KB</span>
+                      <span className="doc-status">✓ Uploaded</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {phase.uploads.recommended.length > 0 && (
+              <div className="info-box">
+                <h4>📝 Recommended Documents:</h4>
+                <ul>
+                  {phase.uploads.recommended.map((item) => (
+                    <li key={item}>{item}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Expression of Interest Tab */}
+        {activeTab === 'eoi' && hasEoi && <EoiPanel onStatusChange={fetchStatus} />}
+      </div>
+
+      <nav className="phase-page-nav">
+        {previous ? (
+          <Link to={`/phases/${previous.id}`} className="phase-page-nav-link">
+            ← Phase {previous.order}: {previous.name}
+          </Link>
+        ) : <span />}
+        {next && (
+          <Link to={`/phases/${next.id}`} className="phase-page-nav-link">
+            Phase {next.order}: {next.name} →
+          </Link>
+        )}
+      </nav>
+    </div>
+  );
+};
+
+export default PhasePage;
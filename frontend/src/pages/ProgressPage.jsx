@@ -1,8 +1,11 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import StarshipProgress from '../components/StarshipProgress';
+import { useAuth } from '../contexts/AuthContext';
 import './ProgressPage.css';
 
 function ProgressPage() {
+  const { authHeaders, activeWorkspaceId } = useAuth();
   const [phases, setPhases] = useState([
     { id: 1, name: 'Introduction & Prerequisites', status: 'pending', progress: 0 },
     { id: 2, name: 'Understanding Requirements', status: 'pending', progress: 0 },
@@ -15,15 +18,17 @@ function ProgressPage() {
   const [currentPhase, setCurrentPhase] = useState(1);
   const [overallProgress, setOverallProgress] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null);
+  const [exportError, setExportError] = useState(null);
 
   useEffect(() => {
     fetchProgress();
-  }, []);
+  }, [activeWorkspaceId]);
 
   const fetchProgress = async () => {
     try {
       // Try to fetch from adventure progress first
-      const adventureResponse = await fetch('/api/adventure/progress');
+      const adventureResponse = await fetch('/api/adventure/progress', { headers: authHeaders() });
       const adventureData = await adventureResponse.json();
 
       if (adventureData.success && adventureData.progress) {
@@ -56,7 +61,7 @@ function ProgressPage() {
         setOverallProgress(Math.round((completed.length / 6) * 100));
       } else {
         // Fallback: check Phase 1 progress
-        const phase1Response = await fetch('/api/phase1/status');
+        const phase1Response = await fetch('/api/phase1/status', { headers: authHeaders() });
         const phase1Data = await phase1Response.json();
 
         if (phase1Data.success && phase1Data.progress > 0) {
@@ -83,6 +88,33 @@ function ProgressPage() {
     }
   };
 
+  // The report needs the auth header, so it is fetched and saved as a blob
+  const exportReport = async (format) => {
+    setExporting(format);
+    setExportError(null);
+    try {
+      const response = await fetch(`/api/progress/report?format=${format}`, { headers: authHeaders() });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to generate report');
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `readiness-report.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      setExportError(error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
   return (
     <div className="progress-page">
       <h1 className="page-title">CERTIFICATION PROGRESS</h1>
@@ -102,7 +134,7 @@ function ProgressPage() {
         {phases.map((phase) => (
           <div key={phase.id} className="phase-progress-item retro-card">
             <div className="phase-header">
-              <h3>PHASE {phase.id}: {phase.name}</h3>
+              <h3><Link to={`/phases/phase-${phase.id}`}>PHASE {phase.id}: {phase.name}</Link></h3>
               <span className={`status-badge ${phase.status}`}>
                 {phase.status.toUpperCase()}
               </span>
@@ -124,6 +156,24 @@ function ProgressPage() {
         </div>
         <p className="progress-text">{overallProgress}% Complete</p>
       </div>
+
+      <div className="report-export retro-card">
+        <h2>READINESS REPORT</h2>
+        <p className="text-cyan">Phase status, checklist, evidence hashes, open risks and your EOI</p>
+        <div className="report-export-buttons">
+          {[['pdf', 'PDF'], ['md', 'MARKDOWN'], ['html', 'HTML']].map(([format, label]) => (
+            <button
+              key={format}
+              className={format === 'pdf' ? 'primary' : ''}
+              onClick={() => exportReport(format)}
+              disabled={exporting !== null}
+            >
+              {exporting === format ? 'GENERATING...' : `EXPORT ${label}`}
+            </button>
+          ))}
+        </div>
+        {exportError && <p className="report-export-error">{exportError}</p>}
+      </div>
     </div>
   );
 }
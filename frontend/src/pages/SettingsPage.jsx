@@ -578,8 +578,11 @@ const SettingsPage = () => {
                 onChange={(e) => setAiSettings({ ...aiSettings, provider: e.target.value })}
               >
                 <option value="none">None (Fallback Mode)</option>
+                <option value="ollama">Ollama (Local)</option>
                 <option value="openwebui">OpenWebUI (Local)</option>
                 <option value="openai">OpenAI API</option>
+                <option value="anthropic">Anthropic Messages API</option>
+                <option value="mock">Mock (Testing)</option>
               </select>
               <small>For detailed AI configuration, use the Admin Panel</small>
             </div>